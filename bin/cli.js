@@ -11,10 +11,11 @@ const cli = new Cli()
 program
   .version(pkgJson.version)
   .option('-s, --skip-comments', 'disable PR comments even if enabled via .pr-bumper.json')
-  .arguments('<cmd>')
-  .action((cmd, program) => {
+  .option('-d, --dry-run', 'show what bump would change without writing, committing, tagging or pushing anything')
+  .arguments('<cmd> [subcmd]')
+  .action((cmd, subcmd, program) => {
     cli
-      .run(cmd, program.skipComments)
+      .run(subcmd ? `${cmd} ${subcmd}` : cmd, program.skipComments, program.dryRun)
       .catch((error) => {
         const msg = (error.message) ? error.message : error
         console.log(`${pkgJson.name}: ERROR: ${msg}`)
@@ -31,12 +32,19 @@ program
       '    --skip-comments - disable PR comments even if enabled via .pr-bumper.json\n' +
       '                      Useful particularly when running check-coverage manually'
     )
+    console.log(
+      '    --dry-run - run the whole bump without writing any files, committing, tagging or pushing\n' +
+      '                Prints the next version, changelog entry, file diffs and the commands that would have run\n' +
+      '                (only for bump, release and changelog rebuild)'
+    )
     console.log('')
     console.log('  Commands:')
     console.log('')
     console.log('    check - verify an open PR has a version-bump comment')
     console.log('    check-coverage - compare current code coverage against baseline from package.json')
     console.log('    bump - actually bump the version based on the merged PR')
+    console.log('    release - bump once for all the PRs recorded since the last release (with batchedRelease enabled)')
+    console.log('    changelog rebuild - regenerate the changelog from the version tags and merged PRs in git history')
     console.log('')
   })
   .parse(process.argv)
@@ -4,9 +4,11 @@ require('./typedefs')
 
 const __ = require('lodash')
 const cpExec = require('child_process').exec
+const jsdiff = require('diff')
 const prependFile = require('prepend-file')
 const Promise = require('promise')
-const versiony = require('versiony')
+const semver = require('semver')
+const os = require('os')
 const path = require('path')
 const fs = require('fs')
 
@@ -15,10 +17,21 @@ const pkgJson = require('../package.json')
 // Compliance implementation
 let dependencies = require('./compliance/dependencies')
 
+// Coverage report reader
+let coverageReader = require('./coverage-reports/reader')
+const history = require('./changelog/history')
+const keepAChangelog = require('./changelog/keep-a-changelog')
+const template = require('./changelog/template')
+const patchCoverage = require('./coverage-reports/patch')
+
 // using let so stuff can be rewired in the test
 let exec = Promise.denodeify(cpExec)
+let mkdir = Promise.denodeify(fs.mkdir)
 let prepend = Promise.denodeify(prependFile)
 let readFile = Promise.denodeify(fs.readFile)
+let readdir = Promise.denodeify(fs.readdir)
+let rmdir = Promise.denodeify(fs.rmdir)
+let unlink = Promise.denodeify(fs.unlink)
 let writeFile = Promise.denodeify(fs.writeFile)
 
 const logger = require('./logger')
@@ -36,12 +49,307 @@ function addModifiedFile (info, filename) {
   }
 }
 
+/**
+ * Get the summary line of the commit made by a merge build
+ * @param {PrInfo} info - the info for the merged PR
+ * @returns {String} the summary (without the "[pr-bumper]" prefix)
+ */
+function getCommitSummary (info) {
+  // Currently there are only three reasons we'll have a commit 1) we have a "none" bump with coverage
+  // change, 2) the PR was recorded for the next (batched) release, or 3) we have a legit bump commit
+  if (info.recorded) {
+    return `Automated recording of PR #${info.pr.number} for the next release`
+  }
+
+  return info.scope === 'none' ? 'Automated code coverage update' : 'Automated version bump'
+}
+
+/**
+ * Combine the PRs pending release into the info for a single (batched) release: the biggest of their scopes (in a
+ * workspace, for each package too), and all of their changelog text
+ * @param {PendingPr[]} pendingPrs - the PRs pending release, in the order they were merged
+ * @param {WorkspacePackage[]} [packages] - the packages of the workspace (when `workspaces` is configured)
+ * @returns {PrInfo} the info for the release
+ */
+function getPendingReleaseInfo (pendingPrs, packages) {
+  const info = {
+    changelog: pendingPrs.map((pendingPr) => pendingPr.changelog).join('\n\n'),
+    modifiedFiles: [],
+    pendingPrs,
+    scope: utils.getBiggestScope(pendingPrs.map((pendingPr) => pendingPr.scope))
+  }
+
+  if (packages) {
+    info.packages = packages.map((pkg) => {
+      const scopes = pendingPrs.map((pendingPr) => __.get(pendingPr.packages, [pkg.dir]))
+      const scope = utils.getBiggestScope(__.compact(scopes))
+      return __.assign({}, pkg, {changed: scope !== 'none', scope})
+    })
+  }
+
+  return info
+}
+
+/**
+ * Check if a PR pending release is part of a release (in a workspace, only the packages the PR bumps are)
+ * @param {PendingPr} pendingPr - the PR pending release
+ * @param {Release} release - the release
+ * @returns {Boolean} true if the PR is part of the release
+ */
+function isReleasedBy (pendingPr, release) {
+  return !pendingPr.packages || __.has(pendingPr.packages, [release.dir])
+}
+
+// The scopes that result in a new version
+const bumpScopes = ['patch', 'minor', 'major', 'prerelease', 'prepatch', 'preminor', 'premajor']
+
+// How many times a bump is done (on top of wherever the remote branch is by then) before giving up on pushing it
+const maxBumpAttempts = 3
+
+// The templates for changelogs and release notes, when they aren't configured
+const defaultTemplates = {
+  changelogEntry: '{changelog}',
+  changelogHeader: '# {version} ({date})',
+  releaseNotes: '{changelog}'
+}
+
+// The sections of a package.json that can depend on other packages of a workspace
+const dependencySections = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+
+/**
+ * Get the version range of a dependency, updated for the given new version of it. Only exact versions and caret/tilde
+ * ranges (i.e. "1.2.3", "^1.2.3" or "~1.2.3") are updated, anything else (i.e. "*" or "file:../pkg-a") is left alone
+ * @param {String} range - the current version range of the dependency
+ * @param {String} version - the new version of the dependency
+ * @returns {String} the updated version range
+ */
+function getUpdatedRange (range, version) {
+  const match = /^([\^~]?)(.*)$/.exec(range)
+  return semver.valid(match[2]) ? `${match[1]}${version}` : range
+}
+
+/**
+ * Update the ranges of any dependencies on the given packages within the contents of a package.json
+ * @param {Object} pkgJsonContents - the parsed contents of the package.json (will be mutated in-place)
+ * @param {Object.<String, String>} versions - the new version of each bumped package (by package name)
+ * @returns {Boolean} true if any range was changed
+ */
+function updateDependencyRanges (pkgJsonContents, versions) {
+  let changed = false
+  dependencySections.forEach((section) => {
+    const deps = pkgJsonContents[section] || {}
+    Object.keys(deps)
+      .filter((name) => __.has(versions, [name]))
+      .forEach((name) => {
+        const range = getUpdatedRange(deps[name], versions[name])
+        changed = changed || range !== deps[name]
+        deps[name] = range
+      })
+  })
+
+  return changed
+}
+
+/**
+ * Get the directories matching one of the `workspaces` patterns
+ * @param {String} pattern - the pattern, only a trailing `/*` is supported (i.e. "packages/*"), anything else is taken
+ *   to be the directory of a single package
+ * @returns {Promise} a promise resolved with the matching directories
+ */
+function getWorkspaceDirs (pattern) {
+  if (!pattern.endsWith('/*')) {
+    return Promise.resolve([pattern])
+  }
+
+  const parent = pattern.slice(0, -2)
+  return readdir(parent)
+    .then((entries) => {
+      return entries.sort().map((entry) => `${parent}/${entry}`)
+    })
+}
+
+/**
+ * Check if a PR was released as part of a package of a workspace: it names the package in a `#scope:package#`
+ * directive (with a scope other than none), or it changed the package without naming it in a directive
+ * @param {PullRequest} pr - the PR
+ * @param {String[]} changedFiles - the files changed by the PR
+ * @param {Object} target - the changelog of the package ({changelogFile, dir, name, tagPrefix})
+ * @returns {Boolean} true if the PR is part of the releases of the package
+ */
+function isPackagePr (pr, changedFiles, target) {
+  const directiveRegex = /#([A-Za-z]+):([^#\s]+)#/g
+  let match
+  while ((match = directiveRegex.exec(pr.description || '')) !== null) {
+    if (match[2] === target.name) {
+      return match[1].toLowerCase() !== 'none'
+    }
+  }
+
+  return changedFiles.some((file) => file.startsWith(`${target.dir}/`))
+}
+
+/**
+ * Get why one of the optional steps at the end of a bump (creating releases, publishing) should be skipped
+ * @param {Config} config - the config object
+ * @param {PrInfo} info - the info for the PR being bumped
+ * @param {Boolean} enabled - true if the step is turned on in the config
+ * @param {String[]} policySettings - the settings of the branch policy that turn the step off when set to false
+ * @returns {String} why the step should be skipped ('' if it shouldn't be)
+ */
+function getSkipReason (config, info, enabled, policySettings) {
+  const policy = utils.getBranchConfig(config)
+  const reasons = [
+    [!enabled, 'because of config option'],
+    [info.scope === 'none', 'because of "none" scope'],
+    [policySettings.some((setting) => policy[setting] === false), `because of policy for branch [${config.branch}]`]
+  ]
+
+  const reason = __.find(reasons, (r) => r[0])
+  return reason ? reason[1] : ''
+}
+
+/**
+ * Get the value of a coverage setting (i.e. the tolerance) for the given metric
+ * @param {Number|Object.<String, Number>} setting - the setting, either one value for all metrics or one per metric
+ * @param {String} metric - the coverage metric (i.e. "branches")
+ * @returns {Number} the value of the setting for the metric (0 if not set)
+ */
+function getMetricSetting (setting, metric) {
+  return __.isNumber(setting) ? setting : __.get(setting, [metric], 0)
+}
+
+/**
+ * Check the current value of a coverage metric against its baseline, and the configured tolerance and minimum
+ * @param {CoverageConfig} settings - the coverage settings
+ * @param {String} metric - the coverage metric (i.e. "branches")
+ * @param {Number} [base] - the baseline percentage (undefined if there is no baseline for the metric yet)
+ * @param {Number} pct - the current percentage
+ * @returns {CoverageResult} the result of the check
+ */
+function checkCoverageMetric (settings, metric, base, pct) {
+  const delta = __.isNumber(base) ? Number((pct - base).toFixed(2)) : undefined
+  const tolerance = getMetricSetting(settings.tolerance, metric)
+  const minimum = getMetricSetting(settings.minimum, metric)
+  const failures = []
+  if (delta < -tolerance) {
+    failures.push(`dropped more than \`${tolerance.toFixed(2)}%\``)
+  }
+
+  if (pct < minimum) {
+    failures.push(`below the minimum of \`${minimum.toFixed(2)}%\``)
+  }
+
+  return {base, delta, failures, metric, pct}
+}
+
+/**
+ * Describe how a coverage metric changed from its baseline
+ * @param {CoverageResult} result - the result of checking the metric
+ * @returns {String} the description (i.e. "dropped `1.92%` from `85.93%`")
+ */
+function describeCoverageChange (result) {
+  if (result.delta === undefined) {
+    return 'no baseline'
+  }
+
+  if (result.delta === 0) {
+    return 'no change'
+  }
+
+  const direction = result.delta > 0 ? 'increased' : 'dropped'
+  return `${direction} \`${Math.abs(result.delta).toFixed(2)}%\` from \`${result.base.toFixed(2)}%\``
+}
+
+/**
+ * Get the row of the coverage table for a coverage metric
+ * @param {CoverageResult} result - the result of checking the metric
+ * @returns {String} the markdown table row
+ */
+function getCoverageTableRow (result) {
+  const base = __.isNumber(result.base) ? `\`${result.base.toFixed(2)}%\`` : 'n/a'
+  const delta = __.isNumber(result.delta) ? `\`${result.delta > 0 ? '+' : ''}${result.delta.toFixed(2)}%\`` : 'n/a'
+  const status = result.failures.join(', ') || 'ok'
+  return `| ${result.metric} | ${base} | \`${result.pct.toFixed(2)}%\` | ${delta} | ${status} |`
+}
+
+/**
+ * Get the summary line of the coverage message, covering the metrics (and patch coverage) that failed, or all metrics
+ * if nothing failed
+ * @param {CoverageResult[]} results - the result of checking each tracked metric
+ * @param {PatchCoverage} [patch] - the coverage of the lines changed by the PR (if checked)
+ * @returns {String} the summary (i.e. "`statements` `84.01%` (dropped `1.92%` from `85.93%`)")
+ */
+function getCoverageSummary (results, patch) {
+  const failed = results.filter((result) => result.failures.length !== 0)
+  const patchFailed = Boolean(patch) && patch.failures.length !== 0
+  const summaries = (failed.length !== 0 || patchFailed ? failed : results)
+    .map((result) => `\`${result.metric}\` \`${result.pct.toFixed(2)}%\` (${describeCoverageChange(result)})`)
+
+  if (patchFailed) {
+    summaries.push(`\`patch\` \`${patch.pct.toFixed(2)}%\` (${patch.failures.join(', ')})`)
+  }
+
+  return summaries.join(', ')
+}
+
+/**
+ * Get the section of the coverage message about the lines changed by the PR
+ * @param {PatchCoverage} patch - the coverage of the changed lines
+ * @returns {String[]} the lines of the section, with a table of the patch coverage of each changed file
+ */
+function getPatchCoverageSection (patch) {
+  if (patch.files.length === 0) {
+    return ['', 'Patch Coverage: no changed lines to cover']
+  }
+
+  return [
+    '',
+    `Patch Coverage: \`${patch.pct.toFixed(2)}%\` (\`${patch.covered}\` of \`${patch.total}\` changed lines covered)`,
+    '',
+    '| File | Covered | Changed lines | Patch coverage |',
+    '| ---- | ------- | ------------- | -------------- |'
+  ]
+    .concat(patch.files.map((file) => {
+      return `| ${file.file} | ${file.covered} | ${file.total} | \`${file.pct.toFixed(2)}%\` |`
+    }))
+}
+
+/**
+ * Get the coverage to store as the new baseline in package.json
+ * @param {Number|Object.<String, Number>} stored - the baseline currently stored in package.json
+ * @param {Object.<String, Number>} current - the current percentage of each tracked metric
+ * @returns {Number|Object.<String, Number>} the new baseline
+ */
+function getStoredCoverage (stored, current) {
+  // Keep the original single number format (the statements percentage) as long as nothing else is tracked
+  if (__.isNumber(stored) && __.isEqual(Object.keys(current), ['statements'])) {
+    return current.statements
+  }
+
+  return __.assign({}, __.isPlainObject(stored) ? stored : {}, current)
+}
+
 class Cancel {
   constructor (message) {
     this.message = message
   }
 }
 
+/**
+ * Why a bump can't be pushed as is: the remote branch moved since the build started (i.e. another merge build pushed
+ * its bump first) or a tag of the bump already exists on the remote
+ */
+class PushConflict {
+  /**
+   * @param {String} message - what the conflict is
+   * @param {String} remoteHead - the SHA of the head of the remote branch (to redo the bump on top of)
+   */
+  constructor (message, remoteHead) {
+    this.message = message
+    this.remoteHead = remoteHead
+  }
+}
+
 /**
  * Interacts with a Vcs to achieive a version bump
  * @class
@@ -59,10 +367,17 @@ class Bumper {
     this.config = params.config
     this.vcs = params.vcs
     this.ci = params.ci
+
+    // What would have been changed/run, recorded (instead of being done) when config.dryRun is set
+    this.dryRunChanges = {
+      commands: [],
+      files: {}
+    }
   }
 
   /**
-   * Bump the version based on the last merged PR's version-bump comment
+   * Bump the version based on the last merged PR's version-bump comment (or when `batchedRelease` is enabled, just
+   * record the PR for the next release)
    * @param {Object} options the cli options
    * @returns {Promise} a promise resolved with the results of the push
    */
@@ -82,12 +397,128 @@ class Bumper {
       .then(() => {
         return this._getMergedPrInfo()
       })
+      .then((prInfo) => {
+        if (__.get(this.config, 'batchedRelease.enabled')) {
+          return this._recordAndPush(prInfo, 1)
+        }
+
+        return this._bumpAndRelease(prInfo)
+      })
+      .then((result) => {
+        return this.config.dryRun ? this._logDryRunSummary(result) : result
+      })
+  }
+
+  /**
+   * Check a PR for a version-bump comment
+   * @returns {Promise} a promise resolved when complete or rejected on error
+   */
+  check () {
+    if (!this.config.isPr) {
+      logger.log('Not a PR build, skipping check')
+      return Promise.resolve()
+    }
+
+    const link = 'https://github.com/ciena-blueplanet/pr-bumper#pull-requests'
+    return this._getOpenPrInfo()
+      .then((info) => {
+        const msg = `Found a ${info.scope} bump for the current PR`
+        logger.log(msg)
+        return utils.maybePostStatus(this.config, this.vcs, 'success', 'pr-bumper/scope', msg, link)
+      }, (err) => {
+        return utils.maybePostStatus(this.config, this.vcs, 'failure', 'pr-bumper/scope', err.message, link)
+          .then(() => {
+            throw err
+          })
+      })
+  }
+
+  /**
+   * Check a build to see if coverage decreased
+   * @returns {Promise} a promise resolved when complete or rejected on error
+   */
+  checkCoverage () {
+    const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
+    const baseline = utils.getBaselineCoverage(this.config)
+    if (!baseline) {
+      const msg = `No baseline coverage info found!\nSee ${link} for configuration info.`
+      return this._reportCoverage(msg, true, link)
+        .then(() => {
+          return Promise.reject(msg)
+        })
+    }
+
+    return coverageReader.read(this.config.coverage)
+      .then((current) => {
+        return this._checkCurrentCoverage(baseline, current, link)
+      })
+  }
+
+  /**
+   * Rebuild the changelog (in a workspace, the changelog of each package) from the version tags in the git history,
+   * with an entry for each PR merged between a tag and the one before it (PRs without a `# CHANGELOG` section are
+   * left out and reported, rather than failing the rebuild)
+   * @returns {Promise} a promise resolved with the PRs that had no changelog ({pr, tag}) once the files are written
+   */
+  rebuildChangelog () {
+    return Promise.all([this._getChangelogTargets(), this._getTemplates()])
+      .then((results) => {
+        // One changelog file at a time, to go easy on the VCS API
+        return results[0].reduce((promise, target) => {
+          return promise.then((missing) => {
+            return this._rebuildChangelogFile(target, results[1])
+              .then((targetMissing) => missing.concat(targetMissing))
+          })
+        }, Promise.resolve([]))
+      })
+      .then((missing) => {
+        this._logRebuildSummary(missing)
+        return missing
+      })
+  }
+
+  /**
+   * Release the PRs recorded by merge builds since the last release (when `batchedRelease` is enabled): bump once,
+   * with the biggest of their scopes, with all of their changelog entries
+   * @returns {Promise} a promise resolved with the results of the push
+   */
+  release () {
+    if (this.config.isPr) {
+      logger.log('Not a merge build, skipping release')
+      return Promise.resolve()
+    }
+
+    return this._getPendingReleaseInfo()
       .then((info) => {
-        return this._maybeBumpVersion(info, 'package.json')
+        return this._bumpAndRelease(info)
       })
+      .then((result) => {
+        return this.config.dryRun ? this._logDryRunSummary(result) : result
+      })
+  }
+
+  // = Private Methods ==================================================================
+
+  /**
+   * Bump, commit, tag and push the merged PR, and if that conflicts with the remote (i.e. another merge build pushed
+   * its bump first), start over on top of where the remote branch is now (up to maxBumpAttempts times)
+   * @param {PrInfo} prInfo - the info for the PR being bumped (as it was before any attempt)
+   * @param {Number} attempt - which attempt this is (starting at 1)
+   * @returns {Promise} a promise resolved with the info for the PR once the bump is pushed
+   */
+  _bumpAndPush (prInfo, attempt) {
+    const info = __.cloneDeep(prInfo)
+    const bumped = this.config.workspaces
+      ? this._maybeBumpPackageVersions(info)
+      : this._maybeBumpVersion(info, 'package.json')
+
+    return bumped
       .then((info) => {
         return this._maybePrependChangelog(info)
       })
+      .then((info) => {
+        return this._maybeClearPendingPrs(info)
+      })
       .then((info) => {
         return this._maybeGenerateDependencySnapshot(info)
       })
@@ -106,191 +537,843 @@ class Bumper {
       .then((info) => {
         return this._maybePushChanges(info)
       })
+      .catch((err) => {
+        return this._retryPush(err, 'bump', attempt, (nextAttempt) => {
+          // The PRs pending release may have changed on the remote branch, so a batched release starts from those
+          const nextInfo = prInfo.pendingPrs ? this._getPendingReleaseInfo() : Promise.resolve(prInfo)
+          return nextInfo
+            .then((info) => {
+              return this._bumpAndPush(info, nextAttempt)
+            })
+        })
+      })
   }
 
   /**
-   * Check a PR for a version-bump comment
-   * @returns {Promise} a promise resolved when complete or rejected on error
+   * Bump, commit, tag and push, then maybe create releases and publish
+   * @param {PrInfo} prInfo - the info for the PR being bumped (or for the PRs of a batched release)
+   * @returns {Promise} a promise resolved with the info once everything is published
    */
-  check () {
-    if (!this.config.isPr) {
-      logger.log('Not a PR build, skipping check')
-      return Promise.resolve()
-    }
-
-    return this._getOpenPrInfo()
+  _bumpAndRelease (prInfo) {
+    return this._bumpAndPush(prInfo, 1)
       .then((info) => {
-        logger.log(`Found a ${info.scope} bump for the current PR`)
+        return this._maybeCreateRelease(info)
+      })
+      .then((info) => {
+        return this._maybePublish(info)
       })
   }
 
   /**
-   * Check a build to see if coverage decreased
-   * @returns {Promise} a promise resolved when complete or rejected on error
+   * Bump the version in the given package.json with the given scope
+   * @param {String} pkgJsonFile - the path to the package.json to bump
+   * @param {String} scope - the scope of the bump
+   * @param {String} [prereleaseId] - the pre-release identifier to use (for pre-release scopes)
+   * @returns {Promise} a promise resolved with the previous and the new version ({previousVersion, version}), rejected
+   *   if the version in the package.json can't be bumped
    */
-  checkCoverage () {
-    const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
-    const base = this.config.baselineCoverage
-    if (!__.isNumber(base)) {
-      const msg = `No baseline coverage info found!\nSee ${link} for configuration info.`
-      return utils.maybePostComment(this.config, this.vcs, msg, true)
-        .then(() => {
-          return Promise.reject(msg)
-        })
-    }
+  _bumpVersion (pkgJsonFile, scope, prereleaseId) {
+    const versions = {}
+    return this._readFile(pkgJsonFile)
+      .then((contents) => {
+        const pkgJsonContents = JSON.parse(contents)
+        versions.previousVersion = pkgJsonContents.version
+        versions.version = semver.inc(pkgJsonContents.version, scope, prereleaseId)
+        if (!versions.version) {
+          throw new Error(
+            `Unable to bump the version [${pkgJsonContents.version}] in [${pkgJsonFile}] with scope [${scope}], ` +
+            'it is not a valid semver version'
+          )
+        }
+
+        pkgJsonContents.version = versions.version
+        return this._writeFile(pkgJsonFile, JSON.stringify(pkgJsonContents, null, 2))
+      })
+      .then(() => {
+        return versions
+      })
+  }
 
-    const pct = utils.getCurrentCoverage()
-    if (pct < 0) {
+  /**
+   * Check the current coverage against the baseline, and report the result
+   * @param {Object.<String, Number>} baseline - the baseline percentage of each metric
+   * @param {Object.<String, Number>} current - the current percentage of each tracked metric (-1 if unknown)
+   * @param {String} link - the URL with more details about coverage
+   * @returns {Promise} a promise resolved if coverage is fine, rejected with the message if it is not
+   */
+  _checkCurrentCoverage (baseline, current, link) {
+    const settings = this.config.coverage
+    if (settings.metrics.some((metric) => current[metric] < 0)) {
       const msg = `No current coverage info found!\nSee ${link} for configuration info.`
-      return utils.maybePostComment(this.config, this.vcs, msg, true)
+      return this._reportCoverage(msg, true, link)
         .then(() => {
           return Promise.reject(msg)
         })
     }
 
-    if (base > pct) {
-      const diffStr = (base - pct).toFixed(2)
-      const baseStr = base.toFixed(2)
-      const pctStr = pct.toFixed(2)
-      const msg = `Code Coverage: \`${pctStr}%\` (dropped \`${diffStr}%\` from \`${baseStr}%\`)`
-      return utils.maybePostComment(this.config, this.vcs, msg)
-        .then(() => {
-          return Promise.reject(msg)
-        })
+    const results = settings.metrics.map((metric) => {
+      return checkCoverageMetric(settings, metric, baseline[metric], current[metric])
+    })
+
+    return this._getPatchCoverage()
+      .then((patch) => {
+        const msg = this._getCoverageMsg(results, patch)
+        const failed = results.concat(patch ? [patch] : []).some((result) => result.failures.length !== 0)
+        if (failed) {
+          return this._reportCoverage(msg, false, link, 'failure')
+            .then(() => {
+              return Promise.reject(msg)
+            })
+        }
+
+        logger.log(msg, true)
+        return this._reportCoverage(msg, false, link, 'success')
+      }, (err) => {
+        const msg = `Unable to check patch coverage: ${err.message}\nSee ${link} for configuration info.`
+        return this._reportCoverage(msg, true, link)
+          .then(() => {
+            return Promise.reject(msg)
+          })
+      })
+  }
+
+  /**
+   * Make sure the bump can be pushed as is: the remote branch is still where the bump commit was made on top of, and
+   * none of the tags of the bump already exist on the remote
+   * @returns {Promise} a promise resolved if the bump can be pushed, rejected with a PushConflict if it can't
+   */
+  _checkForPushConflict () {
+    const branch = this.config.branch
+    return this.ci.fetch()
+      .then((remoteHead) => {
+        return exec(`git merge-base --is-ancestor ${remoteHead} HEAD`)
+          .then(() => {
+            return this._getBumpTags()
+          }, () => {
+            throw new PushConflict(`Branch [${branch}] moved to ${remoteHead} since the build started`, remoteHead)
+          })
+          .then((tags) => {
+            return Promise.all(tags.map((tag) => this.ci.hasRemoteTag(tag)))
+              .then((exists) => {
+                const tag = tags.find((name, index) => exists[index])
+                if (tag) {
+                  throw new PushConflict(`Tag [${tag}] already exists on the remote`, remoteHead)
+                }
+              })
+          })
+      })
+  }
+
+  /**
+   * Create the given tag, or, during a dry run, just record the git command that would have created it
+   * @param {String} name - the name of the tag
+   * @param {String} message - the message of the tag
+   * @returns {Promise} a promise resolved when the tag is created (or the command recorded)
+   */
+  _createTag (name, message) {
+    if (this.config.dryRun) {
+      this.dryRunChanges.commands.push(`git tag ${name} -a -m "${message}"`)
+      return Promise.resolve()
     }
 
-    const msg = this._getCoverageMsg(base, pct)
-    logger.log(msg, true)
-    return utils.maybePostComment(this.config, this.vcs, msg)
+    return this.ci.tag(name, message)
   }
 
-  // = Private Methods ==================================================================
+  /**
+   * Record prepending data to a file without writing it (for a dry run)
+   * @param {String} filename - the name of the file to prepend to
+   * @param {String} data - the data to prepend
+   * @returns {Promise} a promise resolved when the change has been recorded
+   */
+  _dryRunPrepend (filename, data) {
+    return this._readFile(filename)
+      .catch(() => '')
+      .then((contents) => {
+        return this._writeFile(filename, `${data}${contents}`)
+      })
+  }
+
+  /**
+   * Run the given command, or, during a dry run, just record that it would have been run
+   * @param {String} cmd - the command to run
+   * @returns {Promise} a promise resolved with the output of the command
+   */
+  _exec (cmd) {
+    if (this.config.dryRun) {
+      this.dryRunChanges.commands.push(cmd)
+      return Promise.resolve('')
+    }
+
+    return exec(cmd)
+  }
+
+  /**
+   * Get the tags created for the bump (the ones on the bump commit)
+   * @returns {Promise} a promise resolved with the names of the tags
+   */
+  _getBumpTags () {
+    return exec('git tag --points-at HEAD')
+      .then((stdout) => {
+        return __.compact(stdout.split('\n').map((tag) => tag.trim()))
+      })
+  }
+
+  /**
+   * Render the changelog entries of a release: the entry of the merged PR, or in a batched release, the entry of each
+   * PR pending release that is part of it
+   * @param {PrInfo} info - the pr info
+   * @param {Release} release - the release
+   * @param {Object.<String, String>} templates - the templates for changelogs and release notes
+   * @returns {String[]} the entries, in the order the PRs were merged
+   */
+  _getChangelogEntries (info, release, templates) {
+    const items = info.pendingPrs ? info.pendingPrs.filter((pendingPr) => isReleasedBy(pendingPr, release)) : [info]
+    return items.map((item) => template.render(templates.changelogEntry, this._getTemplateValues(item, release)))
+  }
+
+  /**
+   * Get the changelog files to rebuild, with the prefix of the version tags of each: the root changelog file, or in a
+   * workspace, the changelog file of each package
+   * @returns {Promise} a promise resolved with the targets ({changelogFile, tagPrefix}, and in a workspace, the `dir`
+   *   and `name` of the package)
+   */
+  _getChangelogTargets () {
+    const changelogFile = this.config.changelogFile
+    if (!this.config.workspaces) {
+      return Promise.resolve([{changelogFile, tagPrefix: 'v'}])
+    }
+
+    return this._readWorkspacePackages([])
+      .then((packages) => {
+        return packages.map((pkg) => {
+          return {
+            changelogFile: `${pkg.dir}/${changelogFile}`,
+            dir: pkg.dir,
+            name: pkg.name,
+            tagPrefix: `${pkg.name}@`
+          }
+        })
+      })
+  }
 
   /**
-   * Compute the log message to tell users whether coverage went up or stayed the same
-   * @param {Number} base - the base coverage percentage
-   * @param {Number} pct - the current coverage percentage
+   * Compute the message to tell users what happened with coverage, a summary of the metrics that failed (or of all
+   * metrics if none failed), followed by a table with the baseline, current value and delta of every metric (and a
+   * table with the coverage of each file changed by the PR, if patch coverage is checked)
+   * @param {CoverageResult[]} results - the result of checking each tracked metric
+   * @param {PatchCoverage} [patch] - the coverage of the lines changed by the PR (if checked)
    * @returns {String} the message to log to the user explaining what happened with coverage
    */
-  _getCoverageMsg (base, pct) {
-    const pctStr = pct.toFixed(2)
-    const baseStr = base.toFixed(2)
-    if (pct > base) {
-      const diffStr = (pct - base).toFixed(2)
-      return `Code Coverage: \`${pctStr}%\` (increased \`${diffStr}%\` from \`${baseStr}%\`)`
-    } else {
-      return `Code Coverage: \`${baseStr}%\` (no change)`
+  _getCoverageMsg (results, patch) {
+    return [
+      `Code Coverage: ${getCoverageSummary(results, patch)}`,
+      '',
+      '| Metric | Baseline | Current | Delta | Result |',
+      '| ------ | -------- | ------- | ----- | ------ |'
+    ]
+      .concat(results.map(getCoverageTableRow))
+      .concat(patch ? getPatchCoverageSection(patch) : [])
+      .join('\n')
+  }
+
+  /**
+   * Get the dist-tag to publish the given version with: the one configured for the branch, or for a pre-release
+   * version, the one configured for its pre-release identifier (or the identifier itself), otherwise "latest"
+   * @param {String} version - the version being published
+   * @returns {String} the dist-tag
+   */
+  _getDistTag (version) {
+    const branchTag = utils.getBranchConfig(this.config).distTag
+    const prerelease = semver.prerelease(version)
+    if (branchTag || !prerelease) {
+      return branchTag || 'latest'
     }
+
+    const id = `${prerelease[0]}`
+    return __.get(this.config, ['publish', 'distTags', id], id)
+  }
+
+  /**
+   * Get the diff of each file a dry run would have written
+   * @returns {String[]} the diffs
+   */
+  _getDryRunPatches () {
+    return __.map(this.dryRunChanges.files, (change) => {
+      return jsdiff.createPatch(change.filename, change.original, change.contents).trim()
+    })
   }
 
   /**
-   * Grab the most recent PR
-   * @returns {PrPromise} a promise resolved with the most recent PR
+   * Grab the PR merged by the commit being built, looked up in the VCS (which works for merge, squash and rebase
+   * merges alike), or else (only if the lookup itself fails) from the message of that commit
+   * @returns {PrPromise} a promise resolved with the PR
    */
   _getLastPr () {
-    return exec('git log -10 --oneline').then((stdout) => {
-      // the --oneline format for `git log` puts each commit on a single line, with the hash and then
-      // the commit message, so we first split on \n to get an array of commits
-      const commits = stdout.split('\n')
+    return exec('git rev-parse HEAD')
+      .then((stdout) => {
+        const sha = stdout.trim()
+        logger.log(`Looking up the PR merged by commit [${sha}]`)
+        return this.vcs.getMergedPr(sha)
+          .then(
+            (pr) => {
+              if (!pr) {
+                throw new Error(
+                  `Unable to find the PR merged by commit [${sha}], the ${this.config.vcs.provider} API doesn't ` +
+                  'associate it with one (was it pushed without a PR?)'
+                )
+              }
+
+              return pr
+            },
+            (err) => {
+              logger.log(`Unable to look up the PR merged by commit [${sha}]: ${err.message}`)
+              return this._getLastPrFromLog(sha)
+            }
+          )
+      })
+  }
 
-      // The commit that represents the merging of the PR will include the text 'Merge pull request' so
-      // we find that one
-      const mergeCommit = __.find(commits, (commit) => {
-        return commit.indexOf('Merge pull request') !== -1
+  /**
+   * Grab the PR mentioned in the message of the commit being built (using the mergeCommitPatterns)
+   * @param {String} sha - the SHA of the commit being built
+   * @returns {PrPromise} a promise resolved with the PR
+   */
+  _getLastPrFromLog (sha) {
+    const patterns = this.config.mergeCommitPatterns.map((pattern) => new RegExp(pattern, 'm'))
+
+    return exec(`git log -1 --format=%B ${sha}`)
+      .then((stdout) => {
+        const prNumber = history.getPrNumber(stdout, patterns)
+        if (!prNumber) {
+          throw new Error(
+            `Unable to find the PR merged by commit [${sha}], the ${this.config.vcs.provider} API lookup failed and ` +
+            'its commit message matches none of the mergeCommitPatterns (in .pr-bumper.json)'
+          )
+        }
+
+        logger.log(`Fetching PR [${prNumber}]`)
+        return this.vcs.getPr(prNumber)
       })
+  }
+
+  /**
+   * Get the PR scope for the current (merged) pull request
+   * @returns {Promise} a promise - resolved with PR info (changelog and scope) or rejected on error
+   */
+  _getMergedPrInfo () {
+    return this._getLastPr()
+      .then((pr) => {
+        return Promise.all([this._getScopeSources(pr), this._getWorkspacePackages(pr)])
+          .then((results) => {
+            const scopes = this._getScopes(pr, results[0], results[1])
+            const getChangelog = this.config.prependChangelog && scopes.scope !== 'none'
 
-      // The format of the auto-generated commit line will look something like:
-      // 'edf85e0 Merge pull request #30 from job13er/remove-newline'
-      // so if we split on the space, and grab the 5th item, it's '#30' then strip the '#' to get '30'
-      const prNumber = mergeCommit.split(' ')[4].replace('#', '')
+            return __.assign({
+              changelog: getChangelog ? utils.getChangelogForPr(pr) : '',
+              modifiedFiles: [],
+              pr
+            }, scopes)
+          })
+      })
+  }
+
+  /**
+   * Get the pr scope for the current (open) pull request
+   * @returns {Promise} a promise - resolved with PR info (changelog and scope) or rejected on error
+   */
+  _getOpenPrInfo () {
+    const vcs = this.vcs
+    return vcs.getPr(this.config.prNumber)
+      .then((pr) => {
+        return Promise.all([this._getScopeSources(pr), this._getWorkspacePackages(pr)])
+          .then((results) => {
+            return utils.maybePostCommentOnError(this.config, this.vcs, () => {
+              const scope = this._getScopes(pr, results[0], results[1]).scope
+              return {pr, scope}
+            }, 'scope')
+          })
+      })
+      .then((data) => {
+        const pr = data.pr
+        const scope = data.scope
+
+        const getChangelog = this.config.prependChangelog && scope !== 'none'
+        let changelog = ''
+        if (getChangelog) {
+          return utils.maybePostCommentOnError(this.config, this.vcs, () => {
+            changelog = utils.getChangelogForPr(pr)
+            return {changelog, scope}
+          }, 'changelog')
+        }
+
+        return Promise.resolve({changelog, scope})
+      })
+  }
+
+  /**
+   * Get the PRs that are part of the releases of a changelog (in a workspace, the PRs of a release tag of a package
+   * include every PR merged since the previous tag of the package, whichever packages they changed)
+   * @param {PullRequest[]} prs - the PRs merged between two version tags
+   * @param {Object} target - the changelog file, and the prefix of its version tags (and in a workspace, the `dir` and
+   *   `name` of its package)
+   * @returns {Promise} a promise resolved with the PRs of the changelog
+   */
+  _getPackagePrs (prs, target) {
+    if (!target.dir) {
+      return Promise.resolve(prs)
+    }
+
+    // One PR at a time, to go easy on the VCS API
+    return prs.reduce((promise, pr) => {
+      return promise.then((packagePrs) => {
+        return this.vcs.getPrFiles(pr.number)
+          .then((changedFiles) => isPackagePr(pr, changedFiles, target) ? packagePrs.concat(pr) : packagePrs)
+      })
+    }, Promise.resolve([]))
+  }
+
+  /**
+   * Compute the coverage of the lines changed by the PR (from a git diff against the base of the PR and the line info
+   * in the coverage report), if enabled
+   * @returns {Promise} a promise resolved with the {@link PatchCoverage} (undefined if not checked)
+   */
+  _getPatchCoverage () {
+    const settings = this.config.coverage
+    const patch = settings.patch || {}
+    if (!this.config.isPr || !patch.enabled) {
+      return Promise.resolve()
+    }
+
+    return Promise.all([this._getPatchDiff(patch.base), coverageReader.readLines(settings)])
+      .then((results) => {
+        const changedLines = patchCoverage.getChangedLines(results[0])
+        return patchCoverage.getPatchCoverage(changedLines, results[1], patch.minimum || 0, patch.sourceDir || '.')
+      })
+  }
+
+  /**
+   * Get the diff of the PR against its base, for patch coverage. Without a configured base, the branch the PR is merging
+   * into is fetched first, since CI builds often clone nothing but the commit being built.
+   * @param {String} [base] - what to diff the PR against (defaults to `origin/<branch>`)
+   * @returns {Promise} a promise resolved with the diff, rejected with an Error explaining what to do if git fails
+   */
+  _getPatchDiff (base) {
+    const branch = this.config.branch
+    const diffBase = base || `origin/${branch}`
+    const fetched = base ? Promise.resolve() : exec(`git fetch origin +refs/heads/${branch}:refs/remotes/${diffBase}`)
+
+    return fetched
+      .then(() => {
+        const cmd = `git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ ${diffBase}...HEAD`
+        return exec(cmd, {maxBuffer: 10 * 1024 * 1024})
+      })
+      .catch((err) => {
+        throw new Error(
+          `Unable to diff against [${diffBase}] to find the lines changed by the PR (in a shallow clone, fetch ` +
+          `enough history for git to find where the PR branched off, or configure coverage.patch.base): ${err.message}`
+        )
+      })
+  }
+
+  /**
+   * Get the info for a batched release of the PRs pending release (with the packages of the workspace, if there is one)
+   * @returns {Promise} a promise resolved with the {@link PrInfo} for the release
+   * @throws Cancel (rejecting the promise) when there are no PRs pending release
+   */
+  _getPendingReleaseInfo () {
+    return this._readPendingPrs()
+      .then((pendingPrs) => {
+        if (pendingPrs.length === 0) {
+          throw new Cancel('No PRs are pending release, skipping release.')
+        }
+
+        const readPackages = this.config.workspaces ? this._readWorkspacePackages([]) : Promise.resolve()
+        return readPackages
+          .then((packages) => {
+            return getPendingReleaseInfo(pendingPrs, packages)
+          })
+      })
+  }
+
+  /**
+   * Get the pre-release identifier (i.e. "beta") to use when bumping with the given scope
+   * @param {String} scope - the scope of the bump
+   * @returns {String} the pre-release identifier for the current branch (undefined if not a pre-release scope)
+   * @throws Error if the scope is invalid, or is a pre-release scope with no identifier configured for the branch
+   */
+  _getPrereleaseId (scope) {
+    if (bumpScopes.indexOf(scope) === -1) {
+      throw new Error(`Invalid scope [${scope}]`)
+    }
+
+    if (!utils.isPrereleaseScope(scope)) {
+      return undefined
+    }
+
+    const prereleaseId = utils.getBranchConfig(this.config).prerelease
+    if (!prereleaseId) {
+      throw new Error(`No pre-release identifier configured for branch [${this.config.branch}]`)
+    }
+
+    return prereleaseId
+  }
+
+  /**
+   * Get the contents of a changelog file rebuilt from the git history, in the configured format
+   * @param {Object[]} rebuilt - the entries of each release ({entries, release}), oldest first
+   * @param {Object.<String, String>} templates - the templates for changelogs and release notes
+   * @returns {String} the contents of the changelog file
+   */
+  _getRebuiltChangelog (rebuilt, templates) {
+    if (this.config.changelogFormat === 'keep-a-changelog') {
+      const getCompareUrl = (from, to) => this.vcs.getCompareUrl(from, to)
+      return rebuilt.reduce((contents, item) => {
+        const date = template.formatDate(item.release.date, this.config.changelogDate)
+        const entry = {changelog: item.entries, date, tag: item.release.tag, version: item.release.version}
+        return keepAChangelog.insertRelease(contents, entry, getCompareUrl)
+      }, '')
+    }
+
+    return rebuilt
+      .map((item) => {
+        const values = this._getTemplateValues({changelog: item.entries.join('\n\n')}, item.release)
+        return `${template.render(templates.changelogHeader, values)}\n${values.changelog}\n\n`
+      })
+      .reverse()
+      .join('')
+  }
+
+  /**
+   * Get the changelog entries of a release from the git history, one for each PR merged for it that has a
+   * `# CHANGELOG` section
+   * @param {Release} release - the release (of a version tag)
+   * @param {Object.<String, String>} templates - the templates for changelogs and release notes
+   * @param {Object} target - the changelog being rebuilt ({changelogFile, tagPrefix}, and in a workspace, the `dir` and
+   *   `name` of its package)
+   * @returns {Promise} a promise resolved with the entries, and the PRs without a changelog ({entries, missing})
+   */
+  _getRebuiltEntries (release, templates, target) {
+    return history.getReleasePrs(this.config, this.vcs, release)
+      .then((prs) => {
+        return this._getPackagePrs(prs, target)
+      })
+      .then((prs) => {
+        const rebuilt = {entries: [], missing: []}
+        prs.forEach((pr) => {
+          let changelog
+          try {
+            changelog = utils.getChangelogForPr(pr)
+          } catch (e) {
+            rebuilt.missing.push({pr, tag: release.tag})
+            return
+          }
+
+          const values = this._getTemplateValues({changelog, pr}, release)
+          rebuilt.entries.push(template.render(templates.changelogEntry, values))
+        })
+
+        return rebuilt
+      })
+  }
+
+  /**
+   * Get what is being released by a bump: the root package, or in a workspace, each package being bumped
+   * @param {PrInfo} info - the info for the PR being bumped
+   * @returns {Release[]} the releases
+   */
+  _getReleases (info) {
+    if (!info.packages) {
+      return [{
+        changelogFile: this.config.changelogFile,
+        dir: '.',
+        previousTag: info.previousVersion && `v${info.previousVersion}`,
+        previousVersion: info.previousVersion,
+        tag: `v${info.version}`,
+        version: info.version
+      }]
+    }
+
+    return info.packages
+      .filter((pkg) => pkg.scope !== 'none')
+      .map((pkg) => {
+        return {
+          changelogFile: `${pkg.dir}/${this.config.changelogFile}`,
+          dir: pkg.dir,
+          previousTag: pkg.previousVersion && `${pkg.name}@${pkg.previousVersion}`,
+          previousVersion: pkg.previousVersion,
+          tag: `${pkg.name}@${pkg.version}`,
+          version: pkg.version
+        }
+      })
+  }
+
+  /**
+   * Get the other places (besides its description) the scope of a PR can come from: its labels (when a label -> scope
+   * mapping is configured in `scopeLabels`) and its commits (when `scopeSource` is "commits")
+   * @param {PullRequest} pr - the PR
+   * @returns {Promise} a promise resolved with the {@link ScopeSources} for the PR
+   */
+  _getScopeSources (pr) {
+    const scopeLabels = this.config.scopeLabels
+    const commits = (this.config.scopeSource === 'commits') ? this.vcs.getPrCommits(pr.number) : undefined
+    const labels = scopeLabels ? this.vcs.getPrLabels(pr.number) : undefined
+
+    return Promise.all([commits, labels])
+      .then((results) => {
+        return {
+          commits: results[0],
+          labels: results[1],
+          scopeLabels
+        }
+      })
+  }
+
+  /**
+   * Get the scope of a PR, validated against the policy for the branch, and in a workspace, the scope of each package
+   * @param {PullRequest} pr - the PR
+   * @param {ScopeSources} sources - the other places the scope of the PR can come from
+   * @param {WorkspacePackage[]} packages - the packages of the workspace (empty when not in a workspace)
+   * @returns {Object} the `scope` of the PR (the biggest scope of any package in a workspace), and in a workspace,
+   *   the `packages` (each with its own `scope`)
+   * @throws Error if there is no valid scope, or a scope breaks the branch policy
+   */
+  _getScopes (pr, sources, packages) {
+    const validate = (scope) => utils.validateScopeForBranch(this.config, scope, pr.number, pr.url)
+    if (!this.config.workspaces) {
+      return {scope: validate(utils.getScopeForPr(pr, sources))}
+    }
+
+    const names = packages.map((pkg) => pkg.name)
+    const changedNames = packages.filter((pkg) => pkg.changed).map((pkg) => pkg.name)
+    const scopes = utils.getPackageScopesForPr(pr, sources, names, changedNames)
+    const scopedPackages = packages.map((pkg) => {
+      return __.assign({}, pkg, {scope: __.has(scopes, [pkg.name]) ? validate(scopes[pkg.name]) : 'none'})
+    })
+
+    return {
+      packages: scopedPackages,
+      scope: utils.getBiggestScope(scopedPackages.map((pkg) => pkg.scope))
+    }
+  }
+
+  /**
+   * Get the values the changelog and release notes templates can use for a release (dated today, unless the release
+   * already has a date)
+   * @param {PrInfo} info - the pr info
+   * @param {Release} release - the release
+   * @returns {Object} the values, keyed by placeholder name
+   */
+  _getTemplateValues (info, release) {
+    const dateSettings = this.config.changelogDate
+    return __.assign({
+      changelog: info.changelog,
+      compareUrl: release.previousTag && this.vcs.getCompareUrl(release.previousTag, release.tag),
+      date: template.formatDate(release.date || new Date(), dateSettings),
+      previousVersion: release.previousVersion,
+      tag: release.tag,
+      version: release.version
+    }, template.getPrValues(info.pr, dateSettings))
+  }
+
+  /**
+   * Get the templates for changelogs and release notes, reading the ones configured as a file (i.e.
+   * `{"file": ".github/release-notes.md"}`, without the newline at the end of the file)
+   * @returns {Promise} a promise resolved with the templates, keyed by setting name
+   */
+  _getTemplates () {
+    const names = Object.keys(defaultTemplates)
+    const templates = names.map((name) => {
+      const setting = this.config[name] || defaultTemplates[name]
+      if (!setting.file) {
+        return setting
+      }
+
+      return this._readFile(setting.file)
+        .then((contents) => {
+          return contents.replace(/\r?\n$/, '')
+        })
+    })
+
+    return Promise.all(templates)
+      .then((results) => {
+        return __.zipObject(names, results)
+      })
+  }
+
+  /**
+   * Describe the next version(s) for the dry run summary
+   * @param {PrInfo} info - the info for the PR being bumped
+   * @returns {String} the next version, or in a workspace, the tag of each package being bumped
+   */
+  _getVersionSummary (info) {
+    if (!info.packages) {
+      return `Next version: ${info.version || '(unchanged)'}`
+    }
+
+    const tags = this._getReleases(info).map((release) => release.tag)
+    return `Next versions: ${tags.join(', ') || '(unchanged)'}`
+  }
+
+  /**
+   * Find the packages of the workspace (the directories matching the `workspaces` patterns that have a package.json)
+   * and which of them were changed by the PR (by any of its commits, as listed by the VCS, so it doesn't matter how
+   * the PR is merged, or if it is not merged yet)
+   * @param {PullRequest} pr - the PR
+   * @returns {Promise} a promise resolved with the {@link WorkspacePackage}s (empty when not in a workspace)
+   */
+  _getWorkspacePackages (pr) {
+    if (!this.config.workspaces) {
+      return Promise.resolve([])
+    }
+
+    return this.vcs.getPrFiles(pr.number)
+      .then((changedFiles) => {
+        return this._readWorkspacePackages(changedFiles)
+      })
+  }
+
+  /**
+   * Insert a release into a changelog file in the Keep a Changelog format (creating the file if it doesn't exist)
+   * @param {Release} release - the release
+   * @param {String|String[]} changelog - the changelog entry of the PR (or of each PR of a batched release)
+   * @param {String} date - the date of the release (i.e. "2017-01-15")
+   * @returns {Promise} a promise resolved when the changelog file is written
+   */
+  _insertKeepAChangelogRelease (release, changelog, date) {
+    return this._readFile(release.changelogFile)
+      .catch(() => '')
+      .then((contents) => {
+        const entry = {changelog, date, tag: release.tag, version: release.version}
+        const data = keepAChangelog.insertRelease(contents, entry, (from, to) => this.vcs.getCompareUrl(from, to))
+        return this._writeFile(release.changelogFile, data)
+      })
+  }
+
+  /**
+   * Log what a dry run would have done: the next version, the changelog entry, the file diffs and the commands
+   * @param {PrInfo} info - the info for the PR being bumped
+   * @returns {PrInfo} the info passed in
+   */
+  _logDryRunSummary (info) {
+    const lines = [
+      'Dry run, nothing was written, committed, tagged or pushed.',
+      this._getVersionSummary(info)
+    ]
+
+    if (info.changelog) {
+      lines.push('Changelog entry:', info.changelog)
+    }
+
+    lines.push(`Modified files: ${info.modifiedFiles.join(', ') || '(none)'}`)
+    lines.push.apply(lines, this._getDryRunPatches())
+
+    lines.push('Commands that would have run:')
+    this.dryRunChanges.commands.forEach((cmd) => {
+      lines.push(`  ${cmd}`)
+    })
+
+    logger.log(lines.join('\n'), true)
+    return info
+  }
+
+  /**
+   * Log the PRs left out of a rebuilt changelog for not having a `# CHANGELOG` section (and during a dry run, the diff
+   * of each changelog file)
+   * @param {Object[]} missing - the PRs without a changelog, and the tag of the release each was merged for ({pr, tag})
+   */
+  _logRebuildSummary (missing) {
+    const lines = this.config.dryRun ? ['Dry run, nothing was written.'] : []
+    if (missing.length === 0) {
+      lines.push('Every PR had a changelog.')
+    } else {
+      lines.push(`PRs left out for having no # CHANGELOG section in their description (${missing.length}):`)
+      missing.forEach((item) => {
+        lines.push(`  ${item.tag}: #${item.pr.number} ${item.pr.title} (${item.pr.url})`)
+      })
+    }
+
+    if (this.config.dryRun) {
+      lines.push.apply(lines, this._getDryRunPatches())
+    }
 
-      logger.log(`Fetching PR [${prNumber}]`)
-      return this.vcs.getPr(prNumber)
-    })
+    logger.log(lines.join('\n'), true)
   }
 
   /**
-   * Get the PR scope for the current (merged) pull request
-   * @returns {Promise} a promise - resolved with PR info (changelog and scope) or rejected on error
+   * Maybe bump the version of each package of a workspace with its own scope (if it's not "none"), then update the
+   * ranges other packages of the workspace use to depend on the bumped packages
+   * @param {PrInfo} info - the pr info (including the workspace packages)
+   * @returns {Promise} a promise resolved with the pr info object passed in
    */
-  _getMergedPrInfo () {
-    return this._getLastPr()
-      .then((pr) => {
-        const scope = utils.getScopeForPr(pr)
-        const getChangelog = this.config.prependChangelog && scope !== 'none'
+  _maybeBumpPackageVersions (info) {
+    if (info.scope === 'none') {
+      return Promise.resolve(info)
+    }
 
-        return {
-          changelog: getChangelog ? utils.getChangelogForPr(pr) : '',
-          modifiedFiles: [],
-          scope: scope
-        }
-      })
-  }
+    const bumped = info.packages.filter((pkg) => pkg.scope !== 'none')
+    const bumps = bumped.map((pkg) => {
+      return this._bumpVersion(pkg.pkgJsonFile, pkg.scope, this._getPrereleaseId(pkg.scope))
+    })
 
-  /**
-   * Get the pr scope for the current (open) pull request
-   * @returns {Promise} a promise - resolved with PR info (changelog and scope) or rejected on error
-   */
-  _getOpenPrInfo () {
-    const vcs = this.vcs
-    return vcs.getPr(this.config.prNumber)
-      .then((pr) => {
-        let scope
-        return utils.maybePostCommentOnError(this.config, this.vcs, () => {
-          scope = utils.getScopeForPr(pr)
-          return {pr, scope}
+    return Promise.all(bumps)
+      .then((versions) => {
+        bumped.forEach((pkg, index) => {
+          pkg.previousVersion = versions[index].previousVersion
+          pkg.version = versions[index].version
+          addModifiedFile(info, pkg.pkgJsonFile)
         })
-      })
-      .then((data) => {
-        const pr = data.pr
-        const scope = data.scope
-
-        const getChangelog = this.config.prependChangelog && scope !== 'none'
-        let changelog = ''
-        if (getChangelog) {
-          return utils.maybePostCommentOnError(this.config, this.vcs, () => {
-            changelog = utils.getChangelogForPr(pr)
-            return {changelog, scope}
-          })
-        }
 
-        return Promise.resolve({changelog, scope})
+        const newVersions = __.zipObject(bumped.map((pkg) => pkg.name), bumped.map((pkg) => pkg.version))
+        return this._updateDependencyRanges(info, newVersions)
+      })
+      .then(() => {
+        return info
       })
   }
 
   /**
    * Maybe bump the version in package.json with the given scope (if it's not "none")
+   *
+   * A pre-release scope starts (or continues) a pre-release (i.e. 2.0.0-beta.3 -> 2.0.0-beta.4) using the
+   * identifier configured for the branch, while a normal scope on a pre-release version graduates it to the
+   * final version (i.e. a major bump of 2.0.0-beta.4 -> 2.0.0)
+   *
    * @param {PrInfo} info - the pr info
    * @param {String} pkgJsonFile - the full file path to the package.json to bump
-   * @returns {PrInfo} the pr info object passed in
+   * @returns {Promise} a promise resolved with the pr info object passed in
    */
   _maybeBumpVersion (info, pkgJsonFile) {
     if (info.scope === 'none') {
-      return info
+      return Promise.resolve(info)
     }
 
-    const v = versiony.from(pkgJsonFile).indent(' '.repeat(2))
-    switch (info.scope) {
-      case 'patch':
-        v.patch()
-        break
-
-      case 'minor':
-        v.minor().patch(0)
-        break
+    const prereleaseId = this._getPrereleaseId(info.scope)
 
-      case 'major':
-        v.newMajor()
-        break
+    return this._bumpVersion(pkgJsonFile, info.scope, prereleaseId)
+      .then((versions) => {
+        info.previousVersion = versions.previousVersion
+        info.version = versions.version
+        addModifiedFile(info, pkgJsonFile)
+        return info
+      })
+  }
 
-      default:
-        throw new Error(`Invalid scope [${info.scope}]`)
+  /**
+   * Maybe empty the pending release file, once the PRs in it are released (only in a batched release)
+   * @param {PrInfo} info - the pr info
+   * @returns {Promise} a promise resolved with the pr info object passed in
+   */
+  _maybeClearPendingPrs (info) {
+    if (!info.pendingPrs) {
+      return Promise.resolve(info)
     }
 
-    const versionInfo = v.to(pkgJsonFile).end()
-    info.version = versionInfo.version
-    addModifiedFile(info, pkgJsonFile)
-    return info
+    const pendingFile = this.config.batchedRelease.pendingFile
+    return this._writeFile(pendingFile, '[]')
+      .then(() => {
+        addModifiedFile(info, pendingFile)
+        return info
+      })
   }
 
   /**
@@ -304,29 +1387,70 @@ class Bumper {
       return Promise.resolve(info)
     }
 
-    const buildNumber = this.config.ci.buildNumber
+    const summary = `[${pkgJson.name}] ${getCommitSummary(info)}`
+    const message = `From CI build ${this.config.ci.buildNumber}`
+
+    if (this.config.dryRun) {
+      this.dryRunChanges.commands.push(
+        `git add ${info.modifiedFiles.join(' ')}`,
+        `git commit -m "${summary}" -m "${message}"`
+      )
+      return Promise.resolve(info)
+    }
 
     return this.ci.setupGitEnv()
       .then(() => {
         return this.ci.add(info.modifiedFiles)
       })
       .then(() => {
-        // Currently there are only two reasons we'll have a commit 1) we have a "none" bump with coverage
-        // change, or 2) we have a legit bump commit
-        let msg = 'Automated version bump'
-        if (info.scope === 'none') {
-          msg = 'Automated code coverage update'
-        }
+        return this.ci.commit(summary, message)
+      })
+      .then(() => {
+        return info
+      })
+  }
 
-        return this.ci.commit(`[${pkgJson.name}] ${msg}`, `From CI build ${buildNumber}`)
-          .then(() => {
-            return info
+  /**
+   * Maybe create a release (with the releaseNotes template as its notes) for each tag created by the bump, once it's
+   * pushed
+   * @param {PrInfo} info - the info for the PR being bumped
+   * @returns {Promise} - a promise resolved with the info once the releases are created
+   */
+  _maybeCreateRelease (info) {
+    // Without the tag (or with the tag not pushed), there's nothing to create a release for
+    const reason = getSkipReason(this.config, info, this.config.createRelease, ['tag', 'push'])
+    if (reason) {
+      logger.log(`Skipping release creation ${reason}.`)
+      return Promise.resolve(info)
+    }
+
+    const releases = this._getReleases(info)
+    return this._getTemplates()
+      .then((templates) => {
+        return releases.reduce((promise, release) => {
+          return promise.then(() => {
+            const prerelease = semver.prerelease(release.version) !== null
+            if (this.config.dryRun) {
+              logger.log(`Dry run, not creating ${prerelease ? 'pre-release' : 'release'} for tag [${release.tag}]`)
+              return undefined
+            }
+
+            // The notes of a batched release have the changelog entries of all its PRs
+            const values = this._getTemplateValues(info, release)
+            const changelog = info.pendingPrs
+              ? this._getChangelogEntries(info, release, templates).join('\n\n') : values.changelog
+            const notes = template.render(templates.releaseNotes, __.assign(values, {changelog}))
+            return this.vcs.createRelease(release.tag, notes, prerelease)
           })
+        }, Promise.resolve())
+      })
+      .then(() => {
+        return info
       })
   }
 
   /**
-   * Maybe create a tag based on the current version
+   * Maybe create a tag based on the current version (or in a workspace, one for each bumped package)
    * @param {PrInfo} info - the info for the PR being bumped
    * @returns {Promise} - a promise resolved with the results of the git commands
    */
@@ -336,8 +1460,19 @@ class Bumper {
       return Promise.resolve(info)
     }
 
-    const buildNumber = this.config.ci.buildNumber
-    return this.ci.tag(`v${info.version}`, `Generated tag from CI build ${buildNumber}`)
+    if (utils.getBranchConfig(this.config).tag === false) {
+      logger.log(`Skipping tag creation because of policy for branch [${this.config.branch}].`)
+      return Promise.resolve(info)
+    }
+
+    const message = `Generated tag from CI build ${this.config.ci.buildNumber}`
+
+    return this._getReleases(info)
+      .reduce((promise, release) => {
+        return promise.then(() => {
+          return this._createTag(release.tag, message)
+        })
+      }, Promise.resolve())
       .then(() => {
         return info
       })
@@ -361,6 +1496,12 @@ class Bumper {
       return Promise.resolve(info)
     }
 
+    if (this.config.dryRun) {
+      logger.log(`Dry run, not generating dependency compliance report in ${outputPath}`)
+      addModifiedFile(info, outputPath)
+      return Promise.resolve(info)
+    }
+
     const cwd = process.cwd()
     return dependencies.run(cwd, path.join(cwd, outputPath), this.config)
       .then(() => {
@@ -390,12 +1531,12 @@ class Bumper {
       return Promise.resolve(info)
     }
 
-    return exec('npm prune')
+    return this._exec('npm prune')
       .then(() => {
-        return exec('npm shrinkwrap --dev')
+        return this._exec('npm shrinkwrap --dev')
       })
       .then(() => {
-        return exec(`mv npm-shrinkwrap.json ${this.config.dependencySnapshotFile}`)
+        return this._exec(`mv npm-shrinkwrap.json ${this.config.dependencySnapshotFile}`)
       })
       .then(() => {
         addModifiedFile(info, this.config.dependencySnapshotFile)
@@ -404,7 +1545,8 @@ class Bumper {
   }
 
   /**
-   * Maybe prepend the changelog text from the PrInfo into the CHANGELOG.md file (unless there was no bump)
+   * Maybe prepend the changelog text from the PrInfo into the CHANGELOG.md file (unless there was no bump), in a
+   * workspace the changelog text goes into the CHANGELOG.md file of each bumped package
    * @param {PrInfo} info - the pr info
    * @returns {Promise} - a promise resolved when changelog has been prepended
    */
@@ -419,13 +1561,41 @@ class Bumper {
       return Promise.resolve(info)
     }
 
-    const now = new Date()
-    const dateString = now.toISOString().split('T').slice(0, 1).join('')
+    const releases = this._getReleases(info)
+    return this._getTemplates()
+      .then((templates) => {
+        return Promise.all(releases.map((release) => this._writeChangelog(info, release, templates)))
+      })
+      .then(() => {
+        releases.forEach((release) => {
+          addModifiedFile(info, release.changelogFile)
+        })
+        return info
+      })
+  }
+
+  /**
+   * Maybe publish the bumped version to npm (or in a workspace, each bumped package)
+   * @param {PrInfo} info - the info for the PR being bumped
+   * @returns {Promise} - a promise resolved with the info once everything is published
+   */
+  _maybePublish (info) {
+    // Without the bump pushed, the published version would have no commit or tag in the repo
+    const reason = getSkipReason(this.config, info, __.get(this.config, 'publish.enabled'), ['publish', 'push'])
+    if (reason) {
+      logger.log(`Skipping publish ${reason}.`)
+      return Promise.resolve(info)
+    }
 
-    const data = `# ${info.version} (${dateString})\n${info.changelog}\n\n`
-    return prepend(this.config.changelogFile, data)
+    return this._withNpmrc((npmrcFile) => {
+      return this._getReleases(info)
+        .reduce((promise, release) => {
+          return promise.then(() => {
+            return this._publishRelease(release, npmrcFile)
+          })
+        }, Promise.resolve())
+    })
       .then(() => {
-        addModifiedFile(info, this.config.changelogFile)
         return info
       })
   }
@@ -441,8 +1611,63 @@ class Bumper {
       return Promise.resolve(info)
     }
 
-    return this.ci.push(this.vcs)
+    if (utils.getBranchConfig(this.config).push === false) {
+      logger.log(`Skipping push because of policy for branch [${this.config.branch}].`)
+      return Promise.resolve(info)
+    }
+
+    if (this.config.dryRun) {
+      this.dryRunChanges.commands.push(this.ci.describePush())
+      return Promise.resolve(info)
+    }
+
+    return this._checkForPushConflict()
+      .then(() => {
+        return this.ci.push(this.vcs)
+          .catch((err) => {
+            // The branch can still move between the check and the push, in which case the push is rejected
+            return this._checkForPushConflict()
+              .then(() => {
+                throw err
+              })
+          })
+      })
+      .then(() => {
+        return info
+      })
+  }
+
+  /**
+   * Maybe add the merged PR (with its scope and changelog text) to the pending release file, to be released by the next
+   * `release` (unless it has a "none" scope)
+   * @param {PrInfo} info - the info for the merged PR
+   * @returns {Promise} a promise resolved with the pr info object passed in
+   */
+  _maybeRecordPendingPr (info) {
+    if (info.scope === 'none') {
+      logger.log('Skipping recording the PR for the next release because of "none" scope.')
+      return Promise.resolve(info)
+    }
+
+    const pendingFile = this.config.batchedRelease.pendingFile
+    const pendingPr = {
+      changelog: info.changelog,
+      pr: __.pick(info.pr, ['author', 'mergedAt', 'number', 'title', 'url']),
+      scope: info.scope
+    }
+
+    if (info.packages) {
+      const bumped = info.packages.filter((pkg) => pkg.scope !== 'none')
+      pendingPr.packages = __.zipObject(bumped.map((pkg) => pkg.dir), bumped.map((pkg) => pkg.scope))
+    }
+
+    return this._readPendingPrs()
+      .then((pendingPrs) => {
+        return this._writeFile(pendingFile, JSON.stringify(pendingPrs.concat(pendingPr), null, 2))
+      })
       .then(() => {
+        addModifiedFile(info, pendingFile)
+        info.recorded = true
         return info
       })
   }
@@ -453,37 +1678,362 @@ class Bumper {
    * @returns {Promise} a Promise
    **/
   _maybeUpdateBaselineCoverage (info) {
-    const base = this.config.baselineCoverage
-    if (!__.isNumber(base)) {
+    if (!utils.getBaselineCoverage(this.config)) {
       logger.log('Skipping updating baseline code coverage because no valid coverage found.')
       return Promise.resolve(info)
     }
 
     const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
-    const pct = utils.getCurrentCoverage()
-    if (pct < 0) {
-      const msg = `No current coverage info found!\nSee ${link} for configuration info.`
-      return Promise.reject(msg)
-    }
-
     const pkgJsonPath = path.join(process.cwd(), 'package.json')
+    let current
+
+    return coverageReader.read(this.config.coverage)
+      .then((pcts) => {
+        current = pcts
+        if (this.config.coverage.metrics.some((metric) => current[metric] < 0)) {
+          const msg = `No current coverage info found!\nSee ${link} for configuration info.`
+          return Promise.reject(msg)
+        }
 
-    return readFile(pkgJsonPath, 'utf8')
+        return this._readFile(pkgJsonPath)
+      })
       .then((contents) => {
         const pkgJsonContents = JSON.parse(contents)
-        pkgJsonContents['pr-bumper'].coverage = pct
+        pkgJsonContents['pr-bumper'].coverage = getStoredCoverage(pkgJsonContents['pr-bumper'].coverage, current)
         return JSON.stringify(pkgJsonContents, null, 2)
       })
       .then((data) => {
-        return writeFile(pkgJsonPath, data)
+        return this._writeFile(pkgJsonPath, data)
       })
       .then(() => {
         addModifiedFile(info, 'package.json')
         return info
       })
   }
+
+  /**
+   * Publish a release to the configured registry (unless its package is private)
+   * @param {Release} release - the release to publish
+   * @param {String} npmrcFile - the path to the .npmrc with the auth for the registry
+   * @returns {Promise} a promise resolved when the release is published
+   */
+  _publishRelease (release, npmrcFile) {
+    const publish = this.config.publish
+    return this._readFile(`${release.dir}/package.json`)
+      .then((contents) => {
+        const pkgJsonContents = JSON.parse(contents)
+        const name = pkgJsonContents.name
+        if (pkgJsonContents.private) {
+          logger.log(`Skipping publish of private package [${name}].`)
+          return undefined
+        }
+
+        const distTag = this._getDistTag(release.version)
+        const args = [release.dir, '--userconfig', npmrcFile, '--registry', publish.registry, '--tag', distTag]
+        if (publish.access) {
+          args.push('--access', publish.access)
+        }
+
+        logger.log(`Publishing [${name}@${release.version}] to [${publish.registry}] with dist-tag [${distTag}]`)
+        return this._exec(`npm publish ${args.join(' ')}`)
+      })
+  }
+
+  /**
+   * Report the result of a coverage check, with a PR comment and a `pr-bumper/coverage` status (if enabled)
+   * @param {String} msg - the message describing the result
+   * @param {Boolean} isError - true if the check could not be done (the comment gets an ## ERROR heading)
+   * @param {String} link - the URL with more details about coverage
+   * @param {String} [state] - the state of the status (defaults to "failure")
+   * @returns {Promise} a promise resolved when the comment and status are posted
+   */
+  _reportCoverage (msg, isError, link, state) {
+    return utils.maybePostComment(this.config, this.vcs, msg, isError, 'coverage')
+      .then(() => {
+        return utils.maybePostStatus(this.config, this.vcs, state || 'failure', 'pr-bumper/coverage', msg, link)
+      })
+  }
+
+  /**
+   * Read a file, including any changes already recorded for it during a dry run
+   * @param {String} filename - the name of the file to read
+   * @returns {Promise} a promise resolved with the contents of the file
+   */
+  _readFile (filename) {
+    const change = this.dryRunChanges.files[path.resolve(filename)]
+    if (change) {
+      return Promise.resolve(change.contents)
+    }
+
+    return readFile(filename, 'utf8')
+  }
+
+  /**
+   * Read the PRs pending release from the pending release file
+   * @returns {Promise} a promise resolved with the {@link PendingPr}s (empty if there is no pending release file)
+   */
+  _readPendingPrs () {
+    return this._readFile(this.config.batchedRelease.pendingFile)
+      .catch(() => '[]')
+      .then((contents) => {
+        return JSON.parse(contents)
+      })
+  }
+
+  /**
+   * Read the packages of the workspace (the directories matching the `workspaces` patterns that have a package.json)
+   * @param {String[]} changedFiles - the files changed by the PR
+   * @returns {Promise} a promise resolved with the {@link WorkspacePackage}s
+   */
+  _readWorkspacePackages (changedFiles) {
+    return Promise.all(this.config.workspaces.map(getWorkspaceDirs))
+      .then((dirs) => {
+        return Promise.all(__.flatten(dirs).map((dir) => this._readWorkspacePackage(dir, changedFiles)))
+      })
+      .then((packages) => {
+        return __.compact(packages)
+      })
+  }
+
+  /**
+   * Read the package.json in the given directory of a workspace
+   * @param {String} dir - the directory
+   * @param {String[]} changedFiles - the files changed by the PR
+   * @returns {Promise} a promise resolved with the {@link WorkspacePackage} (undefined if there is no package.json)
+   */
+  _readWorkspacePackage (dir, changedFiles) {
+    const pkgJsonFile = `${dir}/package.json`
+    return this._readFile(pkgJsonFile)
+      .catch(() => undefined)
+      .then((contents) => {
+        if (contents === undefined) {
+          return undefined
+        }
+
+        return {
+          changed: changedFiles.some((file) => file.startsWith(`${dir}/`)),
+          dir,
+          name: JSON.parse(contents).name,
+          pkgJsonFile
+        }
+      })
+  }
+
+  /**
+   * Rebuild a changelog file from the releases of its version tags
+   * @param {Object} target - the changelog file, and the prefix of its version tags ({changelogFile, tagPrefix}, and
+   *   in a workspace, the `dir` and `name` of its package)
+   * @param {Object.<String, String>} templates - the templates for changelogs and release notes
+   * @returns {Promise} a promise resolved with the PRs without a changelog ({pr, tag}) once the file is written
+   */
+  _rebuildChangelogFile (target, templates) {
+    return history.getReleases(target.tagPrefix)
+      .then((releases) => {
+        // One release at a time, to go easy on the VCS API
+        return releases.reduce((promise, release) => {
+          return promise.then((rebuilt) => {
+            return this._getRebuiltEntries(release, templates, target)
+              .then((result) => rebuilt.concat(__.assign({release}, result)))
+          })
+        }, Promise.resolve([]))
+      })
+      .then((rebuilt) => {
+        if (rebuilt.length === 0) {
+          logger.log(`No ${target.tagPrefix}<version> tags found, leaving [${target.changelogFile}] as it is`, true)
+          return []
+        }
+
+        return this._writeFile(target.changelogFile, this._getRebuiltChangelog(rebuilt, templates))
+          .then(() => __.flatten(rebuilt.map((item) => item.missing)))
+      })
+  }
+
+  /**
+   * Record the merged PR for the next release, commit and push (and if that conflicts with the remote, start over on
+   * top of where the remote branch is now, up to maxBumpAttempts times)
+   * @param {PrInfo} prInfo - the info for the merged PR (as it was before any attempt)
+   * @param {Number} attempt - which attempt this is (starting at 1)
+   * @returns {Promise} a promise resolved with the info for the PR once the change is pushed
+   */
+  _recordAndPush (prInfo, attempt) {
+    return this._maybeRecordPendingPr(__.cloneDeep(prInfo))
+      .then((info) => {
+        return this._maybeUpdateBaselineCoverage(info)
+      })
+      .then((info) => {
+        return this._maybeCommitChanges(info)
+      })
+      .then((info) => {
+        return this._maybePushChanges(info)
+      })
+      .catch((err) => {
+        return this._retryPush(err, 'recording of the PR', attempt, (nextAttempt) => {
+          return this._recordAndPush(prInfo, nextAttempt)
+        })
+      })
+  }
+
+  /**
+   * Undo a bump that could not be pushed, by deleting its tags and resetting to the head of the remote branch
+   * @param {String} remoteHead - the SHA of the head of the remote branch
+   * @returns {Promise} a promise resolved when the bump is undone
+   */
+  _resetBump (remoteHead) {
+    return this._getBumpTags()
+      .then((tags) => {
+        return Promise.all(tags.map((tag) => exec(`git tag -d ${tag}`)))
+      })
+      .then(() => {
+        return exec(`git reset --hard ${remoteHead}`)
+      })
+  }
+
+  /**
+   * Start over after a push that conflicts with the remote (i.e. another merge build pushed first), on top of where the
+   * remote branch is now (up to maxBumpAttempts times)
+   * @param {Error} err - why the push failed
+   * @param {String} what - what was being pushed, for the messages (i.e. "bump")
+   * @param {Number} attempt - which attempt failed (starting at 1)
+   * @param {Function} retry - redo everything, given the number of the next attempt
+   * @returns {Promise} a promise resolved with the result of the retry
+   * @throws the error (rejecting the promise) if it isn't a push conflict, or there are no attempts left
+   */
+  _retryPush (err, what, attempt, retry) {
+    if (!(err instanceof PushConflict)) {
+      throw err
+    }
+
+    if (attempt >= maxBumpAttempts) {
+      throw new Error(`Unable to push the ${what} after ${attempt} attempts: ${err.message}`)
+    }
+
+    logger.log(`${err.message}, redoing the ${what} on top of ${err.remoteHead} (attempt ${attempt + 1})`)
+    return this._resetBump(err.remoteHead)
+      .then(() => {
+        return retry(attempt + 1)
+      })
+  }
+
+  /**
+   * Update the ranges the packages of a workspace use to depend on the bumped packages
+   * @param {PrInfo} info - the pr info (including the workspace packages)
+   * @param {Object.<String, String>} versions - the new version of each bumped package (by package name)
+   * @returns {Promise} a promise resolved when all the ranges are updated
+   */
+  _updateDependencyRanges (info, versions) {
+    const updates = info.packages.map((pkg) => {
+      return this._readFile(pkg.pkgJsonFile)
+        .then((contents) => {
+          const pkgJsonContents = JSON.parse(contents)
+          if (!updateDependencyRanges(pkgJsonContents, versions)) {
+            return false
+          }
+
+          return this._writeFile(pkg.pkgJsonFile, JSON.stringify(pkgJsonContents, null, 2))
+            .then(() => {
+              return true
+            })
+        })
+    })
+
+    return Promise.all(updates)
+      .then((updated) => {
+        info.packages
+          .filter((pkg, index) => updated[index])
+          .forEach((pkg) => {
+            addModifiedFile(info, pkg.pkgJsonFile)
+          })
+      })
+  }
+
+  /**
+   * Call the given function with the path to a temporary .npmrc that has the auth for the registry to publish to.
+   * The .npmrc only refers to the environment variable holding the token (npm fills it in), so the token itself is
+   * never written to disk, and the file is only readable by the current user and removed when the function is done.
+   * @param {Function} func - the function to call (which should return a promise)
+   * @returns {Promise} a promise resolved with the result of the function
+   */
+  _withNpmrc (func) {
+    const publish = this.config.publish
+    if (this.config.dryRun) {
+      return func(path.join(os.tmpdir(), 'pr-bumper-dry-run', '.npmrc'))
+    }
+
+    if (!process.env[publish.env.token]) {
+      return Promise.reject(new Error(`No npm token found in [${publish.env.token}], unable to publish`))
+    }
+
+    // i.e. "https://registry.npmjs.org" -> "//registry.npmjs.org/"
+    const registry = publish.registry.replace(/^https?:/, '').replace(/\/?$/, '/')
+    // Not using fs.mkdtemp(), which older versions of Node.js don't have
+    const tmpDir = path.join(os.tmpdir(), `pr-bumper-${process.pid}-${Date.now()}`)
+    let dir
+
+    return mkdir(tmpDir, 0o700)
+      .then(() => {
+        dir = tmpDir
+        const contents = `${registry}:_authToken=\${${publish.env.token}}\n`
+        return writeFile(path.join(dir, '.npmrc'), contents, {mode: 0o600})
+      })
+      .then(() => {
+        return func(path.join(dir, '.npmrc'))
+      })
+      .finally(() => {
+        if (!dir) {
+          return undefined
+        }
+
+        return unlink(path.join(dir, '.npmrc'))
+          .catch(() => undefined)
+          .then(() => {
+            return rmdir(dir)
+          })
+      })
+  }
+
+  /**
+   * Write a release into its changelog file, prepending the rendered header and entry (or, with the
+   * "keep-a-changelog" changelogFormat, inserting the entry below the header and Unreleased section)
+   * @param {PrInfo} info - the pr info
+   * @param {Release} release - the release
+   * @param {Object.<String, String>} templates - the templates for changelogs and release notes
+   * @returns {Promise} a promise resolved when the changelog file is written (or the change recorded)
+   */
+  _writeChangelog (info, release, templates) {
+    const values = this._getTemplateValues(info, release)
+    const entries = this._getChangelogEntries(info, release, templates)
+    if (this.config.changelogFormat === 'keep-a-changelog') {
+      return this._insertKeepAChangelogRelease(release, entries, values.date)
+    }
+
+    const data = `${template.render(templates.changelogHeader, values)}\n${entries.join('\n\n')}\n\n`
+    const changelogFile = release.changelogFile
+    return this.config.dryRun ? this._dryRunPrepend(changelogFile, data) : prepend(changelogFile, data)
+  }
+
+  /**
+   * Write a file, or, during a dry run, just record what would have been written
+   * @param {String} filename - the name of the file to write
+   * @param {String} contents - the new contents of the file
+   * @returns {Promise} a promise resolved when the file is written (or the change recorded)
+   */
+  _writeFile (filename, contents) {
+    if (!this.config.dryRun) {
+      return writeFile(filename, contents)
+    }
+
+    const key = path.resolve(filename)
+    const change = this.dryRunChanges.files[key]
+    const original = change ? Promise.resolve(change.original) : readFile(filename, 'utf8').catch(() => '')
+
+    return original
+      .then((originalContents) => {
+        this.dryRunChanges.files[key] = {contents, filename, original: originalContents}
+      })
+  }
 }
 
 Bumper.Cancel = Cancel
+Bumper.PushConflict = PushConflict
 
 module.exports = Bumper
@@ -0,0 +1,118 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+const cpExec = require('child_process').exec
+const Promise = require('promise')
+const semver = require('semver')
+
+// using let so it can be rewired in the test
+let exec = Promise.denodeify(cpExec)
+
+const logger = require('../logger')
+
+// The most output expected from git log over the range between two tags
+const maxLogBuffer = 10 * 1024 * 1024
+
+/**
+ * Parse the output of `git log --format=%H%x00%B%x00` into commits
+ * @param {String} stdout - the output of the git command
+ * @returns {Commit[]} the commits, most recent first
+ */
+function getCommits (stdout) {
+  // Each commit is its SHA and (full, possibly multi-line) message, each followed by a NUL character
+  return __.chunk(stdout.split('\0'), 2)
+    .filter((fields) => fields.length === 2)
+    .map((fields) => {
+      return {message: fields[1], sha: fields[0].trim()}
+    })
+}
+
+/**
+ * Looks through the git history for releases and the PRs merged for each of them
+ */
+module.exports = {
+  /**
+   * Get the PR merged by a commit, looked up in the VCS, or else from the commit message
+   * @param {Vcs} vcs - the VCS instance
+   * @param {Commit} commit - the commit
+   * @param {RegExp[]} patterns - the patterns of a merge commit message, capturing the PR number
+   * @returns {PrPromise} a promise resolved with the PR (undefined if the commit isn't from a PR)
+   */
+  getCommitPr (vcs, commit, patterns) {
+    return vcs.getMergedPr(commit.sha)
+      .catch((err) => {
+        logger.log(`Unable to look up the PR merged by commit [${commit.sha}]: ${err.message}`)
+        return undefined
+      })
+      .then((pr) => {
+        const prNumber = pr ? undefined : this.getPrNumber(commit.message, patterns)
+        return prNumber ? vcs.getPr(prNumber) : pr
+      })
+  },
+
+  /**
+   * Find the number of the PR a merge commit message is from
+   * @param {String} message - the commit message
+   * @param {RegExp[]} patterns - the patterns of a merge commit message, capturing the PR number
+   *   (i.e. /^Merge pull request #(\d+)/m)
+   * @returns {String} the PR number (undefined if the message doesn't match any of the patterns)
+   */
+  getPrNumber (message, patterns) {
+    const match = __.find(patterns.map((pattern) => pattern.exec(message)))
+    return match ? match[1] : undefined
+  },
+
+  /**
+   * Get the PRs merged between the tag of a release and the tag before it (along the first parents, so the commits
+   * of the merged branches don't count)
+   * @param {Config} config - the configuration object
+   * @param {Vcs} vcs - the VCS instance
+   * @param {Release} release - the release
+   * @returns {Promise} a promise resolved with the {@link PullRequest}s, most recently merged first
+   */
+  getReleasePrs (config, vcs, release) {
+    const patterns = config.mergeCommitPatterns.map((pattern) => new RegExp(pattern, 'm'))
+    const range = release.previousTag ? `${release.previousTag}..${release.tag}` : release.tag
+
+    logger.log(`Looking up the PRs merged for [${release.tag}]`)
+    return exec(`git log --first-parent --format=%H%x00%B%x00 ${range}`, {maxBuffer: maxLogBuffer})
+      .then((stdout) => {
+        // One at a time, to go easy on the VCS API
+        return getCommits(stdout).reduce((promise, commit) => {
+          return promise.then((prs) => {
+            return this.getCommitPr(vcs, commit, patterns)
+              .then((pr) => {
+                // The commits of a rebase merge are all from the same PR
+                const isNew = pr && !prs.some((other) => other.number === pr.number)
+                return isNew ? prs.concat(pr) : prs
+              })
+          })
+        }, Promise.resolve([]))
+      })
+  },
+
+  /**
+   * Get the releases from the version tags (i.e. "v1.2.3" or "pkg-a@1.2.3") in the history of HEAD
+   * @param {String} tagPrefix - the part of the tags before the version (i.e. "v" or "pkg-a@")
+   * @returns {Promise} a promise resolved with the {@link Release}s (without a changelogFile), oldest first
+   */
+  getReleases (tagPrefix) {
+    return exec('git for-each-ref --merged HEAD --format="%(refname:short)%00%(creatordate:iso-strict)" refs/tags')
+      .then((stdout) => {
+        const releases = stdout.split('\n')
+          .map((line) => line.split('\0'))
+          .filter((fields) => fields[0].startsWith(tagPrefix) && semver.valid(fields[0].slice(tagPrefix.length)))
+          .map((fields) => {
+            return {date: new Date(fields[1]), tag: fields[0], version: fields[0].slice(tagPrefix.length)}
+          })
+          .sort((a, b) => semver.compare(a.version, b.version))
+
+        return releases.map((release, index) => {
+          const previous = releases[index - 1]
+          return __.assign(release, previous ? {previousTag: previous.tag, previousVersion: previous.version} : {})
+        })
+      })
+  }
+}
@@ -0,0 +1,175 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+
+// The groups of a release, in the order Keep a Changelog lists them
+const groups = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security']
+
+// The header of a new changelog file
+const defaultHeader = [
+  '# Changelog',
+  'All notable changes to this project will be documented in this file.',
+  '',
+  'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/),',
+  'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).'
+]
+
+const headingRe = /^##\s/
+const unreleasedRe = /^##\s*\[?unreleased\]?\s*$/i
+const linkRe = /^\[[^\]]+\]:\s*\S/
+const unreleasedLinkRe = /^\[unreleased\]:/i
+
+/**
+ * Check if a line is blank
+ * @param {String} line - the line
+ * @returns {Boolean} true if the line is blank
+ */
+function isBlank (line) {
+  return line.trim() === ''
+}
+
+/**
+ * Split the changelog text of one or more PRs into groups, by their Added/Changed/Deprecated/Removed/Fixed/Security
+ * headings (any text of a PR before the first of those headings goes into Changed)
+ * @param {String|String[]} changelogs - the changelog text of the PR (or of each PR)
+ * @returns {Object[]} the non-empty groups ({name, lines}), in Keep a Changelog order
+ */
+function getGroups (changelogs) {
+  const lines = {}
+  ;[].concat(changelogs).forEach((changelog) => {
+    let group = 'Changed'
+    changelog.split('\n').forEach((line) => {
+      const heading = /^#{1,6}\s*([a-z]+)\s*$/i.exec(line.trim())
+      const name = heading && __.find(groups, (g) => g.toLowerCase() === heading[1].toLowerCase())
+      if (name) {
+        group = name
+      } else {
+        lines[group] = (lines[group] || []).concat(line.replace(/\s+$/, ''))
+      }
+    })
+  })
+
+  return groups
+    .map((name) => {
+      return {lines: __.dropRightWhile(__.dropWhile(lines[name], isBlank), isBlank), name}
+    })
+    .filter((group) => group.lines.length !== 0)
+}
+
+/**
+ * Get the version from a release heading (i.e. "## [1.2.0] - 2017-01-15")
+ * @param {String} heading - the heading
+ * @returns {String} the version
+ */
+function getHeadingVersion (heading) {
+  return /^##\s*\[?([^\]\s]+)/.exec(heading)[1]
+}
+
+/**
+ * Split the lines of a changelog file into its body and the link references at its end (after the last release)
+ * @param {String[]} lines - the lines of the changelog file
+ * @returns {Object} the lines of the body and of the footer ({body, footer})
+ */
+function splitFooter (lines) {
+  const lastHeading = __.findLastIndex(lines, (line) => headingRe.test(line))
+  const footerIndex = __.findIndex(lines, (line) => linkRe.test(line), lastHeading + 1)
+  if (footerIndex === -1) {
+    return {body: lines, footer: []}
+  }
+
+  return {body: lines.slice(0, footerIndex), footer: lines.slice(footerIndex)}
+}
+
+/**
+ * Get the URL comparing the previous release with the new one
+ * @param {Object} release - the new release ({tag, version})
+ * @param {String} [previousHeading] - the heading of the previous release (undefined for the first release)
+ * @param {Function} [getCompareUrl] - get the URL comparing two refs
+ * @returns {String} the URL (undefined if there is nothing to compare with or no way to build it)
+ */
+function getReleaseUrl (release, previousHeading, getCompareUrl) {
+  if (!previousHeading || !getCompareUrl) {
+    return undefined
+  }
+
+  // The tag of the previous release has the same prefix (i.e. "v" or "pkg-a@") with the previous version
+  const tagPrefix = release.tag.slice(0, release.tag.length - release.version.length)
+  return getCompareUrl(`${tagPrefix}${getHeadingVersion(previousHeading)}`, release.tag)
+}
+
+/**
+ * Get the lines of the section of a release
+ * @param {Object} release - the release ({changelog, date, version})
+ * @param {String} [url] - the URL comparing the release with the previous one (the version is a link if given)
+ * @returns {String[]} the lines of the section, ending with a blank line
+ */
+function getReleaseSection (release, url) {
+  const version = url ? `[${release.version}]` : release.version
+  return getGroups(release.changelog).reduce((section, group) => {
+    return section.concat(`### ${group.name}`, group.lines, '')
+  }, [`## ${version} - ${release.date}`, ''])
+}
+
+/**
+ * Get the new link references of a changelog file, with the link of the new release at the top, and the Unreleased
+ * link comparing the new release with HEAD
+ * @param {Object} release - the new release ({tag, version})
+ * @param {String} [url] - the URL comparing the release with the previous one
+ * @param {String[]} body - the lines of the body of the changelog file
+ * @param {String[]} footer - the current link references
+ * @param {Function} [getCompareUrl] - get the URL comparing two refs
+ * @returns {String[]} the new link references
+ */
+function getFooter (release, url, body, footer, getCompareUrl) {
+  if (!getCompareUrl) {
+    return footer
+  }
+
+  const links = body.some((line) => unreleasedRe.test(line))
+    ? [`[Unreleased]: ${getCompareUrl(release.tag, 'HEAD')}`] : []
+
+  return links
+    .concat(url ? [`[${release.version}]: ${url}`] : [])
+    .concat(footer.filter((line) => !unreleasedLinkRe.test(line)))
+}
+
+/**
+ * Writes changelog files in the Keep a Changelog format (https://keepachangelog.com)
+ */
+module.exports = {
+  /**
+   * Insert a release into the contents of a changelog file, below the file header (and the Unreleased section, if
+   * there is one), and add its compare link to the link references at the bottom of the file
+   * @param {String} contents - the contents of the changelog file (empty for a new file)
+   * @param {Object} release - the release to insert
+   * @param {String|String[]} release.changelog - the changelog text of the PR, or of each PR of the release (with
+   *   Added/Changed/... headings)
+   * @param {String} release.date - the date of the release (i.e. "2017-01-15")
+   * @param {String} release.tag - the tag of the release (i.e. "v1.2.0")
+   * @param {String} release.version - the version of the release (i.e. "1.2.0")
+   * @param {Function} [getCompareUrl] - get the URL comparing two refs (i.e. "v1.1.0" and "v1.2.0"), no links are
+   *   added if not given
+   * @returns {String} the new contents of the changelog file
+   */
+  insertRelease (contents, release, getCompareUrl) {
+    const lines = isBlank(contents) ? defaultHeader.slice() : contents.replace(/\s+$/, '').split('\n')
+    const parts = splitFooter(lines)
+
+    let insertIndex = __.findIndex(parts.body, (line) => headingRe.test(line) && !unreleasedRe.test(line))
+    if (insertIndex === -1) {
+      insertIndex = parts.body.length
+    }
+
+    const url = getReleaseUrl(release, parts.body[insertIndex], getCompareUrl)
+    const footer = getFooter(release, url, parts.body, parts.footer, getCompareUrl)
+
+    const before = __.dropRightWhile(parts.body.slice(0, insertIndex), isBlank)
+    const after = parts.body.slice(insertIndex)
+
+    return __.dropRightWhile(before.concat('', getReleaseSection(release, url), after), isBlank)
+      .concat(footer.length !== 0 ? [''].concat(footer) : [])
+      .join('\n') + '\n'
+  }
+}
@@ -0,0 +1,139 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+
+// The date format and timezone used when none are configured
+const dateDefaults = {format: 'YYYY-MM-DD', timezone: 'UTC'}
+
+// The part of the date each token of a date format stands for
+const dateTokens = {
+  YYYY: 'year',
+  MM: 'month',
+  DD: 'day',
+  HH: 'hour',
+  mm: 'minute',
+  ss: 'second'
+}
+
+/**
+ * Pad a part of a date with leading zeros
+ * @param {Number} value - the value of the part
+ * @param {Number} length - how many digits the part has
+ * @returns {String} the padded part
+ */
+function pad (value, length) {
+  return __.padStart(`${value}`, length, '0')
+}
+
+/**
+ * Get the parts of a date in UTC (without Intl, which older versions of Node.js don't fully support)
+ * @param {Date} date - the date
+ * @returns {Object.<String, String>} the year, month, day, hour, minute and second of the date
+ */
+function getUtcParts (date) {
+  return {
+    day: pad(date.getUTCDate(), 2),
+    hour: pad(date.getUTCHours(), 2),
+    minute: pad(date.getUTCMinutes(), 2),
+    month: pad(date.getUTCMonth() + 1, 2),
+    second: pad(date.getUTCSeconds(), 2),
+    year: pad(date.getUTCFullYear(), 4)
+  }
+}
+
+/**
+ * Get the parts of a date in a named timezone
+ * @param {Date} date - the date
+ * @param {String} timezone - the IANA timezone (i.e. "Europe/Paris")
+ * @returns {Object.<String, String>} the year, month, day, hour, minute and second of the date
+ * @throws Error if this version of Node.js can't format dates in other timezones
+ * @throws RangeError if the timezone is not valid
+ */
+function getZonedParts (date, timezone) {
+  if (typeof Intl === 'undefined' || !Intl.DateTimeFormat.prototype.formatToParts) {
+    throw new Error(
+      `Unable to format dates in the [${timezone}] timezone (see changelogDate in .pr-bumper.json), this version of ` +
+      'Node.js has no Intl.DateTimeFormat#formatToParts, use the "UTC" timezone or a newer version of Node.js'
+    )
+  }
+
+  const parts = {}
+  new Intl.DateTimeFormat('en-US', {
+    day: '2-digit',
+    hour: '2-digit',
+    hour12: false,
+    minute: '2-digit',
+    month: '2-digit',
+    second: '2-digit',
+    timeZone: timezone,
+    year: 'numeric'
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value
+    })
+
+  // Some versions of Node.js give midnight as hour 24 of the day before
+  return __.assign(parts, {hour: parts.hour === '24' ? '00' : parts.hour})
+}
+
+/**
+ * Renders the templates used for changelog headers, entries and release notes
+ */
+module.exports = {
+  /**
+   * Format a date, in the given timezone
+   * @param {Date} date - the date
+   * @param {ChangelogDateConfig} [settings] - the format (with YYYY, MM, DD, HH, mm and ss tokens) and the (IANA)
+   *   timezone, defaults to "YYYY-MM-DD" in UTC
+   * @returns {String} the formatted date
+   * @throws Error if the timezone isn't UTC and this version of Node.js can't format dates in other timezones
+   * @throws RangeError if the timezone is not valid
+   */
+  formatDate (date, settings) {
+    settings = __.defaults({}, settings, dateDefaults)
+
+    const parts = settings.timezone.toUpperCase() === 'UTC' ? getUtcParts(date) : getZonedParts(date, settings.timezone)
+    return settings.format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => parts[dateTokens[token]])
+  },
+
+  /**
+   * Get the values a template can use for a PR
+   * @param {PullRequest} [pr] - the PR (no values are given if there is none)
+   * @param {ChangelogDateConfig} [dateSettings] - how to format the date the PR was merged
+   * @returns {Object} the values, keyed by placeholder name
+   */
+  getPrValues (pr, dateSettings) {
+    if (!pr) {
+      return {}
+    }
+
+    return {
+      author: pr.author.login,
+      authorName: pr.author.name,
+      mergedAt: pr.mergedAt && this.formatDate(new Date(pr.mergedAt), dateSettings),
+      number: pr.number,
+      title: pr.title,
+      url: pr.url
+    }
+  },
+
+  /**
+   * Render a template, replacing each `{name}` placeholder with the value of the same name (placeholders without a
+   * value are left as they are, so braces in the template don't need escaping)
+   * @param {String} template - the template (i.e. "{changelog}\n\n[#{number}]({url}) by @{author}")
+   * @param {Object} values - the values, keyed by placeholder name
+   * @returns {String} the rendered template
+   */
+  render (template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!__.has(values, name)) {
+        return placeholder
+      }
+
+      return values[name] === undefined ? '' : `${values[name]}`
+    })
+  }
+}
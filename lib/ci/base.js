@@ -47,6 +47,33 @@ class CiBase {
     return exec(`git commit -m "${summary}" -m "${message}"`)
   }
 
+  /**
+   * Describe the git command that pushes local changes, without running it (i.e. for a dry run)
+   * @returns {String} the git command
+   */
+  describePush () {
+    return `git push --atomic origin ${this.config.branch} --tags`
+  }
+
+  /**
+   * Fetch the branch being built from the remote that gets pushed to, to see where it is now
+   * @returns {Promise} - a promise resolved with the SHA of the head of the remote branch
+   */
+  fetch () {
+    const branch = this.config.branch
+    return this.getPushRemote()
+      .then((remoteName) => {
+        logger.log(`Fetching ${branch} from ${remoteName}`)
+        return exec(`git fetch ${remoteName} ${branch}`)
+      })
+      .then(() => {
+        return exec('git rev-parse FETCH_HEAD')
+      })
+      .then((stdout) => {
+        return stdout.trim()
+      })
+  }
+
   /**
    * Get the most recent commit message summary
    *
@@ -56,13 +83,36 @@ class CiBase {
     return exec('git log --pretty=format:\'%s\' -1')
   }
 
+  /**
+   * Get the name of the remote that gets pushed to
+   * @returns {Promise} - a promise resolved with the name of the remote
+   */
+  getPushRemote () {
+    return Promise.resolve('origin')
+  }
+
+  /**
+   * Check if a tag already exists on the remote that gets pushed to
+   * @param {String} name - the name of the tag
+   * @returns {Promise} - a promise resolved with true if the tag exists on the remote
+   */
+  hasRemoteTag (name) {
+    return this.getPushRemote()
+      .then((remoteName) => {
+        return exec(`git ls-remote --tags ${remoteName} refs/tags/${name}`)
+      })
+      .then((stdout) => {
+        return stdout.trim() !== ''
+      })
+  }
+
   /**
    * Push local changes to remote repo
    * @returns {Promise} a promise resolved with the result of the push
    */
   push () {
     logger.log(`Pushing ${this.config.branch} to origin`)
-    return exec(`git push origin ${this.config.branch} --tags`)
+    return exec(this.describePush())
   }
 
   /**
@@ -0,0 +1,17 @@
+'use strict'
+
+require('../typedefs')
+
+const DetachedHead = require('./detached-head')
+
+/**
+ * CI interface for CircleCI
+ *
+ * @class
+ * @implements {Ci}
+ */
+class CircleCi extends DetachedHead {
+  // nothing to override
+}
+
+module.exports = CircleCi
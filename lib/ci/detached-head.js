@@ -0,0 +1,73 @@
+'use strict'
+
+require('../typedefs')
+
+const Promise = require('promise')
+const cpExec = require('child_process').exec
+
+// This is not `const` so it can be re-wired during tests
+let exec = Promise.denodeify(cpExec)
+
+const CiBase = require('./base')
+const logger = require('../logger')
+
+/**
+ * Base CI implementation for CI systems that build a detached HEAD (or a branch that can't be pushed as-is), by
+ * committing to a local ci-<branch> branch and pushing that to the real branch
+ *
+ * @class
+ * @implements {Ci}
+ */
+class DetachedHead extends CiBase {
+
+  /**
+   * Describe the git command that pushes the local ci-<branch> branch to the remote set up by the vcs, without running
+   * it or setting up the remote (i.e. for a dry run)
+   * @returns {String} the git command
+   */
+  describePush () {
+    const branch = this.config.branch
+    return `git push --atomic ${this.vcs.getPushRemoteName()} ci-${branch}:refs/heads/${branch} --tags`
+  }
+
+  /**
+   * Get the name of the remote that gets pushed to, set up by the vcs (only once, a retried push uses the same one)
+   * @returns {Promise} a promise resolved with the name of the remote
+   */
+  getPushRemote () {
+    if (!this.pushRemote) {
+      this.pushRemote = this.vcs.addRemoteForPush()
+    }
+
+    return this.pushRemote
+  }
+
+  /**
+   * Push local changes to the remote set up by the vcs
+   * @returns {Promise} a promise resolved with the result of the push
+   */
+  push () {
+    const branch = this.config.branch
+    return this.getPushRemote()
+      .then((remoteName) => {
+        logger.log(`Pushing ci-${branch} to ${remoteName}`)
+        return exec(this.describePush())
+      })
+  }
+
+  /**
+   * Prepare the git env by checking out a local branch to commit to
+   * @returns {Promise} - a promise resolved with the results of the git commands
+   */
+  setupGitEnv () {
+    const branch = this.config.branch
+    return super.setupGitEnv()
+      .then(() => {
+        // Using -B so a re-run of the same job doesn't fail because the branch is already there
+        return exec(`git checkout -B ci-${branch}`)
+      })
+  }
+
+}
+
+module.exports = DetachedHead
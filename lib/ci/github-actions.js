@@ -0,0 +1,17 @@
+'use strict'
+
+require('../typedefs')
+
+const DetachedHead = require('./detached-head')
+
+/**
+ * CI interface for GitHub Actions
+ *
+ * @class
+ * @implements {Ci}
+ */
+class GitHubActions extends DetachedHead {
+  // nothing to override
+}
+
+module.exports = GitHubActions
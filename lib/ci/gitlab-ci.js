@@ -0,0 +1,17 @@
+'use strict'
+
+require('../typedefs')
+
+const DetachedHead = require('./detached-head')
+
+/**
+ * CI interface for GitLab CI
+ *
+ * @class
+ * @implements {Ci}
+ */
+class GitLabCi extends DetachedHead {
+  // nothing to override
+}
+
+module.exports = GitLabCi
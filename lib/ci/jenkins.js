@@ -0,0 +1,17 @@
+'use strict'
+
+require('../typedefs')
+
+const DetachedHead = require('./detached-head')
+
+/**
+ * CI interface for Jenkins (multibranch pipelines)
+ *
+ * @class
+ * @implements {Ci}
+ */
+class Jenkins extends DetachedHead {
+  // nothing to override
+}
+
+module.exports = Jenkins
@@ -9,40 +9,83 @@ const logger = require('./logger')
 const utils = require('./utils')
 
 // VCS implementations
+const BitbucketCloud = require('./vcs/bitbucket-cloud')
 const BitbucketServer = require('./vcs/bitbucket-server')
 const GitHub = require('./vcs/github')
 const GitHubEnterprise = require('./vcs/github-enterprise')
+const GitLab = require('./vcs/gitlab')
 
 // CI implementations
+const CircleCi = require('./ci/circleci')
+const GitHubActions = require('./ci/github-actions')
+const GitLabCi = require('./ci/gitlab-ci')
+const Jenkins = require('./ci/jenkins')
 const TeamCity = require('./ci/teamcity')
 const Travis = require('./ci/travis')
 
+// Bumper methods, keyed by the command name given on the command line
+const commands = {
+  'bump': 'bump',
+  'changelog rebuild': 'rebuildChangelog',
+  'check': 'check',
+  'check-coverage': 'checkCoverage',
+  'release': 'release'
+}
+
+// The commands that can record what they would change instead of changing it (check and check-coverage only post
+// comments and statuses, which a dry run has no way to leave out)
+const dryRunCommands = ['bump', 'changelog rebuild', 'release']
+
+// CI implementations, keyed by the name used for ci.provider in .pr-bumper.json
+const ciProviders = {
+  'circleci': CircleCi,
+  'github-actions': GitHubActions,
+  'gitlab-ci': GitLabCi,
+  'jenkins': Jenkins,
+  'teamcity': TeamCity,
+  'travis': Travis
+}
+
+// VCS implementations, keyed by the name used for vcs.provider in .pr-bumper.json
+const vcsProviders = {
+  'bitbucket-cloud': BitbucketCloud,
+  'bitbucket-server': BitbucketServer,
+  'github': GitHub,
+  'github-enterprise': GitHubEnterprise,
+  'gitlab': GitLab
+}
+
 class Cli {
 
   /**
    * Run the specified command
-   * @param {String} cmd - the command to run
+   * @param {String} cmd - the command to run (with its subcommand, if it has one, i.e. "changelog rebuild")
    * @param {Boolean} [skipComments] - true if the command line options specified we need to skip pr comments
+   * @param {Boolean} [dryRun] - true if the command line options specified we should not actually change anything
    * @returns {Promise} a promise resolved when command finishes, or rejected with failure
    */
-  run (cmd, skipComments) {
+  run (cmd, skipComments, dryRun) {
+    if (dryRun && commands[cmd] && dryRunCommands.indexOf(cmd) === -1) {
+      return Promise.reject(`The ${cmd} command doesn't support --dry-run (only ${dryRunCommands.join(', ')} do)`)
+    }
+
     const config = utils.getConfig()
     if (skipComments) {
       config.prComments = false
     }
+    if (dryRun) {
+      config.dryRun = true
+    }
     const vcs = this._getVcs(config)
     const ci = this._getCi(config, vcs)
     const bumper = this._getBumper({ci, config, vcs})
 
-    if (cmd === 'bump') {
-      return bumper.bump()
-    } else if (cmd === 'check') {
-      return bumper.check()
-    } else if (cmd === 'check-coverage') {
-      return bumper.checkCoverage()
+    const method = commands[cmd]
+    if (!method) {
+      return Promise.reject(`Invalid command: ${cmd}`)
     }
 
-    return Promise.reject(`Invalid command: ${cmd}`)
+    return bumper[method]()
   }
 
   /**
@@ -69,13 +112,12 @@ class Cli {
     const provider = config.ci.provider
     logger.log(`Detected CI provider: ${provider} `)
 
-    if (provider === 'teamcity') {
-      return new TeamCity(config, vcs)
-    } else if (provider === 'travis') {
-      return new Travis(config, vcs)
+    const Ci = ciProviders[provider]
+    if (!Ci) {
+      throw new Error(`Invalid ci provider: [${provider}]`)
     }
 
-    throw new Error(`Invalid ci provider: [${provider}]`)
+    return new Ci(config, vcs)
   }
 
   /**
@@ -88,15 +130,12 @@ class Cli {
     const provider = config.vcs.provider
     logger.log(`Detected VCS provider: ${provider} `)
 
-    if (provider === 'bitbucket-server') {
-      return new BitbucketServer(config)
-    } else if (provider === 'github') {
-      return new GitHub(config)
-    } else if (provider === 'github-enterprise') {
-      return new GitHubEnterprise(config)
+    const Vcs = vcsProviders[provider]
+    if (!Vcs) {
+      throw new Error(`Invalid vcs provider: [${provider}]`)
     }
 
-    throw new Error(`Invalid vcs provider: [${provider}]`)
+    return new Vcs(config)
   }
 }
 
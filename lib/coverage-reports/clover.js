@@ -0,0 +1,50 @@
+'use strict'
+
+require('../typedefs')
+
+const xml = require('./xml')
+
+/**
+ * Parser for Clover XML reports (i.e. coverage/clover.xml)
+ */
+module.exports = {
+  /**
+   * Get the totals of a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageCounts} the covered and total count of each metric in the report
+   */
+  parse (contents) {
+    // The metrics of the whole project come first, before those of each package and file
+    const project = contents.slice(Math.max(contents.indexOf('<project'), 0))
+    const metrics = xml.getElements(project, 'metrics')[0] || {}
+    const statements = {covered: Number(metrics.coveredstatements), total: Number(metrics.statements)}
+
+    // Clover has no lines, statements are the closest thing to them
+    return {
+      branches: {covered: Number(metrics.coveredconditionals), total: Number(metrics.conditionals)},
+      functions: {covered: Number(metrics.coveredmethods), total: Number(metrics.methods)},
+      lines: statements,
+      statements
+    }
+  },
+
+  /**
+   * Get the hits of each line of each file in a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageLines} the hits of each line, by file
+   */
+  parseLines (contents) {
+    const lines = {}
+    let fileLines = {}
+    xml.forEachElement(contents, ['file', 'line'], (name, attributes) => {
+      if (name === 'file') {
+        fileLines = lines[attributes.path || attributes.name] = {}
+      } else if (attributes.type !== 'method') {
+        // A line can have both a statement and a condition, it is covered if either one is
+        fileLines[attributes.num] = Math.max(fileLines[attributes.num] || 0, Number(attributes.count))
+      }
+    })
+
+    return lines
+  }
+}
@@ -0,0 +1,50 @@
+'use strict'
+
+require('../typedefs')
+
+const xml = require('./xml')
+
+/**
+ * Parser for Cobertura XML reports (i.e. coverage/cobertura-coverage.xml)
+ */
+module.exports = {
+  /**
+   * Get the totals of a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageCounts} the covered and total count of each metric in the report
+   */
+  parse (contents) {
+    const root = xml.getElements(contents, 'coverage')[0] || {}
+    const methods = xml.getElements(contents, 'method')
+    const lines = {covered: Number(root['lines-covered']), total: Number(root['lines-valid'])}
+
+    // Cobertura has no statements, lines are the closest thing to them
+    return {
+      branches: {covered: Number(root['branches-covered']), total: Number(root['branches-valid'])},
+      functions: {covered: methods.filter((method) => Number(method['line-rate']) > 0).length, total: methods.length},
+      lines,
+      statements: lines
+    }
+  },
+
+  /**
+   * Get the hits of each line of each file in a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageLines} the hits of each line, by file
+   */
+  parseLines (contents) {
+    const lines = {}
+    let fileLines = {}
+
+    // The lines of a class are listed within each of its methods as well as on their own, with the same hits
+    xml.forEachElement(contents, ['class', 'line'], (name, attributes) => {
+      if (name === 'class') {
+        fileLines = lines[attributes.filename] = lines[attributes.filename] || {}
+      } else {
+        fileLines[attributes.number] = Number(attributes.hits)
+      }
+    })
+
+    return lines
+  }
+}
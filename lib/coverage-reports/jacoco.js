@@ -0,0 +1,60 @@
+'use strict'
+
+require('../typedefs')
+
+const xml = require('./xml')
+
+// The metric for each type of JaCoCo counter
+const counterMetrics = {
+  BRANCH: 'branches',
+  INSTRUCTION: 'statements',
+  LINE: 'lines',
+  METHOD: 'functions'
+}
+
+/**
+ * Parser for JaCoCo XML reports (i.e. target/site/jacoco/jacoco.xml)
+ */
+module.exports = {
+  /**
+   * Get the totals of a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageCounts} the covered and total count of each metric in the report
+   */
+  parse (contents) {
+    // The counters of the whole report come last, after every (possibly nested) group and package
+    const end = Math.max(contents.lastIndexOf('</package>'), contents.lastIndexOf('</group>'), 0)
+    const counts = {}
+    xml.getElements(contents.slice(end), 'counter').forEach((counter) => {
+      const metric = counterMetrics[counter.type]
+      if (metric) {
+        const covered = Number(counter.covered)
+        counts[metric] = {covered, total: covered + Number(counter.missed)}
+      }
+    })
+
+    return counts
+  },
+
+  /**
+   * Get the hits of each line of each file in a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageLines} the hits of each line (the covered instructions), by file (relative to the source root)
+   */
+  parseLines (contents) {
+    const lines = {}
+    let packageName = ''
+    let fileLines = {}
+    xml.forEachElement(contents, ['package', 'sourcefile', 'line'], (name, attributes) => {
+      if (name === 'package') {
+        packageName = attributes.name
+      } else if (name === 'sourcefile') {
+        fileLines = lines[packageName ? `${packageName}/${attributes.name}` : attributes.name] = {}
+      } else {
+        fileLines[attributes.nr] = Number(attributes.ci)
+      }
+    })
+
+    return lines
+  }
+}
@@ -0,0 +1,25 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+
+// The metrics in the totals of an istanbul json-summary report
+const metrics = ['branches', 'functions', 'lines', 'statements']
+
+/**
+ * Parser for the json-summary report of istanbul/nyc (coverage/coverage-summary.json)
+ */
+module.exports = {
+  /**
+   * Get the totals of a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageCounts} the covered and total count of each metric in the report
+   */
+  parse (contents) {
+    const total = JSON.parse(contents).total || {}
+    return __.mapValues(__.pick(total, metrics), (metric) => {
+      return {covered: metric.covered, total: metric.total}
+    })
+  }
+}
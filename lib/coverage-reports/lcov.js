@@ -0,0 +1,64 @@
+'use strict'
+
+require('../typedefs')
+
+// The metric and count for each summary line of an lcov record (i.e. "LH:42" is the number of lines hit)
+const summaryLines = {
+  BRF: ['branches', 'total'],
+  BRH: ['branches', 'covered'],
+  FNF: ['functions', 'total'],
+  FNH: ['functions', 'covered'],
+  LF: ['lines', 'total'],
+  LH: ['lines', 'covered']
+}
+
+/**
+ * Parser for lcov tracefiles (i.e. coverage/lcov.info)
+ */
+module.exports = {
+  /**
+   * Get the totals of a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageCounts} the covered and total count of each metric in the report
+   */
+  parse (contents) {
+    const counts = {
+      branches: {covered: 0, total: 0},
+      functions: {covered: 0, total: 0},
+      lines: {covered: 0, total: 0}
+    }
+
+    contents.split('\n').forEach((line) => {
+      const match = /^([A-Z]+):(\d+)$/.exec(line.trim())
+      const summaryLine = match && summaryLines[match[1]]
+      if (summaryLine) {
+        counts[summaryLine[0]][summaryLine[1]] += Number(match[2])
+      }
+    })
+
+    // lcov has no statements, lines are the closest thing to them
+    counts.statements = counts.lines
+    return counts
+  },
+
+  /**
+   * Get the hits of each line of each file in a coverage report
+   * @param {String} contents - the contents of the report
+   * @returns {CoverageLines} the hits of each line, by file
+   */
+  parseLines (contents) {
+    const lines = {}
+    let fileLines = {}
+    contents.split('\n').forEach((line) => {
+      const file = /^SF:(.+)$/.exec(line.trim())
+      const hits = /^DA:(\d+),(\d+)/.exec(line.trim())
+      if (file) {
+        fileLines = lines[file[1]] = {}
+      } else if (hits) {
+        fileLines[hits[1]] = Number(hits[2])
+      }
+    })
+
+    return lines
+  }
+}
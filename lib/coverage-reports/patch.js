@@ -0,0 +1,94 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+const path = require('path')
+
+const reader = require('./reader')
+
+/**
+ * Find the line info of a changed file in a coverage report. Both paths are resolved from the root of the repository
+ * (the current directory) and must match exactly, a report listing files relative to some other directory needs that
+ * directory as the sourceDir.
+ * @param {CoverageLines} lineData - the hits of each line, by file (with absolute or relative paths)
+ * @param {String} file - the changed file (relative to the root of the repository)
+ * @param {String} sourceDir - the directory the relative paths of the report are relative to (relative to the root of
+ *   the repository)
+ * @returns {Object.<String, Number>} the hits of each line of the file (undefined if it isn't in the report)
+ */
+function getFileLines (lineData, file, sourceDir) {
+  const root = process.cwd()
+  const filePath = path.resolve(root, file)
+  const key = __.find(Object.keys(lineData), (reportFile) => {
+    return path.resolve(root, sourceDir, reportFile.replace(/\\/g, '/')) === filePath
+  })
+
+  return key && lineData[key]
+}
+
+/**
+ * Get the line numbers added or changed by a hunk of a diff
+ * @param {String[]} hunk - the matched hunk header (i.e. "@@ -12,2 +12,3 @@"), with the first line and line count
+ *   on the new side of the diff
+ * @returns {Number[]} the changed line numbers (none if the hunk only removes lines)
+ */
+function getHunkLines (hunk) {
+  const start = Number(hunk[1])
+  const count = hunk[2] === undefined ? 1 : Number(hunk[2])
+  return __.range(start, start + count)
+}
+
+/**
+ * Computes the coverage of the lines changed by a PR
+ */
+module.exports = {
+  /**
+   * Get the lines added or changed in each file of a diff
+   * @param {String} diff - the output of `git diff --unified=0`
+   * @returns {ChangedLines} the changed line numbers, by file
+   */
+  getChangedLines (diff) {
+    const changed = {}
+    let fileLines = null
+    diff.split('\n').forEach((line) => {
+      const file = /^\+\+\+ (?:b\/(.+)|\/dev\/null)$/.exec(line)
+      const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line)
+      if (file) {
+        // Deleted files (+++ /dev/null) have no lines left to cover
+        fileLines = file[1] ? (changed[file[1]] = []) : null
+      } else if (hunk && fileLines) {
+        Array.prototype.push.apply(fileLines, getHunkLines(hunk))
+      }
+    })
+
+    return __.pickBy(changed, (lines) => lines.length > 0)
+  },
+
+  /**
+   * Get the coverage of the changed lines that are executable (listed in the coverage report)
+   * @param {ChangedLines} changedLines - the changed line numbers, by file
+   * @param {CoverageLines} lineData - the hits of each line, by file
+   * @param {Number} minimum - the lowest percentage of changed lines that must be covered
+   * @param {String} sourceDir - the directory the relative paths of the coverage report are relative to (relative to
+   *   the root of the repository, i.e. "." for the root itself)
+   * @returns {PatchCoverage} the coverage of the changed lines, overall and for each file
+   */
+  getPatchCoverage (changedLines, lineData, minimum, sourceDir) {
+    const files = Object.keys(changedLines).sort()
+      .map((file) => {
+        const fileLines = getFileLines(lineData, file, sourceDir) || {}
+        const executable = changedLines[file].filter((line) => __.has(fileLines, [line]))
+        const covered = executable.filter((line) => fileLines[line] > 0).length
+        return {covered, file, pct: reader.getPercentage({covered, total: executable.length}), total: executable.length}
+      })
+      .filter((file) => file.total > 0)
+
+    const covered = __.sumBy(files, 'covered')
+    const total = __.sumBy(files, 'total')
+    const pct = reader.getPercentage({covered, total})
+    const failures = pct < minimum ? [`below the minimum of \`${minimum.toFixed(2)}%\``] : []
+    return {covered, failures, files, pct, total}
+  }
+}
+
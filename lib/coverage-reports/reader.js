@@ -0,0 +1,164 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+const fs = require('fs')
+const path = require('path')
+const Promise = require('promise')
+
+const clover = require('./clover')
+const cobertura = require('./cobertura')
+const jacoco = require('./jacoco')
+const jsonSummary = require('./json-summary')
+const lcov = require('./lcov')
+
+// using let so it can be rewired in the test
+let readFile = Promise.denodeify(fs.readFile)
+
+// Coverage report parsers, keyed by the name used for coverage.format in .pr-bumper.json
+const formats = {
+  'clover': clover,
+  'cobertura': cobertura,
+  'jacoco': jacoco,
+  'json-summary': jsonSummary,
+  'lcov': lcov
+}
+
+// Where each format is written by default, used when coverage.file is not configured
+const defaultFiles = {
+  'clover': 'coverage/clover.xml',
+  'cobertura': 'coverage/cobertura-coverage.xml',
+  'jacoco': 'target/site/jacoco/jacoco.xml',
+  'json-summary': 'coverage/coverage-summary.json',
+  'lcov': 'coverage/lcov.info'
+}
+
+// How to recognize the format of a report from its contents, used when coverage.format is not configured
+// (Clover and Cobertura both have a <coverage> root element, so the Clover check has to come first)
+const formatMarkers = [
+  [/^\s*\{/, 'json-summary'],
+  [/^(TN|SF):/m, 'lcov'],
+  [/<report[\s>]/, 'jacoco'],
+  [/<coverage[^>]*\sclover=/, 'clover'],
+  [/<coverage[\s>]/, 'cobertura']
+]
+
+/**
+ * Get the parser for a coverage report
+ * @param {String} [format] - the configured format of the report
+ * @param {String} filename - the name of the report
+ * @param {String} contents - the contents of the report (to detect the format from, if it is not configured)
+ * @returns {Object} the parser for the format of the report
+ * @throws Error if the format can't be detected
+ */
+function getParser (format, filename, contents) {
+  if (format) {
+    return formats[format]
+  }
+
+  const marker = __.find(formatMarkers, (m) => m[0].test(contents))
+  if (!marker) {
+    throw new Error(`Unable to detect the format of coverage report [${filename}], please set coverage.format`)
+  }
+
+  return formats[marker[1]]
+}
+
+/**
+ * Read a coverage report
+ * @param {String} [file] - the configured report file (defaults to where the format is usually written)
+ * @param {String} [format] - the configured report format (detected from the contents of the report when not given)
+ * @returns {Promise} a promise resolved with the filename, contents and parser of the report (only the filename if
+ *   there is no report)
+ */
+function readReport (file, format) {
+  if (format && !__.has(formats, [format])) {
+    return Promise.reject(new Error(`Unknown coverage format [${format}]`))
+  }
+
+  const filename = file || defaultFiles[format || 'json-summary']
+  return readFile(path.join(process.cwd(), filename), 'utf8')
+    .then((contents) => {
+      return {contents, filename, parser: getParser(format, filename, contents)}
+    }, (err) => {
+      // No report means there is no coverage info, not that something went wrong
+      if (err.code === 'ENOENT') {
+        return {filename}
+      }
+
+      throw err
+    })
+}
+
+/**
+ * Reads the current coverage from a coverage report (istanbul json-summary, lcov, Cobertura, Clover or JaCoCo)
+ */
+module.exports = {
+  /**
+   * Get the percentage covered, rounded to two decimals (as istanbul does)
+   * @param {Object} [counts] - the counts of a metric
+   * @param {Number} counts.covered - the number covered
+   * @param {Number} counts.total - the total number
+   * @returns {Number} the percentage covered (-1 if the counts are missing)
+   */
+  getPercentage (counts) {
+    if (!counts || !isFinite(counts.covered) || !isFinite(counts.total)) {
+      return -1
+    }
+
+    // Like istanbul, treat nothing to cover as fully covered
+    return counts.total === 0 ? 100 : Math.round(counts.covered * 10000 / counts.total) / 100
+  },
+
+  /**
+   * Read the current percentage of the given metrics from the configured coverage report
+   * @param {CoverageConfig} settings - the coverage settings (file, format and metrics)
+   * @returns {Promise} a promise resolved with the percentage of each metric (-1 for any metric with no coverage info)
+   */
+  read (settings) {
+    const missing = __.fromPairs(settings.metrics.map((metric) => [metric, -1]))
+    return readReport(settings.file, settings.format)
+      .then((report) => {
+        if (!report.parser) {
+          return missing
+        }
+
+        const counts = report.parser.parse(report.contents)
+        return __.mapValues(missing, (pct, metric) => this.getPercentage(counts[metric]))
+      })
+  },
+
+  /**
+   * Read the hits of each line from the coverage report for patch coverage, which is the one configured in
+   * coverage.patch, or else the main coverage report (or the lcov report next to it, if it is a json-summary report)
+   * @param {CoverageConfig} settings - the coverage settings
+   * @returns {Promise} a promise resolved with the hits of each line, by file ({@link CoverageLines})
+   */
+  readLines (settings) {
+    const patch = settings.patch || {}
+    const usePatchReport = Boolean(patch.file || patch.format)
+    const report = usePatchReport ? patch : settings
+    return readReport(report.file, report.format)
+      .then((found) => {
+        // json-summary reports have no line info, but istanbul is usually set up to write an lcov report as well
+        if (!usePatchReport && found.parser === jsonSummary) {
+          return readReport(undefined, 'lcov')
+        }
+
+        return found
+      })
+      .then((found) => {
+        if (!found.parser) {
+          throw new Error(`No coverage report found at [${found.filename}]`)
+        }
+
+        if (!found.parser.parseLines) {
+          const msg = `Coverage report [${found.filename}] has no line coverage info, please set coverage.patch.file`
+          throw new Error(msg)
+        }
+
+        return found.parser.parseLines(found.contents)
+      })
+  }
+}
@@ -0,0 +1,54 @@
+'use strict'
+
+/**
+ * Get the attributes of an element from the text of its start tag
+ * @param {String} text - the text of the start tag, after the element name (i.e. ' type="LINE" missed="1"/')
+ * @returns {Object.<String, String>} the attributes of the element
+ */
+function getAttributes (text) {
+  const attributes = {}
+  const attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let match = attributeRegex.exec(text)
+  while (match) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3]
+    match = attributeRegex.exec(text)
+  }
+
+  return attributes
+}
+
+/**
+ * Minimal XML helpers for reading coverage reports. The reports are generated by tools, and only the attributes of
+ * a few elements are needed, so a full XML parser would be overkill.
+ */
+module.exports = {
+  /**
+   * Call the given function for every element with one of the given names, in document order
+   * @param {String} contents - the XML document
+   * @param {String[]} names - the names of the elements (i.e. ["sourcefile", "line"])
+   * @param {Function} func - called with the name and the attributes of each element
+   */
+  forEachElement (contents, names, func) {
+    const elementRegex = new RegExp(`<(${names.join('|')})(\\s[^>]*)?>`, 'g')
+    let match = elementRegex.exec(contents)
+    while (match) {
+      func(match[1], getAttributes(match[2] || ''))
+      match = elementRegex.exec(contents)
+    }
+  },
+
+  /**
+   * Get the attributes of every element with the given name
+   * @param {String} contents - the XML document
+   * @param {String} name - the name of the elements (i.e. "counter")
+   * @returns {Object[]} the attributes of each element, in document order
+   */
+  getElements (contents, name) {
+    const elements = []
+    this.forEachElement(contents, [name], (elementName, attributes) => {
+      elements.push(attributes)
+    })
+
+    return elements
+  }
+}
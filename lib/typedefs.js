@@ -2,13 +2,29 @@
 // Configuration
 // ==========================================================================================================
 
+/**
+ * The settings (policy) for a branch (from the `branches` section of the config)
+ * @typedef BranchConfig
+ *
+ * @property {String} [distTag] - the dist-tag to publish versions bumped on the branch with (i.e. "next")
+ * @property {String} [maxScope] - the biggest scope allowed on the branch (i.e. "patch" for a maintenance branch)
+ * @property {String} [prerelease] - the pre-release identifier (i.e. "beta") used for pre-release scopes
+ * @property {Boolean} [publish] - set to false to skip publishing versions bumped on the branch
+ * @property {Boolean} [push] - set to false to skip pushing the bump commit (and tag) from the branch
+ * @property {String[]} [scopes] - the only scopes allowed on the branch
+ * @property {Boolean} [tag] - set to false to skip creating a tag for bumps on the branch
+ */
+
 /**
  * The CI Env config
  * @typedef CiEnv
  *
+ * @property {String} branch - the environment variable that will hold the branch being built
  * @property {String} buildNumber - the environment variable that will hold the build number
- * @property {String} pr - the environment variable that will hold the PR number (if it's a PR build)
- * @property {String} repoSlug - the environment variable that will hold the repo slug (owner/repo)
+ * @property {String} pr - the environment variable that will hold the PR number or URL (if it's a PR build)
+ * @property {String} repoSlug - the environment variable that will hold the repo slug (owner/repo) or git URL
+ * @property {String} [targetBranch] - the environment variable that will hold the branch a PR is being merged into
+ *   (when the CI system doesn't put that in the branch variable for PR builds)
  */
 
 /**
@@ -26,7 +42,8 @@
  * @property {String} buildNumber - the number of the build (in a string) pulled from the env
  * @property {CiEnv} env - the environment variables used by the CI system
  * @property {GitUser} gitUser - the user to configure git with for making commits
- * @property {String} provider - the CI provider (one of "travis" or "teamcity" for now)
+ * @property {String} provider - the CI provider (one of "travis", "teamcity", "github-actions", "gitlab-ci",
+ *   "jenkins" or "circleci" for now)
  */
 
 /**
@@ -56,19 +73,148 @@
  * @property {VcsAuth} auth - the auth info pulled from the env given
  * @property {String} domain - the domain for version control system (defaults to github.com for GitHub)
  * @property {VcsEnv} env - the environment variables that can be used to interact with the VCS
- * @property {String} provider - the VCS provider ("github" or "bitbucket-server" right now)
+ * @property {String} provider - the VCS provider ("github", "github-enterprise", "gitlab",
+ *   "bitbucket-cloud" or "bitbucket-server")
+ */
+
+/**
+ * @typedef PublishEnv
+ * @property {String} token - the environment variable holding the npm auth token
+ */
+
+/**
+ * The configuration for publishing to npm at the end of a bump
+ * @typedef PublishConfig
+ *
+ * @property {String} [access] - the access level to publish with ("public" or "restricted")
+ * @property {Object.<String, String>} [distTags] - the dist-tag to use for each pre-release identifier
+ *   (i.e. "beta": "next"), when not given, the pre-release identifier itself is used
+ * @property {Boolean} enabled - true if bumped versions should be published
+ * @property {PublishEnv} env - the environment variables to read the publish settings from
+ * @property {String} registry - the URL of the npm registry to publish to
+ */
+
+/**
+ * The configuration for batched releases, where merge builds only record the merged PRs for the next release
+ * @typedef BatchedReleaseConfig
+ *
+ * @property {Boolean} enabled - true if merge builds should record the merged PR instead of bumping
+ * @property {String} pendingFile - the file the PRs pending release are recorded in
+ */
+
+/**
+ * How dates are formatted in changelogs and release notes
+ * @typedef ChangelogDateConfig
+ *
+ * @property {String} format - the format of the date, with YYYY, MM, DD, HH, mm and ss tokens (i.e. "YYYY-MM-DD")
+ * @property {String} timezone - the IANA timezone of the date (i.e. "UTC" or "Europe/Paris")
+ */
+
+/**
+ * A template for changelogs or release notes, either the template itself or the file it is in
+ * @typedef {String|Object} TemplateConfig
+ *
+ * @property {String} [file] - the path to the file with the template (i.e. ".github/release-notes.md")
+ */
+
+/**
+ * The configuration for checking code coverage
+ * @typedef CoverageConfig
+ *
+ * @property {String} [file] - the coverage report to read (defaults to where the format is usually written)
+ * @property {String} [format] - the format of the coverage report ("json-summary", "lcov", "cobertura", "clover" or
+ *   "jacoco"), detected from the contents of the report when not given
+ * @property {String[]} metrics - the coverage metrics to track ("statements", "branches", "functions" and/or "lines")
+ * @property {Number|Object.<String, Number>} minimum - the lowest percentage allowed, either for all metrics or for
+ *   each metric (i.e. "branches": 75)
+ * @property {PatchCoverageConfig} patch - the configuration for checking coverage of the lines changed by a PR
+ * @property {Number|Object.<String, Number>} tolerance - how many percentage points coverage may drop from the
+ *   baseline, either for all metrics or for each metric
+ */
+
+/**
+ * The covered and total count of each metric in a coverage report (keyed by metric, i.e. "branches")
+ * @typedef {Object.<String, {covered: Number, total: Number}>} CoverageCounts
+ */
+
+/**
+ * The hits of each line of each file in a coverage report (keyed by file, then by line number)
+ * @typedef {Object.<String, Object.<String, Number>>} CoverageLines
+ */
+
+/**
+ * The lines changed by a PR (keyed by file, relative to the root of the repository)
+ * @typedef {Object.<String, Number[]>} ChangedLines
+ */
+
+/**
+ * The coverage of the lines changed by a PR
+ * @typedef PatchCoverage
+ *
+ * @property {Number} covered - how many of the changed lines are covered
+ * @property {String[]} failures - why the check failed (empty if it passed)
+ * @property {Object[]} files - the coverage of the changed lines of each file ({covered, file, pct, total})
+ * @property {Number} pct - the percentage of the changed lines that are covered
+ * @property {Number} total - how many of the changed lines are executable
+ */
+
+/**
+ * The configuration for checking coverage of the lines changed by a PR
+ * @typedef PatchCoverageConfig
+ *
+ * @property {String} [base] - what to diff the PR against (defaults to "origin/" + the branch the PR is merging into)
+ * @property {Boolean} enabled - true if the coverage of the lines changed by a PR should be checked
+ * @property {String} [file] - the coverage report with line info to read (defaults to the main coverage report)
+ * @property {String} [format] - the format of that report ("lcov", "cobertura", "clover" or "jacoco")
+ * @property {Number} minimum - the lowest percentage of the changed lines that must be covered
+ * @property {String} [sourceDir] - the directory the relative paths in that report are relative to (defaults to the
+ *   root of the repository)
+ */
+
+/**
+ * The result of checking a coverage metric against its baseline
+ * @typedef CoverageResult
+ *
+ * @property {Number} [base] - the baseline percentage (undefined if the metric has no baseline yet)
+ * @property {Number} [delta] - the change from the baseline, in percentage points
+ * @property {String[]} failures - why the check failed (empty if it passed)
+ * @property {String} metric - the coverage metric (i.e. "branches")
+ * @property {Number} pct - the current percentage
  */
 
 /**
  * The configuration object that can be customized with .pr-bumper.json
  * @typedef Config
  *
+ * @property {Number|Object.<String, Number>} [baselineCoverage] - the baseline coverage from package.json, either the
+ *   statements percentage or the percentage of each tracked metric
+ * @property {BatchedReleaseConfig} batchedRelease - the configuration for batched releases
+ * @property {Object.<String, BranchConfig>} [branches] - settings for specific branches, keyed by branch name or
+ *   pattern (where `*` matches any characters)
+ * @property {ChangelogDateConfig} changelogDate - how the dates in changelogs and release notes are formatted
+ * @property {TemplateConfig} changelogEntry - the template of a changelog entry, with placeholders for the changelog
+ *   text, the release and the details of the merged PR (i.e. "{changelog}\n\n[#{number}]({url}) by @{author}")
+ * @property {TemplateConfig} changelogHeader - the template of the heading of a release in the changelog (for the
+ *   "plain" changelogFormat)
+ * @property {String} changelogFormat - the format of the changelog file ("plain" or "keep-a-changelog")
  * @property {CiConfig} ci - the CI build configuration
+ * @property {CoverageConfig} coverage - the configuration for checking code coverage
+ * @property {Boolean} [createRelease] - true if a release should be created in the VCS for each tag of a bump
+ * @property {Boolean} [dryRun] - true if a bump should only report what it would change (set by --dry-run)
  * @property {Boolean} isPr - true if pull request build
+ * @property {String[]} mergeCommitPatterns - the patterns of merge commit messages (capturing the PR number), to find
+ *   the merged PR when the VCS can't tell which PR a commit is from
  * @property {String} owner - the organization/user/project that owns the repository
  * @property {String} prNumber - the pull request number (as a string, i.e. "15")
+ * @property {Boolean} prStatuses - true if PR builds should post statuses to the head commit of the PR
+ * @property {PublishConfig} publish - the configuration for publishing to npm
+ * @property {TemplateConfig} releaseNotes - the template of the notes of the releases created by a bump
  * @property {String} repo - the name of the repository
+ * @property {Object.<String, String>} [scopeLabels] - the scope implied by each PR label (i.e. "semver:minor": "minor")
+ * @property {String} scopeSource - where the scope comes from when the PR description has none
+ *   ("description" or "commits")
  * @property {VcsConfig} vcs - the VCS configuration
+ * @property {String[]} [workspaces] - the directories of the packages in a monorepo (i.e. "packages/*")
  */
 
 // ==========================================================================================================
@@ -79,6 +225,22 @@
  * The representation of a commit within the GitHub API
  * @typedef GitHubCommit
  * @property {String} sha - the SHA hash for the commit
+ * @property {Object} [commit] - the git details of the commit (only included when listing commits)
+ * @property {String} commit.message - the commit message
+ */
+
+/**
+ * The representation of a comment within the GitHub API
+ * @typedef GitHubComment
+ * @property {Number} id - the id of the comment
+ * @property {String} body - the text of the comment
+ */
+
+/**
+ * The representation of a file changed by a PR within the GitHub API
+ * @typedef GitHubFile
+ * @property {String} filename - the path of the file
+ * @property {String} [previous_filename] - the path the file had before (only included when it was renamed)
  */
 
 /**
@@ -87,10 +249,38 @@
  *
  * @typedef GitHubPullRequest
  * @property {Number} number - the PR #
+ * @property {String} title - the title of the PR
  * @property {String} body - the description of the PR
+ * @property {Object} user - the author of the PR
+ * @property {String} user.login - the login of the author
  * @property {String} html_url - the URL for the web interface of the PR
  * @property {GitHubCommit} head - representation of the tip commit from the branch being merged
  * @property {GitHubCommit} base - representation of the tip commit from the branch being merged into
+ * @property {String} [merged_at] - when the PR was merged (null if it is not merged)
+ */
+
+/**
+ * The representation of a commit within the Bitbucket Server API
+ * @typedef BitbucketCommit
+ * @property {String} id - the SHA hash for the commit
+ * @property {String} message - the commit message
+ */
+
+/**
+ * The representation of a comment within the Bitbucket Server API
+ * @typedef BitbucketComment
+ * @property {Number} id - the id of the comment
+ * @property {String} text - the text of the comment
+ * @property {Number} version - the version of the comment (needed to edit or delete it)
+ */
+
+/**
+ * The representation of a change to a file by a PR within the Bitbucket Server API
+ * @typedef BitbucketChange
+ * @property {Object} path - the path of the file
+ * @property {String} path.toString - the path of the file, as a string
+ * @property {Object} [srcPath] - the path the file had before (only included when it was moved)
+ * @property {String} srcPath.toString - the path the file had before, as a string
  */
 
 /**
@@ -112,11 +302,119 @@
  *
  * @typedef BitbucketPullRequest
  * @property {Number} id - the PR #
+ * @property {String} title - the title of the PR
  * @property {String} description - the description of the PR
+ * @property {Object} author - the author of the pr
+ * @property {Object} author.user - the user that authored the pr
+ * @property {String} author.user.name - the user name (login) of the author
+ * @property {String} author.user.displayName - the display name of the author
+ * @property {Number} [closedDate] - when the pr was merged or declined (in milliseconds since the epoch)
  * @property {BitbucketRef} fromRef - the ref of the source of the pr
  * @property {BitbucketRef} toRef - the ref of the destination of the pr
  * @property {Object} links - http links
  * @property {BitbucketLink[]} links.self - the array of links to this pr
+ * @property {String} [state] - the state of the pr ("OPEN", "DECLINED" or "MERGED")
+ */
+
+/**
+ * The representation of a commit within the Bitbucket Cloud API
+ * @typedef BitbucketCloudCommit
+ * @property {String} hash - the SHA hash for the commit
+ * @property {String} [message] - the commit message (only included when listing commits)
+ */
+
+/**
+ * The representation of a comment within the Bitbucket Cloud API
+ * @typedef BitbucketCloudComment
+ * @property {Number} id - the id of the comment
+ * @property {Object} content - the content of the comment
+ * @property {String} content.raw - the text of the comment
+ * @property {Boolean} [deleted] - true if the comment has been deleted
+ */
+
+/**
+ * The representation of a change to a file by a PR within the Bitbucket Cloud API
+ * @typedef BitbucketCloudDiffstat
+ * @property {Object} [old] - the file before the change (null if it was added)
+ * @property {String} old.path - the path the file had before
+ * @property {Object} [new] - the file after the change (null if it was removed)
+ * @property {String} new.path - the path of the file
+ */
+
+/**
+ * The shape of the PR pulled from Bitbucket Cloud's `/repositories/:owner/:repo/pullrequests` API
+ * {@link https://developer.atlassian.com/bitbucket/api/2/reference/resource/repositories/%7Busername%7D/%7Brepo_slug%7D/pullrequests}
+ *
+ * @typedef BitbucketCloudPullRequest
+ * @property {Number} id - the PR #
+ * @property {String} title - the title of the PR
+ * @property {String} description - the description of the PR
+ * @property {Object} author - the author of the pr
+ * @property {String} author.nickname - the nickname (login) of the author
+ * @property {String} author.display_name - the display name of the author
+ * @property {String} updated_on - when the pr was last updated (merged, for a merged pr)
+ * @property {Object} source - the source of the pr
+ * @property {BitbucketCloudCommit} source.commit - the tip commit of the branch being merged
+ * @property {Object} links - http links
+ * @property {BitbucketLink} links.html - the link to the web interface of the pr
+ * @property {String} [state] - the state of the pr ("OPEN", "DECLINED", "MERGED" or "SUPERSEDED")
+ */
+
+/**
+ * The shape of the MR pulled from GitLab's `/projects/:id/merge_requests` API
+ * {@link https://docs.gitlab.com/ee/api/merge_requests.html}
+ *
+ * @typedef GitLabMergeRequest
+ * @property {Number} iid - the MR # (within the project)
+ * @property {String} title - the title of the MR
+ * @property {String} description - the description of the MR
+ * @property {Object} author - the author of the MR
+ * @property {String} author.username - the username (login) of the author
+ * @property {String} author.name - the name of the author
+ * @property {String} [merged_at] - when the MR was merged (null if it is not merged)
+ * @property {String} web_url - the URL for the web interface of the MR
+ * @property {String} sha - the SHA hash for the tip commit of the branch being merged
+ * @property {String[]} labels - the names of the labels on the MR
+ * @property {String} [state] - the state of the MR ("opened", "closed", "locked" or "merged")
+ */
+
+/**
+ * The representation of a commit within the GitLab API
+ * @typedef GitLabCommit
+ * @property {String} id - the SHA hash for the commit
+ * @property {String} message - the commit message
+ */
+
+/**
+ * The representation of a diff of a file within the GitLab API
+ * @typedef GitLabDiff
+ * @property {String} old_path - the path the file had before
+ * @property {String} new_path - the path of the file
+ * @property {Boolean} renamed_file - true if the file was renamed
+ */
+
+/**
+ * The representation of a note (comment) within the GitLab API
+ * @typedef GitLabNote
+ * @property {Number} id - the id of the note
+ * @property {String} body - the text of the note
+ */
+
+/**
+ * Generic commit representation
+ *
+ * @typedef Commit
+ * @property {String} message - the full commit message
+ * @property {String} sha - the SHA hash for the commit
+ */
+
+/**
+ * Generic pull request comment representation
+ *
+ * @typedef Comment
+ * @property {String} body - the text of the comment
+ * @property {Number} id - the id of the comment
+ * @property {Number} [version] - the version of the comment (only needed to edit comments on Bitbucket Server)
  */
 
 /**
@@ -124,18 +422,81 @@
  *
  * @typedef PullRequest
  * @property {Number} number - the PR #
+ * @property {PullRequestAuthor} author - the author of the PR
  * @property {String} description - the description of the PR
+ * @property {String} [mergedAt] - when the PR was merged, as an ISO 8601 string (undefined if it is not merged)
+ * @property {String} title - the title of the PR
  * @property {String} url - the URL for the web interface of the PR
  * @property {String} headCommitSha - SHA for the head commit of the incoming branch for the PR
  */
 
+/**
+ * The author of a pull request
+ *
+ * @typedef PullRequestAuthor
+ * @property {String} login - the login (user name) of the author
+ * @property {String} name - the display name of the author (the login, if the VCS doesn't provide one)
+ */
+
+/**
+ * The places, besides its description, that the scope of a PR can come from
+ *
+ * @typedef ScopeSources
+ * @property {Commit[]} [commits] - the commits of the PR (when the scope can come from Conventional Commits)
+ * @property {String[]} [labels] - the names of the labels on the PR
+ * @property {Object.<String, String>} [scopeLabels] - the scope implied by each label name
+ */
+
 /**
  * Generic Pull Request info (used for updating package.json and CHANGELOG.md files)
  *
  * @typedef PrInfo
- * @property {String} scope - the scope of the PR
+ * @property {String} scope - the scope of the PR (none, patch, minor, major, prerelease, prepatch, preminor, premajor)
  * @property {String} version - the new version after bumping based on scope
+ * @property {String} [previousVersion] - the version before bumping
  * @property {String} changelog - the changelog text
+ * @property {String[]} modifiedFiles - the files modified by the bump
+ * @property {PullRequest} [pr] - the merged PR (only during a bump)
+ * @property {PendingPr[]} [pendingPrs] - the PRs being released (only in a batched release)
+ * @property {Boolean} [recorded] - true if the merged PR was recorded for the next (batched) release
+ * @property {WorkspacePackage[]} [packages] - the packages of the workspace (when `workspaces` is configured)
+ */
+
+/**
+ * A merged PR recorded for the next (batched) release
+ *
+ * @typedef PendingPr
+ * @property {String} changelog - the changelog text of the PR
+ * @property {Object.<String, String>} [packages] - the scope of each package the PR bumps, by package directory (when
+ *   `workspaces` is configured)
+ * @property {PullRequest} pr - the PR (just its author, mergedAt, number, title and url)
+ * @property {String} scope - the scope of the PR
+ */
+
+/**
+ * A package within a workspace (monorepo)
+ *
+ * @typedef WorkspacePackage
+ * @property {Boolean} changed - true if the PR changed files within the package
+ * @property {String} dir - the directory of the package (i.e. "packages/pkg-a")
+ * @property {String} name - the name of the package (from its package.json)
+ * @property {String} pkgJsonFile - the path to the package.json of the package
+ * @property {String} [previousVersion] - the version of the package before bumping
+ * @property {String} [scope] - the scope of the bump for the package
+ * @property {String} [version] - the new version of the package after bumping based on scope
+ */
+
+/**
+ * Something being released by a bump, either the root package or one package within a workspace
+ *
+ * @typedef Release
+ * @property {String} changelogFile - the changelog file to prepend the changelog text to
+ * @property {Date} [date] - when the release was tagged (only when rebuilding the changelog from the git history)
+ * @property {String} dir - the directory of the package being released (i.e. "." or "packages/pkg-a")
+ * @property {String} [previousTag] - the tag of the previous version (i.e. "v1.3.2" or "pkg-a@1.3.2")
+ * @property {String} [previousVersion] - the version before the bump
+ * @property {String} tag - the name of the git tag to create (i.e. "v1.4.0" or "pkg-a@1.4.0")
+ * @property {String} version - the new version
  */
 
 /**
@@ -159,6 +520,46 @@
  * @return Promise - a promise resolved with the result of the git command
  */
 
+/**
+ * Create a release for an already pushed tag (resolved without doing anything if the VCS has no releases)
+ *
+ * @function
+ * @name Vcs#createRelease
+ * @param {String} tag - the name of the tag
+ * @param {String} body - the release notes
+ * @param {Boolean} prerelease - true if the release is for a pre-release version
+ * @return Promise - a promise resolved when the release is created
+ */
+
+/**
+ * Delete a comment from a pull request
+ *
+ * @function
+ * @name Vcs#deleteComment
+ * @param {String} prNumber - the number of the pull request
+ * @param {Comment} comment - the comment to delete
+ * @return Promise - a promise resolved when the comment is deleted
+ */
+
+/**
+ * Get the URL of the web page comparing two refs (i.e. the tags of two releases)
+ *
+ * @function
+ * @name Vcs#getCompareUrl
+ * @param {String} from - the older ref
+ * @param {String} to - the newer ref
+ * @return String - the URL of the comparison
+ */
+
+/**
+ * Get the pull request that was merged by a commit (the merge, squash or rebase commit on the base branch)
+ *
+ * @function
+ * @name Vcs#getMergedPr
+ * @param {String} sha - the SHA of the commit
+ * @return PrPromise - a promise resolved with the merged pull request (undefined if there is none)
+ */
+
 /**
  * Push local changes to the remote server
  *
@@ -168,6 +569,75 @@
  * @return PrPromise - a promise resolved with a pull request object
  */
 
+/**
+ * Get the comments on a pull request
+ *
+ * @function
+ * @name Vcs#getPrComments
+ * @param {String} prNumber - the number of the pull request
+ * @return Promise - a promise resolved with the list of {@link Comment}s on the pull request
+ */
+
+/**
+ * Get the commits of a pull request
+ *
+ * @function
+ * @name Vcs#getPrCommits
+ * @param {String} prNumber - the number of the pull request
+ * @return Promise - a promise resolved with the list of {@link Commit}s in the pull request
+ */
+
+/**
+ * Get the files changed by a pull request (by all of its commits, however it is merged)
+ *
+ * @function
+ * @name Vcs#getPrFiles
+ * @param {String} prNumber - the number of the pull request
+ * @return Promise - a promise resolved with the paths of the files changed by the pull request (both paths of a
+ *   renamed file)
+ */
+
+/**
+ * Get the names of the labels on a pull request (resolved with an empty list if the VCS has no labels)
+ *
+ * @function
+ * @name Vcs#getPrLabels
+ * @param {String} prNumber - the number of the pull request
+ * @return Promise - a promise resolved with the label names
+ */
+
+/**
+ * Get the name of the remote that addRemoteForPush sets up, without setting it up (i.e. for a dry run)
+ *
+ * @function
+ * @name Vcs#getPushRemoteName
+ * @returns {String} the name of the remote
+ */
+
+/**
+ * Post a status to a commit (i.e. the head commit of a pull request)
+ *
+ * @function
+ * @name Vcs#postStatus
+ * @param {String} sha - the SHA of the commit
+ * @param {String} state - the state of the status ("pending", "success", "failure" or "error")
+ * @param {String} context - the name of the status (i.e. "pr-bumper/scope")
+ * @param {String} description - a short description of the status
+ * @param {String} targetUrl - the URL with more details about the status
+ * @return Promise - a promise resolved when the status is posted
+ */
+
+/**
+ * Replace the text of a comment on a pull request
+ *
+ * @function
+ * @name Vcs#updateComment
+ * @param {String} prNumber - the number of the pull request
+ * @param {Comment} comment - the comment to update
+ * @param {String} body - the new text of the comment
+ * @return Promise - a promise resolved when the comment is updated
+ */
+
 // ==========================================================================================================
 // Continuous Integration
 // ==========================================================================================================
@@ -197,6 +667,39 @@
  * @returns {Promise} - a promise resolved with result of git commands
  */
 
+/**
+ * Describe the git command that pushes local changes to the remote server, without running it (i.e. for a dry run)
+ *
+ * @function
+ * @name Ci#describePush
+ * @returns {String} - the git command
+ */
+
+/**
+ * Fetch the branch being built from the remote that gets pushed to
+ *
+ * @function
+ * @name Ci#fetch
+ * @returns {Promise} - a promise resolved with the SHA of the head of the remote branch
+ */
+
+/**
+ * Get the name of the remote that gets pushed to
+ *
+ * @function
+ * @name Ci#getPushRemote
+ * @returns {Promise} - a promise resolved with the name of the remote
+ */
+
+/**
+ * Check if a tag already exists on the remote that gets pushed to
+ *
+ * @function
+ * @name Ci#hasRemoteTag
+ * @param {String} name - the name of the tag
+ * @returns {Promise} - a promise resolved with true if the tag exists on the remote
+ */
+
 /**
  * Push local changes to the remote server
  *
@@ -4,6 +4,7 @@
 
 require('./typedefs')
 
+const fs = require('fs')
 const path = require('path')
 const __ = require('lodash')
 
@@ -70,30 +71,118 @@ function getEnv (key, defaultValue) {
   return (value === undefined) ? defaultValue : value
 }
 
+/**
+ * Read and parse the given JSON file
+ * @param {String} filename - the path to the JSON file
+ * @returns {Object} the parsed contents of the file (or an empty object if it could not be read)
+ */
+function readJsonFile (filename) {
+  try {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    logger.log(`Unable to read JSON from [${filename}]: ${e.message}`)
+    return {}
+  }
+}
+
+/**
+ * Normalize the value of the PR environment variable into a PR number (or 'false' if not a PR build)
+ * @param {String} value - the value of the PR environment variable
+ * @returns {String} the PR number (i.e. "13") or "false"
+ */
+function getPrNumber (value) {
+  // Some CI systems leave the variable empty for non-PR builds (i.e. GitLab CI), and some
+  // give the URL of the PR rather than its number (i.e. CircleCI)
+  if (value === '') {
+    return 'false'
+  }
+
+  const match = value.match(/^https?:\/\/.*\/(\d+)\/?$/)
+  return match ? match[1] : value
+}
+
+/**
+ * Normalize the value of the repo slug environment variable into an owner/repo slug
+ * @param {String} value - the value of the repo slug environment variable (a slug or a git URL)
+ * @returns {String} the repo slug (i.e. "owner/repo")
+ */
+function getRepoSlug (value) {
+  if (!value) {
+    return value
+  }
+
+  // Some CI systems only give the git URL of the repository (i.e. https://github.com/owner/repo.git
+  // or git@github.com:owner/repo.git), so strip everything but the owner/repo
+  return value
+    .replace(/\.git$/, '')
+    .replace(/^[a-z+]+:\/\/[^/]+\//, '')
+    .replace(/^[^@/]+@[^:/]+:/, '')
+}
+
+/**
+ * Fill in the computed CI properties of the config from plain environment variables
+ * @param {Config} config - the config object to process (will be mutated in-place)
+ */
+function processPlainCiEnv (config) {
+  config.ci.buildNumber = getEnv(config.ci.env.buildNumber)
+  config.prNumber = getPrNumber(getEnv(config.ci.env.pr, 'false'))
+  config.isPr = config.prNumber !== 'false'
+
+  const branch = getEnv(config.ci.env.branch, 'master')
+  config.branch = config.isPr ? getEnv(config.ci.env.targetBranch, branch) : branch
+}
+
+/**
+ * Fill in the computed CI properties of the config within GitHub Actions, where the PR info lives in the
+ * event payload (the file pointed to by ci.env.pr) rather than in a plain environment variable
+ * @param {Config} config - the config object to process (will be mutated in-place)
+ */
+function processGitHubActionsEnv (config) {
+  config.ci.buildNumber = getEnv(config.ci.env.buildNumber)
+
+  const eventPath = getEnv(config.ci.env.pr)
+  const pr = eventPath ? readJsonFile(eventPath)['pull_request'] : undefined
+
+  if (pr) {
+    // For PR builds, the ref is something like refs/pull/13/merge so the branch being merged into is what we want
+    config.prNumber = `${pr.number}`
+    config.branch = pr.base.ref
+  } else {
+    config.prNumber = 'false'
+    config.branch = getEnv(config.ci.env.branch, 'master').replace(/^refs\/heads\//, '')
+  }
+
+  config.isPr = config.prNumber !== 'false'
+}
+
+// CI providers that need more than plain environment variables to describe the build
+const ciEnvProcessors = {
+  'github-actions': processGitHubActionsEnv
+}
+
 /**
  * Process the environment variable sections in the config and fill in the computed properties within it
  * @param {Config} config - the config object to process (will be mutated in-place)
  */
 function processEnv (config) {
   // Grab the CI stuff from env
-  config.ci.buildNumber = getEnv(config.ci.env.buildNumber)
-  config.prNumber = getEnv(config.ci.env.pr, 'false')
-  config.isPr = config.prNumber !== 'false'
-  config.branch = getEnv(config.ci.env.branch, 'master')
+  const processCiEnv = ciEnvProcessors[config.ci.provider] || processPlainCiEnv
+  processCiEnv(config)
 
   logger.log(`pr-bumper::config: prNumber [${config.prNumber}], isPr [${config.isPr}]`)
 
   // Fill in the owner/repo from the repo slug in env if necessary
-  const repoSlug = getEnv(config.ci.env.repoSlug)
+  const repoSlug = getRepoSlug(getEnv(config.ci.env.repoSlug))
 
   if (repoSlug) {
+    // The owner can include subgroups (i.e. GitLab), so the repo is only the last part
     const parts = repoSlug.split('/')
     if (!config.owner) {
-      config.owner = parts[0]
+      config.owner = parts.slice(0, -1).join('/')
     }
 
     if (!config.repo) {
-      config.repo = parts[1]
+      config.repo = parts[parts.length - 1]
     }
   }
 
@@ -106,6 +195,378 @@ function processEnv (config) {
   }
 }
 
+// Defaults that depend on the configured ci/vcs provider, they take precedence over the generic defaults
+const providerDefaults = {
+  ci: {
+    // CircleCI has no variable for the branch a PR is merging into, so there's no targetBranch default
+    circleci: {
+      env: {
+        branch: 'CIRCLE_BRANCH',
+        buildNumber: 'CIRCLE_BUILD_NUM',
+        pr: 'CIRCLE_PULL_REQUEST',
+        repoSlug: 'CIRCLE_REPOSITORY_URL'
+      },
+      gitUser: {
+        email: 'circleci@noreply.invalid',
+        name: 'CircleCI'
+      }
+    },
+    'github-actions': {
+      env: {
+        branch: 'GITHUB_REF',
+        buildNumber: 'GITHUB_RUN_NUMBER',
+        pr: 'GITHUB_EVENT_PATH',
+        repoSlug: 'GITHUB_REPOSITORY'
+      },
+      gitUser: {
+        email: 'github-actions[bot]@users.noreply.github.com',
+        name: 'github-actions[bot]'
+      }
+    },
+    'gitlab-ci': {
+      env: {
+        branch: 'CI_COMMIT_REF_NAME',
+        buildNumber: 'CI_PIPELINE_IID',
+        pr: 'CI_MERGE_REQUEST_IID',
+        repoSlug: 'CI_PROJECT_PATH',
+        targetBranch: 'CI_MERGE_REQUEST_TARGET_BRANCH_NAME'
+      },
+      gitUser: {
+        email: 'gitlab-ci@noreply.invalid',
+        name: 'GitLab CI'
+      }
+    },
+    jenkins: {
+      env: {
+        branch: 'BRANCH_NAME',
+        buildNumber: 'BUILD_NUMBER',
+        pr: 'CHANGE_ID',
+        repoSlug: 'GIT_URL',
+        targetBranch: 'CHANGE_TARGET'
+      },
+      gitUser: {
+        email: 'jenkins@noreply.invalid',
+        name: 'Jenkins'
+      }
+    },
+    teamcity: {
+      env: {
+        branch: 'TEAMCITY_BRANCH',
+        buildNumber: 'BUILD_NUMBER',
+        pr: 'TEAMCITY_PULL_REQUEST'
+      }
+    }
+  },
+  vcs: {
+    // GitLab lives on gitlab.com unless a self-hosted domain is given, so don't let the github.com defaults leak in
+    gitlab: {
+      domain: 'gitlab.com',
+      env: {
+        readToken: 'GITLAB_READ_TOKEN',
+        writeToken: 'GITLAB_TOKEN'
+      }
+    }
+  }
+}
+
+// Environment variables that are only set within a given CI system (checked in order)
+const ciMarkers = [
+  {envVar: 'GITHUB_ACTIONS', provider: 'github-actions'},
+  {envVar: 'GITLAB_CI', provider: 'gitlab-ci'},
+  {envVar: 'CIRCLECI', provider: 'circleci'},
+  {envVar: 'JENKINS_URL', provider: 'jenkins'},
+  {envVar: 'TEAMCITY_VERSION', provider: 'teamcity'},
+  {envVar: 'TRAVIS', provider: 'travis'}
+]
+
+/**
+ * Fill in the ci provider based on markers in the environment, if it is not already configured
+ * @param {Config} config - the config object to process (will be mutated in-place)
+ */
+function detectCiProvider (config) {
+  const provider = __.get(config, 'ci.provider')
+  if (provider) {
+    logger.log(`Using configured CI provider [${provider}]`)
+    return
+  }
+
+  const marker = __.find(ciMarkers, (m) => getEnv(m.envVar))
+  if (marker) {
+    logger.log(`Detected CI provider [${marker.provider}] because [${marker.envVar}] is set`)
+    __.set(config, 'ci.provider', marker.provider)
+  } else {
+    logger.log('No CI provider configured or detected in the environment, defaulting to [travis]')
+  }
+}
+
+/**
+ * Fill in any values missing from the config with those from the given defaults
+ * @param {Config} config - the config object to process (will be mutated in-place)
+ * @param {Object} defaults - the complex, nested object of default values
+ */
+function applyDefaults (config, defaults) {
+  const leaves = {}
+  walkObject('', defaults, leaves)
+  Object.keys(leaves).forEach((key) => {
+    const value = leaves[key]
+    if (__.get(config, key) === undefined) {
+      __.set(config, key, value)
+    }
+  })
+}
+
+/**
+ * Fill in any defaults that depend on the configured ci/vcs providers (must happen before generic defaults are applied)
+ * @param {Config} config - the config object to process (will be mutated in-place)
+ */
+function applyProviderDefaults (config) {
+  // Each section of providerDefaults ("ci" and "vcs") has the defaults for each provider of that section
+  Object.keys(providerDefaults).forEach((section) => {
+    const provider = __.get(config, `${section}.provider`)
+    const defaults = __.get(providerDefaults, [section, provider])
+    if (defaults) {
+      applyDefaults(config, {[section]: defaults})
+    }
+  })
+}
+
+// The pre-release scopes, which need a pre-release identifier configured for the branch
+const prereleaseScopes = ['prerelease', 'prepatch', 'preminor', 'premajor']
+
+// How big a change each scope is (for the maxScope branch policy), pre-release scopes rank with their final release
+const scopeRanks = {
+  none: 0,
+  patch: 1,
+  prerelease: 1,
+  prepatch: 1,
+  minor: 2,
+  preminor: 2,
+  major: 3,
+  premajor: 3
+}
+
+// The rules of a branch policy, each one returns why a scope breaks the policy (or '' if it doesn't)
+const branchPolicyRules = [
+  (policy, scope) => {
+    const allowed = policy.scopes
+    return (allowed && allowed.indexOf(scope) === -1) ? `is not one of the allowed scopes (${allowed.join(', ')})` : ''
+  },
+  (policy, scope) => {
+    const max = policy.maxScope
+    return (max && scopeRanks[scope] > scopeRanks[max]) ? `is bigger than the maximum scope [${max}]` : ''
+  },
+  (policy, scope) => {
+    const needsId = utils.isPrereleaseScope(scope) && !policy.prerelease
+    return needsId ? 'needs a pre-release identifier, but none is configured' : ''
+  }
+]
+
+/**
+ * Find the one scope checked in a GFM checklist within the PR description
+ * @param {PullRequest} pr - the PR object
+ * @returns {String} the checked scope
+ * @throws Error if there is not exactly one scope checked
+ */
+function getCheckedScope (pr) {
+  const gfmCheckbockRegex = /-\s\[x\].*?#(\w+)#/gi
+
+  let selectedScopes = []
+  let checkboxMatches
+  while ((checkboxMatches = gfmCheckbockRegex.exec(pr.description)) !== null) {
+    selectedScopes.push(checkboxMatches[1])
+  }
+
+  if (selectedScopes.length !== 1) {
+    throw new Error(`Too many version-bump scopes found for [PR #${pr.number}](${pr.url})`)
+  }
+
+  return selectedScopes[0]
+}
+
+/**
+ * Get the scope from the `#scope#` directive in the PR description
+ * @param {PullRequest} pr - the PR object
+ * @returns {String} the validated scope (undefined if the description has no directive)
+ * @throws Error if there is not a single, valid scope in the PR description
+ */
+function getScopeForDescription (pr) {
+  const matches = pr.description.match(/#[A-Za-z]+#/g)
+  if (!matches) {
+    return undefined
+  }
+
+  const scope = (matches.length > 1) ? getCheckedScope(pr) : matches[0].replace(/#/g, '')
+  return utils.getValidatedScope(scope.toLowerCase(), pr.number, pr.url)
+}
+
+/**
+ * Get the scope of a PR from its labels (which take precedence) and its description
+ * @param {PullRequest} pr - the PR object
+ * @param {ScopeSources} sources - the labels of the PR (and the label -> scope mapping)
+ * @returns {String} the scope (undefined if neither the labels or the description have one)
+ * @throws Error if the labels and the description disagree
+ */
+function getScopeForLabelsAndDescription (pr, sources) {
+  const labelScope = utils.getScopeForLabels(sources.labels, sources.scopeLabels, pr)
+  const descriptionScope = getScopeForDescription(pr)
+
+  if (labelScope && descriptionScope && labelScope !== descriptionScope) {
+    throw new Error(
+      `Version-bump scope [${labelScope}] from labels conflicts with scope [${descriptionScope}] from description ` +
+      `of [PR #${pr.number}](${pr.url})`
+    )
+  }
+
+  return labelScope || descriptionScope
+}
+
+/**
+ * Get the scopes from the `#scope:package#` directives in the PR description (for a workspace with many packages)
+ * @param {PullRequest} pr - the PR object
+ * @param {String[]} packageNames - the names of the packages in the workspace
+ * @returns {Object.<String, String>} the validated scope of each package named in a directive (by package name)
+ * @throws Error if a directive names an unknown package, or a package is given more than one scope
+ */
+function getScopesForPackageDirectives (pr, packageNames) {
+  const prLink = `[PR #${pr.number}](${pr.url})`
+  const directiveRegex = /#([A-Za-z]+):([^#\s]+)#/g
+  const scopes = {}
+
+  let match
+  while ((match = directiveRegex.exec(pr.description)) !== null) {
+    const name = match[2]
+    if (packageNames.indexOf(name) === -1) {
+      throw new Error(`Unknown package [${name}] in version-bump scope for ${prLink}`)
+    }
+
+    const scope = utils.getValidatedScope(match[1].toLowerCase(), pr.number, pr.url)
+    if (__.has(scopes, [name]) && scopes[name] !== scope) {
+      throw new Error(`Too many version-bump scopes found for package [${name}] in ${prLink}`)
+    }
+
+    scopes[name] = scope
+  }
+
+  return scopes
+}
+
+// The types of Conventional Commits that imply a release, any other type implies a scope of 'none'
+const commitTypeScopes = {
+  feat: 'minor',
+  fix: 'patch'
+}
+
+/**
+ * Get the scope implied by a Conventional Commit message (https://www.conventionalcommits.org)
+ * @param {String} message - the full commit message
+ * @returns {String} the implied scope ('major', 'minor', 'patch' or 'none'), or undefined if the message doesn't
+ *   follow the convention
+ */
+function getScopeForCommitMessage (message) {
+  const header = /^(\w+)(\([^)]*\))?(!)?: \S/.exec(message)
+  if (!header) {
+    return undefined
+  }
+
+  if (header[3] || /^BREAKING[ -]CHANGE: /m.test(message)) {
+    return 'major'
+  }
+
+  return commitTypeScopes[header[1].toLowerCase()] || 'none'
+}
+
+/**
+ * Check if a branch name matches a key from the `branches` config, where `*` matches any characters
+ * @param {String} pattern - the key from the `branches` config (i.e. "release/*")
+ * @param {String} branch - the branch name
+ * @returns {Boolean} true if the branch matches the pattern
+ */
+function branchMatches (pattern, branch) {
+  const regex = pattern.split('*').map((part) => __.escapeRegExp(part)).join('.*')
+  return new RegExp(`^${regex}$`).test(branch)
+}
+
+/**
+ * Get the hidden marker that identifies the pr-bumper comment for the given category. A markdown link reference
+ * definition is used (rather than an HTML comment) since it is hidden by the markdown of every supported VCS.
+ * @param {String} category - the category of the comment (i.e. "coverage")
+ * @returns {String} the marker
+ */
+function getCommentMarker (category) {
+  return `[//]: # (pr-bumper:${category})`
+}
+
+/**
+ * Find the pr-bumper comment for the given category on the given PR
+ * @param {Vcs} vcs - the vcs instance for a bumper instance
+ * @param {String} prNumber - the PR number
+ * @param {String} category - the category of the comment
+ * @returns {Promise} a promise resolved with the {@link Comment} (undefined if there is none)
+ */
+function findComment (vcs, prNumber, category) {
+  const marker = getCommentMarker(category)
+  return vcs.getPrComments(prNumber)
+    .then((comments) => {
+      return __.find(comments, (comment) => comment.body.indexOf(marker) !== -1)
+    })
+}
+
+/**
+ * Post a comment to the given PR, replacing the existing pr-bumper comment for the same category (if any)
+ * @param {Vcs} vcs - the vcs instance for a bumper instance
+ * @param {String} prNumber - the PR number
+ * @param {String} [category] - the category of the comment (a new comment is always posted when not given)
+ * @param {String} comment - the comment to post
+ * @returns {Promise} a promise resolved when the comment is posted
+ */
+function upsertComment (vcs, prNumber, category, comment) {
+  if (!category) {
+    return vcs.postComment(prNumber, comment)
+  }
+
+  const body = `${comment}\n\n${getCommentMarker(category)}`
+  return findComment(vcs, prNumber, category)
+    .then((existing) => {
+      if (existing) {
+        return vcs.updateComment(prNumber, existing, body)
+      }
+
+      return vcs.postComment(prNumber, body)
+    })
+}
+
+/**
+ * Check if comments should be posted to the PR being built
+ * @param {Object} config - the config for a bumper instance
+ * @returns {Boolean} true if this is a PR build and prComments is enabled
+ */
+function shouldComment (config) {
+  return Boolean(config.isPr && config.prComments)
+}
+
+/**
+ * Delete the pr-bumper comment for the given category, once the problem it reported is fixed
+ * @param {Object} config - the config for a bumper instance
+ * @param {Vcs} vcs - the vcs instance for a bumper instance
+ * @param {String} [category] - the category of the comment (nothing is deleted when not given)
+ * @returns {Promise} a promise resolved when the comment is deleted (or there was no comment to delete)
+ */
+function resolveComment (config, vcs, category) {
+  if (!category || !shouldComment(config)) {
+    return Promise.resolve()
+  }
+
+  return findComment(vcs, config.prNumber, category)
+    .then((existing) => {
+      if (existing) {
+        return vcs.deleteComment(config.prNumber, existing)
+      }
+    })
+    .catch((err) => {
+      throw new Error(`Received error: ${err.message} while trying to delete resolved [${category}] PR comment`)
+    })
+}
+
 const utils = {
   /**
    * Read in the config from a file and apply defaults
@@ -122,7 +583,6 @@ const utils = {
       logger.log('No .pr-bumper.json found, using defaults')
     }
 
-    const leaves = {}
     const defaults = {
       ci: {
         env: {
@@ -139,6 +599,10 @@ const utils = {
       },
       isPr: false,
       owner: '',
+      batchedRelease: {
+        enabled: false,
+        pendingFile: 'pending-release.json'
+      },
       repo: '',
       dependencies: {
         production: false,
@@ -150,8 +614,31 @@ const utils = {
         },
         additionalRepos: []
       },
+      changelogDate: {
+        format: 'YYYY-MM-DD',
+        timezone: 'UTC'
+      },
+      changelogEntry: '{changelog}',
       changelogFile: 'CHANGELOG.md',
+      changelogFormat: 'plain',
+      changelogHeader: '# {version} ({date})',
+      coverage: {
+        metrics: ['statements'],
+        minimum: 0,
+        patch: {
+          enabled: false,
+          minimum: 0
+        },
+        tolerance: 0
+      },
+      createRelease: false,
       dependencySnapshotFile: 'dependency-snapshot.json',
+      mergeCommitPatterns: [
+        '^Merge pull request #(\\d+)',
+        '^Merged in .*\\(pull request #(\\d+)\\)',
+        '^See merge request \\S*!(\\d+)',
+        '\\(#(\\d+)\\)$'
+      ],
       vcs: {
         domain: 'github.com',
         env: {
@@ -161,16 +648,23 @@ const utils = {
         provider: 'github'
       },
       prComments: false,
-      prependChangelog: true
+      prStatuses: false,
+      prependChangelog: true,
+      publish: {
+        access: undefined,
+        enabled: false,
+        env: {
+          token: 'NPM_TOKEN'
+        },
+        registry: 'https://registry.npmjs.org/'
+      },
+      releaseNotes: '{changelog}',
+      scopeSource: 'description'
     }
 
-    walkObject('', defaults, leaves)
-    Object.keys(leaves).forEach((key) => {
-      const value = leaves[key]
-      if (__.get(config, key) === undefined) {
-        __.set(config, key, value)
-      }
-    })
+    detectCiProvider(config)
+    applyProviderDefaults(config)
+    applyDefaults(config, defaults)
 
     processEnv(config)
 
@@ -188,7 +682,56 @@ const utils = {
   },
 
   /**
-   * Make sure scope is one of 'patch', 'minor', 'major', 'none' (or their aliases)
+   * Get the settings for the branch being built (or targeted by the PR) from the `branches` section of the config.
+   * An exact match of the branch name wins, otherwise the first matching pattern is used.
+   * @param {Config} config - the config object
+   * @returns {BranchConfig} the settings for the current branch (empty if there are none)
+   */
+  getBranchConfig (config) {
+    const branches = config.branches || {}
+    const branch = config.branch
+    if (__.has(branches, [branch])) {
+      return branches[branch]
+    }
+
+    const pattern = __.find(Object.keys(branches), (key) => branchMatches(key, branch))
+    return pattern ? branches[pattern] : {}
+  },
+
+  /**
+   * Check if the given scope is a pre-release scope ('prerelease', 'prepatch', 'preminor' or 'premajor')
+   * @param {String} scope - the scope to check
+   * @returns {Boolean} true if it is a pre-release scope
+   */
+  isPrereleaseScope (scope) {
+    return prereleaseScopes.indexOf(scope) !== -1
+  },
+
+  /**
+   * Make sure the (already validated) scope is allowed by the policy for the current branch
+   * @param {Config} config - the config object
+   * @param {String} scope - the scope to check
+   * @param {String} prNumber - the # of the PR
+   * @param {String} prUrl - the url of the PR
+   * @returns {String} the scope
+   * @throws Error if the scope breaks the branch policy
+   */
+  validateScopeForBranch (config, scope, prNumber, prUrl) {
+    const policy = utils.getBranchConfig(config)
+    const reason = __.find(branchPolicyRules.map((rule) => rule(policy, scope)))
+
+    if (reason) {
+      throw new Error(
+        `Version-bump scope [${scope}] ${reason} on branch [${config.branch}] for PR #${prNumber} (${prUrl})`
+      )
+    }
+
+    return scope
+  },
+
+  /**
+   * Make sure scope is one of 'patch', 'minor', 'major', 'none', one of the pre-release scopes
+   * ('prerelease', 'prepatch', 'preminor', 'premajor') or one of their aliases
    *
    * @param {String} scope - the scope to check
    * @param {String} prNumber - the # of the PR
@@ -204,7 +747,11 @@ const utils = {
       minor: 'minor',
       breaking: 'major',
       major: 'major',
-      none: 'none'
+      none: 'none',
+      prerelease: 'prerelease',
+      prepatch: 'prepatch',
+      preminor: 'preminor',
+      premajor: 'premajor'
     }
 
     const validatedScope = scopeLookup[scope]
@@ -217,43 +764,110 @@ const utils = {
   },
 
   /**
-   * Extract the scope string ('patch', 'minor', 'major', 'none') from the PR object
+   * Extract the scope string ('patch', 'minor', 'major', 'none' or a pre-release scope) from the PR object
    * @param {PullRequest} pr - the PR object
-   * @returns {String} the scope of the PR (from the pr description)
-   * @throws Error if there is not a single, valid scope in the PR description
+   * @param {ScopeSources} [sources] - other places the scope can come from (labels and commits of the PR)
+   * @returns {String} the scope of the PR (from the labels, the pr description, or else from the commits)
+   * @throws Error if there is not a single, valid scope for the PR, or the labels and description disagree
    */
-  getScopeForPr (pr) {
-    const matches = pr.description.match(/#[A-Za-z]+#/g)
+  getScopeForPr (pr, sources) {
+    const options = sources || {}
+    const scope = getScopeForLabelsAndDescription(pr, options)
+
+    if (scope) {
+      return scope
+    }
+
+    if (options.commits) {
+      return utils.getScopeForCommits(options.commits, pr)
+    }
+
     const prLink = `[PR #${pr.number}](${pr.url})`
+    const example = 'Please include a scope (e.g. `#major#`, `#minor#`, `#patch#`) in your PR description.'
+    const exampleLink = 'See https://github.com/ciena-blueplanet/pr-bumper#pull-requests for more details.'
+    throw new Error(`No version-bump scope found for ${prLink}\n${example}\n${exampleLink}`)
+  },
 
-    if (!matches) {
-      const example = 'Please include a scope (e.g. `#major#`, `#minor#`, `#patch#`) in your PR description.'
-      const exampleLink = 'See https://github.com/ciena-blueplanet/pr-bumper#pull-requests for more details.'
-      throw new Error(`No version-bump scope found for ${prLink}\n${example}\n${exampleLink}`)
+  /**
+   * Get the scope of each package of a workspace for a PR. Packages named in a `#scope:package#` directive get that
+   * scope, while any other package changed by the PR gets the scope of the PR itself (see {@link getScopeForPr}).
+   * @param {PullRequest} pr - the PR object
+   * @param {ScopeSources} sources - other places the scope of the PR can come from (labels and commits of the PR)
+   * @param {String[]} packageNames - the names of the packages in the workspace
+   * @param {String[]} changedNames - the names of the packages changed by the PR
+   * @returns {Object.<String, String>} the scope of each affected package (by package name)
+   * @throws Error if a directive is invalid, or a changed package has no scope
+   */
+  getPackageScopesForPr (pr, sources, packageNames, changedNames) {
+    const scopes = getScopesForPackageDirectives(pr, packageNames)
+    const undirected = changedNames.filter((name) => !__.has(scopes, [name]))
+
+    // A PR needs a scope of its own unless every package it changed is named in a directive
+    if (undirected.length > 0 || __.isEmpty(scopes)) {
+      const scope = utils.getScopeForPr(pr, sources)
+      undirected.forEach((name) => {
+        scopes[name] = scope
+      })
     }
 
-    let scope
+    return scopes
+  },
 
-    if (matches.length > 1) {
-      // check for GFM checkboxes
-      const gfmCheckbockRegex = /-\s\[x\].*?#(\w+)#/gi
+  /**
+   * Get the biggest of the given scopes (i.e. 'minor' out of 'patch' and 'minor')
+   * @param {String[]} scopes - the scopes
+   * @returns {String} the biggest scope ('none' if there are no scopes)
+   */
+  getBiggestScope (scopes) {
+    return __.maxBy(scopes, (scope) => scopeRanks[scope]) || 'none'
+  },
 
-      let selectedScopes = []
-      let checkboxMatches
-      while ((checkboxMatches = gfmCheckbockRegex.exec(pr.description)) !== null) {
-        selectedScopes.push(checkboxMatches[1])
-      }
+  /**
+   * Get the scope from the labels of a PR, using the label -> scope mapping from the config
+   * @param {String[]} [labels] - the names of the labels on the PR
+   * @param {Object.<String, String>} [scopeLabels] - the scope for each label name that implies one
+   * @param {PullRequest} pr - the PR object
+   * @returns {String} the scope from the labels (undefined if none of the labels imply a scope)
+   * @throws Error if the labels imply more than one scope
+   */
+  getScopeForLabels (labels, scopeLabels, pr) {
+    const mapping = scopeLabels || {}
+    const scopes = __.uniq(
+      (labels || [])
+        .filter((label) => __.has(mapping, [label]))
+        .map((label) => utils.getValidatedScope(mapping[label].toLowerCase(), pr.number, pr.url))
+    )
+
+    if (scopes.length > 1) {
+      const prLink = `[PR #${pr.number}](${pr.url})`
+      throw new Error(`Too many version-bump scopes (${scopes.join(', ')}) found in labels of ${prLink}`)
+    }
 
-      if (selectedScopes.length !== 1) {
-        throw new Error(`Too many version-bump scopes found for ${prLink}`)
-      }
+    return scopes[0]
+  },
 
-      scope = selectedScopes[0]
-    } else {
-      scope = matches[0].replace(/#/g, '')
+  /**
+   * Compute the scope implied by the Conventional Commit messages (i.e. `feat: ...`, `fix(parser): ...`) of a PR,
+   * the biggest scope of any of the commits wins. Commits not following the convention are ignored.
+   * @param {Commit[]} commits - the commits of the PR
+   * @param {PullRequest} pr - the PR object
+   * @returns {String} the scope of the PR ('major', 'minor', 'patch' or 'none')
+   * @throws Error if none of the commits follow the convention
+   */
+  getScopeForCommits (commits, pr) {
+    const scopes = commits
+      .map((commit) => getScopeForCommitMessage(commit.message))
+      .filter((scope) => scope !== undefined)
+
+    if (scopes.length === 0) {
+      const prLink = `[PR #${pr.number}](${pr.url})`
+      const example = 'Please include a scope (e.g. `#major#`, `#minor#`, `#patch#`) in your PR description, ' +
+        'or use Conventional Commit messages (e.g. `feat: ...`, `fix: ...`).'
+      const exampleLink = 'See https://github.com/ciena-blueplanet/pr-bumper#conventional-commits for more details.'
+      throw new Error(`No version-bump scope found for ${prLink}\n${example}\n${exampleLink}`)
     }
 
-    return utils.getValidatedScope(scope.toLowerCase(), pr.number, pr.url)
+    return utils.getBiggestScope(scopes)
   },
 
   /**
@@ -282,20 +896,19 @@ const utils = {
   },
 
   /**
-   * Get the current coverage stats from istanbul coverage-summary data
-   * @param {Object} _coverageSummary - contents of coverage-summary.json file (used for testing)
-   * @returns {Number} the coverage line percentage
+   * Get the baseline coverage from the `pr-bumper.coverage` of package.json, which is either the statements percentage
+   * or the percentage of each tracked metric (i.e. {"branches": 80.5, "statements": 85.93})
+   * @param {Config} config - the config object
+   * @returns {Object.<String, Number>} the baseline percentage of each metric (undefined if there is no baseline)
    */
-  getCurrentCoverage (_coverageSummary) {
-    let coverageSummary = _coverageSummary
-    if (!coverageSummary) {
-      // TODO: should we maybe make this use readFile and make it async? (ARM 2017-03-14)
-      coverageSummary = require(path.join(process.cwd(), 'coverage/coverage-summary.json'))
+  getBaselineCoverage (config) {
+    const coverage = config.baselineCoverage
+    if (__.isNumber(coverage)) {
+      return {statements: coverage}
     }
 
-    const pct = __.get(coverageSummary, 'total.statements.pct') || -1
-
-    return pct
+    const baseline = __.pickBy(coverage, __.isNumber)
+    return __.isEmpty(baseline) ? undefined : baseline
   },
 
   /**
@@ -304,12 +917,14 @@ const utils = {
    * @param {Vcs} vcs - the vcs instance for the bumper
    * @param {String} msg - the message to post
    * @param {Boolean} isError - if true, prefix the msg with an ## ERROR heading
+   * @param {String} [category] - the category of the message (i.e. "coverage"), when given the existing comment
+   *   for the category is updated instead of posting a new one
    * @returns {Promise} a promise resolved when success, rejected on error
    */
-  maybePostComment (config, vcs, msg, isError) {
-    if (!process.env['SKIP_COMMENTS'] && config.isPr && config.prComments) {
+  maybePostComment (config, vcs, msg, isError, category) {
+    if (!process.env['SKIP_COMMENTS'] && shouldComment(config)) {
       const comment = isError ? `## ERROR\n${msg}` : msg
-      return vcs.postComment(config.prNumber, comment)
+      return upsertComment(vcs, config.prNumber, category, comment)
         .catch((err) => {
           const newMessage = `Received error: ${err.message} while trying to post PR comment: ${comment}`
           throw new Error(newMessage)
@@ -319,20 +934,48 @@ const utils = {
     return Promise.resolve()
   },
 
+  /**
+   * Maybe post a status to the head commit of the PR, if prStatuses is enabled
+   * @param {Object} config - the bumper config
+   * @param {Vcs} vcs - the vcs instance for the bumper
+   * @param {String} state - the state of the status ("pending", "success", "failure" or "error")
+   * @param {String} context - the name of the status (i.e. "pr-bumper/scope")
+   * @param {String} msg - the message to describe the status with (only its first line is used)
+   * @param {String} targetUrl - the URL with more details about the status
+   * @returns {Promise} a promise resolved when success, rejected on error
+   */
+  maybePostStatus (config, vcs, state, context, msg, targetUrl) {
+    if (!config.isPr || !config.prStatuses) {
+      return Promise.resolve()
+    }
+
+    // Status descriptions are short plain text (GitHub allows up to 140 characters)
+    const description = __.truncate(msg.split('\n')[0].replace(/`/g, ''), {length: 140})
+    return vcs.getPr(config.prNumber)
+      .then((pr) => {
+        return vcs.postStatus(pr.headSha, state, context, description, targetUrl)
+      })
+      .catch((err) => {
+        throw new Error(`Received error: ${err.message} while trying to post [${context}] status: ${description}`)
+      })
+  },
+
   /**
    * Maybe post a comment to the PR, if the function given throws an error, and prComments is enabled
    * @param {Object} config - the config for a bumper instance
    * @param {Vcs} vcs - the vcs instance for a bumper instance
    * @param {Function} func - the function to execute and check for errors on
+   * @param {String} [category] - the category of the error (i.e. "scope"), when given the existing comment for the
+   *   category is updated instead of posting a new one, and deleted once the function no longer throws
    * @returns {Promise} a promise resolved if all goes well, rejected if an error is thrown
    */
-  maybePostCommentOnError (config, vcs, func) {
+  maybePostCommentOnError (config, vcs, func, category) {
     let ret
     try {
       ret = func()
     } catch (e) {
-      if (config.isPr && config.prComments) {
-        return vcs.postComment(config.prNumber, `## ERROR\n${e.message}`)
+      if (shouldComment(config)) {
+        return upsertComment(vcs, config.prNumber, category, `## ERROR\n${e.message}`)
           .then(() => {
             throw e
           })
@@ -348,7 +991,10 @@ const utils = {
       return Promise.reject(e)
     }
 
-    return Promise.resolve(ret)
+    return resolveComment(config, vcs, category)
+      .then(() => {
+        return ret
+      })
   }
 }
 
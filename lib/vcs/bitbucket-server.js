@@ -2,11 +2,87 @@
 
 require('../typedefs')
 
+const __ = require('lodash')
+
 // not using const to enable rewiring during test
 let fetch = require('node-fetch')
 
 const logger = require('../logger')
 
+// The Bitbucket build states for each status state
+const bbStates = {
+  error: 'FAILED',
+  failure: 'FAILED',
+  pending: 'INPROGRESS',
+  success: 'SUCCESSFUL'
+}
+
+// The most items the Bitbucket API lists per page
+const perPage = 100
+
+/**
+ * Get the values of every page of a list from the Bitbucket Server API, one page at a time until the last one
+ * @param {String} url - the url of the list (with a limit=100 query parameter)
+ * @param {Number} [start] - where the page to get starts (defaults to the first page)
+ * @returns {Promise} a promise resolved with the values of all the pages
+ */
+function fetchAllPages (url, start) {
+  const pageUrl = start ? `${url}&start=${start}` : url
+
+  const safeUrl = pageUrl.replace(/https:\/\/[^:]+:[^@]+@/, 'https://')
+  logger.log(`About to send GET to ${safeUrl}`)
+
+  return fetch(pageUrl)
+    .then((resp) => {
+      if (!resp.ok) {
+        throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+      }
+      return resp.json()
+    })
+    .then((page) => {
+      if (page.isLastPage || !page.nextPageStart) {
+        return page.values
+      }
+
+      return fetchAllPages(url, page.nextPageStart)
+        .then((rest) => page.values.concat(rest))
+    })
+}
+
+/**
+ * Convert a Bitbucket Server comment to a comment representation
+ * @param {BitbucketComment} bbComment - a comment from the API response listing the activities of a PR
+ * @returns {Comment} a comment in standard format
+ */
+function convertComment (bbComment) {
+  return {
+    body: bbComment.text,
+    id: bbComment.id,
+    version: bbComment.version
+  }
+}
+
+/**
+ * Convert a Bitbucket commit to a commit representation
+ * @param {BitbucketCommit} bbCommit - a commit from the API response listing the commits of a PR
+ * @returns {Commit} a commit in standard format
+ */
+function convertCommit (bbCommit) {
+  return {
+    message: bbCommit.message,
+    sha: bbCommit.id
+  }
+}
+
+/**
+ * Convert a Bitbucket change to the paths it changed
+ * @param {BitbucketChange} bbChange - a change from the API response listing the changes of a PR
+ * @returns {String[]} the path of the file (and the path it had before, if it was moved)
+ */
+function convertFile (bbChange) {
+  return bbChange.srcPath ? [bbChange.srcPath.toString, bbChange.path.toString] : [bbChange.path.toString]
+}
+
 /**
  * Convert a Bitbucket PR to a PR representation
  * @param {BitbucketPullRequest} bbPr - the API response from a Bitbucket API looking for a PR
@@ -14,9 +90,13 @@ const logger = require('../logger')
  */
 function convertPr (bbPr) {
   return {
+    author: {login: bbPr.author.user.name, name: bbPr.author.user.displayName},
     description: bbPr.description,
     headSha: bbPr.fromRef.latestCommit,
+    // A merged PR is closed by the merge
+    mergedAt: bbPr.state === 'MERGED' ? new Date(bbPr.closedDate).toISOString() : undefined,
     number: bbPr.id,
+    title: bbPr.title,
     url: bbPr.links.self[0].href
   }
 }
@@ -48,7 +128,84 @@ class BitbucketServer {
    */
   addRemoteForPush () {
     // nothing to do
-    return Promise.resolve('origin')
+    return Promise.resolve(this.getPushRemoteName())
+  }
+
+  /**
+   * Create a release for the given (already pushed) tag
+   * @param {String} tag - the name of the tag (i.e. "v1.2.3")
+   * @param {String} body - the release notes (the changelog text)
+   * @param {Boolean} prerelease - true if the release is for a pre-release version
+   * @returns {Promise} a promise resolved when the release is created
+   */
+  createRelease (tag, body, prerelease) {
+    // Bitbucket Server doesn't have releases, the tag is all there is
+    logger.log(`Skipping release for tag [${tag}], Bitbucket Server has no releases`)
+    return Promise.resolve()
+  }
+
+  /**
+   * Delete the given comment from the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @param {Comment} comment - the comment to delete
+   * @returns {Promise} a promise resolved when the comment is deleted
+   */
+  deleteComment (prNumber, comment) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const path = `projects/${owner}/repos/${repo}/pull-requests/${prNumber}/comments/${comment.id}`
+    const url = `${this.baseUrl}/${path}?version=${comment.version}`
+    const safeUrl = url.replace(/https:\/\/[^:]+:[^@]+@/, 'https://')
+    logger.log(`About to send DELETE to ${safeUrl}`)
+
+    return fetch(url, {method: 'DELETE'})
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Get the URL of the web page comparing two refs (i.e. the tags of two releases)
+   * @param {String} from - the older ref (i.e. "v1.2.0")
+   * @param {String} to - the newer ref (i.e. "v1.3.0" or "HEAD")
+   * @returns {String} the URL of the comparison
+   */
+  getCompareUrl (from, to) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const domain = this.config.vcs.domain
+    const source = encodeURIComponent(to === 'HEAD' ? to : `refs/tags/${to}`)
+    const target = encodeURIComponent(`refs/tags/${from}`)
+    return `https://${domain}/projects/${owner}/repos/${repo}/compare/commits?sourceBranch=${source}&targetBranch=${target}`
+  }
+
+  /**
+   * Get the PR that was merged by the given commit (the merge, squash or rebase commit on the target branch)
+   * @param {String} sha - the SHA of the commit
+   * @returns {PrPromise} a promise resolved with the merged PR (undefined if the commit is not from a merged PR)
+   */
+  getMergedPr (sha) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/projects/${owner}/repos/${repo}/commits/${sha}/pull-requests?limit=${perPage}`
+
+    const safeUrl = url.replace(/https:\/\/[^:]+:[^@]+@/, 'https://')
+    logger.log(`About to send GET to ${safeUrl}`)
+
+    return fetch(url)
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+        return resp.json()
+      })
+      .then((page) => {
+        // The commit can also be part of open PRs (i.e. from other branches based on it)
+        const bbPr = page.values.find((pr) => pr.state === 'MERGED')
+        return bbPr && convertPr(bbPr)
+      })
   }
 
   /**
@@ -76,6 +233,75 @@ class BitbucketServer {
       })
   }
 
+  /**
+   * Get the comments on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Comment}s on the PR
+   */
+  getPrComments (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/activities?limit=${perPage}`
+
+    return fetchAllPages(url)
+      .then((activities) => {
+        // Comments are only listed as part of the activity of a PR, each one is added exactly once
+        return activities
+          .filter((activity) => activity.action === 'COMMENTED' && activity.commentAction === 'ADDED')
+          .map((activity) => convertComment(activity.comment))
+      })
+  }
+
+  /**
+   * Get the commits of the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Commit}s in the PR
+   */
+  getPrCommits (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/commits?limit=${perPage}`
+
+    return fetchAllPages(url)
+      .then((bbCommits) => {
+        return bbCommits.map(convertCommit)
+      })
+  }
+
+  /**
+   * Get the files changed by the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the paths of the files changed by the PR
+   */
+  getPrFiles (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/changes?limit=${perPage}`
+
+    return fetchAllPages(url)
+      .then((bbChanges) => {
+        return __.flatten(bbChanges.map(convertFile))
+      })
+  }
+
+  /**
+   * Get the names of the labels on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the label names
+   */
+  getPrLabels (prNumber) {
+    // Bitbucket Server doesn't have labels on pull requests
+    return Promise.resolve([])
+  }
+
+  /**
+   * Get the name of the remote that addRemoteForPush() sets up (without setting it up, i.e. for a dry run)
+   * @returns {String} the name of the remote (the one the repository was cloned from)
+   */
+  getPushRemoteName () {
+    return 'origin'
+  }
+
   /**
    * Post a comment to the given PR
    * @param {String} prNumber - the PR number (i.e. 31)
@@ -100,6 +326,58 @@ class BitbucketServer {
         }
       })
   }
+
+  /**
+   * Post a status for the given commit (i.e. the head commit of a PR)
+   * @param {String} sha - the SHA of the commit
+   * @param {String} state - the state of the status ("pending", "success", "failure" or "error")
+   * @param {String} context - the name of the status (i.e. "pr-bumper/scope")
+   * @param {String} description - a short description of the status
+   * @param {String} targetUrl - the URL with more details about the status
+   * @returns {Promise} a promise resolved when the status is posted
+   */
+  postStatus (sha, state, context, description, targetUrl) {
+    const url = `${this.baseUrl.replace(/\/rest\/api\/1\.0$/, '/rest/build-status/1.0')}/commits/${sha}`
+    const safeUrl = url.replace(/https:\/\/[^:]+:[^@]+@/, 'https://')
+    logger.log(`About to send POST to ${safeUrl}`)
+
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({description, key: context, name: context, state: bbStates[state], url: targetUrl}),
+      headers: {'Content-Type': 'application/json'}
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Replace the text of the given comment on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @param {Comment} comment - the comment to update
+   * @param {String} body - the new comment body
+   * @returns {Promise} a promise resolved when the comment is updated
+   */
+  updateComment (prNumber, comment, body) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/comments/${comment.id}`
+    const safeUrl = url.replace(/https:\/\/[^:]+:[^@]+@/, 'https://')
+    logger.log(`About to send PUT to ${safeUrl}`)
+
+    return fetch(url, {
+      method: 'PUT',
+      body: JSON.stringify({text: body, version: comment.version}),
+      headers: {'Content-Type': 'application/json'}
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
 }
 
 module.exports = BitbucketServer
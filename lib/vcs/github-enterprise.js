@@ -2,6 +2,7 @@
 
 require('../typedefs')
 
+const __ = require('lodash')
 const Promise = require('promise')
 const cpExec = require('child_process').exec
 
@@ -26,6 +27,72 @@ function getFetchOpts (config) {
   return {headers}
 }
 
+// The most items the GitHub API lists per page
+const perPage = 100
+
+/**
+ * Get every page of a list from the GitHub API, one page at a time until a page isn't full
+ * @param {String} url - the url of the list (with a per_page=100 query parameter)
+ * @param {Object} opts - the fetch options
+ * @param {Number} [page] - the page to start from (defaults to the first)
+ * @returns {Promise} a promise resolved with the items of all the pages
+ */
+function fetchAllPages (url, opts, page) {
+  page = page || 1
+  const pageUrl = page > 1 ? `${url}&page=${page}` : url
+
+  logger.log(`About to send GET to ${pageUrl}`)
+
+  return fetch(pageUrl, opts)
+    .then((resp) => {
+      if (!resp.ok) {
+        throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+      }
+      return resp.json()
+    })
+    .then((items) => {
+      if (items.length < perPage) {
+        return items
+      }
+
+      return fetchAllPages(url, opts, page + 1)
+        .then((rest) => items.concat(rest))
+    })
+}
+
+/**
+ * Convert a GitHub comment to a comment representation
+ * @param {GitHubComment} ghComment - a comment from the API response listing the comments of a PR
+ * @returns {Comment} a comment in standard format
+ */
+function convertComment (ghComment) {
+  return {
+    body: ghComment.body,
+    id: ghComment.id
+  }
+}
+
+/**
+ * Convert a GitHub commit to a commit representation
+ * @param {GitHubCommit} ghCommit - a commit from the API response listing the commits of a PR
+ * @returns {Commit} a commit in standard format
+ */
+function convertCommit (ghCommit) {
+  return {
+    message: ghCommit.commit.message,
+    sha: ghCommit.sha
+  }
+}
+
+/**
+ * Convert a GitHub file to the paths it changed
+ * @param {GitHubFile} ghFile - a file from the API response listing the files of a PR
+ * @returns {String[]} the path of the file (and the path it had before, if it was renamed)
+ */
+function convertFile (ghFile) {
+  return ghFile.previous_filename ? [ghFile.previous_filename, ghFile.filename] : [ghFile.filename]
+}
+
 /**
  * Convert a GitHub PR to a PR representation
  * @param {GitHubPullRequest} ghPr - the API response from a GitHub API looking for a PR
@@ -33,8 +100,12 @@ function getFetchOpts (config) {
  */
 function convertPr (ghPr) {
   return {
+    // The PR API only has the login of the author, not their name
+    author: {login: ghPr.user.login, name: ghPr.user.login},
     number: ghPr.number,
     description: ghPr.body,
+    mergedAt: ghPr.merged_at || undefined,
+    title: ghPr.title,
     url: ghPr.html_url,
     headSha: ghPr.head.sha
   }
@@ -66,15 +137,105 @@ class GitHubEnterprise {
     const ghToken = this.config.vcs.auth.writeToken
     const owner = this.config.owner
     const repo = this.config.repo
+    const remoteName = this.getPushRemoteName()
     const domain = this.config.vcs.domain
 
-    logger.log('Adding ci-origin remote')
+    logger.log(`Adding ${remoteName} remote`)
 
     // TODO: find a safer way to do this, as the token can be displayed if a bug
     // is introduced here and exec errors out.
-    return exec(`git remote add ci-origin https://${ghToken}@${domain}/${owner}/${repo}`)
+    return exec(`git remote add ${remoteName} https://${ghToken}@${domain}/${owner}/${repo}`)
       .then(() => {
-        return 'ci-origin'
+        return remoteName
+      })
+  }
+
+  /**
+   * Create a release for the given (already pushed) tag
+   * @param {String} tag - the name of the tag (i.e. "v1.2.3")
+   * @param {String} body - the release notes (the changelog text)
+   * @param {Boolean} prerelease - true if the release is for a pre-release version
+   * @returns {Promise} a promise resolved when the release is created
+   */
+  createRelease (tag, body, prerelease) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/releases`
+    logger.log(`About to send POST to ${url}`)
+
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({body, name: tag, prerelease, tag_name: tag}),
+      headers: {
+        'Authorization': `token ${this.config.vcs.auth.writeToken}`,
+        'Content-Type': 'application/json'
+      }
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Delete the given comment from the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @param {Comment} comment - the comment to delete
+   * @returns {Promise} a promise resolved when the comment is deleted
+   */
+  deleteComment (prNumber, comment) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/issues/comments/${comment.id}`
+    logger.log(`About to send DELETE to ${url}`)
+
+    return fetch(url, {
+      method: 'DELETE',
+      headers: {'Authorization': `token ${this.config.vcs.auth.writeToken}`}
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Get the URL of the web page comparing two refs (i.e. the tags of two releases)
+   * @param {String} from - the older ref (i.e. "v1.2.0")
+   * @param {String} to - the newer ref (i.e. "v1.3.0" or "HEAD")
+   * @returns {String} the URL of the comparison
+   */
+  getCompareUrl (from, to) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    return `https://${this.config.vcs.domain}/${owner}/${repo}/compare/${from}...${to}`
+  }
+
+  /**
+   * Get the PR that was merged by the given commit (the merge, squash or rebase commit on the base branch)
+   * @param {String} sha - the SHA of the commit
+   * @returns {PrPromise} a promise resolved with the merged PR (undefined if the commit is not from a merged PR)
+   */
+  getMergedPr (sha) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/commits/${sha}/pulls`
+
+    logger.log(`About to send GET to ${url}`)
+
+    return fetch(url, getFetchOpts(this.config))
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+        return resp.json()
+      })
+      .then((ghPrs) => {
+        // The commit can also be part of open PRs (i.e. from other branches based on it)
+        const ghPr = ghPrs.find((pr) => pr.merged_at)
+        return ghPr && convertPr(ghPr)
       })
   }
 
@@ -102,6 +263,78 @@ class GitHubEnterprise {
       })
   }
 
+  /**
+   * Get the comments on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Comment}s on the PR
+   */
+  getPrComments (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments?per_page=${perPage}`
+
+    return fetchAllPages(url, getFetchOpts(this.config))
+      .then((ghComments) => {
+        return ghComments.map(convertComment)
+      })
+  }
+
+  /**
+   * Get the commits of the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Commit}s in the PR
+   */
+  getPrCommits (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/pulls/${prNumber}/commits?per_page=${perPage}`
+
+    return fetchAllPages(url, getFetchOpts(this.config))
+      .then((ghCommits) => {
+        return ghCommits.map(convertCommit)
+      })
+  }
+
+  /**
+   * Get the files changed by the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the paths of the files changed by the PR
+   */
+  getPrFiles (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/pulls/${prNumber}/files?per_page=${perPage}`
+
+    return fetchAllPages(url, getFetchOpts(this.config))
+      .then((ghFiles) => {
+        return __.flatten(ghFiles.map(convertFile))
+      })
+  }
+
+  /**
+   * Get the names of the labels on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the label names
+   */
+  getPrLabels (prNumber) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/issues/${prNumber}/labels?per_page=${perPage}`
+
+    return fetchAllPages(url, getFetchOpts(this.config))
+      .then((ghLabels) => {
+        return ghLabels.map((label) => label.name)
+      })
+  }
+
+  /**
+   * Get the name of the remote that addRemoteForPush() sets up (without setting it up, i.e. for a dry run)
+   * @returns {String} the name of the remote
+   */
+  getPushRemoteName () {
+    return 'ci-origin'
+  }
+
   /**
    * Post a comment to the given PR
    * @param {String} prNumber - the PR number (i.e. 31)
@@ -125,6 +358,64 @@ class GitHubEnterprise {
         }
       })
   }
+
+  /**
+   * Post a status for the given commit (i.e. the head commit of a PR)
+   * @param {String} sha - the SHA of the commit
+   * @param {String} state - the state of the status ("pending", "success", "failure" or "error")
+   * @param {String} context - the name of the status (i.e. "pr-bumper/scope")
+   * @param {String} description - a short description of the status
+   * @param {String} targetUrl - the URL with more details about the status
+   * @returns {Promise} a promise resolved when the status is posted
+   */
+  postStatus (sha, state, context, description, targetUrl) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/statuses/${sha}`
+    logger.log(`About to send POST to ${url}`)
+
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({context, description, state, target_url: targetUrl}),
+      headers: {
+        'Authorization': `token ${this.config.vcs.auth.writeToken}`,
+        'Content-Type': 'application/json'
+      }
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Replace the text of the given comment on the given PR
+   * @param {String} prNumber - the PR number (i.e. 31)
+   * @param {Comment} comment - the comment to update
+   * @param {String} body - the new comment body
+   * @returns {Promise} a promise resolved when the comment is updated
+   */
+  updateComment (prNumber, comment, body) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const url = `${this.baseUrl}/repos/${owner}/${repo}/issues/comments/${comment.id}`
+    logger.log(`About to send PATCH to ${url}`)
+
+    return fetch(url, {
+      method: 'PATCH',
+      body: JSON.stringify({body}),
+      headers: {
+        'Authorization': `token ${this.config.vcs.auth.writeToken}`,
+        'Content-Type': 'application/json'
+      }
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
 }
 
 module.exports = GitHubEnterprise
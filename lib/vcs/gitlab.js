@@ -0,0 +1,415 @@
+'use strict'
+
+require('../typedefs')
+
+const __ = require('lodash')
+const Promise = require('promise')
+const cpExec = require('child_process').exec
+
+// These two are not `const` so they can be re-wired during tests
+let fetch = require('node-fetch')
+let exec = Promise.denodeify(cpExec)
+
+const logger = require('../logger')
+
+/**
+ * Get the headers needed to authenticate with the GitLab API
+ * @param {String} token - the GitLab access token to use (if any)
+ * @returns {Object} the headers
+ */
+function getHeaders (token) {
+  const headers = {}
+  if (token) {
+    headers['PRIVATE-TOKEN'] = token
+  }
+  return headers
+}
+
+// The most items the GitLab API lists per page
+const perPage = 100
+
+/**
+ * Get every page of a list from the GitLab API, one page at a time until a page isn't full
+ * @param {String} url - the url of the list (with a per_page=100 query parameter)
+ * @param {Object} opts - the fetch options
+ * @param {Number} [page] - the page to start from (defaults to the first)
+ * @returns {Promise} a promise resolved with the items of all the pages
+ */
+function fetchAllPages (url, opts, page) {
+  page = page || 1
+  const pageUrl = page > 1 ? `${url}&page=${page}` : url
+
+  logger.log(`About to send GET to ${pageUrl}`)
+
+  return fetch(pageUrl, opts)
+    .then((resp) => {
+      if (!resp.ok) {
+        throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+      }
+      return resp.json()
+    })
+    .then((items) => {
+      if (items.length < perPage) {
+        return items
+      }
+
+      return fetchAllPages(url, opts, page + 1)
+        .then((rest) => items.concat(rest))
+    })
+}
+
+// The GitLab commit status states for each status state
+const glStates = {
+  error: 'failed',
+  failure: 'failed',
+  pending: 'pending',
+  success: 'success'
+}
+
+/**
+ * Convert a GitLab note to a comment representation
+ * @param {GitLabNote} glNote - a note from the API response listing the notes of a MR
+ * @returns {Comment} a comment in standard format
+ */
+function convertComment (glNote) {
+  return {
+    body: glNote.body,
+    id: glNote.id
+  }
+}
+
+/**
+ * Convert a GitLab commit to a commit representation
+ * @param {GitLabCommit} glCommit - a commit from the API response listing the commits of a PR
+ * @returns {Commit} a commit in standard format
+ */
+function convertCommit (glCommit) {
+  return {
+    message: glCommit.message,
+    sha: glCommit.id
+  }
+}
+
+/**
+ * Convert a GitLab diff to the paths it changed
+ * @param {GitLabDiff} glDiff - a diff from the API response listing the diffs of a MR
+ * @returns {String[]} the path of the file (and the path it had before, if it was renamed)
+ */
+function convertFile (glDiff) {
+  return glDiff.renamed_file ? [glDiff.old_path, glDiff.new_path] : [glDiff.new_path]
+}
+
+/**
+ * Convert a GitLab MR to a PR representation
+ * @param {GitLabMergeRequest} glMr - the API response from a GitLab API looking for a MR
+ * @returns {PullRequest} a pull request in standard format
+ */
+function convertPr (glMr) {
+  return {
+    author: {login: glMr.author.username, name: glMr.author.name},
+    description: glMr.description,
+    headSha: glMr.sha,
+    mergedAt: glMr.merged_at || undefined,
+    number: glMr.iid,
+    title: glMr.title,
+    url: glMr.web_url
+  }
+}
+
+/**
+ * VCS interface for GitLab (gitlab.com or self-hosted)
+ *
+ * @class
+ * @implements {Vcs}
+ */
+class GitLab {
+  /**
+   * @param {Config} config - the configuration object
+   */
+  constructor (config) {
+    this.config = config
+    const domain = this.config.vcs.domain
+    const projectId = encodeURIComponent(`${this.config.owner}/${this.config.repo}`)
+    this.baseUrl = `https://${domain}/api/v4/projects/${projectId}`
+  }
+
+  /**
+   * Sometimes, based on the CI system, one might need to create a git remote to
+   * be able to push, this method provides a hook to do just that.
+   *
+   * @returns {Promise} - a promise resolved with the name of the remote to be used for pushing
+   */
+  addRemoteForPush () {
+    const glToken = this.config.vcs.auth.writeToken
+    const owner = this.config.owner
+    const repo = this.config.repo
+    const remoteName = this.getPushRemoteName()
+    const domain = this.config.vcs.domain
+
+    logger.log(`Adding ${remoteName} remote`)
+
+    return exec(`git remote add ${remoteName} https://oauth2:${glToken}@${domain}/${owner}/${repo}.git`)
+      .then(() => {
+        return remoteName
+      })
+  }
+
+  /**
+   * Create a release for the given (already pushed) tag
+   * @param {String} tag - the name of the tag (i.e. "v1.2.3")
+   * @param {String} body - the release notes (the changelog text)
+   * @param {Boolean} prerelease - true if the release is for a pre-release version
+   * @returns {Promise} a promise resolved when the release is created
+   */
+  createRelease (tag, body, prerelease) {
+    const url = `${this.baseUrl}/releases`
+    logger.log(`About to send POST to ${url}`)
+
+    const headers = getHeaders(this.config.vcs.auth.writeToken || this.config.vcs.auth.readToken)
+    headers['Content-Type'] = 'application/json'
+
+    // GitLab has no pre-release flag on releases, the version in the tag name is enough to tell
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({description: body, name: tag, tag_name: tag}),
+      headers
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Delete the given comment (note) from the given MR
+   * @param {String} prNumber - the MR iid (i.e. 31)
+   * @param {Comment} comment - the comment to delete
+   * @returns {Promise} a promise resolved when the comment is deleted
+   */
+  deleteComment (prNumber, comment) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/notes/${comment.id}`
+    logger.log(`About to send DELETE to ${url}`)
+
+    return fetch(url, {
+      method: 'DELETE',
+      headers: getHeaders(this.config.vcs.auth.writeToken || this.config.vcs.auth.readToken)
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Get the URL of the web page comparing two refs (i.e. the tags of two releases)
+   * @param {String} from - the older ref (i.e. "v1.2.0")
+   * @param {String} to - the newer ref (i.e. "v1.3.0" or "HEAD")
+   * @returns {String} the URL of the comparison
+   */
+  getCompareUrl (from, to) {
+    const owner = this.config.owner
+    const repo = this.config.repo
+    return `https://${this.config.vcs.domain}/${owner}/${repo}/-/compare/${from}...${to}`
+  }
+
+  /**
+   * Get the MR that was merged by the given commit (the merge, squash or rebase commit on the target branch)
+   * @param {String} sha - the SHA of the commit
+   * @returns {PrPromise} a promise resolved with the merged MR (undefined if the commit is not from a merged MR)
+   */
+  getMergedPr (sha) {
+    const url = `${this.baseUrl}/repository/commits/${sha}/merge_requests`
+
+    logger.log(`About to send GET to ${url}`)
+
+    return fetch(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+        return resp.json()
+      })
+      .then((glMrs) => {
+        // The commit can also be part of open MRs (i.e. from other branches based on it)
+        const glMr = glMrs.find((mr) => mr.state === 'merged')
+        return glMr && convertPr(glMr)
+      })
+  }
+
+  /**
+   * Get the given MR
+   * @param {String} prNumber - the MR iid (i.e. 31)
+   * @returns {PrPromise} a promise resolved with the PR object from the API
+   */
+  getPr (prNumber) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}`
+
+    logger.log(`About to send GET to ${url}`)
+
+    return fetch(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+        return resp.json()
+      })
+      .then((glMr) => {
+        return convertPr(glMr)
+      })
+  }
+
+  /**
+   * Get the comments (notes) on the given MR
+   * @param {String} prNumber - the MR iid (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Comment}s on the MR
+   */
+  getPrComments (prNumber) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/notes?per_page=${perPage}`
+
+    return fetchAllPages(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((glNotes) => {
+        return glNotes.map(convertComment)
+      })
+  }
+
+  /**
+   * Get the commits of the given MR
+   * @param {String} prNumber - the MR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the list of {@link Commit}s in the MR
+   */
+  getPrCommits (prNumber) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/commits?per_page=${perPage}`
+
+    return fetchAllPages(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((glCommits) => {
+        return glCommits.map(convertCommit)
+      })
+  }
+
+  /**
+   * Get the files changed by the given MR
+   * @param {String} prNumber - the MR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the paths of the files changed by the MR
+   */
+  getPrFiles (prNumber) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/diffs?per_page=${perPage}`
+
+    return fetchAllPages(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((glDiffs) => {
+        return __.flatten(glDiffs.map(convertFile))
+      })
+  }
+
+  /**
+   * Get the names of the labels on the given MR
+   * @param {String} prNumber - the MR number (i.e. 31)
+   * @returns {Promise} a promise resolved with the label names
+   */
+  getPrLabels (prNumber) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}`
+
+    logger.log(`About to send GET to ${url}`)
+
+    return fetch(url, {headers: getHeaders(this.config.vcs.auth.readToken)})
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+        return resp.json()
+      })
+      .then((glMr) => {
+        return glMr.labels
+      })
+  }
+
+  /**
+   * Get the name of the remote that addRemoteForPush() sets up (without setting it up, i.e. for a dry run)
+   * @returns {String} the name of the remote
+   */
+  getPushRemoteName () {
+    return 'ci-origin'
+  }
+
+  /**
+   * Post a comment (note) to the given MR
+   * @param {String} prNumber - the MR iid (i.e. 31)
+   * @param {String} comment - the comment body
+   * @returns {Promise} a promise resolved with result of posting the comment
+   */
+  postComment (prNumber, comment) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/notes`
+    logger.log(`About to send POST to ${url}`)
+
+    const headers = getHeaders(this.config.vcs.auth.writeToken || this.config.vcs.auth.readToken)
+    headers['Content-Type'] = 'application/json'
+
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({body: comment}),
+      headers
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Post a status for the given commit (i.e. the head commit of a PR)
+   * @param {String} sha - the SHA of the commit
+   * @param {String} state - the state of the status ("pending", "success", "failure" or "error")
+   * @param {String} context - the name of the status (i.e. "pr-bumper/scope")
+   * @param {String} description - a short description of the status
+   * @param {String} targetUrl - the URL with more details about the status
+   * @returns {Promise} a promise resolved when the status is posted
+   */
+  postStatus (sha, state, context, description, targetUrl) {
+    const url = `${this.baseUrl}/statuses/${sha}`
+    logger.log(`About to send POST to ${url}`)
+
+    const headers = getHeaders(this.config.vcs.auth.writeToken || this.config.vcs.auth.readToken)
+    headers['Content-Type'] = 'application/json'
+
+    return fetch(url, {
+      method: 'POST',
+      body: JSON.stringify({description, name: context, state: glStates[state], target_url: targetUrl}),
+      headers
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+
+  /**
+   * Replace the text of the given comment (note) on the given MR
+   * @param {String} prNumber - the MR iid (i.e. 31)
+   * @param {Comment} comment - the comment to update
+   * @param {String} body - the new comment body
+   * @returns {Promise} a promise resolved when the comment is updated
+   */
+  updateComment (prNumber, comment, body) {
+    const url = `${this.baseUrl}/merge_requests/${prNumber}/notes/${comment.id}`
+    logger.log(`About to send PUT to ${url}`)
+
+    const headers = getHeaders(this.config.vcs.auth.writeToken || this.config.vcs.auth.readToken)
+    headers['Content-Type'] = 'application/json'
+
+    return fetch(url, {
+      method: 'PUT',
+      body: JSON.stringify({body}),
+      headers
+    })
+      .then((resp) => {
+        if (!resp.ok) {
+          throw new Error(`${resp.status}: ${JSON.stringify(resp.json())}`)
+        }
+      })
+  }
+}
+
+module.exports = GitLab
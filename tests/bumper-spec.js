@@ -2,7 +2,10 @@
 
 const chai = require('chai')
 const cpExec = require('child_process').exec
+const fs = require('fs')
+const http = require('http')
 const __ = require('lodash')
+const os = require('os')
 const path = require('path')
 const Promise = require('promise')
 const rewire = require('rewire')
@@ -12,44 +15,38 @@ const expect = chai.expect
 chai.use(sinonChai)
 
 const pkgJson = require('../package.json')
+const coverageReader = require('../lib/coverage-reports/reader')
+const history = require('../lib/changelog/history')
 const utils = require('../lib/utils')
 const logger = require('../lib/logger')
 const Bumper = rewire('../lib/bumper')
 
-const exec = Promise.denodeify(cpExec)
-const getVersionCmd = 'node -e "console.log(require(\'./_package.json\').version)"'
-
 /**
  * Helper for performing repetative tasks in setting up _maybeBumpVersion tests
- * Since versiony doesn't let you tell it to be quiet, we need to stub out
- * console.log() but only while _maybeBumpVersion runs, or we won't get mocha output
- * while running our tests
  *
  * @param {Object} ctx - the context object so the function can pass some info back to the tests for validation
  * @param {String} scope - the scope to bump
+ * @param {String} version - the version before the bump
  * @param {String} expectedVersion - the expected version after the bump
  */
-function testMaybeBumpVersion (ctx, scope, expectedVersion) {
-  describe(`a ${scope}`, function () {
-    let bumper, logStub, info, newVersion
+function testMaybeBumpVersion (ctx, scope, version, expectedVersion) {
+  describe(`a ${scope} of ${version}`, function () {
+    let info
     beforeEach(function () {
-      bumper = ctx.bumper
-
-      logStub = sinon.stub(console, 'log')
-      info = bumper._maybeBumpVersion({scope, modifiedFiles: []}, '_package.json')
-      logStub.restore()
+      ctx.readFileStub.returns(Promise.resolve(JSON.stringify({name: 'foo-bar', version}, null, 2)))
+      ctx.writeFileStub.returns(Promise.resolve())
 
-      return exec(`${getVersionCmd}`)
-        .then((stdout) => {
-          newVersion = stdout.replace('\n', '')
+      return ctx.bumper._maybeBumpVersion({scope, modifiedFiles: []}, '_package.json')
+        .then((r) => {
+          info = r
         })
     })
 
-    it('should create the correct version', function () {
-      expect(newVersion).to.be.equal(expectedVersion)
-    })
-
     if (scope === 'none') {
+      it('should not write the file', function () {
+        expect(ctx.writeFileStub).to.have.callCount(0)
+      })
+
       it('should not include the version', function () {
         expect(info.version).to.equal(undefined)
       })
@@ -58,10 +55,19 @@ function testMaybeBumpVersion (ctx, scope, expectedVersion) {
         expect(info.modifiedFiles).not.to.include('_package.json')
       })
     } else {
+      it('should write the correct version', function () {
+        const contents = JSON.stringify({name: 'foo-bar', version: expectedVersion}, null, 2)
+        expect(ctx.writeFileStub).to.have.been.calledWith('_package.json', contents)
+      })
+
       it('should return the correct version', function () {
         expect(info.version).to.be.equal(expectedVersion)
       })
 
+      it('should return the previous version', function () {
+        expect(info.previousVersion).to.be.equal(version)
+      })
+
       it('should add "package.json" to the list of modified files', function () {
         expect(info.modifiedFiles).to.include('_package.json')
       })
@@ -153,13 +159,102 @@ describe('Bumper', function () {
         expect(logger.log).to.have.been.calledWith('Found a minor bump for the current PR')
       })
     })
+
+    describe('when it is a PR build and statuses are enabled', function () {
+      const link = 'https://github.com/ciena-blueplanet/pr-bumper#pull-requests'
+      let error
+      beforeEach(function () {
+        bumper.config.isPr = true
+        error = null
+        sandbox.stub(utils, 'maybePostStatus').returns(Promise.resolve())
+      })
+
+      describe('when the scope is found', function () {
+        beforeEach(function () {
+          return bumper.check()
+        })
+
+        it('should maybe post a successful scope status', function () {
+          expect(utils.maybePostStatus).to.have.been.calledWith(
+            bumper.config, bumper.vcs, 'success', 'pr-bumper/scope', 'Found a minor bump for the current PR', link
+          )
+        })
+      })
+
+      describe('when the scope is not found', function () {
+        beforeEach(function () {
+          bumper._getOpenPrInfo.returns(Promise.reject(new Error('No version-bump scope found')))
+          return bumper.check()
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should maybe post a failed scope status', function () {
+          expect(utils.maybePostStatus).to.have.been.calledWith(
+            bumper.config, bumper.vcs, 'failure', 'pr-bumper/scope', 'No version-bump scope found', link
+          )
+        })
+
+        it('should reject with the error', function () {
+          expect(error.message).to.equal('No version-bump scope found')
+        })
+      })
+    })
   })
 
   describe('.checkCoverage()', function () {
+    const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
+    const tableHeader = [
+      '| Metric | Baseline | Current | Delta | Result |',
+      '| ------ | -------- | ------- | ----- | ------ |'
+    ].join('\n')
     let result, error, errorMsg
     beforeEach(function () {
       result = error = null
+      bumper.config.coverage = {metrics: ['statements'], minimum: 0, tolerance: 0}
       sandbox.stub(utils, 'maybePostComment').returns(Promise.resolve())
+      sandbox.stub(utils, 'maybePostStatus').returns(Promise.resolve())
+    })
+
+    describe('when statuses are enabled', function () {
+      beforeEach(function () {
+        bumper.config.baselineCoverage = 85.93
+      })
+
+      it('should maybe post a failed coverage status when there is no current coverage', function () {
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: -1}))
+        return bumper.checkCoverage()
+          .then(() => {
+            throw new Error('Expected a rejection')
+          }, (msg) => {
+            expect(utils.maybePostStatus).to.have.been.calledWith(
+              bumper.config, bumper.vcs, 'failure', 'pr-bumper/coverage', msg, link
+            )
+          })
+      })
+
+      it('should maybe post a failed coverage status when coverage drops', function () {
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 84.01}))
+        return bumper.checkCoverage()
+          .then(() => {
+            throw new Error('Expected a rejection')
+          }, (msg) => {
+            expect(utils.maybePostStatus).to.have.been.calledWith(
+              bumper.config, bumper.vcs, 'failure', 'pr-bumper/coverage', msg, link
+            )
+          })
+      })
+
+      it('should maybe post a successful coverage status when coverage does not drop', function () {
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 85.93}))
+        return bumper.checkCoverage()
+          .then(() => {
+            expect(utils.maybePostStatus).to.have.been.calledWith(
+              bumper.config, bumper.vcs, 'success', 'pr-bumper/coverage', sinon.match(/^Code Coverage: /), link
+            )
+          })
+      })
     })
 
     describe('when no baseline coverage', function () {
@@ -185,7 +280,7 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true, 'coverage')
       })
 
       it('should reject with an error', function () {
@@ -217,7 +312,7 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true, 'coverage')
       })
 
       it('should reject with an error', function () {
@@ -228,7 +323,7 @@ describe('Bumper', function () {
     describe('when no current coverage found', function () {
       beforeEach(function (done) {
         bumper.config.baselineCoverage = 85.93
-        sandbox.stub(utils, 'getCurrentCoverage').returns(-1)
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: -1}))
         const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
         errorMsg = `No current coverage info found!\nSee ${link} for configuration info.`
 
@@ -250,7 +345,7 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, true, 'coverage')
       })
 
       it('should reject with an error', function () {
@@ -261,8 +356,13 @@ describe('Bumper', function () {
     describe('when coverage drops', function () {
       beforeEach(function (done) {
         bumper.config.baselineCoverage = 85.93
-        sandbox.stub(utils, 'getCurrentCoverage').returns(84.99)
-        errorMsg = 'Code Coverage: `84.99%` (dropped `0.94%` from `85.93%`)'
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 84.99}))
+        errorMsg = [
+          'Code Coverage: `statements` `84.99%` (dropped `0.94%` from `85.93%`)',
+          '',
+          tableHeader,
+          '| statements | `85.93%` | `84.99%` | `-0.94%` | dropped more than `0.00%` |'
+        ].join('\n')
 
         bumper.checkCoverage()
           .then((resp) => {
@@ -282,7 +382,7 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, errorMsg, false, 'coverage')
       })
 
       it('should reject with an error', function () {
@@ -294,8 +394,13 @@ describe('Bumper', function () {
       let msg
       beforeEach(function (done) {
         bumper.config.baselineCoverage = 85.93
-        sandbox.stub(utils, 'getCurrentCoverage').returns(85.93)
-        msg = 'Code Coverage: `85.93%` (no change)'
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 85.93}))
+        msg = [
+          'Code Coverage: `statements` `85.93%` (no change)',
+          '',
+          tableHeader,
+          '| statements | `85.93%` | `85.93%` | `0.00%` | ok |'
+        ].join('\n')
 
         bumper.checkCoverage()
           .then((resp) => {
@@ -319,7 +424,7 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg, false, 'coverage')
       })
 
       it('should log a message', function () {
@@ -331,8 +436,13 @@ describe('Bumper', function () {
       let msg
       beforeEach(function (done) {
         bumper.config.baselineCoverage = 85.93
-        sandbox.stub(utils, 'getCurrentCoverage').returns(88.01)
-        msg = 'Code Coverage: `88.01%` (increased `2.08%` from `85.93%`)'
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 88.01}))
+        msg = [
+          'Code Coverage: `statements` `88.01%` (increased `2.08%` from `85.93%`)',
+          '',
+          tableHeader,
+          '| statements | `85.93%` | `88.01%` | `+2.08%` | ok |'
+        ].join('\n')
 
         bumper.checkCoverage()
           .then((resp) => {
@@ -356,13 +466,209 @@ describe('Bumper', function () {
       })
 
       it('should maybe post a comment', function () {
-        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg)
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg, false, 'coverage')
       })
 
       it('should log a message', function () {
         expect(logger.log).to.have.been.calledWith(msg, true)
       })
     })
+
+    describe('when coverage drops within the tolerance', function () {
+      beforeEach(function () {
+        bumper.config.baselineCoverage = 85.93
+        bumper.config.coverage.tolerance = 1
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 84.99}))
+        return bumper.checkCoverage()
+      })
+
+      it('should maybe post a comment without failures', function () {
+        const msg = [
+          'Code Coverage: `statements` `84.99%` (dropped `0.94%` from `85.93%`)',
+          '',
+          tableHeader,
+          '| statements | `85.93%` | `84.99%` | `-0.94%` | ok |'
+        ].join('\n')
+        expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg, false, 'coverage')
+      })
+    })
+
+    describe('when tracking several metrics', function () {
+      beforeEach(function () {
+        bumper.config.baselineCoverage = {branches: 80.5, functions: 90, statements: 85.93}
+        bumper.config.coverage = {
+          metrics: ['statements', 'branches', 'functions', 'lines'],
+          minimum: {functions: 95},
+          tolerance: {branches: 0.5}
+        }
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({
+          branches: 80.25,
+          functions: 91,
+          lines: 70.1,
+          statements: 85.93
+        }))
+
+        return bumper.checkCoverage()
+          .then((resp) => {
+            result = resp
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should look up the current coverage of the tracked metrics', function () {
+        expect(coverageReader.read).to.have.been.calledWith(bumper.config.coverage)
+      })
+
+      it('should not resolve', function () {
+        expect(result).to.equal(null)
+      })
+
+      it('should reject with a summary of the failed metrics, and a table of every metric', function () {
+        expect(error).to.equal([
+          'Code Coverage: `functions` `91.00%` (increased `1.00%` from `90.00%`)',
+          '',
+          tableHeader,
+          '| statements | `85.93%` | `85.93%` | `0.00%` | ok |',
+          '| branches | `80.50%` | `80.25%` | `-0.25%` | ok |',
+          '| functions | `90.00%` | `91.00%` | `+1.00%` | below the minimum of `95.00%` |',
+          '| lines | n/a | `70.10%` | n/a | ok |'
+        ].join('\n'))
+      })
+    })
+    describe('when checking patch coverage', function () {
+      const patchHeader = [
+        '| File | Covered | Changed lines | Patch coverage |',
+        '| ---- | ------- | ------------- | -------------- |'
+      ].join('\n')
+
+      beforeEach(function () {
+        bumper.config.baselineCoverage = 85.93
+        sandbox.stub(coverageReader, 'read').returns(Promise.resolve({statements: 85.93}))
+      })
+
+      describe('and the changed lines are covered well enough', function () {
+        beforeEach(function () {
+          sandbox.stub(bumper, '_getPatchCoverage').returns(Promise.resolve({
+            covered: 9,
+            failures: [],
+            files: [
+              {covered: 6, file: 'lib/cli.js', pct: 100, total: 6},
+              {covered: 3, file: 'lib/utils.js', pct: 75, total: 4}
+            ],
+            pct: 90,
+            total: 10
+          }))
+
+          return bumper.checkCoverage()
+        })
+
+        it('should maybe post a comment with a table of the patch coverage of each changed file', function () {
+          const msg = [
+            'Code Coverage: `statements` `85.93%` (no change)',
+            '',
+            tableHeader,
+            '| statements | `85.93%` | `85.93%` | `0.00%` | ok |',
+            '',
+            'Patch Coverage: `90.00%` (`9` of `10` changed lines covered)',
+            '',
+            patchHeader,
+            '| lib/cli.js | 6 | 6 | `100.00%` |',
+            '| lib/utils.js | 3 | 4 | `75.00%` |'
+          ].join('\n')
+          expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, msg, false, 'coverage')
+        })
+      })
+
+      describe('and there are no changed lines to cover', function () {
+        beforeEach(function () {
+          sandbox.stub(bumper, '_getPatchCoverage').returns(Promise.resolve({
+            covered: 0,
+            failures: [],
+            files: [],
+            pct: 100,
+            total: 0
+          }))
+
+          return bumper.checkCoverage()
+        })
+
+        it('should say so in the comment', function () {
+          expect(utils.maybePostComment).to.have.been.calledWith(
+            bumper.config, bumper.vcs, sinon.match(/\n\nPatch Coverage: no changed lines to cover$/), false, 'coverage'
+          )
+        })
+      })
+
+      describe('and the changed lines are not covered well enough', function () {
+        beforeEach(function () {
+          sandbox.stub(bumper, '_getPatchCoverage').returns(Promise.resolve({
+            covered: 3,
+            failures: ['below the minimum of `80.00%`'],
+            files: [{covered: 3, file: 'lib/utils.js', pct: 75, total: 4}],
+            pct: 75,
+            total: 4
+          }))
+
+          return bumper.checkCoverage()
+            .then((resp) => {
+              result = resp
+            })
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should reject with a summary of the patch coverage failure', function () {
+          expect(error).to.equal([
+            'Code Coverage: `patch` `75.00%` (below the minimum of `80.00%`)',
+            '',
+            tableHeader,
+            '| statements | `85.93%` | `85.93%` | `0.00%` | ok |',
+            '',
+            'Patch Coverage: `75.00%` (`3` of `4` changed lines covered)',
+            '',
+            patchHeader,
+            '| lib/utils.js | 3 | 4 | `75.00%` |'
+          ].join('\n'))
+        })
+
+        it('should maybe post a failed coverage status', function () {
+          expect(utils.maybePostStatus).to.have.been.calledWith(
+            bumper.config, bumper.vcs, 'failure', 'pr-bumper/coverage', error, link
+          )
+        })
+      })
+
+      describe('and the changed lines can not be found', function () {
+        beforeEach(function () {
+          sandbox.stub(bumper, '_getPatchCoverage').returns(Promise.reject(new Error('Unable to diff')))
+
+          return bumper.checkCoverage()
+            .then((resp) => {
+              result = resp
+            })
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should reject with a message about the failure', function () {
+          expect(error).to.equal(`Unable to check patch coverage: Unable to diff\nSee ${link} for configuration info.`)
+        })
+
+        it('should maybe post an error comment', function () {
+          expect(utils.maybePostComment).to.have.been.calledWith(bumper.config, bumper.vcs, error, true, 'coverage')
+        })
+
+        it('should maybe post a failed coverage status', function () {
+          expect(utils.maybePostStatus).to.have.been.calledWith(
+            bumper.config, bumper.vcs, 'failure', 'pr-bumper/coverage', error, link
+          )
+        })
+      })
+    })
   })
 
   describe('.bump()', function () {
@@ -376,6 +682,8 @@ describe('Bumper', function () {
       bumper.ci = {push () {}, getLastCommitMsg () {}}
       info = {scope: 'minor', changelog: '', version: '1.2.0'}
       sandbox.stub(bumper, '_maybePushChanges').returns(Promise.resolve('pushed'))
+      sandbox.stub(bumper, '_maybeCreateRelease').returns(Promise.resolve('released'))
+      sandbox.stub(bumper, '_maybePublish').returns(Promise.resolve('published'))
       sandbox.stub(bumper.ci, 'getLastCommitMsg')
       sandbox.stub(bumper, '_getMergedPrInfo').returns(Promise.resolve(info))
       sandbox.stub(bumper, '_maybeBumpVersion').returns(Promise.resolve(info))
@@ -438,8 +746,16 @@ describe('Bumper', function () {
         expect(bumper._maybePushChanges).to.have.been.calledWith(info)
       })
 
-      it('should resolve with the result of the ci.push()', function () {
-        expect(result).to.be.eql('pushed')
+      it('should maybe create the releases', function () {
+        expect(bumper._maybeCreateRelease).to.have.been.calledWith('pushed')
+      })
+
+      it('should maybe publish', function () {
+        expect(bumper._maybePublish).to.have.been.calledWith('released')
+      })
+
+      it('should resolve with the result of publishing', function () {
+        expect(result).to.be.eql('published')
       })
 
       it('should not reject', function () {
@@ -447,6 +763,83 @@ describe('Bumper', function () {
       })
     })
 
+    describe('when a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        bumper.ci.getLastCommitMsg.returns(Promise.resolve('foo bar'))
+        sandbox.stub(bumper, '_logDryRunSummary').returns('summary-logged')
+        return bumper.bump()
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should still go through the whole pipeline', function () {
+        expect(bumper._maybePushChanges).to.have.been.calledWith(info)
+      })
+
+      it('should log the dry run summary', function () {
+        expect(bumper._logDryRunSummary).to.have.been.calledWith('published')
+      })
+
+      it('should resolve with the result of logging the summary', function () {
+        expect(result).to.equal('summary-logged')
+      })
+    })
+
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        bumper.config.workspaces = ['packages/*']
+        bumper.ci.getLastCommitMsg.returns(Promise.resolve('foo bar'))
+        sandbox.stub(bumper, '_maybeBumpPackageVersions').returns(Promise.resolve(info))
+        return bumper.bump()
+      })
+
+      it('should maybe bump the version of each package', function () {
+        expect(bumper._maybeBumpPackageVersions).to.have.been.calledWith(info)
+      })
+
+      it('should not bump the root version', function () {
+        expect(bumper._maybeBumpVersion).to.have.callCount(0)
+      })
+
+      it('should still maybe prepend the changelog', function () {
+        expect(bumper._maybePrependChangelog).to.have.been.calledWith(info)
+      })
+    })
+
+    describe('when batchedRelease is enabled', function () {
+      beforeEach(function () {
+        bumper.config.batchedRelease = {enabled: true, pendingFile: 'pending-release.json'}
+        bumper.ci.getLastCommitMsg.returns(Promise.resolve('foo bar'))
+        sandbox.stub(bumper, '_recordAndPush').returns(Promise.resolve('recorded'))
+        return bumper.bump()
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should record the merged PR for the next release', function () {
+        expect(bumper._recordAndPush).to.have.been.calledWith(info, 1)
+      })
+
+      it('should not bump the version', function () {
+        expect(bumper._maybeBumpVersion).to.have.callCount(0)
+      })
+
+      it('should not create a release', function () {
+        expect(bumper._maybeCreateRelease).to.have.callCount(0)
+      })
+
+      it('should not publish', function () {
+        expect(bumper._maybePublish).to.have.callCount(0)
+      })
+
+      it('should resolve with the result of recording the PR', function () {
+        expect(result).to.equal('recorded')
+      })
+    })
+
     describe(`when last commit was from ${pkgJson.name}`, function () {
       beforeEach(function (done) {
         bumper.ci.getLastCommitMsg.returns(Promise.resolve(`[${pkgJson.name}] Fizz bang`))
@@ -573,437 +966,2919 @@ describe('Bumper', function () {
     })
   })
 
-  describe('._getLastPr()', function () {
-    let getPrResolver, resolution, rejection, promise
-
+  describe('.rebuildChangelog()', function () {
+    let result, prs, releases
     beforeEach(function () {
-      bumper.vcs = {getPr () {}}
-
-      getPrResolver = {}
-      const getPrPromise = new Promise((resolve, reject) => {
-        getPrResolver.resolve = resolve
-        getPrResolver.reject = reject
-      })
-
-      sandbox.stub(bumper.vcs, 'getPr').returns(getPrPromise)
-
-      // actual results of git log -10 --oneline on pr-bumper repo
-      const gitLog =
-        '98a148c Added some more tests, just a few more to go\n' +
-        '1b1bd97 Added some real unit tests\n' +
-        'edf85e0 Merge pull request #30 from job13er/remove-newline\n' +
-        'fa066f2 Removed newline from parsed PR number\n' +
-        'fc416cc Merge pull request #29 from job13er/make-bumping-more-robust\n' +
-        '67db358 Fix for #26 by reading PR # from git commit\n' +
-        '4a61a20 Automated version bump\n' +
-        '7db44e1 Merge pull request #24 from sandersky/master\n' +
-        'f571451 add pullapprove config\n' +
-        '4398a26 address PR concerns\n'
-
-      execStub.returns(Promise.resolve(gitLog))
-      promise = bumper._getLastPr()
-        .then((pr) => {
-          resolution = pr
-          return pr
-        })
-        .catch((err) => {
-          rejection = err
-          throw err
-        })
-    })
+      bumper.config = {
+        changelogFile: 'CHANGELOG.md',
+        changelogFormat: 'plain',
+        mergeCommitPatterns: []
+      }
+      bumper.vcs = {
+        getCompareUrl (from, to) {
+          return `https://github.com/me/my-repo/compare/${from}...${to}`
+        }
+      }
 
-    it('should call git log', function () {
-      expect(execStub).to.have.been.calledWith('git log -10 --oneline')
+      prs = {
+        10: {author: {login: 'jdoe', name: 'Jane Doe'}, description: '# CHANGELOG\n* Added the feature', number: 10},
+        11: {author: {login: 'jdoe', name: 'Jane Doe'}, description: 'No changelog', number: 11, title: 'Tidy up',
+          url: 'pr-11-url'},
+        12: {author: {login: 'bob', name: 'Bob'}, description: '# CHANGELOG\n* Fixed the bug', number: 12}
+      }
+      releases = [
+        {date: new Date(Date.UTC(2017, 0, 1, 12)), tag: 'v1.0.0', version: '1.0.0'},
+        {
+          date: new Date(Date.UTC(2017, 0, 15, 12)),
+          previousTag: 'v1.0.0',
+          previousVersion: '1.0.0',
+          tag: 'v1.1.0',
+          version: '1.1.0'
+        }
+      ]
+
+      sandbox.stub(history, 'getReleases').returns(Promise.resolve(releases))
+      sandbox.stub(history, 'getReleasePrs')
+      history.getReleasePrs.withArgs(bumper.config, bumper.vcs, releases[0]).returns(Promise.resolve([prs[10]]))
+      history.getReleasePrs.withArgs(bumper.config, bumper.vcs, releases[1])
+        .returns(Promise.resolve([prs[12], prs[11]]))
+      writeFileStub.returns(Promise.resolve())
     })
 
-    describe('when getPr succeeds', function () {
+    describe('with the plain format', function () {
       beforeEach(function () {
-        getPrResolver.resolve('the-pr')
-        return promise
+        return bumper.rebuildChangelog()
+          .then((res) => {
+            result = res
+          })
       })
 
-      it('should parse out the PR number from the git log and passes it to vcs.getPr()', function () {
-        expect(bumper.vcs.getPr).to.have.been.calledWith('30')
+      it('should look up the releases of the version tags', function () {
+        expect(history.getReleases).to.have.been.calledWith('v')
       })
 
-      it('should resolve with the pr', function () {
-        expect(resolution).to.be.equal('the-pr')
+      it('should write the changelog, newest release first, skipping the PRs without a changelog', function () {
+        expect(writeFileStub).to.have.been.calledWith('CHANGELOG.md', [
+          '# 1.1.0 (2017-01-15)',
+          '* Fixed the bug',
+          '',
+          '# 1.0.0 (2017-01-01)',
+          '* Added the feature',
+          '',
+          ''
+        ].join('\n'))
       })
-    })
 
-    describe('when getPr fails', function () {
-      beforeEach(function (done) {
-        getPrResolver.reject('the-error')
-        promise.catch(() => {
-          done()
-        })
+      it('should report the PRs without a changelog', function () {
+        expect(logger.log).to.have.been.calledWith(
+          'PRs left out for having no # CHANGELOG section in their description (1):\n  v1.1.0: #11 Tidy up (pr-11-url)',
+          true
+        )
       })
 
-      it('should parse out the PR number from the git log and passes it to vcs.getPr()', function () {
-        expect(bumper.vcs.getPr).to.have.been.calledWith('30')
+      it('should resolve with the PRs without a changelog', function () {
+        expect(result).to.eql([{pr: prs[11], tag: 'v1.1.0'}])
       })
+    })
 
-      it('should reject with the error', function () {
-        expect(rejection).to.be.equal('the-error')
+    describe('with an entry template', function () {
+      beforeEach(function () {
+        bumper.config.changelogEntry = '{changelog} (#{number} by @{author})'
+        return bumper.rebuildChangelog()
+      })
+
+      it('should render each entry with the values of its PR', function () {
+        expect(writeFileStub.lastCall.args[1]).to.have.string('* Fixed the bug (#12 by @bob)\n')
       })
     })
-  })
 
-  describe('._getMergedPrInfo()', function () {
-    ;['major', 'minor', 'patch'].forEach(function (scope) {
-      describe(`when scope is ${scope}`, function () {
-        let result
+    describe('with the Keep a Changelog format', function () {
+      beforeEach(function () {
+        bumper.config.changelogFormat = 'keep-a-changelog'
+        prs[11].description = '# CHANGELOG\n### Added\n- the other feature'
+        prs[12].description = '# CHANGELOG\n### Fixed\n- the bug\n### Added\n- the feature'
+        return bumper.rebuildChangelog()
+      })
+
+      it('should write every release, grouping the changes of its PRs', function () {
+        expect(writeFileStub.lastCall.args[1]).to.have.string([
+          '## [1.1.0] - 2017-01-15',
+          '',
+          '### Added',
+          '- the feature',
+          '- the other feature',
+          '',
+          '### Fixed',
+          '- the bug',
+          '',
+          '## 1.0.0 - 2017-01-01',
+          '',
+          '### Changed',
+          '* Added the feature',
+          '',
+          '[1.1.0]: https://github.com/me/my-repo/compare/v1.0.0...v1.1.0',
+          ''
+        ].join('\n'))
+      })
+    })
 
-        beforeEach(function () {
-          bumper.config = {foo: 'bar'}
-          bumper.vcs = {bar: 'baz'}
+    describe('when there are no version tags', function () {
+      beforeEach(function () {
+        history.getReleases.returns(Promise.resolve([]))
+        return bumper.rebuildChangelog()
+          .then((res) => {
+            result = res
+          })
+      })
 
-          sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve('the-pr'))
-          sandbox.stub(utils, 'getScopeForPr').returns(scope)
-          sandbox.stub(utils, 'getChangelogForPr').returns('my-changelog')
-        })
+      it('should leave the changelog alone', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
 
-        describe('when prependChangelog is set', function () {
-          beforeEach(function () {
-            bumper.config.prependChangelog = true
-            return bumper._getMergedPrInfo().then((res) => {
-              result = res
-            })
-          })
+      it('should report that every PR had a changelog', function () {
+        expect(logger.log).to.have.been.calledWith('Every PR had a changelog.', true)
+      })
+    })
 
-          it('should get the last PR to be merged', function () {
-            expect(bumper._getLastPr).to.have.callCount(1)
+    describe('in a workspace', function () {
+      let readdirStub, revertReaddirRewire
+      beforeEach(function () {
+        readdirStub = sandbox.stub()
+        revertReaddirRewire = Bumper.__set__('readdir', readdirStub)
+
+        bumper.config.workspaces = ['packages/*']
+        readdirStub.withArgs('packages').returns(Promise.resolve(['pkg-a', 'pkg-b']))
+        readFileStub.withArgs('packages/pkg-a/package.json').returns(Promise.resolve('{"name": "pkg-a"}'))
+        readFileStub.withArgs('packages/pkg-b/package.json').returns(Promise.resolve('{"name": "@org/pkg-b"}'))
+        history.getReleases.withArgs('@org/pkg-b@').returns(Promise.resolve([]))
+
+        prs[11].description = 'Tidy up #patch:pkg-a#'
+        bumper.vcs.getPrFiles = sandbox.stub()
+        bumper.vcs.getPrFiles.withArgs(10).returns(Promise.resolve(['packages/pkg-a/index.js']))
+        bumper.vcs.getPrFiles.withArgs(11).returns(Promise.resolve(['README.md']))
+        bumper.vcs.getPrFiles.withArgs(12).returns(Promise.resolve(['packages/pkg-b/index.js']))
+
+        return bumper.rebuildChangelog()
+          .then((res) => {
+            result = res
           })
+      })
 
-          it('should gets the scope for the given pr', function () {
-            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
-          })
+      afterEach(function () {
+        revertReaddirRewire()
+      })
 
-          it('should get the changelog for the given pr', function () {
-            expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
-          })
+      it('should look up the releases of the tags of each package', function () {
+        expect(history.getReleases.args).to.eql([['pkg-a@'], ['@org/pkg-b@']])
+      })
 
-          it('should resolve with the info', function () {
-            expect(result).to.be.eql({changelog: 'my-changelog', modifiedFiles: [], scope})
-          })
-        })
+      it('should write the changelog of each package with releases', function () {
+        expect(writeFileStub.args.map((args) => args[0])).to.eql(['packages/pkg-a/CHANGELOG.md'])
+      })
 
-        describe('when prependChangelog is not set', function () {
-          beforeEach(function () {
-            bumper.config.prependChangelog = false
-            return bumper._getMergedPrInfo().then((res) => {
-              result = res
-            })
-          })
+      it('should leave out the PRs of other packages', function () {
+        expect(writeFileStub.lastCall.args[1]).not.to.have.string('* Fixed the bug')
+        expect(writeFileStub.lastCall.args[1]).to.have.string('* Added the feature')
+      })
 
-          it('should get the last PR to be merged', function () {
-            expect(bumper._getLastPr).to.have.callCount(1)
-          })
+      it('should only report the PRs of the package without a changelog', function () {
+        expect(result).to.eql([{pr: prs[11], tag: 'v1.1.0'}])
+      })
+    })
 
-          it('should gets the scope for the given pr', function () {
-            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
-          })
+    describe('when doing a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        readFileStub.withArgs('CHANGELOG.md').returns(Promise.resolve('# 1.1.0\nold\n'))
+        return bumper.rebuildChangelog()
+      })
 
-          it('should not get the changelog for the given pr', function () {
-            expect(utils.getChangelogForPr).to.have.callCount(0)
-          })
+      it('should not write the changelog', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
 
-          it('should resolve with the info', function () {
-            expect(result).to.be.eql({changelog: '', modifiedFiles: [], scope})
-          })
-        })
+      it('should log the diff of the changelog', function () {
+        const output = logger.log.lastCall.args[0]
+        expect(output).to.have.string('Dry run, nothing was written.\n')
+        expect(output).to.have.string('-# 1.1.0\n-old\n+# 1.1.0 (2017-01-15)\n+* Fixed the bug')
       })
     })
+  })
 
-    describe('when scope is none', function () {
-      let result
+  describe('.release()', function () {
+    let result, error, info
+    beforeEach(function () {
+      result = error = null
+      bumper.config = {batchedRelease: {enabled: true, pendingFile: 'pending-release.json'}}
+      info = {changelog: 'Fixed the thing', modifiedFiles: [], pendingPrs: [], scope: 'minor'}
+      sandbox.stub(bumper, '_getPendingReleaseInfo').returns(Promise.resolve(info))
+      sandbox.stub(bumper, '_bumpAndRelease').returns(Promise.resolve('published'))
+    })
+
+    /**
+     * Release, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function release () {
+      return bumper.release()
+        .then((res) => {
+          result = res
+        })
+        .catch((err) => {
+          error = err
+        })
+    }
 
+    describe('when there are PRs pending release', function () {
       beforeEach(function () {
-        bumper.config = {foo: 'bar'}
-        bumper.vcs = {bar: 'baz'}
+        return release()
+      })
 
-        sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve('the-pr'))
-        sandbox.stub(utils, 'getScopeForPr').returns('none')
-        sandbox.stub(utils, 'getChangelogForPr').returns('my-changelog')
+      it('should bump and release them', function () {
+        expect(bumper._bumpAndRelease).to.have.been.calledWith(info)
       })
 
-      describe('when prependChangelog is set', function () {
-        beforeEach(function () {
-          bumper.config.prependChangelog = true
-          return bumper._getMergedPrInfo().then((res) => {
-            result = res
-          })
-        })
+      it('should resolve with the result of the release', function () {
+        expect(result).to.equal('published')
+      })
+    })
 
-        it('should get the last PR to be merged', function () {
-          expect(bumper._getLastPr).to.have.callCount(1)
-        })
+    describe('when there are no PRs pending release', function () {
+      beforeEach(function () {
+        bumper._getPendingReleaseInfo.returns(Promise.reject(new Bumper.Cancel('No PRs are pending release')))
+        return release()
+      })
 
-        it('should gets the scope for the given pr', function () {
-          expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
-        })
+      it('should not bump anything', function () {
+        expect(bumper._bumpAndRelease).to.have.callCount(0)
+      })
 
-        it('should not get the changelog for the given pr', function () {
-          expect(utils.getChangelogForPr).to.have.callCount(0)
-        })
+      it('should reject with a Cancel', function () {
+        expect(error).to.be.instanceof(Bumper.Cancel)
+      })
+    })
 
-        it('should resolve with the info', function () {
-          expect(result).to.be.eql({changelog: '', modifiedFiles: [], scope: 'none'})
-        })
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        sandbox.stub(bumper, '_logDryRunSummary').returns('summary-logged')
+        return release()
       })
 
-      describe('when prependChangelog is not set', function () {
-        beforeEach(function () {
-          bumper.config.prependChangelog = false
-          return bumper._getMergedPrInfo().then((res) => {
-            result = res
-          })
-        })
+      it('should log the dry run summary', function () {
+        expect(bumper._logDryRunSummary).to.have.been.calledWith('published')
+      })
 
-        it('should get the last PR to be merged', function () {
-          expect(bumper._getLastPr).to.have.callCount(1)
-        })
+      it('should resolve with the result of logging the summary', function () {
+        expect(result).to.equal('summary-logged')
+      })
+    })
 
-        it('should gets the scope for the given pr', function () {
-          expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
-        })
+    describe('when not a merge build', function () {
+      beforeEach(function () {
+        bumper.config.isPr = true
+        return release()
+      })
 
-        it('should not get the changelog for the given pr', function () {
-          expect(utils.getChangelogForPr).to.have.callCount(0)
-        })
+      it('should log that non merge builds are skipped', function () {
+        expect(logger.log).to.have.been.calledWith('Not a merge build, skipping release')
+      })
 
-        it('should resolve with the info', function () {
-          expect(result).to.be.eql({changelog: '', modifiedFiles: [], scope: 'none'})
-        })
+      it('should not look for PRs pending release', function () {
+        expect(bumper._getPendingReleaseInfo).to.have.callCount(0)
       })
     })
   })
 
-  describe('._getOpenPrInfo()', function () {
-    let result
+  describe('._bumpAndPush()', function () {
+    let info, result, error, conflict
     beforeEach(function () {
-      bumper.config = {foo: 'bar', prNumber: '123'}
-      bumper.vcs = {getPr () {}}
+      result = error = null
+      bumper.config = {branch: 'master'}
+      info = {changelog: '', modifiedFiles: [], scope: 'minor'}
+      conflict = new Bumper.PushConflict('Branch [master] moved to sha-2 since the build started', 'sha-2')
+      sandbox.stub(bumper, '_maybeBumpVersion').returns(Promise.resolve({modifiedFiles: ['package.json']}))
+      sandbox.stub(bumper, '_maybePrependChangelog').returnsArg(0)
+      sandbox.stub(bumper, '_maybeGenerateDependencySnapshot').returnsArg(0)
+      sandbox.stub(bumper, '_maybeGenerateDependencyComplianceReport').returnsArg(0)
+      sandbox.stub(bumper, '_maybeUpdateBaselineCoverage').returnsArg(0)
+      sandbox.stub(bumper, '_maybeCommitChanges').returnsArg(0)
+      sandbox.stub(bumper, '_maybeCreateTag').returnsArg(0)
+      sandbox.stub(bumper, '_maybePushChanges').returns(Promise.resolve('pushed'))
+      sandbox.stub(bumper, '_resetBump').returns(Promise.resolve())
+    })
 
-      sandbox.stub(bumper.vcs, 'getPr').returns(Promise.resolve('the-pr'))
-      sandbox.stub(utils, 'getScopeForPr').returns('patch')
-      sandbox.stub(utils, 'getChangelogForPr').returns('the-changelog')
-      sandbox.spy(utils, 'maybePostCommentOnError')
+    /**
+     * Bump and push, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function bumpAndPush () {
+      return bumper._bumpAndPush(info, 1)
+        .then((r) => {
+          result = r
+        })
+        .catch((err) => {
+          error = err
+        })
+    }
+
+    describe('when the push goes through', function () {
+      beforeEach(function () {
+        return bumpAndPush()
+      })
+
+      it('should bump a copy of the info', function () {
+        expect(bumper._maybeBumpVersion).to.have.been.calledWith(info, 'package.json')
+        expect(bumper._maybeBumpVersion.firstCall.args[0]).not.to.equal(info)
+      })
+
+      it('should not reset anything', function () {
+        expect(bumper._resetBump).to.have.callCount(0)
+      })
+
+      it('should resolve with the result of the push', function () {
+        expect(result).to.equal('pushed')
+      })
     })
 
-    describe('when prependChangelog is set', function () {
+    describe('when the push conflicts with the remote once', function () {
       beforeEach(function () {
-        bumper.config.prependChangelog = true
-        return bumper._getOpenPrInfo().then((res) => {
-          result = res
-        })
+        bumper._maybePushChanges.onCall(0).returns(Promise.reject(conflict))
+        return bumpAndPush()
       })
 
-      it('should fetch the PR', function () {
-        expect(bumper.vcs.getPr).to.have.been.calledWith('123')
+      it('should log what happened', function () {
+        expect(logger.log).to.have.been.calledWith(
+          'Branch [master] moved to sha-2 since the build started, redoing the bump on top of sha-2 (attempt 2)'
+        )
       })
 
-      it('should get the scope for the given pr', function () {
-        expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+      it('should reset to the head of the remote branch', function () {
+        expect(bumper._resetBump).to.have.been.calledWith('sha-2')
       })
 
-      it('should get the changelog for the given pr', function () {
-        expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
+      it('should redo the bump from the original info', function () {
+        expect(bumper._maybeBumpVersion).to.have.callCount(2)
+        expect(bumper._maybeBumpVersion.secondCall.args[0]).to.eql({changelog: '', modifiedFiles: [], scope: 'minor'})
       })
 
-      it('should resolve with the info', function () {
-        expect(result).to.be.eql({
-          changelog: 'the-changelog',
-          scope: 'patch'
-        })
+      it('should resolve with the result of the second push', function () {
+        expect(result).to.equal('pushed')
       })
+    })
 
-      describe('the first call to maybePostCommentOnError()', function () {
-        let args
-        beforeEach(function () {
-          args = utils.maybePostCommentOnError.firstCall.args
-        })
+    describe('when the push of a batched release conflicts with the remote once', function () {
+      let nextInfo
+      beforeEach(function () {
+        info.pendingPrs = [{changelog: 'Fixed the thing', scope: 'patch'}]
+        nextInfo = {changelog: '', modifiedFiles: [], pendingPrs: [], scope: 'minor'}
+        sandbox.stub(bumper, '_getPendingReleaseInfo').returns(Promise.resolve(nextInfo))
+        bumper._maybePushChanges.onCall(0).returns(Promise.reject(conflict))
+        return bumpAndPush()
+      })
 
-        it('should pass in the config', function () {
-          expect(args[0]).to.equal(bumper.config)
-        })
+      it('should redo the bump with the PRs pending release on the remote branch', function () {
+        expect(bumper._maybeBumpVersion.secondCall.args[0]).to.eql(nextInfo)
+      })
+    })
 
-        it('should pass in the vcs', function () {
-          expect(args[1]).to.equal(bumper.vcs)
-        })
+    describe('when the push keeps conflicting with the remote', function () {
+      beforeEach(function () {
+        bumper._maybePushChanges.returns(Promise.reject(conflict))
+        return bumpAndPush()
+      })
 
-        describe('when the wrapped function is called', function () {
-          let ret
-          beforeEach(function () {
-            utils.getScopeForPr.reset()
-            ret = args[2]()
-          })
+      it('should give up after 3 attempts', function () {
+        expect(bumper._maybePushChanges).to.have.callCount(3)
+      })
 
-          it('should get the scope', function () {
-            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
-          })
+      it('should reject with an error', function () {
+        expect(error.message).to.equal(
+          'Unable to push the bump after 3 attempts: Branch [master] moved to sha-2 since the build started'
+        )
+      })
+    })
 
-          it('should return the pr and scope', function () {
-            expect(ret).to.eql({
-              pr: 'the-pr',
-              scope: 'patch'
-            })
-          })
-        })
+    describe('when something else goes wrong', function () {
+      beforeEach(function () {
+        bumper._maybeBumpVersion.returns(Promise.reject(new Error('Nope')))
+        return bumpAndPush()
       })
 
-      describe('the second call to maybePostCommentOnError()', function () {
-        let args
-        beforeEach(function () {
-          args = utils.maybePostCommentOnError.secondCall.args
-        })
+      it('should not retry', function () {
+        expect(bumper._maybeBumpVersion).to.have.callCount(1)
+      })
 
-        it('should pass in the config', function () {
-          expect(args[0]).to.equal(bumper.config)
-        })
+      it('should reject with the error', function () {
+        expect(error.message).to.equal('Nope')
+      })
+    })
+  })
 
-        it('should pass in the vcs', function () {
-          expect(args[1]).to.equal(bumper.vcs)
+  describe('._checkForPushConflict()', function () {
+    let error
+    beforeEach(function () {
+      error = null
+      bumper.config = {branch: 'master'}
+      bumper.ci = {
+        fetch: sandbox.stub().returns(Promise.resolve('sha-2')),
+        hasRemoteTag: sandbox.stub().returns(Promise.resolve(false))
+      }
+      execStub.withArgs('git merge-base --is-ancestor sha-2 HEAD').returns(Promise.resolve(''))
+      execStub.withArgs('git tag --points-at HEAD').returns(Promise.resolve('v1.2.0\n@acme/b@2.0.0\n'))
+    })
+
+    /**
+     * Check for conflicts, saving the error
+     * @returns {Promise} a promise resolved when done
+     */
+    function checkForPushConflict () {
+      return bumper._checkForPushConflict()
+        .catch((err) => {
+          error = err
         })
+    }
 
-        describe('when the wrapped function is called', function () {
-          let ret
-          beforeEach(function () {
-            utils.getChangelogForPr.reset()
-            ret = args[2]()
-          })
+    describe('when the remote branch did not move and the tags are new', function () {
+      beforeEach(function () {
+        return checkForPushConflict()
+      })
 
-          it('should get the changelog', function () {
-            expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
-          })
+      it('should fetch the remote branch', function () {
+        expect(bumper.ci.fetch).to.have.callCount(1)
+      })
 
-          it('should return the changelog and scope', function () {
-            expect(ret).to.eql({
-              changelog: 'the-changelog',
-              scope: 'patch'
-            })
-          })
-        })
+      it('should check each tag of the bump on the remote', function () {
+        expect(bumper.ci.hasRemoteTag).to.have.been.calledWith('v1.2.0')
+        expect(bumper.ci.hasRemoteTag).to.have.been.calledWith('@acme/b@2.0.0')
+      })
+
+      it('should not reject', function () {
+        expect(error).to.equal(null)
       })
     })
 
-    describe('when prependChangelog is not set', function () {
+    describe('when the remote branch moved', function () {
       beforeEach(function () {
-        bumper.config.prependChangelog = false
-        return bumper._getOpenPrInfo().then((res) => {
-          result = res
-        })
+        execStub.withArgs('git merge-base --is-ancestor sha-2 HEAD').returns(Promise.reject(new Error('exit 1')))
+        return checkForPushConflict()
       })
 
-      it('should fetch the PR', function () {
-        expect(bumper.vcs.getPr).to.have.been.calledWith('123')
+      it('should reject with a conflict', function () {
+        expect(error).to.be.instanceof(Bumper.PushConflict)
       })
 
-      it('should get the scope for the given pr', function () {
-        expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+      it('should say the branch moved', function () {
+        expect(error.message).to.equal('Branch [master] moved to sha-2 since the build started')
       })
 
-      it('should not get the changelog for the given pr', function () {
-        expect(utils.getChangelogForPr).to.have.callCount(0)
+      it('should include the head of the remote branch', function () {
+        expect(error.remoteHead).to.equal('sha-2')
       })
+    })
 
-      it('should resolve with the info', function () {
-        expect(result).to.be.eql({
-          changelog: '',
-          scope: 'patch'
-        })
+    describe('when a tag already exists on the remote', function () {
+      beforeEach(function () {
+        bumper.ci.hasRemoteTag.withArgs('@acme/b@2.0.0').returns(Promise.resolve(true))
+        return checkForPushConflict()
+      })
+
+      it('should reject with a conflict', function () {
+        expect(error).to.be.instanceof(Bumper.PushConflict)
+      })
+
+      it('should say which tag exists', function () {
+        expect(error.message).to.equal('Tag [@acme/b@2.0.0] already exists on the remote')
       })
     })
   })
 
-  describe('._maybeBumpVersion()', function () {
-    const ctx = {}
-
+  describe('._getDistTag()', function () {
     beforeEach(function () {
-      ctx.bumper = bumper
-
-      let original = path.join(__dirname, '_package.json')
-      return exec(`cp ${original} _package.json`)
+      bumper.config = {branch: 'master', publish: {}}
     })
 
-    afterEach(function () {
-      return exec('rm -f _package.json')
+    it('should use "latest" for a normal version', function () {
+      expect(bumper._getDistTag('1.2.3')).to.equal('latest')
     })
 
-    testMaybeBumpVersion(ctx, 'none', '1.2.3')
-    testMaybeBumpVersion(ctx, 'patch', '1.2.4')
-    testMaybeBumpVersion(ctx, 'minor', '1.3.0')
-    testMaybeBumpVersion(ctx, 'major', '2.0.0')
+    it('should use the pre-release identifier for a pre-release version', function () {
+      expect(bumper._getDistTag('2.0.0-beta.3')).to.equal('beta')
+    })
 
-    describe('an invalid scope', function () {
-      let info
-      beforeEach(function () {
-        info = {scope: 'foo'}
-      })
+    it('should use the dist-tag configured for the pre-release identifier', function () {
+      bumper.config.publish.distTags = {beta: 'next'}
+      expect(bumper._getDistTag('2.0.0-beta.3')).to.equal('next')
+    })
 
-      it('should throw an Error', function () {
-        expect(() => {
-          bumper._maybeBumpVersion(info, '_package.json')
-        }).to.throw('Invalid scope [foo]')
-      })
+    it('should use the dist-tag configured for the branch', function () {
+      bumper.config.branch = '1.x'
+      bumper.config.branches = {'1.x': {distTag: 'v1-latest'}}
+      expect(bumper._getDistTag('1.2.3')).to.equal('v1-latest')
     })
   })
 
-  describe('._maybeCommitChanges()', function () {
-    let info, result, error
-
+  describe('._getLastPr()', function () {
+    let result, error
     beforeEach(function () {
-      info = {
-        changelog: 'stuff changed',
-        modifiedFiles: [],
-        scope: 'patch'
+      result = error = null
+      bumper.config = {
+        mergeCommitPatterns: ['^Merge pull request #(\\d+)', '\\(#(\\d+)\\)$'],
+        vcs: {provider: 'github'}
+      }
+      bumper.vcs = {
+        getMergedPr: sandbox.stub().returns(Promise.resolve('the-merged-pr')),
+        getPr: sandbox.stub().returns(Promise.resolve('the-pr'))
+      }
+      execStub.withArgs('git rev-parse HEAD').returns(Promise.resolve('sha-1\n'))
+      execStub.withArgs('git log -1 --format=%B sha-1').returns(Promise.resolve(
+        'Merge pull request #30 from job13er/remove-newline\n\nRemoved newline from parsed PR number\n'
+      ))
+    })
+
+    /**
+     * Get the last PR, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function getLastPr () {
+      return bumper._getLastPr()
+        .then((pr) => {
+          result = pr
+        })
+        .catch((err) => {
+          error = err
+        })
+    }
+
+    describe('when the vcs knows which PR was merged by the commit', function () {
+      beforeEach(function () {
+        return getLastPr()
+      })
+
+      it('should look up the PR merged by the current commit', function () {
+        expect(bumper.vcs.getMergedPr).to.have.been.calledWith('sha-1')
+      })
+
+      it('should not look at the git log', function () {
+        expect(execStub).not.to.have.been.calledWith('git log -1 --format=%B sha-1')
+      })
+
+      it('should resolve with the merged pr', function () {
+        expect(result).to.equal('the-merged-pr')
+      })
+    })
+
+    describe('when the commit was pushed directly, on top of an earlier merge', function () {
+      beforeEach(function () {
+        bumper.vcs.getMergedPr.returns(Promise.resolve(undefined))
+        execStub.withArgs('git log -1 --format=%B sha-1').returns(Promise.resolve('Pushed straight to master\n'))
+        return getLastPr()
+      })
+
+      it('should not look at the git log', function () {
+        expect(execStub).not.to.have.been.calledWith('git log -1 --format=%B sha-1')
+      })
+
+      it('should not fetch a PR (so the earlier one is not bumped again)', function () {
+        expect(bumper.vcs.getPr).to.have.callCount(0)
+      })
+
+      it('should reject with an error', function () {
+        expect(error.message).to.equal(
+          'Unable to find the PR merged by commit [sha-1], the github API doesn\'t associate it with one ' +
+          '(was it pushed without a PR?)'
+        )
+      })
+    })
+
+    describe('when the vcs lookup fails', function () {
+      beforeEach(function () {
+        bumper.vcs.getMergedPr.returns(Promise.reject(new Error('404: Not Found')))
+        return getLastPr()
+      })
+
+      it('should log why it is falling back to the commit message', function () {
+        expect(logger.log).to.have.been.calledWith('Unable to look up the PR merged by commit [sha-1]: 404: Not Found')
+      })
+
+      it('should only read the message of the current commit', function () {
+        expect(execStub).to.have.been.calledWith('git log -1 --format=%B sha-1')
+      })
+
+      it('should resolve with the PR from the commit message', function () {
+        expect(bumper.vcs.getPr).to.have.been.calledWith('30')
+        expect(result).to.equal('the-pr')
+      })
+
+      describe('and the PR was squash merged', function () {
+        beforeEach(function () {
+          execStub.withArgs('git log -1 --format=%B sha-1').returns(Promise.resolve(
+            'Fix the changelog parsing (#31)\n\n* Fix the changelog parsing\n'
+          ))
+          return getLastPr()
+        })
+
+        it('should get the PR number from the squash commit message', function () {
+          expect(bumper.vcs.getPr).to.have.been.calledWith('31')
+        })
+      })
+
+      describe('and the commit message does not match', function () {
+        beforeEach(function () {
+          bumper.vcs.getPr.reset()
+          execStub.withArgs('git log -1 --format=%B sha-1').returns(Promise.resolve('Pushed straight to master\n'))
+          return getLastPr()
+        })
+
+        it('should not fetch a PR', function () {
+          expect(bumper.vcs.getPr).to.have.callCount(0)
+        })
+
+        it('should reject with an error', function () {
+          expect(error.message).to.equal(
+            'Unable to find the PR merged by commit [sha-1], the github API lookup failed and its commit message ' +
+            'matches none of the mergeCommitPatterns (in .pr-bumper.json)'
+          )
+        })
+      })
+
+      describe('and getPr fails', function () {
+        beforeEach(function () {
+          bumper.vcs.getPr.returns(Promise.reject('the-error'))
+          return getLastPr()
+        })
+
+        it('should reject with the error', function () {
+          expect(error).to.equal('the-error')
+        })
+      })
+    })
+  })
+
+  describe('._getMergedPrInfo()', function () {
+    ;['major', 'minor', 'patch'].forEach(function (scope) {
+      describe(`when scope is ${scope}`, function () {
+        let result
+
+        beforeEach(function () {
+          bumper.config = {foo: 'bar'}
+          bumper.vcs = {bar: 'baz'}
+
+          sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve('the-pr'))
+          sandbox.stub(utils, 'getScopeForPr').returns(scope)
+          sandbox.stub(utils, 'getChangelogForPr').returns('my-changelog')
+        })
+
+        describe('when prependChangelog is set', function () {
+          beforeEach(function () {
+            bumper.config.prependChangelog = true
+            return bumper._getMergedPrInfo().then((res) => {
+              result = res
+            })
+          })
+
+          it('should get the last PR to be merged', function () {
+            expect(bumper._getLastPr).to.have.callCount(1)
+          })
+
+          it('should gets the scope for the given pr', function () {
+            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+          })
+
+          it('should get the changelog for the given pr', function () {
+            expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
+          })
+
+          it('should resolve with the info', function () {
+            expect(result).to.be.eql({changelog: 'my-changelog', modifiedFiles: [], pr: 'the-pr', scope})
+          })
+        })
+
+        describe('when prependChangelog is not set', function () {
+          beforeEach(function () {
+            bumper.config.prependChangelog = false
+            return bumper._getMergedPrInfo().then((res) => {
+              result = res
+            })
+          })
+
+          it('should get the last PR to be merged', function () {
+            expect(bumper._getLastPr).to.have.callCount(1)
+          })
+
+          it('should gets the scope for the given pr', function () {
+            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+          })
+
+          it('should not get the changelog for the given pr', function () {
+            expect(utils.getChangelogForPr).to.have.callCount(0)
+          })
+
+          it('should resolve with the info', function () {
+            expect(result).to.be.eql({changelog: '', modifiedFiles: [], pr: 'the-pr', scope})
+          })
+        })
+      })
+    })
+
+    describe('when scope is none', function () {
+      let result
+
+      beforeEach(function () {
+        bumper.config = {foo: 'bar'}
+        bumper.vcs = {bar: 'baz'}
+
+        sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve('the-pr'))
+        sandbox.stub(utils, 'getScopeForPr').returns('none')
+        sandbox.stub(utils, 'getChangelogForPr').returns('my-changelog')
+      })
+
+      describe('when prependChangelog is set', function () {
+        beforeEach(function () {
+          bumper.config.prependChangelog = true
+          return bumper._getMergedPrInfo().then((res) => {
+            result = res
+          })
+        })
+
+        it('should get the last PR to be merged', function () {
+          expect(bumper._getLastPr).to.have.callCount(1)
+        })
+
+        it('should gets the scope for the given pr', function () {
+          expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+        })
+
+        it('should not get the changelog for the given pr', function () {
+          expect(utils.getChangelogForPr).to.have.callCount(0)
+        })
+
+        it('should resolve with the info', function () {
+          expect(result).to.be.eql({changelog: '', modifiedFiles: [], pr: 'the-pr', scope: 'none'})
+        })
+      })
+
+      describe('when prependChangelog is not set', function () {
+        beforeEach(function () {
+          bumper.config.prependChangelog = false
+          return bumper._getMergedPrInfo().then((res) => {
+            result = res
+          })
+        })
+
+        it('should get the last PR to be merged', function () {
+          expect(bumper._getLastPr).to.have.callCount(1)
+        })
+
+        it('should gets the scope for the given pr', function () {
+          expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+        })
+
+        it('should not get the changelog for the given pr', function () {
+          expect(utils.getChangelogForPr).to.have.callCount(0)
+        })
+
+        it('should resolve with the info', function () {
+          expect(result).to.be.eql({changelog: '', modifiedFiles: [], pr: 'the-pr', scope: 'none'})
+        })
+      })
+    })
+
+    describe('when scopeSource is commits', function () {
+      let result, pr, commits
+
+      beforeEach(function () {
+        pr = {number: '123', url: 'my-pr-url'}
+        commits = [{message: 'feat: a new thing', sha: 'sha-1'}]
+        bumper.config = {prependChangelog: false, scopeSource: 'commits'}
+        bumper.vcs = {getPrCommits: sandbox.stub().returns(Promise.resolve(commits))}
+
+        sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve(pr))
+        sandbox.stub(utils, 'getScopeForPr').returns('minor')
+
+        return bumper._getMergedPrInfo().then((res) => {
+          result = res
+        })
+      })
+
+      it('should get the commits of the PR', function () {
+        expect(bumper.vcs.getPrCommits).to.have.been.calledWith('123')
+      })
+
+      it('should get the scope for the pr and its commits', function () {
+        expect(utils.getScopeForPr).to.have.been.calledWith(pr, {commits, labels: undefined, scopeLabels: undefined})
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.eql({changelog: '', modifiedFiles: [], pr, scope: 'minor'})
+      })
+    })
+
+    describe('when in a workspace', function () {
+      let result, error, pr, packages
+
+      beforeEach(function () {
+        pr = {number: '123', url: 'my-pr-url'}
+        packages = [
+          {changed: true, dir: 'packages/pkg-a', name: 'pkg-a', pkgJsonFile: 'packages/pkg-a/package.json'},
+          {changed: false, dir: 'packages/pkg-b', name: 'pkg-b', pkgJsonFile: 'packages/pkg-b/package.json'},
+          {changed: false, dir: 'packages/pkg-c', name: 'pkg-c', pkgJsonFile: 'packages/pkg-c/package.json'}
+        ]
+        bumper.config = {prependChangelog: true, workspaces: ['packages/*']}
+        result = error = null
+
+        sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve(pr))
+        sandbox.stub(bumper, '_getScopeSources').returns(Promise.resolve('the-sources'))
+        sandbox.stub(bumper, '_getWorkspacePackages').returns(Promise.resolve(packages))
+        sandbox.stub(utils, 'getPackageScopesForPr').returns({'pkg-a': 'minor', 'pkg-b': 'patch'})
+        sandbox.stub(utils, 'getChangelogForPr').returns('my-changelog')
+      })
+
+      describe('when the scopes follow the policy for the branch', function () {
+        beforeEach(function () {
+          return bumper._getMergedPrInfo().then((res) => {
+            result = res
+          })
+        })
+
+        it('should get the packages of the workspace, and which of them the pr changed', function () {
+          expect(bumper._getWorkspacePackages).to.have.been.calledWith(pr)
+        })
+
+        it('should get the scope of each package for the pr and the changed packages', function () {
+          expect(utils.getPackageScopesForPr).to.have.been.calledWith(
+            pr, 'the-sources', ['pkg-a', 'pkg-b', 'pkg-c'], ['pkg-a']
+          )
+        })
+
+        it('should resolve with the info, including the scope of each package', function () {
+          expect(result).to.be.eql({
+            changelog: 'my-changelog',
+            modifiedFiles: [],
+            packages: [
+              __.assign({scope: 'minor'}, packages[0]),
+              __.assign({scope: 'patch'}, packages[1]),
+              __.assign({scope: 'none'}, packages[2])
+            ],
+            pr,
+            scope: 'minor'
+          })
+        })
+      })
+
+      describe('when a package scope breaks the policy for the branch', function () {
+        beforeEach(function () {
+          bumper.config.branch = '1.x'
+          bumper.config.branches = {'1.x': {maxScope: 'patch'}}
+          return bumper._getMergedPrInfo()
+            .then((res) => {
+              result = res
+            })
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should not resolve', function () {
+          expect(result).to.equal(null)
+        })
+
+        it('should reject with an error explaining the policy', function () {
+          expect(error.message).to.equal(
+            'Version-bump scope [minor] is bigger than the maximum scope [patch] on branch [1.x] ' +
+            'for PR #123 (my-pr-url)'
+          )
+        })
+      })
+    })
+
+    describe('when the scope breaks the policy for the branch', function () {
+      let result, error
+
+      beforeEach(function () {
+        bumper.config = {branch: '1.x', branches: {'1.x': {maxScope: 'patch'}}}
+        sandbox.stub(bumper, '_getLastPr').returns(Promise.resolve({number: '123', url: 'my-pr-url'}))
+        sandbox.stub(utils, 'getScopeForPr').returns('minor')
+        result = error = null
+
+        return bumper._getMergedPrInfo()
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not resolve', function () {
+        expect(result).to.equal(null)
+      })
+
+      it('should reject with an error explaining the policy', function () {
+        expect(error.message).to.equal(
+          'Version-bump scope [minor] is bigger than the maximum scope [patch] on branch [1.x] for PR #123 (my-pr-url)'
+        )
+      })
+    })
+  })
+
+  describe('._getOpenPrInfo()', function () {
+    let result
+    beforeEach(function () {
+      bumper.config = {foo: 'bar', prNumber: '123'}
+      bumper.vcs = {getPr () {}}
+
+      sandbox.stub(bumper.vcs, 'getPr').returns(Promise.resolve('the-pr'))
+      sandbox.stub(utils, 'getScopeForPr').returns('patch')
+      sandbox.stub(utils, 'getChangelogForPr').returns('the-changelog')
+      sandbox.spy(utils, 'maybePostCommentOnError')
+    })
+
+    describe('when prependChangelog is set', function () {
+      beforeEach(function () {
+        bumper.config.prependChangelog = true
+        return bumper._getOpenPrInfo().then((res) => {
+          result = res
+        })
+      })
+
+      it('should fetch the PR', function () {
+        expect(bumper.vcs.getPr).to.have.been.calledWith('123')
+      })
+
+      it('should get the scope for the given pr', function () {
+        expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+      })
+
+      it('should get the changelog for the given pr', function () {
+        expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.eql({
+          changelog: 'the-changelog',
+          scope: 'patch'
+        })
+      })
+
+      describe('the first call to maybePostCommentOnError()', function () {
+        let args
+        beforeEach(function () {
+          args = utils.maybePostCommentOnError.firstCall.args
+        })
+
+        it('should pass in the config', function () {
+          expect(args[0]).to.equal(bumper.config)
+        })
+
+        it('should pass in the vcs', function () {
+          expect(args[1]).to.equal(bumper.vcs)
+        })
+
+        it('should pass in the [scope] comment category', function () {
+          expect(args[3]).to.equal('scope')
+        })
+
+        describe('when the wrapped function is called', function () {
+          let ret
+          beforeEach(function () {
+            utils.getScopeForPr.reset()
+            ret = args[2]()
+          })
+
+          it('should get the scope', function () {
+            expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+          })
+
+          it('should return the pr and scope', function () {
+            expect(ret).to.eql({
+              pr: 'the-pr',
+              scope: 'patch'
+            })
+          })
+        })
+      })
+
+      describe('the second call to maybePostCommentOnError()', function () {
+        let args
+        beforeEach(function () {
+          args = utils.maybePostCommentOnError.secondCall.args
+        })
+
+        it('should pass in the config', function () {
+          expect(args[0]).to.equal(bumper.config)
+        })
+
+        it('should pass in the vcs', function () {
+          expect(args[1]).to.equal(bumper.vcs)
+        })
+
+        it('should pass in the [changelog] comment category', function () {
+          expect(args[3]).to.equal('changelog')
+        })
+
+        describe('when the wrapped function is called', function () {
+          let ret
+          beforeEach(function () {
+            utils.getChangelogForPr.reset()
+            ret = args[2]()
+          })
+
+          it('should get the changelog', function () {
+            expect(utils.getChangelogForPr).to.have.been.calledWith('the-pr')
+          })
+
+          it('should return the changelog and scope', function () {
+            expect(ret).to.eql({
+              changelog: 'the-changelog',
+              scope: 'patch'
+            })
+          })
+        })
+      })
+    })
+
+    describe('when prependChangelog is not set', function () {
+      beforeEach(function () {
+        bumper.config.prependChangelog = false
+        return bumper._getOpenPrInfo().then((res) => {
+          result = res
+        })
+      })
+
+      it('should fetch the PR', function () {
+        expect(bumper.vcs.getPr).to.have.been.calledWith('123')
+      })
+
+      it('should get the scope for the given pr', function () {
+        expect(utils.getScopeForPr).to.have.been.calledWith('the-pr')
+      })
+
+      it('should not get the changelog for the given pr', function () {
+        expect(utils.getChangelogForPr).to.have.callCount(0)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.eql({
+          changelog: '',
+          scope: 'patch'
+        })
+      })
+    })
+
+    describe('when scopeSource is commits', function () {
+      let pr, commits
+      beforeEach(function () {
+        pr = {number: '123', url: 'my-pr-url'}
+        commits = [{message: 'fix: the thing', sha: 'sha-1'}]
+        bumper.config.scopeSource = 'commits'
+        bumper.vcs.getPr.returns(Promise.resolve(pr))
+        bumper.vcs.getPrCommits = sandbox.stub().returns(Promise.resolve(commits))
+
+        return bumper._getOpenPrInfo().then((res) => {
+          result = res
+        })
+      })
+
+      it('should get the commits of the PR', function () {
+        expect(bumper.vcs.getPrCommits).to.have.been.calledWith('123')
+      })
+
+      it('should get the scope for the pr and its commits', function () {
+        expect(utils.getScopeForPr).to.have.been.calledWith(pr, {commits, labels: undefined, scopeLabels: undefined})
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.eql({changelog: '', scope: 'patch'})
+      })
+    })
+
+    describe('when the scope breaks the policy for the branch', function () {
+      let error
+      beforeEach(function () {
+        bumper.config.branch = '1.x'
+        bumper.config.branches = {'1.x': {maxScope: 'patch'}}
+        bumper.vcs.getPr.returns(Promise.resolve({number: '123', url: 'my-pr-url'}))
+        utils.getScopeForPr.returns('major')
+        result = error = null
+
+        return bumper._getOpenPrInfo()
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not resolve', function () {
+        expect(result).to.equal(null)
+      })
+
+      it('should reject with an error explaining the policy', function () {
+        expect(error.message).to.equal(
+          'Version-bump scope [major] is bigger than the maximum scope [patch] on branch [1.x] for PR #123 (my-pr-url)'
+        )
+      })
+    })
+
+    describe('when in a workspace', function () {
+      let pr
+      beforeEach(function () {
+        pr = {number: '123', url: 'my-pr-url'}
+        bumper.config.workspaces = ['packages/*']
+        bumper.config.prependChangelog = false
+        bumper.vcs.getPr.returns(Promise.resolve(pr))
+        sandbox.stub(bumper, '_getWorkspacePackages').returns(Promise.resolve([
+          {changed: true, dir: 'packages/pkg-a', name: 'pkg-a', pkgJsonFile: 'packages/pkg-a/package.json'},
+          {changed: true, dir: 'packages/pkg-b', name: 'pkg-b', pkgJsonFile: 'packages/pkg-b/package.json'}
+        ]))
+        sandbox.stub(utils, 'getPackageScopesForPr').returns({'pkg-a': 'major', 'pkg-b': 'patch'})
+
+        return bumper._getOpenPrInfo().then((res) => {
+          result = res
+        })
+      })
+
+      it('should get the packages of the workspace, and which of them the pr changed', function () {
+        expect(bumper._getWorkspacePackages).to.have.been.calledWith(pr)
+      })
+
+      it('should get the scope of each package for the pr and the changed packages', function () {
+        expect(utils.getPackageScopesForPr).to.have.been.calledWith(
+          pr, {commits: undefined, labels: undefined, scopeLabels: undefined}, ['pkg-a', 'pkg-b'], ['pkg-a', 'pkg-b']
+        )
+      })
+
+      it('should resolve with the biggest scope of any package', function () {
+        expect(result).to.be.eql({changelog: '', scope: 'major'})
+      })
+    })
+  })
+
+  describe('._getPatchCoverage()', function () {
+    let result, error, readLinesStub
+    beforeEach(function () {
+      result = error = null
+      bumper.config = {
+        branch: 'main',
+        coverage: {metrics: ['statements'], patch: {enabled: true, minimum: 80}},
+        isPr: true
+      }
+      execStub.returns(Promise.resolve([
+        '+++ b/lib/cli.js',
+        '@@ -1,0 +2,2 @@',
+        '+covered',
+        '+not covered'
+      ].join('\n')))
+      readLinesStub = sandbox.stub(coverageReader, 'readLines').returns(Promise.resolve({'lib/cli.js': {2: 1, 3: 0}}))
+    })
+
+    /**
+     * Get the patch coverage, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function getPatchCoverage () {
+      return bumper._getPatchCoverage()
+        .then((resp) => {
+          result = resp
+        })
+        .catch((err) => {
+          error = err
+        })
+    }
+
+    describe('when not enabled', function () {
+      beforeEach(function () {
+        bumper.config.coverage.patch.enabled = false
+        return getPatchCoverage()
+      })
+
+      it('should not diff anything', function () {
+        expect(execStub).to.have.callCount(0)
+      })
+
+      it('should resolve with nothing', function () {
+        expect(result).to.equal(undefined)
+      })
+    })
+
+    describe('when not a PR build', function () {
+      beforeEach(function () {
+        bumper.config.isPr = false
+        return getPatchCoverage()
+      })
+
+      it('should not read the line coverage', function () {
+        expect(readLinesStub).to.have.callCount(0)
+      })
+
+      it('should resolve with nothing', function () {
+        expect(result).to.equal(undefined)
+      })
+    })
+
+    describe('when enabled for a PR build', function () {
+      beforeEach(function () {
+        return getPatchCoverage()
+      })
+
+      it('should fetch the branch the PR is merging into', function () {
+        expect(execStub).to.have.been.calledWith('git fetch origin +refs/heads/main:refs/remotes/origin/main')
+      })
+
+      it('should diff against the branch the PR is merging into', function () {
+        expect(execStub).to.have.been.calledWith(
+          'git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ origin/main...HEAD'
+        )
+      })
+
+      it('should read the line coverage', function () {
+        expect(readLinesStub).to.have.been.calledWith(bumper.config.coverage)
+      })
+
+      it('should resolve with the coverage of the changed lines', function () {
+        expect(result).to.eql({
+          covered: 1,
+          failures: ['below the minimum of `80.00%`'],
+          files: [{covered: 1, file: 'lib/cli.js', pct: 50, total: 2}],
+          pct: 50,
+          total: 2
+        })
+      })
+    })
+
+    describe('when the report lists files relative to a source directory', function () {
+      beforeEach(function () {
+        bumper.config.coverage.patch.sourceDir = 'lib'
+        readLinesStub.returns(Promise.resolve({'cli.js': {2: 1, 3: 1}}))
+        return getPatchCoverage()
+      })
+
+      it('should find the changed files within the source directory', function () {
+        expect(result.files).to.eql([{covered: 2, file: 'lib/cli.js', pct: 100, total: 2}])
+      })
+    })
+
+    describe('when a base is configured', function () {
+      beforeEach(function () {
+        bumper.config.coverage.patch.base = 'upstream/develop'
+        return getPatchCoverage()
+      })
+
+      it('should not fetch anything', function () {
+        expect(execStub).not.to.have.been.calledWith(sinon.match(/^git fetch/))
+      })
+
+      it('should diff against the configured base', function () {
+        expect(execStub).to.have.been.calledWith(
+          'git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ upstream/develop...HEAD'
+        )
+      })
+    })
+
+    describe('when the branch the PR is merging into can not be fetched', function () {
+      beforeEach(function () {
+        execStub.withArgs('git fetch origin +refs/heads/main:refs/remotes/origin/main')
+          .returns(Promise.reject(new Error('Command failed')))
+        return getPatchCoverage()
+      })
+
+      it('should not diff anything', function () {
+        expect(execStub).not.to.have.been.calledWith(sinon.match(/^git diff/))
+      })
+
+      it('should reject with an error explaining what to do', function () {
+        expect(error.message).to.equal(
+          'Unable to diff against [origin/main] to find the lines changed by the PR (in a shallow clone, fetch ' +
+          'enough history for git to find where the PR branched off, or configure coverage.patch.base): Command failed'
+        )
+      })
+    })
+
+    describe('when git can not diff against the base (i.e. in a shallow clone)', function () {
+      beforeEach(function () {
+        execStub.withArgs('git diff --unified=0 --no-color --src-prefix=a/ --dst-prefix=b/ origin/main...HEAD')
+          .returns(Promise.reject(new Error('fatal: origin/main...HEAD: no merge base')))
+        return getPatchCoverage()
+      })
+
+      it('should reject with an error explaining what to do', function () {
+        expect(error.message).to.equal(
+          'Unable to diff against [origin/main] to find the lines changed by the PR (in a shallow clone, fetch ' +
+          'enough history for git to find where the PR branched off, or configure coverage.patch.base): ' +
+          'fatal: origin/main...HEAD: no merge base'
+        )
+      })
+    })
+
+    describe('when the line coverage can not be read', function () {
+      beforeEach(function () {
+        readLinesStub.returns(Promise.reject(new Error('No coverage report found at [coverage/lcov.info]')))
+        return getPatchCoverage()
+      })
+
+      it('should reject with the error', function () {
+        expect(error.message).to.equal('No coverage report found at [coverage/lcov.info]')
+      })
+    })
+  })
+
+  describe('._getPendingReleaseInfo()', function () {
+    let result, error, pendingPrs
+    beforeEach(function () {
+      result = error = null
+      bumper.config = {batchedRelease: {enabled: true, pendingFile: 'pending-release.json'}}
+      pendingPrs = [
+        {changelog: 'Fixed the thing', packages: {'packages/pkg-a': 'patch'}, pr: {number: 1}, scope: 'patch'},
+        {
+          changelog: 'Added the feature',
+          packages: {'packages/pkg-a': 'minor', 'packages/pkg-b': 'patch'},
+          pr: {number: 2},
+          scope: 'minor'
+        }
+      ]
+      readFileStub.withArgs('pending-release.json').returns(Promise.resolve(JSON.stringify(pendingPrs)))
+    })
+
+    /**
+     * Get the pending release info, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function getPendingReleaseInfo () {
+      return bumper._getPendingReleaseInfo()
+        .then((res) => {
+          result = res
+        })
+        .catch((err) => {
+          error = err
+        })
+    }
+
+    describe('when not in a workspace', function () {
+      beforeEach(function () {
+        return getPendingReleaseInfo()
+      })
+
+      it('should combine the PRs, with the biggest of their scopes', function () {
+        expect(result).to.eql({
+          changelog: 'Fixed the thing\n\nAdded the feature',
+          modifiedFiles: [],
+          pendingPrs,
+          scope: 'minor'
+        })
+      })
+    })
+
+    describe('when in a workspace', function () {
+      let readdirStub, revertReaddirRewire
+      beforeEach(function () {
+        readdirStub = sandbox.stub()
+        revertReaddirRewire = Bumper.__set__('readdir', readdirStub)
+
+        bumper.config.workspaces = ['packages/*']
+        readdirStub.withArgs('packages').returns(Promise.resolve(['pkg-a', 'pkg-b', 'pkg-c']))
+        readFileStub.withArgs('packages/pkg-a/package.json').returns(Promise.resolve('{"name": "pkg-a"}'))
+        readFileStub.withArgs('packages/pkg-b/package.json').returns(Promise.resolve('{"name": "pkg-b"}'))
+        readFileStub.withArgs('packages/pkg-c/package.json').returns(Promise.resolve('{"name": "pkg-c"}'))
+
+        return getPendingReleaseInfo()
+      })
+
+      afterEach(function () {
+        revertReaddirRewire()
+      })
+
+      it('should give each package the biggest of the scopes the PRs gave it', function () {
+        expect(result.packages.map((pkg) => [pkg.name, pkg.changed, pkg.scope])).to.eql([
+          ['pkg-a', true, 'minor'],
+          ['pkg-b', true, 'patch'],
+          ['pkg-c', false, 'none']
+        ])
+      })
+    })
+
+    describe('when there is no pending release file', function () {
+      beforeEach(function () {
+        readFileStub.withArgs('pending-release.json').returns(Promise.reject(new Error('ENOENT')))
+        return getPendingReleaseInfo()
+      })
+
+      it('should reject with a Cancel', function () {
+        expect(error).to.be.instanceof(Bumper.Cancel)
+      })
+
+      it('should say there is nothing to release', function () {
+        expect(error.message).to.equal('No PRs are pending release, skipping release.')
+      })
+    })
+  })
+
+  describe('._getReleases()', function () {
+    beforeEach(function () {
+      bumper.config.changelogFile = 'CHANGELOG.md'
+    })
+
+    it('should release the root package when not in a workspace', function () {
+      expect(bumper._getReleases({previousVersion: '1.2.3', scope: 'minor', version: '1.3.0'})).to.eql([{
+        changelogFile: 'CHANGELOG.md',
+        dir: '.',
+        previousTag: 'v1.2.3',
+        previousVersion: '1.2.3',
+        tag: 'v1.3.0',
+        version: '1.3.0'
+      }])
+    })
+
+    it('should release each bumped package in a workspace', function () {
+      const info = {
+        packages: [
+          {dir: 'packages/pkg-a', name: 'pkg-a', previousVersion: '1.3.2', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'},
+          {dir: 'packages/pkg-c', name: '@org/pkg-c', previousVersion: '0.1.0', scope: 'patch', version: '0.1.1'}
+        ],
+        scope: 'minor'
+      }
+
+      expect(bumper._getReleases(info)).to.eql([
+        {
+          changelogFile: 'packages/pkg-a/CHANGELOG.md',
+          dir: 'packages/pkg-a',
+          previousTag: 'pkg-a@1.3.2',
+          previousVersion: '1.3.2',
+          tag: 'pkg-a@1.4.0',
+          version: '1.4.0'
+        },
+        {
+          changelogFile: 'packages/pkg-c/CHANGELOG.md',
+          dir: 'packages/pkg-c',
+          previousTag: '@org/pkg-c@0.1.0',
+          previousVersion: '0.1.0',
+          tag: '@org/pkg-c@0.1.1',
+          version: '0.1.1'
+        }
+      ])
+    })
+  })
+
+  describe('._getScopeSources()', function () {
+    let pr, result
+    beforeEach(function () {
+      pr = {number: '123', url: 'my-pr-url'}
+      bumper.vcs = {
+        getPrCommits: sandbox.stub().returns(Promise.resolve(['the-commits'])),
+        getPrLabels: sandbox.stub().returns(Promise.resolve(['the-labels']))
+      }
+    })
+
+    describe('when neither labels or commits are configured', function () {
+      beforeEach(function () {
+        bumper.config = {scopeSource: 'description'}
+        return bumper._getScopeSources(pr)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should not get the commits', function () {
+        expect(bumper.vcs.getPrCommits).to.have.callCount(0)
+      })
+
+      it('should not get the labels', function () {
+        expect(bumper.vcs.getPrLabels).to.have.callCount(0)
+      })
+
+      it('should resolve with no sources', function () {
+        expect(result).to.eql({commits: undefined, labels: undefined, scopeLabels: undefined})
+      })
+    })
+
+    describe('when labels and commits are configured', function () {
+      beforeEach(function () {
+        bumper.config = {scopeLabels: {'semver:minor': 'minor'}, scopeSource: 'commits'}
+        return bumper._getScopeSources(pr)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should get the commits', function () {
+        expect(bumper.vcs.getPrCommits).to.have.been.calledWith('123')
+      })
+
+      it('should get the labels', function () {
+        expect(bumper.vcs.getPrLabels).to.have.been.calledWith('123')
+      })
+
+      it('should resolve with the sources', function () {
+        expect(result).to.eql({
+          commits: ['the-commits'],
+          labels: ['the-labels'],
+          scopeLabels: {'semver:minor': 'minor'}
+        })
+      })
+    })
+  })
+
+  describe('._getTemplateValues()', function () {
+    let info, release
+    beforeEach(function () {
+      sandbox.useFakeTimers(Date.UTC(2017, 0, 15, 23, 30), 'Date')
+      bumper.config = {}
+      bumper.vcs = {
+        getCompareUrl (from, to) {
+          return `https://github.com/me/my-repo/compare/${from}...${to}`
+        }
+      }
+      info = {
+        changelog: 'Fixed the thing',
+        pr: {
+          author: {login: 'jdoe', name: 'Jane Doe'},
+          mergedAt: '2017-01-15T23:00:00Z',
+          number: 123,
+          title: 'Fix the thing',
+          url: 'my-pr-url'
+        }
+      }
+      release = {previousTag: 'v1.2.3', previousVersion: '1.2.3', tag: 'v1.2.4', version: '1.2.4'}
+    })
+
+    it('should give the details of the release and the PR, with ISO dates in UTC', function () {
+      expect(bumper._getTemplateValues(info, release)).to.eql({
+        author: 'jdoe',
+        authorName: 'Jane Doe',
+        changelog: 'Fixed the thing',
+        compareUrl: 'https://github.com/me/my-repo/compare/v1.2.3...v1.2.4',
+        date: '2017-01-15',
+        mergedAt: '2017-01-15',
+        number: 123,
+        previousVersion: '1.2.3',
+        tag: 'v1.2.4',
+        title: 'Fix the thing',
+        url: 'my-pr-url',
+        version: '1.2.4'
+      })
+    })
+
+    it('should format the dates as configured', function () {
+      bumper.config.changelogDate = {format: 'DD/MM/YYYY HH:mm', timezone: 'Australia/Sydney'}
+      const values = bumper._getTemplateValues(info, release)
+      expect([values.date, values.mergedAt]).to.eql(['16/01/2017 10:30', '16/01/2017 10:00'])
+    })
+
+    it('should have no compare URL without a previous version', function () {
+      delete release.previousTag
+      delete release.previousVersion
+      expect(bumper._getTemplateValues(info, release).compareUrl).to.equal(undefined)
+    })
+
+    it('should use the date of a release that already has one', function () {
+      release.date = new Date(Date.UTC(2016, 11, 31, 12))
+      expect(bumper._getTemplateValues(info, release).date).to.equal('2016-12-31')
+    })
+  })
+
+  describe('._getTemplates()', function () {
+    let result
+    beforeEach(function () {
+      bumper.config = {}
+    })
+
+    describe('when no templates are configured', function () {
+      beforeEach(function () {
+        return bumper._getTemplates()
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should resolve with the default templates', function () {
+        expect(result).to.eql({
+          changelogEntry: '{changelog}',
+          changelogHeader: '# {version} ({date})',
+          releaseNotes: '{changelog}'
+        })
+      })
+    })
+
+    describe('when templates are configured, some in files', function () {
+      beforeEach(function () {
+        bumper.config.changelogHeader = '## {tag} ({date})'
+        bumper.config.releaseNotes = {file: '.github/release-notes.md'}
+        readFileStub.withArgs('.github/release-notes.md').returns(Promise.resolve('{changelog}\n\nSee {compareUrl}\n'))
+        return bumper._getTemplates()
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should resolve with the configured templates, without the newline at the end of the files', function () {
+        expect(result).to.eql({
+          changelogEntry: '{changelog}',
+          changelogHeader: '## {tag} ({date})',
+          releaseNotes: '{changelog}\n\nSee {compareUrl}'
+        })
+      })
+    })
+
+    describe('when a template file does not exist', function () {
+      let error
+      beforeEach(function () {
+        bumper.config.changelogEntry = {file: 'missing.md'}
+        readFileStub.withArgs('missing.md').returns(Promise.reject(new Error('ENOENT: no such file')))
+        return bumper._getTemplates()
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should reject with the error', function () {
+        expect(error.message).to.equal('ENOENT: no such file')
+      })
+    })
+  })
+
+  describe('._getWorkspacePackages()', function () {
+    let result, readdirStub, revertReaddirRewire
+
+    beforeEach(function () {
+      readdirStub = sandbox.stub()
+      revertReaddirRewire = Bumper.__set__('readdir', readdirStub)
+      bumper.vcs = {getPrFiles: sandbox.stub()}
+    })
+
+    afterEach(function () {
+      revertReaddirRewire()
+    })
+
+    describe('when not in a workspace', function () {
+      beforeEach(function () {
+        return bumper._getWorkspacePackages({number: 123})
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should not look for packages', function () {
+        expect(readdirStub).to.have.callCount(0)
+      })
+
+      it('should not look for changed files', function () {
+        expect(bumper.vcs.getPrFiles).to.have.callCount(0)
+      })
+
+      it('should resolve with no packages', function () {
+        expect(result).to.eql([])
+      })
+    })
+
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        bumper.config.workspaces = ['packages/*', 'tools/cli']
+        readdirStub.withArgs('packages').returns(Promise.resolve(['pkg-b', 'README.md', 'pkg-a']))
+        readFileStub.withArgs('packages/pkg-a/package.json').returns(Promise.resolve('{"name": "pkg-a"}'))
+        readFileStub.withArgs('packages/pkg-b/package.json').returns(Promise.resolve('{"name": "@org/pkg-b"}'))
+        readFileStub.withArgs('packages/README.md/package.json').returns(Promise.reject(new Error('ENOTDIR')))
+        readFileStub.withArgs('tools/cli/package.json').returns(Promise.resolve('{"name": "cli"}'))
+        bumper.vcs.getPrFiles.returns(Promise.resolve([
+          'packages/pkg-b/index.js',
+          'packages/pkg-bb/index.js',
+          'README.md'
+        ]))
+
+        return bumper._getWorkspacePackages({number: 123})
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should list the files changed by the PR (by all of its commits) via the vcs', function () {
+        expect(bumper.vcs.getPrFiles).to.have.been.calledWith(123)
+      })
+
+      it('should not diff the last commit', function () {
+        expect(execStub).to.have.callCount(0)
+      })
+
+      it('should resolve with the packages, and whether they were changed', function () {
+        expect(result).to.eql([
+          {changed: false, dir: 'packages/pkg-a', name: 'pkg-a', pkgJsonFile: 'packages/pkg-a/package.json'},
+          {changed: true, dir: 'packages/pkg-b', name: '@org/pkg-b', pkgJsonFile: 'packages/pkg-b/package.json'},
+          {changed: false, dir: 'tools/cli', name: 'cli', pkgJsonFile: 'tools/cli/package.json'}
+        ])
+      })
+    })
+  })
+
+  describe('._logDryRunSummary()', function () {
+    let info, result, output
+    beforeEach(function () {
+      info = {
+        changelog: 'Fixed the thing',
+        modifiedFiles: ['package.json', 'CHANGELOG.md'],
+        scope: 'patch',
+        version: '1.2.4'
+      }
+      bumper.dryRunChanges.files[path.resolve('package.json')] = {
+        contents: '{\n  "version": "1.2.4"\n}',
+        filename: 'package.json',
+        original: '{\n  "version": "1.2.3"\n}'
+      }
+      bumper.dryRunChanges.commands = ['git add package.json CHANGELOG.md', 'git tag v1.2.4 -a -m "tagged"']
+
+      result = bumper._logDryRunSummary(info)
+      output = logger.log.lastCall.args[0]
+    })
+
+    it('should force the summary to be logged', function () {
+      expect(logger.log.lastCall.args[1]).to.equal(true)
+    })
+
+    it('should include the next version', function () {
+      expect(output).to.contain('Next version: 1.2.4')
+    })
+
+    it('should include the changelog entry', function () {
+      expect(output).to.contain('Changelog entry:\nFixed the thing')
+    })
+
+    it('should include the modified files', function () {
+      expect(output).to.contain('Modified files: package.json, CHANGELOG.md')
+    })
+
+    it('should include the file diffs', function () {
+      expect(output).to.contain('-  "version": "1.2.3"\n+  "version": "1.2.4"')
+    })
+
+    it('should include the commands', function () {
+      expect(output).to.contain('  git add package.json CHANGELOG.md\n  git tag v1.2.4 -a -m "tagged"')
+    })
+
+    it('should return the info', function () {
+      expect(result).to.equal(info)
+    })
+
+    describe('when nothing would change', function () {
+      beforeEach(function () {
+        info = {
+          changelog: '',
+          modifiedFiles: [],
+          scope: 'none'
+        }
+        bumper.dryRunChanges = {commands: [], files: {}}
+
+        bumper._logDryRunSummary(info)
+        output = logger.log.lastCall.args[0]
+      })
+
+      it('should say the version is unchanged', function () {
+        expect(output).to.contain('Next version: (unchanged)')
+      })
+
+      it('should not include a changelog entry', function () {
+        expect(output).not.to.contain('Changelog entry:')
+      })
+
+      it('should say no files were modified', function () {
+        expect(output).to.contain('Modified files: (none)')
+      })
+    })
+
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        info = {
+          changelog: '',
+          modifiedFiles: [],
+          packages: [
+            {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+            {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'},
+            {dir: 'packages/pkg-c', name: 'pkg-c', scope: 'patch', version: '0.1.1'}
+          ],
+          scope: 'minor'
+        }
+
+        bumper._logDryRunSummary(info)
+        output = logger.log.lastCall.args[0]
+      })
+
+      it('should include the next version of each bumped package', function () {
+        expect(output).to.contain('Next versions: pkg-a@1.4.0, pkg-c@0.1.1')
+      })
+    })
+  })
+
+  describe('._maybeBumpPackageVersions()', function () {
+    let info, result
+
+    beforeEach(function () {
+      info = {
+        modifiedFiles: [],
+        packages: [
+          {dir: 'packages/pkg-a', name: 'pkg-a', pkgJsonFile: 'packages/pkg-a/package.json', scope: 'minor'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', pkgJsonFile: 'packages/pkg-b/package.json', scope: 'none'},
+          {dir: 'packages/pkg-c', name: 'pkg-c', pkgJsonFile: 'packages/pkg-c/package.json', scope: 'patch'}
+        ],
+        scope: 'minor'
+      }
+
+      readFileStub.withArgs('packages/pkg-a/package.json').returns(Promise.resolve(JSON.stringify({
+        name: 'pkg-a',
+        version: '1.3.2'
+      })))
+      readFileStub.withArgs('packages/pkg-b/package.json').returns(Promise.resolve(JSON.stringify({
+        dependencies: {'pkg-a': '^1.3.0', 'lodash': '^4.0.0'},
+        devDependencies: {'pkg-c': '0.1.0'},
+        name: 'pkg-b',
+        version: '2.0.0'
+      })))
+      readFileStub.withArgs('packages/pkg-c/package.json').returns(Promise.resolve(JSON.stringify({
+        name: 'pkg-c',
+        peerDependencies: {'pkg-a': '*'},
+        version: '0.1.0'
+      })))
+      writeFileStub.returns(Promise.resolve())
+    })
+
+    describe('when the scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        return bumper._maybeBumpPackageVersions(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should not write any files', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when packages are bumped', function () {
+      beforeEach(function () {
+        return bumper._maybeBumpPackageVersions(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should bump the version of each package with its own scope', function () {
+        expect(writeFileStub).to.have.been.calledWith(
+          'packages/pkg-a/package.json', JSON.stringify({name: 'pkg-a', version: '1.4.0'}, null, 2)
+        )
+      })
+
+      it('should record the new version of each bumped package', function () {
+        expect(info.packages.map((pkg) => pkg.version)).to.eql(['1.4.0', undefined, '0.1.1'])
+      })
+
+      it('should record the previous version of each bumped package', function () {
+        expect(info.packages.map((pkg) => pkg.previousVersion)).to.eql(['1.3.2', undefined, '0.1.0'])
+      })
+
+      it('should update the ranges of the dependents of the bumped packages', function () {
+        expect(writeFileStub).to.have.been.calledWith('packages/pkg-b/package.json', JSON.stringify({
+          dependencies: {'pkg-a': '^1.4.0', 'lodash': '^4.0.0'},
+          devDependencies: {'pkg-c': '0.1.1'},
+          name: 'pkg-b',
+          version: '2.0.0'
+        }, null, 2))
+      })
+
+      it('should not rewrite packages whose ranges did not change', function () {
+        expect(writeFileStub.withArgs('packages/pkg-c/package.json')).to.have.callCount(1)
+      })
+
+      it('should add the package.json files to the list of modified files', function () {
+        expect(info.modifiedFiles).to.eql([
+          'packages/pkg-a/package.json',
+          'packages/pkg-c/package.json',
+          'packages/pkg-b/package.json'
+        ])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when a package has a pre-release scope on a branch with no pre-release identifier', function () {
+      it('should throw an Error', function () {
+        bumper.config = {branch: 'master'}
+        info.packages[0].scope = 'premajor'
+        expect(() => {
+          bumper._maybeBumpPackageVersions(info)
+        }).to.throw('No pre-release identifier configured for branch [master]')
+      })
+    })
+  })
+
+  describe('._maybeBumpVersion()', function () {
+    const ctx = {}
+
+    beforeEach(function () {
+      ctx.bumper = bumper
+      ctx.readFileStub = readFileStub
+      ctx.writeFileStub = writeFileStub
+    })
+
+    testMaybeBumpVersion(ctx, 'none', '1.2.3', '1.2.3')
+    testMaybeBumpVersion(ctx, 'patch', '1.2.3', '1.2.4')
+    testMaybeBumpVersion(ctx, 'minor', '1.2.3', '1.3.0')
+    testMaybeBumpVersion(ctx, 'major', '1.2.3', '2.0.0')
+
+    describe('on a pre-release version', function () {
+      testMaybeBumpVersion(ctx, 'patch', '1.2.4-beta.0', '1.2.4')
+      testMaybeBumpVersion(ctx, 'minor', '1.2.4-beta.0', '1.3.0')
+      testMaybeBumpVersion(ctx, 'minor', '1.3.0-beta.1', '1.3.0')
+      testMaybeBumpVersion(ctx, 'major', '2.0.0-beta.4', '2.0.0')
+    })
+
+    describe('on a branch with a pre-release identifier', function () {
+      beforeEach(function () {
+        bumper.config = {
+          branch: 'next',
+          branches: {
+            next: {prerelease: 'beta'}
+          }
+        }
+      })
+
+      testMaybeBumpVersion(ctx, 'prerelease', '1.2.3', '1.2.4-beta.0')
+      testMaybeBumpVersion(ctx, 'prerelease', '2.0.0-beta.3', '2.0.0-beta.4')
+      testMaybeBumpVersion(ctx, 'prerelease', '2.0.0-alpha.3', '2.0.0-beta.0')
+      testMaybeBumpVersion(ctx, 'prepatch', '1.2.3', '1.2.4-beta.0')
+      testMaybeBumpVersion(ctx, 'preminor', '1.2.3', '1.3.0-beta.0')
+      testMaybeBumpVersion(ctx, 'premajor', '1.2.3', '2.0.0-beta.0')
+      testMaybeBumpVersion(ctx, 'premajor', '2.0.0-beta.3', '3.0.0-beta.0')
+      testMaybeBumpVersion(ctx, 'major', '2.0.0-beta.3', '2.0.0')
+    })
+
+    describe('a pre-release scope on a branch with no pre-release identifier', function () {
+      beforeEach(function () {
+        bumper.config = {
+          branch: 'master',
+          branches: {
+            next: {prerelease: 'beta'}
+          }
+        }
+      })
+
+      it('should throw an Error', function () {
+        expect(() => {
+          bumper._maybeBumpVersion({scope: 'prerelease', modifiedFiles: []}, '_package.json')
+        }).to.throw('No pre-release identifier configured for branch [master]')
+      })
+    })
+
+    describe('an invalid scope', function () {
+      let info
+      beforeEach(function () {
+        info = {scope: 'foo'}
+      })
+
+      it('should throw an Error', function () {
+        expect(() => {
+          bumper._maybeBumpVersion(info, '_package.json')
+        }).to.throw('Invalid scope [foo]')
+      })
+    })
+
+    describe('a version that is not valid semver', function () {
+      let error
+      beforeEach(function () {
+        readFileStub.returns(Promise.resolve(JSON.stringify({name: 'foo-bar', version: 'latest'}, null, 2)))
+
+        return bumper._maybeBumpVersion({scope: 'minor', modifiedFiles: []}, '_package.json')
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should reject with an error explaining why', function () {
+        expect(error.message).to.equal(
+          'Unable to bump the version [latest] in [_package.json] with scope [minor], it is not a valid semver version'
+        )
+      })
+
+      it('should not write the file', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+    })
+
+    describe('during a dry run', function () {
+      let info
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        readFileStub.returns(Promise.resolve(JSON.stringify({name: 'foo-bar', version: '1.2.3'}, null, 2)))
+
+        return bumper._maybeBumpVersion({scope: 'minor', modifiedFiles: []}, '_package.json')
+          .then((r) => {
+            info = r
+          })
+      })
+
+      it('should return the next version', function () {
+        expect(info.version).to.equal('1.3.0')
+      })
+
+      it('should not write the file', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should record the new contents of the file', function () {
+        const contents = JSON.stringify({name: 'foo-bar', version: '1.3.0'}, null, 2)
+        expect(bumper.dryRunChanges.files[path.resolve('_package.json')].contents).to.equal(contents)
+      })
+
+      it('should add "package.json" to the list of modified files', function () {
+        expect(info.modifiedFiles).to.include('_package.json')
+      })
+    })
+  })
+
+  describe('._maybeClearPendingPrs()', function () {
+    let info, result
+    beforeEach(function () {
+      bumper.config = {batchedRelease: {enabled: true, pendingFile: 'pending-release.json'}}
+      info = {modifiedFiles: ['package.json'], pendingPrs: [{changelog: 'Fixed the thing', scope: 'patch'}]}
+      writeFileStub.returns(Promise.resolve())
+    })
+
+    describe('in a batched release', function () {
+      beforeEach(function () {
+        return bumper._maybeClearPendingPrs(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should empty the pending release file', function () {
+        expect(writeFileStub).to.have.been.calledWith('pending-release.json', '[]')
+      })
+
+      it('should add the pending release file to the modified files', function () {
+        expect(info.modifiedFiles).to.eql(['package.json', 'pending-release.json'])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when bumping a single PR', function () {
+      beforeEach(function () {
+        delete info.pendingPrs
+        return bumper._maybeClearPendingPrs(info)
+      })
+
+      it('should leave the pending release file alone', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+    })
+  })
+
+  describe('._maybeCommitChanges()', function () {
+    let info, result, error
+
+    beforeEach(function () {
+      info = {
+        changelog: 'stuff changed',
+        modifiedFiles: [],
+        scope: 'patch'
+      }
+      __.set(bumper.config, 'ci.buildNumber', '12345')
+
+      bumper.ci = {
+        add () {},
+        commit () {},
+        setupGitEnv () {}
+      }
+
+      sandbox.stub(bumper.ci, 'add').returns(Promise.resolve())
+      sandbox.stub(bumper.ci, 'commit').returns(Promise.resolve())
+      sandbox.stub(bumper.ci, 'setupGitEnv').returns(Promise.resolve())
+    })
+
+    describe('when no files were modified', function () {
+      beforeEach(function (done) {
+        result = error = null
+        bumper._maybeCommitChanges(info)
+          .then((r) => {
+            result = r
+          })
+          .catch((e) => {
+            error = e
+          })
+          .finally(() => {
+            done()
+          })
+      })
+
+      it('should log info about skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping commit because no files were changed.')
+      })
+
+      it('should not set up the git env', function () {
+        expect(bumper.ci.setupGitEnv).to.have.callCount(0)
+      })
+
+      it('should not add any files', function () {
+        expect(bumper.ci.add).to.have.callCount(0)
+      })
+
+      it('should not commit any files', function () {
+        expect(bumper.ci.commit).to.have.callCount(0)
+      })
+
+      it('should not reject', function () {
+        expect(error).to.equal(null)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when files were modified', function () {
+      beforeEach(function (done) {
+        info.modifiedFiles = [
+          'fizz',
+          'bang'
+        ]
+        result = error = null
+        bumper._maybeCommitChanges(info)
+          .then((r) => {
+            result = r
+          })
+          .catch((e) => {
+            error = e
+          })
+          .finally(() => {
+            done()
+          })
+      })
+
+      it('should not log info about skipping', function () {
+        expect(logger.log).to.have.callCount(0)
+      })
+
+      it('should set up the git env', function () {
+        expect(bumper.ci.setupGitEnv).to.have.callCount(1)
+      })
+
+      it('should add the rightfiles', function () {
+        expect(bumper.ci.add).to.have.been.calledWith(['fizz', 'bang'])
+      })
+
+      it('should commit with version bump message', function () {
+        const msg = `[${pkgJson.name}] Automated version bump`
+        const descr = 'From CI build 12345'
+        expect(bumper.ci.commit).to.have.been.calledWith(msg, descr)
+      })
+
+      it('should not reject', function () {
+        expect(error).to.equal(null)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when the PR was recorded for the next release', function () {
+      beforeEach(function () {
+        info.modifiedFiles = ['pending-release.json']
+        info.pr = {number: 12}
+        info.recorded = true
+        return bumper._maybeCommitChanges(info)
+      })
+
+      it('should commit with a message about recording the PR', function () {
+        const msg = `[${pkgJson.name}] Automated recording of PR #12 for the next release`
+        expect(bumper.ci.commit).to.have.been.calledWith(msg, 'From CI build 12345')
+      })
+    })
+
+    describe('when files were modified, and none scope', function () {
+      beforeEach(function (done) {
+        info.scope = 'none'
+        info.modifiedFiles = [
+          'fizz',
+          'bang'
+        ]
+        result = error = null
+        bumper._maybeCommitChanges(info)
+          .then((r) => {
+            result = r
+          })
+          .catch((e) => {
+            error = e
+          })
+          .finally(() => {
+            done()
+          })
+      })
+
+      it('should not log info about skipping', function () {
+        expect(logger.log).to.have.callCount(0)
+      })
+
+      it('should set up the git env', function () {
+        expect(bumper.ci.setupGitEnv).to.have.callCount(1)
+      })
+
+      it('should add the rightfiles', function () {
+        expect(bumper.ci.add).to.have.been.calledWith(['fizz', 'bang'])
+      })
+
+      it('should commit with coverage message', function () {
+        const msg = `[${pkgJson.name}] Automated code coverage update`
+        const descr = 'From CI build 12345'
+        expect(bumper.ci.commit).to.have.been.calledWith(msg, descr)
+      })
+
+      it('should not reject', function () {
+        expect(error).to.equal(null)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when files were modified during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        info.modifiedFiles = [
+          'fizz',
+          'bang'
+        ]
+        return bumper._maybeCommitChanges(info)
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should not set up the git env', function () {
+        expect(bumper.ci.setupGitEnv).to.have.callCount(0)
+      })
+
+      it('should not add any files', function () {
+        expect(bumper.ci.add).to.have.callCount(0)
+      })
+
+      it('should not commit any files', function () {
+        expect(bumper.ci.commit).to.have.callCount(0)
+      })
+
+      it('should record the git commands', function () {
+        expect(bumper.dryRunChanges.commands).to.eql([
+          'git add fizz bang',
+          `git commit -m "[${pkgJson.name}] Automated version bump" -m "From CI build 12345"`
+        ])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+  })
+
+  describe('._maybeCreateRelease()', function () {
+    let result, info
+
+    beforeEach(function () {
+      info = {
+        changelog: 'Fixed the thing',
+        modifiedFiles: ['package.json'],
+        scope: 'patch',
+        version: '1.2.4'
+      }
+      bumper.config = {branch: 'master', createRelease: true}
+      bumper.vcs = {createRelease: sandbox.stub().returns(Promise.resolve())}
+    })
+
+    describe('when createRelease is not set', function () {
+      beforeEach(function () {
+        bumper.config.createRelease = false
+        return bumper._maybeCreateRelease(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping release creation because of config option.')
+      })
+
+      it('should not create a release', function () {
+        expect(bumper.vcs.createRelease).to.have.callCount(0)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping release creation because of "none" scope.')
+      })
+
+      it('should not create a release', function () {
+        expect(bumper.vcs.createRelease).to.have.callCount(0)
+      })
+    })
+
+    ;['tag', 'push'].forEach((setting) => {
+      describe(`when the branch policy turns off ${setting}`, function () {
+        beforeEach(function () {
+          bumper.config.branches = {master: {[setting]: false}}
+          return bumper._maybeCreateRelease(info)
+        })
+
+        it('should log a message about why it is skipping', function () {
+          expect(logger.log).to.have.been.calledWith('Skipping release creation because of policy for branch [master].')
+        })
+
+        it('should not create a release', function () {
+          expect(bumper.vcs.createRelease).to.have.callCount(0)
+        })
+      })
+    })
+
+    describe('when a version was bumped', function () {
+      beforeEach(function () {
+        return bumper._maybeCreateRelease(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should create a release for the tag, with the changelog as the notes', function () {
+        expect(bumper.vcs.createRelease).to.have.been.calledWith('v1.2.4', 'Fixed the thing', false)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when there is a releaseNotes template', function () {
+      beforeEach(function () {
+        info.previousVersion = '1.2.3'
+        bumper.config.releaseNotes = '{changelog}\n\n**Full changelog**: {compareUrl}'
+        bumper.vcs.getCompareUrl = function (from, to) {
+          return `https://github.com/me/my-repo/compare/${from}...${to}`
+        }
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should create a release with the rendered notes', function () {
+        const notes = 'Fixed the thing\n\n**Full changelog**: https://github.com/me/my-repo/compare/v1.2.3...v1.2.4'
+        expect(bumper.vcs.createRelease).to.have.been.calledWith('v1.2.4', notes, false)
+      })
+    })
+
+    describe('in a batched release', function () {
+      beforeEach(function () {
+        info.pendingPrs = [
+          {changelog: 'Fixed the thing', pr: {author: {login: 'jdoe'}, number: 1}, scope: 'patch'},
+          {changelog: 'Added the feature', pr: {author: {login: 'bob'}, number: 2}, scope: 'minor'}
+        ]
+        bumper.config.changelogEntry = '{changelog} (#{number})'
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should create a release with the changelog entries of all the PRs as the notes', function () {
+        const notes = 'Fixed the thing (#1)\n\nAdded the feature (#2)'
+        expect(bumper.vcs.createRelease).to.have.been.calledWith('v1.2.4', notes, false)
+      })
+    })
+
+    describe('when a pre-release version was bumped', function () {
+      beforeEach(function () {
+        info.version = '2.0.0-beta.1'
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should create a pre-release', function () {
+        expect(bumper.vcs.createRelease).to.have.been.calledWith('v2.0.0-beta.1', 'Fixed the thing', true)
+      })
+    })
+
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'},
+          {dir: 'packages/pkg-c', name: 'pkg-c', scope: 'patch', version: '0.1.1'}
+        ]
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should create a release for each tag', function () {
+        expect(bumper.vcs.createRelease.args).to.eql([
+          ['pkg-a@1.4.0', 'Fixed the thing', false],
+          ['pkg-c@0.1.1', 'Fixed the thing', false]
+        ])
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        return bumper._maybeCreateRelease(info)
+      })
+
+      it('should not create a release', function () {
+        expect(bumper.vcs.createRelease).to.have.callCount(0)
+      })
+
+      it('should log the release it would have created', function () {
+        expect(logger.log).to.have.been.calledWith('Dry run, not creating release for tag [v1.2.4]')
+      })
+    })
+  })
+
+  describe('._maybeCreateTag()', function () {
+    let result, info
+
+    beforeEach(function () {
+      info = {
+        version: '1.2.3'
       }
       __.set(bumper.config, 'ci.buildNumber', '12345')
+      bumper.ci = {
+        tag () {}
+      }
+
+      sandbox.stub(bumper.ci, 'tag').returns(Promise.resolve('tagged'))
+      execStub.returns(Promise.resolve())
+    })
+
+    describe('when scope is not "none"', function () {
+      beforeEach(function () {
+        return bumper._maybeCreateTag(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should create a tag', function () {
+        expect(bumper.ci.tag).to.have.been.calledWith('v1.2.3', 'Generated tag from CI build 12345')
+      })
+
+      it('should resolve with the result of the tag', function () {
+        expect(result).to.be.equal(info)
+      })
+    })
+
+    describe('when scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        return bumper._maybeCreateTag(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should not create a tag', function () {
+        expect(bumper.ci.tag).to.have.callCount(0)
+      })
+
+      it('should resolve with the result of the tag', function () {
+        expect(result).to.be.equal(info)
+      })
+    })
+
+    describe('when the branch policy turns off tags', function () {
+      beforeEach(function () {
+        bumper.config.branch = '1.x'
+        bumper.config.branches = {'1.x': {tag: false}}
+        return bumper._maybeCreateTag(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping tag creation because of policy for branch [1.x].')
+      })
+
+      it('should not create a tag', function () {
+        expect(bumper.ci.tag).to.have.callCount(0)
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.equal(info)
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        return bumper._maybeCreateTag(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should not create a tag', function () {
+        expect(bumper.ci.tag).to.have.callCount(0)
+      })
+
+      it('should record the git command', function () {
+        expect(bumper.dryRunChanges.commands).to.eql(['git tag v1.2.3 -a -m "Generated tag from CI build 12345"'])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.equal(info)
+      })
+    })
+
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        info.scope = 'minor'
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'},
+          {dir: 'packages/pkg-c', name: 'pkg-c', scope: 'patch', version: '0.1.1'}
+        ]
+        return bumper._maybeCreateTag(info)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should create a tag for each bumped package', function () {
+        expect(bumper.ci.tag.args).to.eql([
+          ['pkg-a@1.4.0', 'Generated tag from CI build 12345'],
+          ['pkg-c@0.1.1', 'Generated tag from CI build 12345']
+        ])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.be.equal(info)
+      })
+    })
+  })
+
+  describe('._maybeGenerateDependencyComplianceReport()', function () {
+    let result, info
+    beforeEach(function () {
+      info = {
+        modifiedFiles: [],
+        scope: 'none'
+      }
+    })
+
+    describe('when no dir is configured', function () {
+      beforeEach(function () {
+        return bumper._maybeGenerateDependencyComplianceReport(info)
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should log info about skipping b/c of config', function () {
+        const msg = 'Skipping generating dependency compliance report because of config option.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not generate dependencies', function () {
+        expect(depStub.run).to.have.callCount(0)
+      })
+
+      it('should return a promise resolving with info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when an out dir is configured, but scope is "none"', function () {
+      beforeEach(function () {
+        __.set(bumper.config, 'dependencies.output.directory', 'blackduck/')
+        return bumper._maybeGenerateDependencyComplianceReport(info)
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should log info about skipping b/c of scope', function () {
+        const msg = 'Skipping generating dependency compliance report because of "none" scope.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
 
-      bumper.ci = {
-        add () {},
-        commit () {},
-        setupGitEnv () {}
-      }
+      it('should not generate dependencies', function () {
+        expect(depStub.run).to.have.callCount(0)
+      })
 
-      sandbox.stub(bumper.ci, 'add').returns(Promise.resolve())
-      sandbox.stub(bumper.ci, 'commit').returns(Promise.resolve())
-      sandbox.stub(bumper.ci, 'setupGitEnv').returns(Promise.resolve())
+      it('should return a promise resolving with info', function () {
+        expect(result).to.equal(info)
+      })
     })
 
-    describe('when no files were modified', function () {
-      beforeEach(function (done) {
-        result = error = null
-        bumper._maybeCommitChanges(info)
+    describe('when an out dir is configured, and scope is not "none"', function () {
+      let cwd, globalPath
+      beforeEach(function () {
+        info.scope = 'patch'
+        cwd = process.cwd()
+        globalPath = path.join(cwd, 'blackduck/')
+        __.set(bumper.config, 'dependencies.output.directory', 'blackduck/')
+        return bumper._maybeGenerateDependencyComplianceReport(info)
           .then((r) => {
             result = r
           })
-          .catch((e) => {
-            error = e
+      })
+
+      it('should not log anything', function () {
+        expect(logger.log).to.have.callCount(0)
+      })
+
+      it('should generate dependencies', function () {
+        expect(depStub.run).to.have.been.calledWith(cwd, globalPath, bumper.config)
+      })
+
+      it('should add "blackduck/" to the list of files modified', function () {
+        expect(info.modifiedFiles).to.include('blackduck/')
+      })
+
+      it('should return a promise resolving with info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        info.scope = 'patch'
+        bumper.config.dryRun = true
+        __.set(bumper.config, 'dependencies.output.directory', 'blackduck/')
+        return bumper._maybeGenerateDependencyComplianceReport(info)
+          .then((r) => {
+            result = r
           })
-          .finally(() => {
-            done()
+      })
+
+      it('should log a message about not generating the report', function () {
+        const msg = 'Dry run, not generating dependency compliance report in blackduck/'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not generate dependencies', function () {
+        expect(depStub.run).to.have.callCount(0)
+      })
+
+      it('should add "blackduck/" to the list of files modified', function () {
+        expect(info.modifiedFiles).to.include('blackduck/')
+      })
+
+      it('should return a promise resolving with info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+  })
+
+  describe('._maybeGenerateDependencySnapshot()', function () {
+    let ret, info
+    beforeEach(function () {
+      info = {
+        modifiedFiles: [],
+        scope: 'patch'
+      }
+      bumper.config.dependencySnapshotFile = 'snapshot-file'
+      execStub.withArgs('npm prune').returns(Promise.resolve('prune-done'))
+      execStub.withArgs('npm shrinkwrap --dev').returns(Promise.resolve('shrinkwrap-done'))
+      execStub.returns(Promise.resolve('move-done'))
+    })
+
+    describe('when no snapshot file defined', function () {
+      beforeEach(function () {
+        bumper.config.dependencySnapshotFile = ''
+        return bumper._maybeGenerateDependencySnapshot(info)
+          .then((resp) => {
+            ret = resp
+          })
+      })
+
+      it('should log a message about why it is skipping', function () {
+        const msg = 'Skipping generating dependency snapshot because of config option.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not prune node_modules so shrinkwrap will work', function () {
+        expect(execStub).not.to.have.been.calledWith('npm prune')
+      })
+
+      it('should not generate the dependency snapshot', function () {
+        expect(execStub).not.to.have.been.calledWith('npm shrinkwrap --dev')
+      })
+
+      it('should not add the dependencySnapshotFile to the list of modified files', function () {
+        expect(info.modifiedFiles).to.have.length(0)
+      })
+
+      it('should return the info', function () {
+        expect(ret).to.equal(info)
+      })
+    })
+
+    describe('when scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        return bumper._maybeGenerateDependencySnapshot(info)
+          .then((resp) => {
+            ret = resp
+          })
+      })
+
+      it('should log a message about why it is skipping', function () {
+        const msg = 'Skipping generating dependency snapshot because of "none" scope.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not prune node_modules so shrinkwrap will work', function () {
+        expect(execStub).not.to.have.been.calledWith('npm prune')
+      })
+
+      it('should not generate the dependency snapshot', function () {
+        expect(execStub).not.to.have.been.calledWith('npm shrinkwrap --dev')
+      })
+
+      it('should not add the dependencySnapshotFile to the list of modified files', function () {
+        expect(info.modifiedFiles).to.have.length(0)
+      })
+
+      it('should return the info', function () {
+        expect(ret).to.equal(info)
+      })
+    })
+
+    describe('when snapshot file defined and scope is not "none"', function () {
+      beforeEach(function () {
+        return bumper._maybeGenerateDependencySnapshot(info)
+          .then((resp) => {
+            ret = resp
+          })
+      })
+
+      it('should prune node_modules so shrinkwrap will work', function () {
+        expect(execStub).to.have.been.calledWith('npm prune')
+      })
+
+      it('should generate the dependency snapshot', function () {
+        expect(execStub).to.have.been.calledWith('npm shrinkwrap --dev')
+      })
+
+      it('should rename the dependency snapshot', function () {
+        expect(execStub).to.have.been.calledWith('mv npm-shrinkwrap.json snapshot-file')
+      })
+
+      it('should add the dependencySnapshotFile to the list of modified files', function () {
+        expect(info.modifiedFiles).to.include(bumper.config.dependencySnapshotFile)
+      })
+
+      it('should return the info', function () {
+        expect(ret).to.equal(info)
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        return bumper._maybeGenerateDependencySnapshot(info)
+          .then((resp) => {
+            ret = resp
+          })
+      })
+
+      it('should not run any commands', function () {
+        expect(execStub).to.have.callCount(0)
+      })
+
+      it('should record the commands', function () {
+        expect(bumper.dryRunChanges.commands).to.eql([
+          'npm prune',
+          'npm shrinkwrap --dev',
+          'mv npm-shrinkwrap.json snapshot-file'
+        ])
+      })
+
+      it('should add the dependencySnapshotFile to the list of modified files', function () {
+        expect(info.modifiedFiles).to.include(bumper.config.dependencySnapshotFile)
+      })
+
+      it('should return the info', function () {
+        expect(ret).to.equal(info)
+      })
+    })
+  })
+
+  describe('._maybePrependChangelog()', function () {
+    let result, info
+    beforeEach(function () {
+      info = {
+        changelog: 'the-changelog-content',
+        scope: 'patch',
+        modifiedFiles: [],
+        version: '1.2.3'
+      }
+      prependStub.returns(Promise.resolve('return-value'))
+    })
+
+    describe('when prependChangelog is false', function () {
+      beforeEach(function () {
+        bumper.config.prependChangelog = false
+        bumper.config.changelogFile = 'the-changelog-file'
+
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
+          })
+      })
+
+      it('should log a message explaining why it is skipping', function () {
+        const msg = 'Skipping prepending changelog because of config option.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not prepend the changelog', function () {
+        expect(prependStub).to.have.callCount(0)
+      })
+
+      it('should not add the changelog file to the modifiedFiles list', function () {
+        expect(info.modifiedFiles).not.to.include('the-changelog-file')
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        delete info.version
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
           })
       })
 
-      it('should log info about skipping', function () {
-        expect(logger.log).to.have.been.calledWith('Skipping commit because no files were changed.')
+      it('should log a message explaining why it is skipping', function () {
+        const msg = 'Skipping prepending changelog because of "none" scope.'
+        expect(logger.log).to.have.been.calledWith(msg)
+      })
+
+      it('should not prepend the changelog', function () {
+        expect(prependStub).to.have.callCount(0)
+      })
+
+      it('should not add the changelog file to the modifiedFiles list', function () {
+        expect(info.modifiedFiles).not.to.include('the-changelog-file')
       })
 
-      it('should not set up the git env', function () {
-        expect(bumper.ci.setupGitEnv).to.have.callCount(0)
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
       })
+    })
 
-      it('should not add any files', function () {
-        expect(bumper.ci.add).to.have.callCount(0)
+    describe('when prependChangelog is true and scope is not "none"', function () {
+      beforeEach(function () {
+        info.scope = 'patch'
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
+          })
       })
 
-      it('should not commit any files', function () {
-        expect(bumper.ci.commit).to.have.callCount(0)
+      it('should not log a message explaining why it is skipping', function () {
+        expect(logger.log).to.have.callCount(0)
       })
 
-      it('should not reject', function () {
-        expect(error).to.equal(null)
+      it('should prepend the changelog', function () {
+        const now = new Date()
+        const dateString = now.toISOString().split('T').slice(0, 1).join('')
+        const data = `# ${info.version} (${dateString})\n${info.changelog}\n\n`
+        expect(prependStub).to.have.been.calledWith('the-changelog-file', data)
+      })
+
+      it('should add the changelog file to the modifiedFiles list', function () {
+        expect(info.modifiedFiles).to.include('the-changelog-file')
       })
 
       it('should resolve with the info', function () {
@@ -1011,45 +3886,42 @@ describe('Bumper', function () {
       })
     })
 
-    describe('when files were modified', function () {
-      beforeEach(function (done) {
-        info.modifiedFiles = [
-          'fizz',
-          'bang'
-        ]
-        result = error = null
-        bumper._maybeCommitChanges(info)
-          .then((r) => {
-            result = r
-          })
-          .catch((e) => {
-            error = e
-          })
-          .finally(() => {
-            done()
-          })
-      })
+    describe('during a dry run', function () {
+      let key
+      beforeEach(function () {
+        key = path.resolve('the-changelog-file')
+        bumper.config.dryRun = true
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+        readFileStub.returns(Promise.resolve('# 1.2.2\nolder stuff\n'))
 
-      it('should not log info about skipping', function () {
-        expect(logger.log).to.have.callCount(0)
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
+          })
       })
 
-      it('should set up the git env', function () {
-        expect(bumper.ci.setupGitEnv).to.have.callCount(1)
+      it('should not prepend the changelog', function () {
+        expect(prependStub).to.have.callCount(0)
       })
 
-      it('should add the rightfiles', function () {
-        expect(bumper.ci.add).to.have.been.calledWith(['fizz', 'bang'])
+      it('should not write the changelog', function () {
+        expect(writeFileStub).to.have.callCount(0)
       })
 
-      it('should commit with version bump message', function () {
-        const msg = `[${pkgJson.name}] Automated version bump`
-        const descr = 'From CI build 12345'
-        expect(bumper.ci.commit).to.have.been.calledWith(msg, descr)
+      it('should record the new contents of the changelog', function () {
+        const now = new Date()
+        const dateString = now.toISOString().split('T').slice(0, 1).join('')
+        const data = `# ${info.version} (${dateString})\n${info.changelog}\n\n`
+        expect(bumper.dryRunChanges.files[key]).to.eql({
+          contents: `${data}# 1.2.2\nolder stuff\n`,
+          filename: 'the-changelog-file',
+          original: '# 1.2.2\nolder stuff\n'
+        })
       })
 
-      it('should not reject', function () {
-        expect(error).to.equal(null)
+      it('should add the changelog file to the modifiedFiles list', function () {
+        expect(info.modifiedFiles).to.include('the-changelog-file')
       })
 
       it('should resolve with the info', function () {
@@ -1057,330 +3929,533 @@ describe('Bumper', function () {
       })
     })
 
-    describe('when files were modified, and none scope', function () {
-      beforeEach(function (done) {
-        info.scope = 'none'
-        info.modifiedFiles = [
-          'fizz',
-          'bang'
-        ]
-        result = error = null
-        bumper._maybeCommitChanges(info)
-          .then((r) => {
-            result = r
-          })
-          .catch((e) => {
-            error = e
-          })
-          .finally(() => {
-            done()
+    describe('when there is a changelogEntry template', function () {
+      beforeEach(function () {
+        info.pr = {
+          author: {login: 'jdoe', name: 'Jane Doe'},
+          mergedAt: '2017-01-15T12:00:00Z',
+          number: 123,
+          title: 'Fix the thing',
+          url: 'https://github.com/me/my-repo/pull/123'
+        }
+        bumper.config.changelogEntry = '{changelog}\n\n[#{number}]({url}) by @{author} ({authorName}, {mergedAt})'
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
           })
       })
 
-      it('should not log info about skipping', function () {
-        expect(logger.log).to.have.callCount(0)
+      it('should prepend the rendered changelog entry', function () {
+        const dateString = new Date().toISOString().split('T').slice(0, 1).join('')
+        const entry = `${info.changelog}\n\n[#123](https://github.com/me/my-repo/pull/123) by @jdoe (Jane Doe, 2017-01-15)`
+        const data = `# ${info.version} (${dateString})\n${entry}\n\n`
+        expect(prependStub).to.have.been.calledWith('the-changelog-file', data)
       })
 
-      it('should set up the git env', function () {
-        expect(bumper.ci.setupGitEnv).to.have.callCount(1)
+      it('should not change the changelog text of the info (used for release notes)', function () {
+        expect(result.changelog).to.equal('the-changelog-content')
       })
+    })
 
-      it('should add the rightfiles', function () {
-        expect(bumper.ci.add).to.have.been.calledWith(['fizz', 'bang'])
+    describe('when there is a changelogHeader template and date settings', function () {
+      beforeEach(function () {
+        sandbox.useFakeTimers(Date.UTC(2017, 0, 15, 23, 30), 'Date')
+        info.previousVersion = '1.2.2'
+        bumper.config.changelogDate = {format: 'DD.MM.YYYY', timezone: 'Europe/Berlin'}
+        bumper.config.changelogHeader = '## {tag} ({date}, from {previousVersion})'
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+        bumper.vcs = {
+          getCompareUrl () {}
+        }
+
+        return bumper._maybePrependChangelog(info)
       })
 
-      it('should commit with coverage message', function () {
-        const msg = `[${pkgJson.name}] Automated code coverage update`
-        const descr = 'From CI build 12345'
-        expect(bumper.ci.commit).to.have.been.calledWith(msg, descr)
+      it('should prepend the changelog with the rendered header', function () {
+        const data = `## v1.2.3 (16.01.2017, from 1.2.2)\n${info.changelog}\n\n`
+        expect(prependStub).to.have.been.calledWith('the-changelog-file', data)
       })
+    })
 
-      it('should not reject', function () {
-        expect(error).to.equal(null)
+    describe('when changelogFormat is "keep-a-changelog"', function () {
+      let dateString
+      beforeEach(function () {
+        dateString = new Date().toISOString().split('T').slice(0, 1).join('')
+        bumper.config.changelogFormat = 'keep-a-changelog'
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'the-changelog-file'
+        bumper.vcs = {
+          getCompareUrl (from, to) {
+            return `https://github.com/me/my-repo/compare/${from}...${to}`
+          }
+        }
+        info.changelog = '### Fixed\n- the bug'
+        writeFileStub.returns(Promise.resolve())
       })
 
-      it('should resolve with the info', function () {
-        expect(result).to.equal(info)
+      describe('when the changelog file exists', function () {
+        beforeEach(function () {
+          readFileStub.returns(Promise.resolve([
+            '# Changelog',
+            '',
+            '## [Unreleased]',
+            '',
+            '## [1.2.2] - 2017-01-01',
+            '### Added',
+            '- older stuff',
+            '',
+            '[Unreleased]: https://github.com/me/my-repo/compare/v1.2.2...HEAD',
+            '[1.2.2]: https://github.com/me/my-repo/compare/v1.2.1...v1.2.2',
+            ''
+          ].join('\n')))
+
+          return bumper._maybePrependChangelog(info)
+            .then((resp) => {
+              result = resp
+            })
+        })
+
+        it('should read the changelog file', function () {
+          expect(readFileStub).to.have.been.calledWith('the-changelog-file', 'utf8')
+        })
+
+        it('should not prepend the changelog', function () {
+          expect(prependStub).to.have.callCount(0)
+        })
+
+        it('should insert the release below the Unreleased section, and update the links', function () {
+          expect(writeFileStub).to.have.been.calledWith('the-changelog-file', [
+            '# Changelog',
+            '',
+            '## [Unreleased]',
+            '',
+            `## [1.2.3] - ${dateString}`,
+            '',
+            '### Fixed',
+            '- the bug',
+            '',
+            '## [1.2.2] - 2017-01-01',
+            '### Added',
+            '- older stuff',
+            '',
+            '[Unreleased]: https://github.com/me/my-repo/compare/v1.2.3...HEAD',
+            '[1.2.3]: https://github.com/me/my-repo/compare/v1.2.2...v1.2.3',
+            '[1.2.2]: https://github.com/me/my-repo/compare/v1.2.1...v1.2.2',
+            ''
+          ].join('\n'))
+        })
+
+        it('should add the changelog file to the modifiedFiles list', function () {
+          expect(info.modifiedFiles).to.include('the-changelog-file')
+        })
+
+        it('should resolve with the info', function () {
+          expect(result).to.equal(info)
+        })
       })
-    })
-  })
 
-  describe('._maybeCreateTag()', function () {
-    let result, info
+      describe('when the changelog file does not exist', function () {
+        beforeEach(function () {
+          readFileStub.returns(Promise.reject(new Error('ENOENT')))
 
-    beforeEach(function () {
-      info = {
-        version: '1.2.3'
-      }
-      __.set(bumper.config, 'ci.buildNumber', '12345')
-      bumper.ci = {
-        tag () {}
-      }
+          return bumper._maybePrependChangelog(info)
+            .then((resp) => {
+              result = resp
+            })
+        })
 
-      sandbox.stub(bumper.ci, 'tag').returns(Promise.resolve('tagged'))
-      execStub.returns(Promise.resolve())
-    })
+        it('should create the changelog file with a header and the release', function () {
+          const contents = writeFileStub.lastCall.args[1]
+          expect(contents).to.match(/^# Changelog\n/)
+          expect(contents).to.have.string(`\n\n## 1.2.3 - ${dateString}\n\n### Fixed\n- the bug\n`)
+        })
 
-    describe('when scope is not "none"', function () {
-      beforeEach(function () {
-        return bumper._maybeCreateTag(info)
-          .then((res) => {
-            result = res
+        it('should resolve with the info', function () {
+          expect(result).to.equal(info)
+        })
+      })
+
+      describe('during a dry run', function () {
+        beforeEach(function () {
+          bumper.config.dryRun = true
+          readFileStub.returns(Promise.resolve('# Changelog\n'))
+
+          return bumper._maybePrependChangelog(info)
+        })
+
+        it('should not write the changelog', function () {
+          expect(writeFileStub).to.have.callCount(0)
+        })
+
+        it('should record the new contents of the changelog', function () {
+          expect(bumper.dryRunChanges.files[path.resolve('the-changelog-file')]).to.eql({
+            contents: `# Changelog\n\n## 1.2.3 - ${dateString}\n\n### Fixed\n- the bug\n`,
+            filename: 'the-changelog-file',
+            original: '# Changelog\n'
           })
+        })
       })
+    })
 
-      it('should create a tag', function () {
-        expect(bumper.ci.tag).to.have.been.calledWith('v1.2.3', 'Generated tag from CI build 12345')
+    describe('in a batched release of a workspace', function () {
+      beforeEach(function () {
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'CHANGELOG.md'
+        bumper.config.changelogEntry = '{changelog} (#{number})'
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'patch', version: '2.0.1'}
+        ]
+        info.pendingPrs = [
+          {
+            changelog: 'Fixed the thing',
+            packages: {'packages/pkg-a': 'patch'},
+            pr: {author: {login: 'jdoe'}, number: 1},
+            scope: 'patch'
+          },
+          {
+            changelog: 'Added the feature',
+            packages: {'packages/pkg-a': 'minor', 'packages/pkg-b': 'patch'},
+            pr: {author: {login: 'bob'}, number: 2},
+            scope: 'minor'
+          }
+        ]
+
+        return bumper._maybePrependChangelog(info)
       })
 
-      it('should resolve with the result of the tag', function () {
-        expect(result).to.be.equal(info)
+      it('should prepend the entries of the PRs that bumped each package', function () {
+        const dateString = new Date().toISOString().split('T').slice(0, 1).join('')
+        expect(prependStub.args).to.eql([
+          [
+            'packages/pkg-a/CHANGELOG.md',
+            `# 1.4.0 (${dateString})\nFixed the thing (#1)\n\nAdded the feature (#2)\n\n`
+          ],
+          ['packages/pkg-b/CHANGELOG.md', `# 2.0.1 (${dateString})\nAdded the feature (#2)\n\n`]
+        ])
       })
     })
 
-    describe('when scope is "none"', function () {
+    describe('when in a workspace', function () {
+      let data
       beforeEach(function () {
-        info.scope = 'none'
-        return bumper._maybeCreateTag(info)
-          .then((res) => {
-            result = res
+        bumper.config.prependChangelog = true
+        bumper.config.changelogFile = 'CHANGELOG.md'
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'}
+        ]
+        const dateString = new Date().toISOString().split('T').slice(0, 1).join('')
+        data = `# 1.4.0 (${dateString})\n${info.changelog}\n\n`
+
+        return bumper._maybePrependChangelog(info)
+          .then((resp) => {
+            result = resp
           })
       })
 
-      it('should not create a tag', function () {
-        expect(bumper.ci.tag).to.have.callCount(0)
+      it('should prepend the changelog of each bumped package', function () {
+        expect(prependStub.args).to.eql([['packages/pkg-a/CHANGELOG.md', data]])
       })
 
-      it('should resolve with the result of the tag', function () {
-        expect(result).to.be.equal(info)
+      it('should add the changelog files to the modifiedFiles list', function () {
+        expect(info.modifiedFiles).to.eql(['packages/pkg-a/CHANGELOG.md'])
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
       })
     })
   })
 
-  describe('._maybeGenerateDependencyComplianceReport()', function () {
-    let result, info
+  describe('._maybePublish()', function () {
+    let info, result
+
     beforeEach(function () {
       info = {
-        modifiedFiles: [],
-        scope: 'none'
+        modifiedFiles: ['package.json'],
+        scope: 'minor',
+        version: '1.3.0'
       }
+      bumper.config = {
+        branch: 'master',
+        publish: {
+          enabled: true,
+          env: {token: 'NPM_TOKEN'},
+          registry: 'http://localhost:4873/'
+        }
+      }
+      sandbox.stub(bumper, '_withNpmrc', (func) => func('/tmp/the-npmrc'))
+      readFileStub.withArgs('./package.json').returns(Promise.resolve('{"name": "my-pkg", "version": "1.3.0"}'))
+      execStub.returns(Promise.resolve())
     })
 
-    describe('when no dir is configured', function () {
+    describe('when publish is not enabled', function () {
       beforeEach(function () {
-        return bumper._maybeGenerateDependencyComplianceReport(info)
-          .then((r) => {
-            result = r
+        bumper.config.publish.enabled = false
+        return bumper._maybePublish(info)
+          .then((res) => {
+            result = res
           })
       })
 
-      it('should log info about skipping b/c of config', function () {
-        const msg = 'Skipping generating dependency compliance report because of config option.'
-        expect(logger.log).to.have.been.calledWith(msg)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping publish because of config option.')
       })
 
-      it('should not generate dependencies', function () {
-        expect(depStub.run).to.have.callCount(0)
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
       })
 
-      it('should return a promise resolving with info', function () {
+      it('should resolve with the info', function () {
         expect(result).to.equal(info)
       })
     })
 
-    describe('when an out dir is configured, but scope is "none"', function () {
+    describe('when scope is "none"', function () {
       beforeEach(function () {
-        __.set(bumper.config, 'dependencies.output.directory', 'blackduck/')
-        return bumper._maybeGenerateDependencyComplianceReport(info)
-          .then((r) => {
-            result = r
-          })
-      })
-
-      it('should log info about skipping b/c of scope', function () {
-        const msg = 'Skipping generating dependency compliance report because of "none" scope.'
-        expect(logger.log).to.have.been.calledWith(msg)
+        info.scope = 'none'
+        return bumper._maybePublish(info)
       })
 
-      it('should not generate dependencies', function () {
-        expect(depStub.run).to.have.callCount(0)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping publish because of "none" scope.')
       })
 
-      it('should return a promise resolving with info', function () {
-        expect(result).to.equal(info)
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
       })
     })
 
-    describe('when an out dir is configured, and scope is not "none"', function () {
-      let cwd, globalPath
+    describe('when the branch policy turns off publishing', function () {
       beforeEach(function () {
-        info.scope = 'patch'
-        cwd = process.cwd()
-        globalPath = path.join(cwd, 'blackduck/')
-        __.set(bumper.config, 'dependencies.output.directory', 'blackduck/')
-        return bumper._maybeGenerateDependencyComplianceReport(info)
-          .then((r) => {
-            result = r
-          })
+        bumper.config.branches = {master: {publish: false}}
+        return bumper._maybePublish(info)
       })
 
-      it('should not log anything', function () {
-        expect(logger.log).to.have.callCount(0)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping publish because of policy for branch [master].')
       })
 
-      it('should generate dependencies', function () {
-        expect(depStub.run).to.have.been.calledWith(cwd, globalPath, bumper.config)
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
       })
+    })
 
-      it('should add "blackduck/" to the list of files modified', function () {
-        expect(info.modifiedFiles).to.include('blackduck/')
+    describe('when the branch policy turns off pushing', function () {
+      beforeEach(function () {
+        bumper.config.branches = {master: {push: false}}
+        return bumper._maybePublish(info)
       })
 
-      it('should return a promise resolving with info', function () {
-        expect(result).to.equal(info)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping publish because of policy for branch [master].')
       })
-    })
-  })
 
-  describe('._maybeGenerateDependencySnapshot()', function () {
-    let ret, info
-    beforeEach(function () {
-      info = {
-        modifiedFiles: [],
-        scope: 'patch'
-      }
-      bumper.config.dependencySnapshotFile = 'snapshot-file'
-      execStub.withArgs('npm prune').returns(Promise.resolve('prune-done'))
-      execStub.withArgs('npm shrinkwrap --dev').returns(Promise.resolve('shrinkwrap-done'))
-      execStub.returns(Promise.resolve('move-done'))
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
+      })
     })
 
-    describe('when no snapshot file defined', function () {
+    describe('when a version was bumped', function () {
       beforeEach(function () {
-        bumper.config.dependencySnapshotFile = ''
-        return bumper._maybeGenerateDependencySnapshot(info)
-          .then((resp) => {
-            ret = resp
+        return bumper._maybePublish(info)
+          .then((res) => {
+            result = res
           })
       })
 
-      it('should log a message about why it is skipping', function () {
-        const msg = 'Skipping generating dependency snapshot because of config option.'
-        expect(logger.log).to.have.been.calledWith(msg)
+      it('should publish to the configured registry with the temporary .npmrc', function () {
+        expect(execStub).to.have.been.calledWith(
+          'npm publish . --userconfig /tmp/the-npmrc --registry http://localhost:4873/ --tag latest'
+        )
       })
 
-      it('should not prune node_modules so shrinkwrap will work', function () {
-        expect(execStub).not.to.have.been.calledWith('npm prune')
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
       })
+    })
 
-      it('should not generate the dependency snapshot', function () {
-        expect(execStub).not.to.have.been.calledWith('npm shrinkwrap --dev')
+    describe('when an access level is configured', function () {
+      beforeEach(function () {
+        bumper.config.publish.access = 'public'
+        return bumper._maybePublish(info)
       })
 
-      it('should not add the dependencySnapshotFile to the list of modified files', function () {
-        expect(info.modifiedFiles).to.have.length(0)
+      it('should publish with the access level', function () {
+        expect(execStub).to.have.been.calledWith(
+          'npm publish . --userconfig /tmp/the-npmrc --registry http://localhost:4873/ --tag latest --access public'
+        )
       })
+    })
 
-      it('should return the info', function () {
-        expect(ret).to.equal(info)
+    describe('when the package is private', function () {
+      beforeEach(function () {
+        readFileStub.withArgs('./package.json').returns(Promise.resolve('{"name": "my-pkg", "private": true}'))
+        return bumper._maybePublish(info)
+      })
+
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping publish of private package [my-pkg].')
+      })
+
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
       })
     })
 
-    describe('when scope is "none"', function () {
+    describe('when in a workspace', function () {
       beforeEach(function () {
-        info.scope = 'none'
-        return bumper._maybeGenerateDependencySnapshot(info)
-          .then((resp) => {
-            ret = resp
-          })
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor', version: '1.4.0'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'},
+          {dir: 'packages/pkg-c', name: 'pkg-c', scope: 'prerelease', version: '0.2.0-beta.1'}
+        ]
+        readFileStub.withArgs('packages/pkg-a/package.json').returns(Promise.resolve('{"name": "pkg-a"}'))
+        readFileStub.withArgs('packages/pkg-c/package.json').returns(Promise.resolve('{"name": "pkg-c"}'))
+        return bumper._maybePublish(info)
       })
 
-      it('should log a message about why it is skipping', function () {
-        const msg = 'Skipping generating dependency snapshot because of "none" scope.'
-        expect(logger.log).to.have.been.calledWith(msg)
+      it('should publish each bumped package, with the dist-tag for its version', function () {
+        expect(execStub.args).to.eql([
+          ['npm publish packages/pkg-a --userconfig /tmp/the-npmrc --registry http://localhost:4873/ --tag latest'],
+          ['npm publish packages/pkg-c --userconfig /tmp/the-npmrc --registry http://localhost:4873/ --tag beta']
+        ])
       })
+    })
 
-      it('should not prune node_modules so shrinkwrap will work', function () {
-        expect(execStub).not.to.have.been.calledWith('npm prune')
+    describe('when publishing to a registry', function () {
+      // A stand-in for the registry, recording what npm sends it (and the .npmrc npm was given at the time)
+      let server, requests, commands, pkgDir, env
+      this.timeout(60000)
+
+      beforeEach(function (done) {
+        env = process.env['NPM_TOKEN']
+        process.env['NPM_TOKEN'] = 'the-token'
+        pkgDir = path.join(os.tmpdir(), `pr-bumper-spec-${process.pid}`)
+        fs.mkdirSync(pkgDir)
+        fs.writeFileSync(path.join(pkgDir, 'package.json'), '{"name": "my-pkg", "version": "1.3.0"}')
+
+        bumper._withNpmrc.restore()
+        commands = []
+        const realExec = Promise.denodeify(cpExec)
+        Bumper.__set__({
+          exec (cmd) {
+            commands.push(cmd)
+            return realExec(cmd)
+          },
+          readFile: Promise.denodeify(fs.readFile),
+          writeFile: Promise.denodeify(fs.writeFile)
+        })
+
+        requests = []
+        server = http.createServer((req, res) => {
+          const npmrcFile = commands[0].split(' ')[4]
+          requests.push({
+            authorization: req.headers.authorization,
+            method: req.method,
+            npmrc: fs.readFileSync(npmrcFile, 'utf8'),
+            npmrcMode: fs.statSync(npmrcFile).mode & 0o777,
+            url: req.url
+          })
+          req.resume()
+          req.on('end', () => {
+            res.writeHead(201, {'Content-Type': 'application/json'})
+            res.end('{"ok": true}')
+          })
+        })
+        server.listen(0, '127.0.0.1', () => {
+          bumper.config.publish.registry = `http://127.0.0.1:${server.address().port}/`
+          info.packages = [{dir: pkgDir, name: 'my-pkg', scope: 'minor', version: '1.3.0'}]
+          bumper._maybePublish(info)
+            .then(() => done(), done)
+        })
       })
 
-      it('should not generate the dependency snapshot', function () {
-        expect(execStub).not.to.have.been.calledWith('npm shrinkwrap --dev')
+      afterEach(function (done) {
+        if (env === undefined) {
+          delete process.env['NPM_TOKEN']
+        } else {
+          process.env['NPM_TOKEN'] = env
+        }
+        fs.unlinkSync(path.join(pkgDir, 'package.json'))
+        fs.rmdirSync(pkgDir)
+        server.close(done)
       })
 
-      it('should not add the dependencySnapshotFile to the list of modified files', function () {
-        expect(info.modifiedFiles).to.have.length(0)
+      it('should publish the package to the registry', function () {
+        expect(requests.map((req) => `${req.method} ${req.url}`)).to.eql(['PUT /my-pkg'])
       })
 
-      it('should return the info', function () {
-        expect(ret).to.equal(info)
+      it('should authenticate with the token', function () {
+        expect(requests[0].authorization).to.equal('Bearer the-token')
       })
-    })
 
-    describe('when snapshot file defined and scope is not "none"', function () {
-      beforeEach(function () {
-        return bumper._maybeGenerateDependencySnapshot(info)
-          .then((resp) => {
-            ret = resp
-          })
+      it('should give npm an .npmrc that only refers to the token', function () {
+        const port = server.address().port
+        expect(requests[0].npmrc).to.equal(`//127.0.0.1:${port}/:_authToken=\${NPM_TOKEN}\n`)
       })
 
-      it('should prune node_modules so shrinkwrap will work', function () {
-        expect(execStub).to.have.been.calledWith('npm prune')
+      it('should only let the current user read the .npmrc', function () {
+        expect(requests[0].npmrcMode).to.equal(0o600)
       })
 
-      it('should generate the dependency snapshot', function () {
-        expect(execStub).to.have.been.calledWith('npm shrinkwrap --dev')
+      it('should remove the .npmrc once done', function () {
+        const npmrcFile = commands[0].split(' ')[4]
+        expect(fs.existsSync(npmrcFile)).to.equal(false)
+        expect(fs.existsSync(path.dirname(npmrcFile))).to.equal(false)
       })
+    })
 
-      it('should rename the dependency snapshot', function () {
-        expect(execStub).to.have.been.calledWith('mv npm-shrinkwrap.json snapshot-file')
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        return bumper._maybePublish(info)
       })
 
-      it('should add the dependencySnapshotFile to the list of modified files', function () {
-        expect(info.modifiedFiles).to.include(bumper.config.dependencySnapshotFile)
+      it('should not publish', function () {
+        expect(execStub).to.have.callCount(0)
       })
 
-      it('should return the info', function () {
-        expect(ret).to.equal(info)
+      it('should record the npm command', function () {
+        expect(bumper.dryRunChanges.commands).to.eql([
+          'npm publish . --userconfig /tmp/the-npmrc --registry http://localhost:4873/ --tag latest'
+        ])
       })
     })
   })
 
-  describe('._maybePrependChangelog()', function () {
+  describe('_maybePushChanges()', function () {
     let result, info
     beforeEach(function () {
       info = {
-        changelog: 'the-changelog-content',
-        scope: 'patch',
         modifiedFiles: [],
-        version: '1.2.3'
+        scope: 'none'
+      }
+      bumper.ci = {
+        describePush: sandbox.stub().returns('git push --atomic ci-origin ci-master:refs/heads/master --tags'),
+        push: sandbox.stub().returns(Promise.resolve('pushed'))
       }
-      prependStub.returns(Promise.resolve('return-value'))
     })
 
-    describe('when prependChangelog is false', function () {
+    describe('when nothing changed', function () {
       beforeEach(function () {
-        bumper.config.prependChangelog = false
-        bumper.config.changelogFile = 'the-changelog-file'
-
-        return bumper._maybePrependChangelog(info)
-          .then((resp) => {
-            result = resp
+        return bumper._maybePushChanges(info)
+          .then((r) => {
+            result = r
           })
       })
 
-      it('should log a message explaining why it is skipping', function () {
-        const msg = 'Skipping prepending changelog because of config option.'
-        expect(logger.log).to.have.been.calledWith(msg)
-      })
-
-      it('should not prepend the changelog', function () {
-        expect(prependStub).to.have.callCount(0)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping push because nothing changed.')
       })
 
-      it('should not add the changelog file to the modifiedFiles list', function () {
-        expect(info.modifiedFiles).not.to.include('the-changelog-file')
+      it('should not push the change', function () {
+        expect(bumper.ci.push).to.have.callCount(0)
       })
 
       it('should resolve with the info', function () {
@@ -1388,30 +4463,26 @@ describe('Bumper', function () {
       })
     })
 
-    describe('when scope is "none"', function () {
+    describe('when something changed', function () {
       beforeEach(function () {
-        info.scope = 'none'
-        delete info.version
-        bumper.config.prependChangelog = true
-        bumper.config.changelogFile = 'the-changelog-file'
-
-        return bumper._maybePrependChangelog(info)
-          .then((resp) => {
-            result = resp
+        sandbox.stub(bumper, '_checkForPushConflict').returns(Promise.resolve())
+        info.modifiedFiles = ['package.json']
+        return bumper._maybePushChanges(info)
+          .then((r) => {
+            result = r
           })
       })
 
-      it('should log a message explaining why it is skipping', function () {
-        const msg = 'Skipping prepending changelog because of "none" scope.'
-        expect(logger.log).to.have.been.calledWith(msg)
+      it('should not log a message about why it is skipping', function () {
+        expect(logger.log).to.have.callCount(0)
       })
 
-      it('should not prepend the changelog', function () {
-        expect(prependStub).to.have.callCount(0)
+      it('should check for conflicts with the remote before pushing', function () {
+        expect(bumper._checkForPushConflict).to.have.been.calledBefore(bumper.ci.push)
       })
 
-      it('should not add the changelog file to the modifiedFiles list', function () {
-        expect(info.modifiedFiles).not.to.include('the-changelog-file')
+      it('should push the change', function () {
+        expect(bumper.ci.push).to.have.been.calledWith(bumper.vcs)
       })
 
       it('should resolve with the info', function () {
@@ -1419,31 +4490,111 @@ describe('Bumper', function () {
       })
     })
 
-    describe('when prependChangelog is true and scope is not "none"', function () {
+    describe('when something changed, but it conflicts with the remote', function () {
+      let conflict, error
       beforeEach(function () {
-        info.scope = 'patch'
-        bumper.config.prependChangelog = true
-        bumper.config.changelogFile = 'the-changelog-file'
+        conflict = new Bumper.PushConflict('Branch [master] moved to sha-2 since the build started', 'sha-2')
+        sandbox.stub(bumper, '_checkForPushConflict').returns(Promise.reject(conflict))
+        info.modifiedFiles = ['package.json']
+        return bumper._maybePushChanges(info)
+          .catch((err) => {
+            error = err
+          })
+      })
 
-        return bumper._maybePrependChangelog(info)
-          .then((resp) => {
-            result = resp
+      it('should not push the change', function () {
+        expect(bumper.ci.push).to.have.callCount(0)
+      })
+
+      it('should reject with the conflict', function () {
+        expect(error).to.equal(conflict)
+      })
+    })
+
+    describe('when something changed, but the push is rejected', function () {
+      let error, pushError
+      beforeEach(function () {
+        pushError = new Error('rejected (fetch first)')
+        bumper.ci.push.returns(Promise.reject(pushError))
+        sandbox.stub(bumper, '_checkForPushConflict').returns(Promise.resolve())
+        info.modifiedFiles = ['package.json']
+      })
+
+      describe('because the remote moved in the meantime', function () {
+        let conflict
+        beforeEach(function () {
+          conflict = new Bumper.PushConflict('Branch [master] moved to sha-2 since the build started', 'sha-2')
+          bumper._checkForPushConflict.onCall(1).returns(Promise.reject(conflict))
+          return bumper._maybePushChanges(info)
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should reject with the conflict', function () {
+          expect(error).to.equal(conflict)
+        })
+      })
+
+      describe('for some other reason', function () {
+        beforeEach(function () {
+          return bumper._maybePushChanges(info)
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should check for conflicts again', function () {
+          expect(bumper._checkForPushConflict).to.have.callCount(2)
+        })
+
+        it('should reject with the push error', function () {
+          expect(error).to.equal(pushError)
+        })
+      })
+    })
+
+    describe('when something changed, but the branch policy turns off pushing', function () {
+      beforeEach(function () {
+        bumper.config.branch = '1.x'
+        bumper.config.branches = {'1.x': {push: false}}
+        info.modifiedFiles = ['package.json']
+        return bumper._maybePushChanges(info)
+          .then((r) => {
+            result = r
           })
       })
 
-      it('should not log a message explaining why it is skipping', function () {
-        expect(logger.log).to.have.callCount(0)
+      it('should log a message about why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith('Skipping push because of policy for branch [1.x].')
       })
 
-      it('should prepend the changelog', function () {
-        const now = new Date()
-        const dateString = now.toISOString().split('T').slice(0, 1).join('')
-        const data = `# ${info.version} (${dateString})\n${info.changelog}\n\n`
-        expect(prependStub).to.have.been.calledWith('the-changelog-file', data)
+      it('should not push the change', function () {
+        expect(bumper.ci.push).to.have.callCount(0)
       })
 
-      it('should add the changelog file to the modifiedFiles list', function () {
-        expect(info.modifiedFiles).to.include('the-changelog-file')
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when something changed during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.branch = 'master'
+        bumper.config.dryRun = true
+        info.modifiedFiles = ['package.json']
+        return bumper._maybePushChanges(info)
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should not push the change', function () {
+        expect(bumper.ci.push).to.have.callCount(0)
+      })
+
+      it('should record the git command the ci would push with', function () {
+        expect(bumper.dryRunChanges.commands).to.eql(['git push --atomic ci-origin ci-master:refs/heads/master --tags'])
       })
 
       it('should resolve with the info', function () {
@@ -1452,58 +4603,103 @@ describe('Bumper', function () {
     })
   })
 
-  describe('_maybePushChanges()', function () {
-    let result, info
+  describe('._maybeRecordPendingPr()', function () {
+    let info, result
     beforeEach(function () {
+      bumper.config = {batchedRelease: {enabled: true, pendingFile: 'pending-release.json'}}
       info = {
+        changelog: 'Added the feature',
         modifiedFiles: [],
-        scope: 'none'
-      }
-      bumper.ci = {
-        push: sandbox.stub().returns(Promise.resolve('pushed'))
+        pr: {
+          author: {login: 'jdoe', name: 'Jane Doe'},
+          description: 'This is a #minor#\n\n# CHANGELOG\nAdded the feature',
+          headSha: 'sha-1',
+          mergedAt: '2017-01-15T23:00:00Z',
+          number: 2,
+          title: 'Add the feature',
+          url: 'pr-2-url'
+        },
+        scope: 'minor'
       }
+      readFileStub.withArgs('pending-release.json')
+        .returns(Promise.resolve('[{"changelog": "Fixed the thing", "pr": {"number": 1}, "scope": "patch"}]'))
+      writeFileStub.returns(Promise.resolve())
     })
 
-    describe('when nothing changed', function () {
+    describe('when the PR has a scope', function () {
       beforeEach(function () {
-        return bumper._maybePushChanges(info)
-          .then((r) => {
-            result = r
+        return bumper._maybeRecordPendingPr(info)
+          .then((res) => {
+            result = res
           })
       })
 
-      it('should log a message about why it is skipping', function () {
-        expect(logger.log).to.have.been.calledWith('Skipping push because nothing changed.')
+      it('should add the PR to the pending release file', function () {
+        expect(JSON.parse(writeFileStub.lastCall.args[1])).to.eql([
+          {changelog: 'Fixed the thing', pr: {number: 1}, scope: 'patch'},
+          {
+            changelog: 'Added the feature',
+            pr: {
+              author: {login: 'jdoe', name: 'Jane Doe'},
+              mergedAt: '2017-01-15T23:00:00Z',
+              number: 2,
+              title: 'Add the feature',
+              url: 'pr-2-url'
+            },
+            scope: 'minor'
+          }
+        ])
       })
 
-      it('should not push the change', function () {
-        expect(bumper.ci.push).to.have.callCount(0)
+      it('should add the pending release file to the modified files', function () {
+        expect(info.modifiedFiles).to.eql(['pending-release.json'])
       })
 
-      it('should resolve with the info', function () {
+      it('should resolve with the info, marked as recorded', function () {
         expect(result).to.equal(info)
+        expect(info.recorded).to.equal(true)
       })
     })
 
-    describe('when something changed', function () {
+    describe('when there is no pending release file yet', function () {
       beforeEach(function () {
-        info.modifiedFiles = ['package.json']
-        return bumper._maybePushChanges(info)
-          .then((r) => {
-            result = r
-          })
+        readFileStub.withArgs('pending-release.json').returns(Promise.reject(new Error('ENOENT')))
+        return bumper._maybeRecordPendingPr(info)
       })
 
-      it('should not log a message about why it is skipping', function () {
-        expect(logger.log).to.have.callCount(0)
+      it('should create it with just the PR', function () {
+        expect(JSON.parse(writeFileStub.lastCall.args[1]).map((pendingPr) => pendingPr.pr.number)).to.eql([2])
       })
+    })
 
-      it('should push the change', function () {
-        expect(bumper.ci.push).to.have.been.calledWith(bumper.vcs)
+    describe('when in a workspace', function () {
+      beforeEach(function () {
+        info.packages = [
+          {dir: 'packages/pkg-a', name: 'pkg-a', scope: 'minor'},
+          {dir: 'packages/pkg-b', name: 'pkg-b', scope: 'none'}
+        ]
+        return bumper._maybeRecordPendingPr(info)
       })
 
-      it('should resolve with the info', function () {
-        expect(result).to.equal(info)
+      it('should record the scope of each package the PR bumps', function () {
+        expect(JSON.parse(writeFileStub.lastCall.args[1])[1].packages).to.eql({'packages/pkg-a': 'minor'})
+      })
+    })
+
+    describe('when the scope is "none"', function () {
+      beforeEach(function () {
+        info.scope = 'none'
+        return bumper._maybeRecordPendingPr(info)
+      })
+
+      it('should log a message explaining why it is skipping', function () {
+        expect(logger.log).to.have.been.calledWith(
+          'Skipping recording the PR for the next release because of "none" scope.'
+        )
+      })
+
+      it('should not record the PR', function () {
+        expect(writeFileStub).to.have.callCount(0)
       })
     })
   })
@@ -1516,8 +4712,9 @@ describe('Bumper', function () {
         scope: 'none'
       }
 
+      bumper.config.coverage = {metrics: ['statements'], minimum: 0, tolerance: 0}
       writeFileStub.returns(Promise.resolve('written'))
-      sandbox.stub(utils, 'getCurrentCoverage')
+      sandbox.stub(coverageReader, 'read')
     })
 
     describe('when no baseline coverage present', function () {
@@ -1544,7 +4741,7 @@ describe('Bumper', function () {
       })
 
       it('should not lookup current coverage', function () {
-        expect(utils.getCurrentCoverage).to.have.callCount(0)
+        expect(coverageReader.read).to.have.callCount(0)
       })
 
       it('should not read from a file', function () {
@@ -1569,7 +4766,7 @@ describe('Bumper', function () {
         _pkgJson = {}
         readFileStub.returns(Promise.resolve(JSON.stringify(_pkgJson, null, 2)))
         bumper.config.baselineCoverage = 99.93
-        utils.getCurrentCoverage.returns(-1)
+        coverageReader.read.returns(Promise.resolve({statements: -1}))
 
         result = error = null
         bumper._maybeUpdateBaselineCoverage(info)
@@ -1585,7 +4782,7 @@ describe('Bumper', function () {
       })
 
       it('should lookup current coverage', function () {
-        expect(utils.getCurrentCoverage).to.have.callCount(1)
+        expect(coverageReader.read).to.have.callCount(1)
       })
 
       it('should not read from a file', function () {
@@ -1624,7 +4821,7 @@ describe('Bumper', function () {
         location = path.join(process.cwd(), 'package.json')
 
         bumper.config.baselineCoverage = 99.15
-        utils.getCurrentCoverage.returns(99.57)
+        coverageReader.read.returns(Promise.resolve({statements: 99.57}))
         writeFileStub.returns(Promise.resolve('written'))
         result = error = null
         bumper._maybeUpdateBaselineCoverage(info, _pkgJson)
@@ -1640,7 +4837,7 @@ describe('Bumper', function () {
       })
 
       it('should lookup current coverage', function () {
-        expect(utils.getCurrentCoverage).to.have.callCount(1)
+        expect(coverageReader.read).to.have.callCount(1)
       })
 
       it('should read previous contents of the "package.json" file', function () {
@@ -1665,5 +4862,401 @@ describe('Bumper', function () {
         expect(error).to.equal(null)
       })
     })
+
+    describe('when current coverage and baseline present during a dry run', function () {
+      beforeEach(function () {
+        _pkgJson = {
+          foo: 'bar',
+          'pr-bumper': {
+            coverage: 99.15
+          }
+        }
+        readFileStub.returns(Promise.resolve(JSON.stringify(_pkgJson, null, 2)))
+
+        bumper.config.baselineCoverage = 99.15
+        bumper.config.dryRun = true
+        coverageReader.read.returns(Promise.resolve({statements: 99.57}))
+        return bumper._maybeUpdateBaselineCoverage(info)
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should not write the "package.json" file', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should record the new contents of the "package.json" file', function () {
+        const newPkgJson = __.cloneDeep(_pkgJson)
+        newPkgJson['pr-bumper'].coverage = 99.57
+        const change = bumper.dryRunChanges.files[path.join(process.cwd(), 'package.json')]
+        expect(change.contents).to.equal(JSON.stringify(newPkgJson, null, 2))
+      })
+
+      it('should add "package.json" to the list of modified files', function () {
+        expect(info.modifiedFiles).to.include('package.json')
+      })
+
+      it('should resolve with the info', function () {
+        expect(result).to.equal(info)
+      })
+    })
+
+    describe('when tracking several metrics', function () {
+      beforeEach(function () {
+        _pkgJson = {
+          foo: 'bar',
+          'pr-bumper': {
+            coverage: {branches: 80.5, functions: 90, statements: 99.15}
+          }
+        }
+        readFileStub.returns(Promise.resolve(JSON.stringify(_pkgJson, null, 2)))
+
+        bumper.config.baselineCoverage = _pkgJson['pr-bumper'].coverage
+        bumper.config.coverage.metrics = ['statements', 'branches', 'lines']
+        coverageReader.read.returns(Promise.resolve({branches: 81, lines: 98.2, statements: 99.57}))
+        return bumper._maybeUpdateBaselineCoverage(info)
+      })
+
+      it('should lookup the current coverage of the tracked metrics', function () {
+        expect(coverageReader.read).to.have.been.calledWith(bumper.config.coverage)
+      })
+
+      it('should write the new baseline of every tracked metric (keeping the untracked ones)', function () {
+        const newPkgJson = __.cloneDeep(_pkgJson)
+        newPkgJson['pr-bumper'].coverage = {branches: 81, functions: 90, statements: 99.57, lines: 98.2}
+        const location = path.join(process.cwd(), 'package.json')
+        expect(writeFileStub).to.have.been.calledWith(location, JSON.stringify(newPkgJson, null, 2))
+      })
+    })
+  })
+
+  describe('._readFile()', function () {
+    let result
+    beforeEach(function () {
+      readFileStub.returns(Promise.resolve('on-disk'))
+    })
+
+    describe('when no change has been recorded for the file', function () {
+      beforeEach(function () {
+        return bumper._readFile('foo.txt')
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should read the file', function () {
+        expect(readFileStub).to.have.been.calledWith('foo.txt', 'utf8')
+      })
+
+      it('should resolve with the contents on disk', function () {
+        expect(result).to.equal('on-disk')
+      })
+    })
+
+    describe('when a change has been recorded for the file', function () {
+      beforeEach(function () {
+        bumper.dryRunChanges.files[path.resolve('foo.txt')] = {contents: 'changed', filename: 'foo.txt', original: ''}
+        return bumper._readFile('foo.txt')
+          .then((r) => {
+            result = r
+          })
+      })
+
+      it('should not read the file', function () {
+        expect(readFileStub).to.have.callCount(0)
+      })
+
+      it('should resolve with the recorded contents', function () {
+        expect(result).to.equal('changed')
+      })
+    })
+  })
+
+  describe('._withNpmrc()', function () {
+    let result, error, funcStub, env
+    let mkdirStub, revertMkdirRewire
+    const tmpDir = `/tmp/pr-bumper-${process.pid}-1234`
+    let rmdirStub, revertRmdirRewire
+    let unlinkStub, revertUnlinkRewire
+
+    beforeEach(function () {
+      env = process.env['MY_NPM_TOKEN']
+      process.env['MY_NPM_TOKEN'] = 'the-token'
+
+      sandbox.stub(os, 'tmpdir').returns('/tmp')
+      sandbox.stub(Date, 'now').returns(1234)
+      mkdirStub = sandbox.stub().returns(Promise.resolve())
+      revertMkdirRewire = Bumper.__set__('mkdir', mkdirStub)
+      rmdirStub = sandbox.stub().returns(Promise.resolve())
+      revertRmdirRewire = Bumper.__set__('rmdir', rmdirStub)
+      unlinkStub = sandbox.stub().returns(Promise.resolve())
+      revertUnlinkRewire = Bumper.__set__('unlink', unlinkStub)
+
+      writeFileStub.returns(Promise.resolve())
+      funcStub = sandbox.stub().returns(Promise.resolve('published'))
+      bumper.config = {
+        publish: {
+          env: {token: 'MY_NPM_TOKEN'},
+          registry: 'http://localhost:4873'
+        }
+      }
+      result = error = null
+    })
+
+    afterEach(function () {
+      revertMkdirRewire()
+      revertRmdirRewire()
+      revertUnlinkRewire()
+      if (env === undefined) {
+        delete process.env['MY_NPM_TOKEN']
+      } else {
+        process.env['MY_NPM_TOKEN'] = env
+      }
+    })
+
+    describe('when the function succeeds', function () {
+      beforeEach(function () {
+        return bumper._withNpmrc(funcStub)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should create a temporary directory only the current user can use', function () {
+        expect(mkdirStub).to.have.been.calledWith(tmpDir, 0o700)
+      })
+
+      it('should write an .npmrc only readable by the current user, referring to the token variable', function () {
+        expect(writeFileStub).to.have.been.calledWith(
+          `${tmpDir}/.npmrc`,
+          '//localhost:4873/:_authToken=${MY_NPM_TOKEN}\n',
+          {mode: 0o600}
+        )
+      })
+
+      it('should call the function with the path to the .npmrc', function () {
+        expect(funcStub).to.have.been.calledWith(`${tmpDir}/.npmrc`)
+      })
+
+      it('should remove the .npmrc and its directory', function () {
+        expect(unlinkStub).to.have.been.calledWith(`${tmpDir}/.npmrc`)
+        expect(rmdirStub).to.have.been.calledWith(tmpDir)
+      })
+
+      it('should resolve with the result of the function', function () {
+        expect(result).to.equal('published')
+      })
+    })
+
+    describe('when the function fails', function () {
+      beforeEach(function () {
+        funcStub.returns(Promise.reject(new Error('npm ERR!')))
+        return bumper._withNpmrc(funcStub)
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should still remove the .npmrc and its directory', function () {
+        expect(unlinkStub).to.have.been.calledWith(`${tmpDir}/.npmrc`)
+        expect(rmdirStub).to.have.been.calledWith(tmpDir)
+      })
+
+      it('should reject with the error from the function', function () {
+        expect(error.message).to.equal('npm ERR!')
+      })
+    })
+
+    describe('when the temporary directory cannot be created', function () {
+      beforeEach(function () {
+        mkdirStub.returns(Promise.reject(new Error('EEXIST')))
+        return bumper._withNpmrc(funcStub)
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not call the function', function () {
+        expect(funcStub).to.have.callCount(0)
+      })
+
+      it('should not try to remove anything', function () {
+        expect(unlinkStub).to.have.callCount(0)
+        expect(rmdirStub).to.have.callCount(0)
+      })
+
+      it('should reject with the error', function () {
+        expect(error.message).to.equal('EEXIST')
+      })
+    })
+
+    describe('when there is no token', function () {
+      beforeEach(function () {
+        delete process.env['MY_NPM_TOKEN']
+        return bumper._withNpmrc(funcStub)
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not write an .npmrc', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should not call the function', function () {
+        expect(funcStub).to.have.callCount(0)
+      })
+
+      it('should reject with an error', function () {
+        expect(error.message).to.equal('No npm token found in [MY_NPM_TOKEN], unable to publish')
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        return bumper._withNpmrc(funcStub)
+      })
+
+      it('should not write an .npmrc', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should still call the function', function () {
+        expect(funcStub).to.have.callCount(1)
+      })
+    })
+  })
+
+  describe('._recordAndPush()', function () {
+    let info, result, conflict
+    beforeEach(function () {
+      bumper.config = {branch: 'master'}
+      info = {changelog: 'Fixed the thing', modifiedFiles: [], scope: 'patch'}
+      conflict = new Bumper.PushConflict('Branch [master] moved to sha-2 since the build started', 'sha-2')
+      sandbox.stub(bumper, '_maybeRecordPendingPr').returns(Promise.resolve({modifiedFiles: ['pending-release.json']}))
+      sandbox.stub(bumper, '_maybeUpdateBaselineCoverage').returnsArg(0)
+      sandbox.stub(bumper, '_maybeCommitChanges').returnsArg(0)
+      sandbox.stub(bumper, '_maybePushChanges').returns(Promise.resolve('pushed'))
+      sandbox.stub(bumper, '_resetBump').returns(Promise.resolve())
+    })
+
+    describe('when the push goes through', function () {
+      beforeEach(function () {
+        return bumper._recordAndPush(info, 1)
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should record a copy of the info', function () {
+        expect(bumper._maybeRecordPendingPr).to.have.been.calledWith(info)
+        expect(bumper._maybeRecordPendingPr.firstCall.args[0]).not.to.equal(info)
+      })
+
+      it('should not reset anything', function () {
+        expect(bumper._resetBump).to.have.callCount(0)
+      })
+
+      it('should resolve with the result of the push', function () {
+        expect(result).to.equal('pushed')
+      })
+    })
+
+    describe('when the push conflicts with the remote once', function () {
+      beforeEach(function () {
+        bumper._maybePushChanges.onCall(0).returns(Promise.reject(conflict))
+        return bumper._recordAndPush(info, 1)
+      })
+
+      it('should log what happened', function () {
+        expect(logger.log).to.have.been.calledWith(
+          'Branch [master] moved to sha-2 since the build started, redoing the recording of the PR on top of sha-2 ' +
+          '(attempt 2)'
+        )
+      })
+
+      it('should reset to the head of the remote branch', function () {
+        expect(bumper._resetBump).to.have.been.calledWith('sha-2')
+      })
+
+      it('should record the PR again', function () {
+        expect(bumper._maybeRecordPendingPr).to.have.callCount(2)
+      })
+    })
+  })
+
+  describe('._resetBump()', function () {
+    beforeEach(function () {
+      execStub.returns(Promise.resolve(''))
+      execStub.withArgs('git tag --points-at HEAD').returns(Promise.resolve('v1.2.0\n'))
+      return bumper._resetBump('sha-2')
+    })
+
+    it('should delete the tags of the bump', function () {
+      expect(execStub).to.have.been.calledWith('git tag -d v1.2.0')
+    })
+
+    it('should reset to the head of the remote branch', function () {
+      expect(execStub).to.have.been.calledWith('git reset --hard sha-2')
+    })
+  })
+
+  describe('._writeFile()', function () {
+    let key
+    beforeEach(function () {
+      key = path.resolve('foo.txt')
+      writeFileStub.returns(Promise.resolve())
+    })
+
+    describe('when not a dry run', function () {
+      beforeEach(function () {
+        return bumper._writeFile('foo.txt', 'new-contents')
+      })
+
+      it('should write the file', function () {
+        expect(writeFileStub).to.have.been.calledWith('foo.txt', 'new-contents')
+      })
+
+      it('should not record the change', function () {
+        expect(bumper.dryRunChanges.files).to.eql({})
+      })
+    })
+
+    describe('during a dry run', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        readFileStub.returns(Promise.resolve('on-disk'))
+        return bumper._writeFile('foo.txt', 'first')
+          .then(() => {
+            return bumper._writeFile('foo.txt', 'second')
+          })
+      })
+
+      it('should not write the file', function () {
+        expect(writeFileStub).to.have.callCount(0)
+      })
+
+      it('should record the latest contents against the original contents', function () {
+        expect(bumper.dryRunChanges.files[key]).to.eql({
+          contents: 'second',
+          filename: 'foo.txt',
+          original: 'on-disk'
+        })
+      })
+    })
+
+    describe('during a dry run for a new file', function () {
+      beforeEach(function () {
+        bumper.config.dryRun = true
+        readFileStub.returns(Promise.reject(new Error('ENOENT')))
+        return bumper._writeFile('foo.txt', 'first')
+      })
+
+      it('should record the change against empty original contents', function () {
+        expect(bumper.dryRunChanges.files[key].original).to.equal('')
+      })
+    })
   })
 })
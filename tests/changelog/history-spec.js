@@ -0,0 +1,179 @@
+'use strict'
+
+const chai = require('chai')
+const Promise = require('promise')
+const rewire = require('rewire')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const expect = chai.expect
+chai.use(sinonChai)
+
+const logger = require('../../lib/logger')
+const history = rewire('../../lib/changelog/history')
+
+describe('changelog/history', function () {
+  let sandbox, execStub, revertExecRewire
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create()
+    sandbox.stub(logger, 'log')
+
+    execStub = sandbox.stub()
+    revertExecRewire = history.__set__('exec', execStub)
+  })
+
+  afterEach(function () {
+    sandbox.restore()
+    revertExecRewire()
+  })
+
+  describe('.getReleases()', function () {
+    let result
+    beforeEach(function () {
+      execStub.returns(Promise.resolve([
+        'v1.10.0\u00002017-03-01T10:00:00+01:00',
+        'v1.2.0\u00002017-01-15T12:00:00Z',
+        'pkg-a@1.0.0\u00002017-01-10T12:00:00Z',
+        'v1.9.0\u00002017-02-01T12:00:00Z',
+        'v-next\u00002017-02-02T12:00:00Z',
+        'latest\u00002017-02-03T12:00:00Z',
+        ''
+      ].join('\n')))
+    })
+
+    describe('for the root package', function () {
+      beforeEach(function () {
+        return history.getReleases('v')
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should list the tags in the history of HEAD, with when they were created', function () {
+        expect(execStub).to.have.been.calledWith(
+          'git for-each-ref --merged HEAD --format="%(refname:short)%00%(creatordate:iso-strict)" refs/tags'
+        )
+      })
+
+      it('should resolve with the releases of the version tags, oldest version first', function () {
+        expect(result).to.eql([
+          {date: new Date(Date.UTC(2017, 0, 15, 12)), tag: 'v1.2.0', version: '1.2.0'},
+          {
+            date: new Date(Date.UTC(2017, 1, 1, 12)),
+            previousTag: 'v1.2.0',
+            previousVersion: '1.2.0',
+            tag: 'v1.9.0',
+            version: '1.9.0'
+          },
+          {
+            date: new Date(Date.UTC(2017, 2, 1, 9)),
+            previousTag: 'v1.9.0',
+            previousVersion: '1.9.0',
+            tag: 'v1.10.0',
+            version: '1.10.0'
+          }
+        ])
+      })
+    })
+
+    describe('for a package of a workspace', function () {
+      beforeEach(function () {
+        return history.getReleases('pkg-a@')
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should resolve with the releases of the tags of the package', function () {
+        expect(result).to.eql([
+          {date: new Date(Date.UTC(2017, 0, 10, 12)), tag: 'pkg-a@1.0.0', version: '1.0.0'}
+        ])
+      })
+    })
+  })
+
+  describe('.getPrNumber()', function () {
+    let patterns
+    beforeEach(function () {
+      patterns = [/^Merge pull request #(\d+) from/m, /\(#(\d+)\)$/m]
+    })
+
+    it('should find the PR number with the first pattern that matches', function () {
+      expect(history.getPrNumber('Merge pull request #11 from me/feature\n\nAdd it (#3)', patterns)).to.equal('11')
+    })
+
+    it('should find the PR number with any of the patterns', function () {
+      expect(history.getPrNumber('Fix the other thing (#12)\n\n* the commits', patterns)).to.equal('12')
+    })
+
+    it('should return undefined when no pattern matches', function () {
+      expect(history.getPrNumber('Just a commit', patterns)).to.equal(undefined)
+    })
+  })
+
+  describe('.getReleasePrs()', function () {
+    let config, vcs, release, result
+    beforeEach(function () {
+      config = {mergeCommitPatterns: ['^Merge pull request #(\\d+) from']}
+      vcs = {
+        getMergedPr: sandbox.stub(),
+        getPr: sandbox.stub()
+      }
+      release = {previousTag: 'v1.2.0', tag: 'v1.3.0', version: '1.3.0'}
+
+      execStub.returns(Promise.resolve([
+        'sha-4\u0000Fix the other thing (#12)\n\n* the commits\n\u0000',
+        '\nsha-3\u0000Merge pull request #11 from me/feature\n\nAdd the feature\n\u0000',
+        '\nsha-2\u0000Rebased commit of #10\n\u0000',
+        '\nsha-1\u0000Another rebased commit of #10\n\u0000',
+        '\n'
+      ].join('')))
+
+      vcs.getMergedPr.withArgs('sha-4').returns(Promise.resolve({number: 12}))
+      vcs.getMergedPr.withArgs('sha-3').returns(Promise.reject(new Error('Not found')))
+      vcs.getMergedPr.withArgs('sha-2').returns(Promise.resolve({number: 10}))
+      vcs.getMergedPr.withArgs('sha-1').returns(Promise.resolve({number: 10}))
+      vcs.getPr.withArgs('11').returns(Promise.resolve({number: 11}))
+
+      return history.getReleasePrs(config, vcs, release)
+        .then((res) => {
+          result = res
+        })
+    })
+
+    it('should list the first-parent commits since the previous tag', function () {
+      expect(execStub).to.have.been.calledWith('git log --first-parent --format=%H%x00%B%x00 v1.2.0..v1.3.0')
+    })
+
+    it('should look up the PR merged by each commit', function () {
+      expect(vcs.getMergedPr.args).to.eql([['sha-4'], ['sha-3'], ['sha-2'], ['sha-1']])
+    })
+
+    it('should fall back to the merge commit message', function () {
+      expect(vcs.getPr).to.have.been.calledWith('11')
+    })
+
+    it('should resolve with each PR once, most recently merged first', function () {
+      expect(result).to.eql([{number: 12}, {number: 11}, {number: 10}])
+    })
+
+    describe('for the first release', function () {
+      beforeEach(function () {
+        execStub.returns(Promise.resolve('sha-1\u0000Initial commit\n\u0000\n'))
+        vcs.getMergedPr.withArgs('sha-1').returns(Promise.resolve(undefined))
+
+        return history.getReleasePrs(config, vcs, {tag: 'v1.0.0', version: '1.0.0'})
+          .then((res) => {
+            result = res
+          })
+      })
+
+      it('should list all the first-parent commits up to the tag', function () {
+        expect(execStub).to.have.been.calledWith('git log --first-parent --format=%H%x00%B%x00 v1.0.0')
+      })
+
+      it('should leave out commits that are not from a PR', function () {
+        expect(result).to.eql([])
+      })
+    })
+  })
+})
@@ -0,0 +1,255 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const keepAChangelog = require('../../lib/changelog/keep-a-changelog')
+
+/**
+ * Get the URL comparing two refs, the way GitHub would
+ * @param {String} from - the older ref
+ * @param {String} to - the newer ref
+ * @returns {String} the URL
+ */
+function getCompareUrl (from, to) {
+  return `https://github.com/me/my-repo/compare/${from}...${to}`
+}
+
+describe('changelog/keep-a-changelog', function () {
+  describe('.insertRelease()', function () {
+    let release, result
+    beforeEach(function () {
+      release = {
+        changelog: '### Added\n- the feature\n\n### Fixed\n- the bug\n',
+        date: '2017-02-01',
+        tag: 'v1.3.0',
+        version: '1.3.0'
+      }
+    })
+
+    describe('when the changelog file is new', function () {
+      beforeEach(function () {
+        result = keepAChangelog.insertRelease('', release, getCompareUrl)
+      })
+
+      it('should add the header and the release (without a link, as there is nothing to compare with)', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          'All notable changes to this project will be documented in this file.',
+          '',
+          'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/),',
+          'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).',
+          '',
+          '## 1.3.0 - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Fixed',
+          '- the bug',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when the changelog file has an Unreleased section, releases and links', function () {
+      beforeEach(function () {
+        const contents = [
+          '# Changelog',
+          'Notable changes.',
+          '',
+          '## [Unreleased]',
+          '### Added',
+          '- something in progress',
+          '',
+          '## [1.2.0] - 2017-01-15',
+          '### Changed',
+          '- older stuff',
+          '',
+          '## 1.1.0 - 2017-01-01',
+          '### Added',
+          '- oldest stuff',
+          '',
+          '[Unreleased]: https://github.com/me/my-repo/compare/v1.2.0...HEAD',
+          '[1.2.0]: https://github.com/me/my-repo/compare/v1.1.0...v1.2.0',
+          ''
+        ].join('\n')
+
+        result = keepAChangelog.insertRelease(contents, release, getCompareUrl)
+      })
+
+      it('should insert the release below the Unreleased section and update the links', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          'Notable changes.',
+          '',
+          '## [Unreleased]',
+          '### Added',
+          '- something in progress',
+          '',
+          '## [1.3.0] - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Fixed',
+          '- the bug',
+          '',
+          '## [1.2.0] - 2017-01-15',
+          '### Changed',
+          '- older stuff',
+          '',
+          '## 1.1.0 - 2017-01-01',
+          '### Added',
+          '- oldest stuff',
+          '',
+          '[Unreleased]: https://github.com/me/my-repo/compare/v1.3.0...HEAD',
+          '[1.3.0]: https://github.com/me/my-repo/compare/v1.2.0...v1.3.0',
+          '[1.2.0]: https://github.com/me/my-repo/compare/v1.1.0...v1.2.0',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when the changelog file has releases but no Unreleased section or links', function () {
+      beforeEach(function () {
+        result = keepAChangelog.insertRelease('# Changelog\n\n## 1.2.0 - 2017-01-15\n- older stuff\n', release,
+          getCompareUrl)
+      })
+
+      it('should insert the release above the previous one, with a link comparing the two', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          '',
+          '## [1.3.0] - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Fixed',
+          '- the bug',
+          '',
+          '## 1.2.0 - 2017-01-15',
+          '- older stuff',
+          '',
+          '[1.3.0]: https://github.com/me/my-repo/compare/v1.2.0...v1.3.0',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when there is no way to build compare URLs', function () {
+      beforeEach(function () {
+        const contents = '# Changelog\n\n## [Unreleased]\n\n## 1.2.0 - 2017-01-15\n- older stuff\n\n[1.2.0]: old-link\n'
+        result = keepAChangelog.insertRelease(contents, release)
+      })
+
+      it('should insert the release without a link, and leave the links alone', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          '',
+          '## [Unreleased]',
+          '',
+          '## 1.3.0 - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Fixed',
+          '- the bug',
+          '',
+          '## 1.2.0 - 2017-01-15',
+          '- older stuff',
+          '',
+          '[1.2.0]: old-link',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when the changelog text has text outside of the known groups', function () {
+      beforeEach(function () {
+        release.changelog = [
+          'A general note',
+          '',
+          '## fixed',
+          '- the bug',
+          '',
+          '# Security',
+          '- the vulnerability',
+          '',
+          '### Added',
+          '- the feature'
+        ].join('\n')
+        result = keepAChangelog.insertRelease('# Changelog\n', release, getCompareUrl)
+      })
+
+      it('should put it under Changed, and order the groups the Keep a Changelog way', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          '',
+          '## 1.3.0 - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Changed',
+          'A general note',
+          '',
+          '### Fixed',
+          '- the bug',
+          '',
+          '### Security',
+          '- the vulnerability',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when the release has the changelog text of several PRs', function () {
+      beforeEach(function () {
+        release.changelog = [
+          '### Fixed\n- the bug',
+          'A general note',
+          '### Added\n- the feature\n### Fixed\n- another bug'
+        ]
+        result = keepAChangelog.insertRelease('# Changelog\n', release, getCompareUrl)
+      })
+
+      it('should group the changes of all the PRs (text before any heading going under Changed)', function () {
+        expect(result).to.equal([
+          '# Changelog',
+          '',
+          '## 1.3.0 - 2017-02-01',
+          '',
+          '### Added',
+          '- the feature',
+          '',
+          '### Changed',
+          'A general note',
+          '',
+          '### Fixed',
+          '- the bug',
+          '- another bug',
+          ''
+        ].join('\n'))
+      })
+    })
+
+    describe('when the tag has a package prefix (in a workspace)', function () {
+      beforeEach(function () {
+        release.tag = 'pkg-a@1.3.0'
+        result = keepAChangelog.insertRelease('# Changelog\n\n## [Unreleased]\n\n## 1.2.0 - 2017-01-15\n- older\n',
+          release, getCompareUrl)
+      })
+
+      it('should compare with the tag of the previous version of the package', function () {
+        expect(result).to.have.string('\n[1.3.0]: https://github.com/me/my-repo/compare/pkg-a@1.2.0...pkg-a@1.3.0\n')
+      })
+
+      it('should compare the Unreleased section with the tag of the package', function () {
+        expect(result).to.have.string('\n[Unreleased]: https://github.com/me/my-repo/compare/pkg-a@1.3.0...HEAD\n')
+      })
+    })
+  })
+})
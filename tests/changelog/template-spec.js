@@ -0,0 +1,118 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const template = require('../../lib/changelog/template')
+
+describe('changelog/template', function () {
+  describe('.formatDate()', function () {
+    let date
+    beforeEach(function () {
+      date = new Date(Date.UTC(2017, 0, 15, 23, 5, 9))
+    })
+
+    it('should default to an ISO date in UTC', function () {
+      expect(template.formatDate(date)).to.equal('2017-01-15')
+    })
+
+    it('should use the given format', function () {
+      expect(template.formatDate(date, {format: 'DD/MM/YYYY HH:mm:ss'})).to.equal('15/01/2017 23:05:09')
+    })
+
+    it('should use the given timezone', function () {
+      expect(template.formatDate(date, {format: 'YYYY-MM-DD HH:mm', timezone: 'Asia/Tokyo'}))
+        .to.equal('2017-01-16 08:05')
+    })
+
+    it('should use 00 for midnight', function () {
+      expect(template.formatDate(new Date(Date.UTC(2017, 0, 15)), {format: 'HH:mm'})).to.equal('00:00')
+    })
+
+    it('should throw on an unknown timezone', function () {
+      expect(() => {
+        template.formatDate(date, {timezone: 'Nowhere/Special'})
+      }).to.throw(RangeError)
+    })
+
+    describe('when Intl.DateTimeFormat#formatToParts is missing (older versions of Node.js)', function () {
+      let formatToParts
+      beforeEach(function () {
+        formatToParts = Intl.DateTimeFormat.prototype.formatToParts
+        delete Intl.DateTimeFormat.prototype.formatToParts
+      })
+
+      afterEach(function () {
+        Intl.DateTimeFormat.prototype.formatToParts = formatToParts
+      })
+
+      it('should still format dates in UTC', function () {
+        expect(template.formatDate(date, {format: 'YYYY-MM-DD HH:mm:ss', timezone: 'utc'}))
+          .to.equal('2017-01-15 23:05:09')
+      })
+
+      it('should throw a clear error for other timezones', function () {
+        expect(() => {
+          template.formatDate(date, {timezone: 'Asia/Tokyo'})
+        }).to.throw('Unable to format dates in the [Asia/Tokyo] timezone')
+      })
+    })
+  })
+
+  describe('.getPrValues()', function () {
+    let pr
+    beforeEach(function () {
+      pr = {
+        author: {login: 'jdoe', name: 'Jane Doe'},
+        description: 'This is a #fix#',
+        headSha: 'sha-1',
+        mergedAt: '2017-01-15T23:30:00.000000+00:00',
+        number: 123,
+        title: 'Fix the thing',
+        url: 'my-pr-url'
+      }
+    })
+
+    it('should give the details of the PR, with the (UTC) date it was merged', function () {
+      expect(template.getPrValues(pr)).to.eql({
+        author: 'jdoe',
+        authorName: 'Jane Doe',
+        mergedAt: '2017-01-15',
+        number: 123,
+        title: 'Fix the thing',
+        url: 'my-pr-url'
+      })
+    })
+
+    it('should leave out the merge date of a PR that is not merged', function () {
+      delete pr.mergedAt
+      expect(template.getPrValues(pr).mergedAt).to.equal(undefined)
+    })
+
+    it('should give no values without a PR', function () {
+      expect(template.getPrValues(undefined)).to.eql({})
+    })
+  })
+
+  describe('.render()', function () {
+    it('should replace the placeholders with their values', function () {
+      const values = {author: 'jdoe', changelog: '* fixed the thing', number: 123, url: 'my-pr-url'}
+      expect(template.render('{changelog}\n\n[#{number}]({url}) by @{author}', values))
+        .to.equal('* fixed the thing\n\n[#123](my-pr-url) by @jdoe')
+    })
+
+    it('should replace placeholders without a value with nothing', function () {
+      expect(template.render('{changelog} ({mergedAt})', {changelog: 'text', mergedAt: undefined}))
+        .to.equal('text ()')
+    })
+
+    it('should leave unknown placeholders alone', function () {
+      expect(template.render('{changelog} {unknown} {not a placeholder}', {changelog: 'text'}))
+        .to.equal('text {unknown} {not a placeholder}')
+    })
+
+    it('should not render placeholders within the values', function () {
+      expect(template.render('{changelog}', {changelog: 'use {number}', number: 123})).to.equal('use {number}')
+    })
+  })
+})
@@ -98,6 +98,65 @@ describe('CiBase', function () {
     })
   })
 
+  describe('.describePush()', function () {
+    it('should describe the push to origin, without running it', function () {
+      expect(base.describePush()).to.equal('git push --atomic origin my-branch --tags')
+      expect(execStub).to.have.callCount(0)
+    })
+  })
+
+  describe('.fetch()', function () {
+    let result
+    beforeEach(function () {
+      execStub.returns(Promise.resolve(''))
+      execStub.withArgs('git rev-parse FETCH_HEAD').returns(Promise.resolve('sha-1\n'))
+      return base.fetch()
+        .then((res) => {
+          result = res
+        })
+    })
+
+    it('should log that it is about to fetch', function () {
+      expect(logger.log).to.have.been.calledWith('Fetching my-branch from origin')
+    })
+
+    it('should fetch the branch from origin', function () {
+      expect(execStub).to.have.been.calledWith('git fetch origin my-branch')
+    })
+
+    it('should resolve with the SHA of the head of the remote branch', function () {
+      expect(result).to.equal('sha-1')
+    })
+  })
+
+  describe('.getPushRemote()', function () {
+    it('should resolve with origin', function () {
+      return base.getPushRemote()
+        .then((remoteName) => {
+          expect(remoteName).to.equal('origin')
+        })
+    })
+  })
+
+  describe('.hasRemoteTag()', function () {
+    it('should resolve with true when the tag is on origin', function () {
+      execStub.returns(Promise.resolve('sha-1\trefs/tags/v1.2.3\n'))
+      return base.hasRemoteTag('v1.2.3')
+        .then((exists) => {
+          expect(execStub).to.have.been.calledWith('git ls-remote --tags origin refs/tags/v1.2.3')
+          expect(exists).to.equal(true)
+        })
+    })
+
+    it('should resolve with false when the tag is not on origin', function () {
+      execStub.returns(Promise.resolve(''))
+      return base.hasRemoteTag('v1.2.3')
+        .then((exists) => {
+          expect(exists).to.equal(false)
+        })
+    })
+  })
+
   describe('.push()', function () {
     let result
     beforeEach(function () {
@@ -112,8 +171,8 @@ describe('CiBase', function () {
       expect(logger.log).to.have.been.calledWith('Pushing my-branch to origin')
     })
 
-    it('should push origin to master with --tags', function () {
-      expect(execStub).to.have.been.calledWith('git push origin my-branch --tags')
+    it('should atomically push origin to master with --tags', function () {
+      expect(execStub).to.have.been.calledWith('git push --atomic origin my-branch --tags')
     })
 
     it('should resolve with the result of the git command', function () {
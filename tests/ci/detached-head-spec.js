@@ -0,0 +1,180 @@
+'use strict'
+
+const chai = require('chai')
+const rewire = require('rewire')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const expect = chai.expect
+chai.use(sinonChai)
+
+const logger = require('../../lib/logger')
+const CiBase = require('../../lib/ci/base')
+const DetachedHead = rewire('../../lib/ci/detached-head')
+const testUtils = require('./utils')
+const ensureCiBaseMethodIsUsed = testUtils.ensureCiBaseMethodIsUsed
+
+describe('DetachedHead', function () {
+  const ctx = {}
+  let execStub, revertExecRewire, ci, sandbox
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create()
+
+    // get rid of all logging messages in the tests (and let us test for them if we want)
+    sandbox.stub(logger, 'log')
+
+    // stub out the top-level 'exec'
+    execStub = sandbox.stub()
+    revertExecRewire = DetachedHead.__set__('exec', execStub)
+
+    ci = new DetachedHead({id: 'config', branch: 'my-branch'}, {id: 'vcs'})
+
+    ctx.ci = ci
+    ctx.sandbox = sandbox
+  })
+
+  afterEach(function () {
+    // undo the rewiring
+    revertExecRewire()
+
+    sandbox.restore()
+  })
+
+  it('should save the config', function () {
+    expect(ci.config).to.be.eql({id: 'config', branch: 'my-branch'})
+  })
+
+  it('should save the vcs', function () {
+    expect(ci.vcs).to.be.eql({id: 'vcs'})
+  })
+
+  it('should extend CiBase', function () {
+    expect(ci).to.be.an.instanceof(CiBase)
+  })
+
+  ensureCiBaseMethodIsUsed(ctx, 'add')
+  ensureCiBaseMethodIsUsed(ctx, 'commit')
+
+  describe('.describePush()', function () {
+    beforeEach(function () {
+      ci.vcs = {addRemoteForPush () {}, getPushRemoteName () {}}
+      sandbox.stub(ci.vcs, 'addRemoteForPush').returns(Promise.resolve('ci-origin'))
+      sandbox.stub(ci.vcs, 'getPushRemoteName').returns('ci-origin')
+    })
+
+    it('should describe the push of ci-my-branch to the remote of the vcs', function () {
+      expect(ci.describePush()).to.equal('git push --atomic ci-origin ci-my-branch:refs/heads/my-branch --tags')
+    })
+
+    it('should not add the remote', function () {
+      ci.describePush()
+      expect(ci.vcs.addRemoteForPush).to.have.callCount(0)
+    })
+  })
+
+  describe('.getPushRemote()', function () {
+    beforeEach(function () {
+      ci.vcs = {addRemoteForPush () {}}
+      sandbox.stub(ci.vcs, 'addRemoteForPush').returns(Promise.resolve('ci-origin'))
+    })
+
+    it('should resolve with the remote added via the vcs', function () {
+      return ci.getPushRemote()
+        .then((remoteName) => {
+          expect(remoteName).to.equal('ci-origin')
+        })
+    })
+
+    it('should only add the remote once', function () {
+      return ci.getPushRemote()
+        .then(() => {
+          return ci.getPushRemote()
+        })
+        .then(() => {
+          expect(ci.vcs.addRemoteForPush).to.have.callCount(1)
+        })
+    })
+  })
+
+  describe('.push()', function () {
+    let result
+
+    beforeEach(function () {
+      ci.vcs = {addRemoteForPush () {}, getPushRemoteName () {}}
+      sandbox.stub(ci.vcs, 'addRemoteForPush').returns(Promise.resolve('ci-origin'))
+      sandbox.stub(ci.vcs, 'getPushRemoteName').returns('ci-origin')
+      execStub.returns(Promise.resolve('pushed'))
+
+      return ci.push().then((res) => {
+        result = res
+      })
+    })
+
+    it('should add the push remote via the vcs', function () {
+      expect(ci.vcs.addRemoteForPush).to.have.callCount(1)
+    })
+
+    it('should log that it is about to push my-master to the new remote', function () {
+      expect(logger.log).to.have.been.calledWith('Pushing ci-my-branch to ci-origin')
+    })
+
+    it('should push the ci-my-branch branch to new remote', function () {
+      expect(execStub).to.have.been.calledWith('git push --atomic ci-origin ci-my-branch:refs/heads/my-branch --tags')
+    })
+
+    it('should resolve with result of the git push', function () {
+      expect(result).to.be.equal('pushed')
+    })
+  })
+
+  describe('.setupGitEnv()', function () {
+    let result
+
+    beforeEach(function () {
+      sandbox.stub(CiBase.prototype, 'setupGitEnv').returns(Promise.resolve())
+      execStub.returns(Promise.resolve('checked-out'))
+
+      return ci.setupGitEnv().then((res) => {
+        result = res
+      })
+    })
+
+    it('should call the base .setupGitEnv()', function () {
+      expect(CiBase.prototype.setupGitEnv).to.have.callCount(1)
+    })
+
+    it('should create and check out ci-my-branch branch', function () {
+      expect(execStub).to.have.been.calledWith('git checkout -B ci-my-branch')
+    })
+
+    it('should resolve with the result of the git checkout', function () {
+      expect(result).to.be.equal('checked-out')
+    })
+
+    describe('when called again, to redo a bump after a push conflict', function () {
+      let error
+      beforeEach(function () {
+        // Like git, refuse to create the branch again without -B
+        execStub.withArgs('git checkout -b ci-my-branch')
+          .returns(Promise.reject(new Error("fatal: A branch named 'ci-my-branch' already exists.")))
+
+        return ci.setupGitEnv()
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should reset the ci-my-branch branch to the new HEAD', function () {
+        expect(execStub.args).to.eql([['git checkout -B ci-my-branch'], ['git checkout -B ci-my-branch']])
+      })
+
+      it('should not fail', function () {
+        expect(error).to.equal(undefined)
+        expect(result).to.equal('checked-out')
+      })
+    })
+  })
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const expect = chai.expect
+chai.use(sinonChai)
+
+const logger = require('../../lib/logger')
+const CiBase = require('../../lib/ci/base')
+const DetachedHead = require('../../lib/ci/detached-head')
+const GitLabCi = require('../../lib/ci/gitlab-ci')
+const testUtils = require('./utils')
+const ensureParentMethodIsUsed = testUtils.ensureParentMethodIsUsed
+
+describe('GitLabCi', function () {
+  let gitlabCi, sandbox
+  let ctx = {}
+
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create()
+
+    // get rid of all logging messages in the tests (and let us test for them if we want)
+    sandbox.stub(logger, 'log')
+    gitlabCi = new GitLabCi({id: 'config'}, {id: 'vcs'})
+
+    ctx.ci = gitlabCi
+    ctx.sandbox = sandbox
+  })
+
+  afterEach(function () {
+    sandbox.restore()
+  })
+
+  it('should save the config', function () {
+    expect(gitlabCi.config).to.be.eql({id: 'config'})
+  })
+
+  it('should save the vcs', function () {
+    expect(gitlabCi.vcs).to.be.eql({id: 'vcs'})
+  })
+
+  it('should extend CiBase', function () {
+    expect(gitlabCi).to.be.an.instanceof(CiBase)
+  })
+
+  it('should extend DetachedHead', function () {
+    expect(gitlabCi).to.be.an.instanceof(DetachedHead)
+  })
+
+  ensureParentMethodIsUsed(ctx, CiBase, 'add')
+  ensureParentMethodIsUsed(ctx, CiBase, 'commit')
+  ensureParentMethodIsUsed(ctx, DetachedHead, 'push')
+  ensureParentMethodIsUsed(ctx, DetachedHead, 'setupGitEnv')
+})
@@ -1,7 +1,6 @@
 'use strict'
 
 const chai = require('chai')
-const rewire = require('rewire')
 const sinon = require('sinon')
 const sinonChai = require('sinon-chai')
 const expect = chai.expect
@@ -9,13 +8,14 @@ chai.use(sinonChai)
 
 const logger = require('../../lib/logger')
 const CiBase = require('../../lib/ci/base')
-const Travis = rewire('../../lib/ci/travis')
+const DetachedHead = require('../../lib/ci/detached-head')
+const Travis = require('../../lib/ci/travis')
 const testUtils = require('./utils')
-const ensureCiBaseMethodIsUsed = testUtils.ensureCiBaseMethodIsUsed
+const ensureParentMethodIsUsed = testUtils.ensureParentMethodIsUsed
 
 describe('Travis', function () {
   const ctx = {}
-  let execStub, revertExecRewire, travis, sandbox
+  let travis, sandbox
 
   beforeEach(function () {
     sandbox = sinon.sandbox.create()
@@ -23,10 +23,6 @@ describe('Travis', function () {
     // get rid of all logging messages in the tests (and let us test for them if we want)
     sandbox.stub(logger, 'log')
 
-    // stub out the top-level 'exec'
-    execStub = sandbox.stub()
-    revertExecRewire = Travis.__set__('exec', execStub)
-
     travis = new Travis({id: 'config', branch: 'my-branch'}, {id: 'vcs'})
 
     ctx.ci = travis
@@ -34,9 +30,6 @@ describe('Travis', function () {
   })
 
   afterEach(function () {
-    // undo the rewiring
-    revertExecRewire()
-
     sandbox.restore()
   })
 
@@ -52,61 +45,13 @@ describe('Travis', function () {
     expect(travis).to.be.an.instanceof(CiBase)
   })
 
-  ensureCiBaseMethodIsUsed(ctx, 'add')
-  ensureCiBaseMethodIsUsed(ctx, 'commit')
-
-  describe('.push()', function () {
-    let result
-
-    beforeEach(function () {
-      travis.vcs = {addRemoteForPush () {}}
-      sandbox.stub(travis.vcs, 'addRemoteForPush').returns(Promise.resolve('ci-origin'))
-      execStub.returns(Promise.resolve('pushed'))
-
-      return travis.push().then((res) => {
-        result = res
-      })
-    })
-
-    it('should add the push remote via the vcs', function () {
-      expect(travis.vcs.addRemoteForPush).to.have.callCount(1)
-    })
-
-    it('should log that it is about to push my-master to the new remote', function () {
-      expect(logger.log).to.have.been.calledWith('Pushing ci-my-branch to ci-origin')
-    })
-
-    it('should push the ci-my-branch branch to new remote', function () {
-      expect(execStub).to.have.been.calledWith('git push ci-origin ci-my-branch:refs/heads/my-branch --tags')
-    })
-
-    it('should resolve with result of the git push', function () {
-      expect(result).to.be.equal('pushed')
-    })
+  it('should extend DetachedHead', function () {
+    expect(travis).to.be.an.instanceof(DetachedHead)
   })
 
-  describe('.setupGitEnv()', function () {
-    let result
-
-    beforeEach(function () {
-      sandbox.stub(CiBase.prototype, 'setupGitEnv').returns(Promise.resolve())
-      execStub.returns(Promise.resolve('checked-out'))
-
-      return travis.setupGitEnv().then((res) => {
-        result = res
-      })
-    })
-
-    it('should call the base .setupGitEnv()', function () {
-      expect(CiBase.prototype.setupGitEnv).to.have.callCount(1)
-    })
-
-    it('should create and check out ci-my-branch branch', function () {
-      expect(execStub).to.have.been.calledWith('git checkout -b ci-my-branch')
-    })
-
-    it('should resolve with the result of the git checkout', function () {
-      expect(result).to.be.equal('checked-out')
-    })
-  })
+  ensureParentMethodIsUsed(ctx, CiBase, 'add')
+  ensureParentMethodIsUsed(ctx, CiBase, 'commit')
+  ensureParentMethodIsUsed(ctx, DetachedHead, 'getPushRemote')
+  ensureParentMethodIsUsed(ctx, DetachedHead, 'push')
+  ensureParentMethodIsUsed(ctx, DetachedHead, 'setupGitEnv')
 })
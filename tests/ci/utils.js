@@ -9,12 +9,16 @@ const CiBase = require('../../lib/ci/base')
 
 module.exports = {
   ensureCiBaseMethodIsUsed (ctx, methodName) {
+    module.exports.ensureParentMethodIsUsed(ctx, CiBase, methodName)
+  },
+
+  ensureParentMethodIsUsed (ctx, Parent, methodName) {
     describe(`.${methodName}()`, function () {
       let ci, result
 
       beforeEach(function () {
         ci = ctx.ci
-        ctx.sandbox.stub(CiBase.prototype, methodName).returns(Promise.resolve(`${methodName}-finished`))
+        ctx.sandbox.stub(Parent.prototype, methodName).returns(Promise.resolve(`${methodName}-finished`))
 
         return ci[methodName]('some-args').then((res) => {
           result = res
@@ -22,7 +26,7 @@ module.exports = {
       })
 
       it(`should call the base ${methodName}()`, function () {
-        expect(CiBase.prototype[methodName]).to.have.been.calledWith('some-args')
+        expect(Parent.prototype[methodName]).to.have.been.calledWith('some-args')
       })
 
       it(`should resolve with the result of the base ${methodName}()`, function () {
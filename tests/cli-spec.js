@@ -11,12 +11,18 @@ const utils = require('../lib/utils')
 const logger = require('../lib/logger')
 const Cli = require('../lib/cli')
 
+const CircleCi = require('../lib/ci/circleci')
+const GitHubActions = require('../lib/ci/github-actions')
+const GitLabCi = require('../lib/ci/gitlab-ci')
+const Jenkins = require('../lib/ci/jenkins')
 const TeamCity = require('../lib/ci/teamcity')
 const Travis = require('../lib/ci/travis')
 
+const BitbucketCloud = require('../lib/vcs/bitbucket-cloud')
 const BitbucketServer = require('../lib/vcs/bitbucket-server')
 const GitHub = require('../lib/vcs/github')
 const GitHubEnterprise = require('../lib/vcs/github-enterprise')
+const GitLab = require('../lib/vcs/gitlab')
 
 const Bumper = require('../lib/bumper')
 
@@ -51,7 +57,9 @@ describe('Cli', function () {
       bumper = {
         bump: sandbox.stub().returns(Promise.resolve('bumped')),
         check: sandbox.stub().returns(Promise.resolve('checked')),
-        checkCoverage: sandbox.stub().returns(Promise.resolve('coverage-checked'))
+        checkCoverage: sandbox.stub().returns(Promise.resolve('coverage-checked')),
+        rebuildChangelog: sandbox.stub().returns(Promise.resolve('changelog-rebuilt')),
+        release: sandbox.stub().returns(Promise.resolve('released'))
       }
 
       sandbox.stub(utils, 'getConfig').returns({id: 'config'})
@@ -192,6 +200,62 @@ describe('Cli', function () {
       })
     })
 
+    describe('changelog rebuild', function () {
+      beforeEach(function () {
+        result = ''
+        error = ''
+
+        return cli
+          .run('changelog rebuild')
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should rebuild the changelog', function () {
+        expect(bumper.rebuildChangelog).to.have.callCount(1)
+      })
+
+      it('should resolve with the result of rebuildChangelog', function () {
+        expect(result).to.be.equal('changelog-rebuilt')
+      })
+
+      it('should not error', function () {
+        expect(error).to.equal('')
+      })
+    })
+
+    describe('release', function () {
+      beforeEach(function () {
+        result = ''
+        error = ''
+
+        return cli
+          .run('release')
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should release', function () {
+        expect(bumper.release).to.have.callCount(1)
+      })
+
+      it('should resolve with the result of release', function () {
+        expect(result).to.be.equal('released')
+      })
+
+      it('should not error', function () {
+        expect(error).to.equal('')
+      })
+    })
+
     describe('check-coverage --skip-comments', function () {
       beforeEach(function () {
         result = ''
@@ -236,6 +300,102 @@ describe('Cli', function () {
       })
     })
 
+    describe('bump --dry-run', function () {
+      beforeEach(function () {
+        result = ''
+        error = ''
+
+        return cli
+          .run('bump', false, true)
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should get the vcs', function () {
+        expect(cli._getVcs).to.have.been.calledWith({id: 'config', dryRun: true})
+      })
+
+      it('should get the ci', function () {
+        expect(cli._getCi).to.have.been.calledWith({id: 'config', dryRun: true}, {id: 'vcs'})
+      })
+
+      it('should get the bumper', function () {
+        expect(cli._getBumper).to.have.been.calledWith({
+          ci: {id: 'ci'},
+          config: {id: 'config', dryRun: true},
+          vcs: {id: 'vcs'}
+        })
+      })
+
+      it('should resolve with the result of bump', function () {
+        expect(result).to.be.equal('bumped')
+      })
+
+      it('should not error', function () {
+        expect(error).to.equal('')
+      })
+    })
+
+    describe('check --dry-run', function () {
+      beforeEach(function () {
+        result = ''
+        error = ''
+
+        return cli
+          .run('check', false, true)
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not get the bumper', function () {
+        expect(cli._getBumper).to.have.callCount(0)
+      })
+
+      it('should not check', function () {
+        expect(bumper.check).to.have.callCount(0)
+      })
+
+      it('should reject with an error', function () {
+        expect(error).to.be.equal(
+          "The check command doesn't support --dry-run (only bump, changelog rebuild, release do)"
+        )
+      })
+    })
+
+    describe('check-coverage --dry-run', function () {
+      beforeEach(function () {
+        result = ''
+        error = ''
+
+        return cli
+          .run('check-coverage', false, true)
+          .then((res) => {
+            result = res
+          })
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should not check coverage', function () {
+        expect(bumper.checkCoverage).to.have.callCount(0)
+      })
+
+      it('should reject with an error', function () {
+        expect(error).to.be.equal(
+          "The check-coverage command doesn't support --dry-run (only bump, changelog rebuild, release do)"
+        )
+      })
+    })
+
     describe('invalid command', function () {
       beforeEach(function () {
         result = ''
@@ -269,6 +429,82 @@ describe('Cli', function () {
       vcs = {id: 'vcs'}
     })
 
+    describe('with circleci provider', function () {
+      beforeEach(function () {
+        config.ci.provider = 'circleci'
+        ci = cli._getCi(config, vcs)
+      })
+
+      it('should pass along config', function () {
+        expect(ci.config).to.be.eql(config)
+      })
+
+      it('should pass along vcs', function () {
+        expect(ci.vcs).to.be.eql(vcs)
+      })
+
+      it('should create a CircleCi instance', function () {
+        expect(ci).to.be.an.instanceof(CircleCi)
+      })
+    })
+
+    describe('with github-actions provider', function () {
+      beforeEach(function () {
+        config.ci.provider = 'github-actions'
+        ci = cli._getCi(config, vcs)
+      })
+
+      it('should pass along config', function () {
+        expect(ci.config).to.be.eql(config)
+      })
+
+      it('should pass along vcs', function () {
+        expect(ci.vcs).to.be.eql(vcs)
+      })
+
+      it('should create a GitHubActions instance', function () {
+        expect(ci).to.be.an.instanceof(GitHubActions)
+      })
+    })
+
+    describe('with gitlab-ci provider', function () {
+      beforeEach(function () {
+        config.ci.provider = 'gitlab-ci'
+        ci = cli._getCi(config, vcs)
+      })
+
+      it('should pass along config', function () {
+        expect(ci.config).to.be.eql(config)
+      })
+
+      it('should pass along vcs', function () {
+        expect(ci.vcs).to.be.eql(vcs)
+      })
+
+      it('should create a GitLabCi instance', function () {
+        expect(ci).to.be.an.instanceof(GitLabCi)
+      })
+    })
+
+    describe('with jenkins provider', function () {
+      beforeEach(function () {
+        config.ci.provider = 'jenkins'
+        ci = cli._getCi(config, vcs)
+      })
+
+      it('should pass along config', function () {
+        expect(ci.config).to.be.eql(config)
+      })
+
+      it('should pass along vcs', function () {
+        expect(ci.vcs).to.be.eql(vcs)
+      })
+
+      it('should create a Jenkins instance', function () {
+        expect(ci).to.be.an.instanceof(Jenkins)
+      })
+    })
+
     describe('with teamcity provider', function () {
       beforeEach(function () {
         config.ci.provider = 'teamcity'
@@ -331,6 +567,25 @@ describe('Cli', function () {
       }
     })
 
+    describe('with bitbucket-cloud provider', function () {
+      beforeEach(function () {
+        config.vcs.provider = 'bitbucket-cloud'
+        config.vcs.auth = {
+          username: 'foo',
+          password: 'bar'
+        }
+        vcs = cli._getVcs(config)
+      })
+
+      it('should pass along config', function () {
+        expect(vcs.config).to.be.eql(config)
+      })
+
+      it('should create a BitbucketCloud instance', function () {
+        expect(vcs).to.be.an.instanceof(BitbucketCloud)
+      })
+    })
+
     describe('with bitbucket-server provider', function () {
       beforeEach(function () {
         config.vcs.provider = 'bitbucket-server'
@@ -380,6 +635,21 @@ describe('Cli', function () {
       })
     })
 
+    describe('with gitlab provider', function () {
+      beforeEach(function () {
+        config.vcs.provider = 'gitlab'
+        vcs = cli._getVcs(config)
+      })
+
+      it('should pass along config', function () {
+        expect(vcs.config).to.be.eql(config)
+      })
+
+      it('should create a GitLab instance', function () {
+        expect(vcs).to.be.an.instanceof(GitLab)
+      })
+    })
+
     describe('with invalid provider', function () {
       beforeEach(function () {
         config.vcs.provider = 'unknown provider'
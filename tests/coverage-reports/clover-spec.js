@@ -0,0 +1,72 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const clover = require('../../lib/coverage-reports/clover')
+
+describe('coverage-reports/clover', function () {
+  describe('.parse()', function () {
+    let counts
+    beforeEach(function () {
+      const contents = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<coverage generated="1500000000000" clover="3.2.0">',
+        '  <project timestamp="1500000000000" name="All files">',
+        '    <metrics statements="40" coveredstatements="36" conditionals="8" coveredconditionals="6" methods="5"',
+        '      coveredmethods="4" elements="53" coveredelements="46" complexity="0" loc="40" ncloc="40"',
+        '      packages="1" files="2" classes="2"/>',
+        '    <file name="cli.js" path="/root/lib/cli.js">',
+        '      <metrics statements="20" coveredstatements="20" conditionals="4" coveredconditionals="4"',
+        '        methods="3" coveredmethods="3"/>',
+        '      <line num="10" count="1" type="stmt"/>',
+        '    </file>',
+        '  </project>',
+        '</coverage>'
+      ].join('\n')
+
+      counts = clover.parse(contents)
+    })
+
+    it('should get the branches from the conditionals of the project', function () {
+      expect(counts.branches).to.eql({covered: 6, total: 8})
+    })
+
+    it('should get the functions from the methods of the project', function () {
+      expect(counts.functions).to.eql({covered: 4, total: 5})
+    })
+
+    it('should use the statements for lines', function () {
+      expect(counts.lines).to.eql({covered: 36, total: 40})
+    })
+
+    it('should get the statements of the project', function () {
+      expect(counts.statements).to.eql({covered: 36, total: 40})
+    })
+  })
+  describe('.parseLines()', function () {
+    it('should get the hits of the statement and condition lines of each file', function () {
+      const contents = [
+        '<coverage generated="1500000000000" clover="3.2.0">',
+        '  <project timestamp="1500000000000" name="All files">',
+        '    <file name="cli.js" path="/root/lib/cli.js">',
+        '      <line num="9" count="1" type="method" name="run"/>',
+        '      <line num="10" count="1" type="stmt"/>',
+        '      <line num="11" count="0" type="cond" truecount="0" falsecount="0"/>',
+        '      <line num="11" count="2" type="stmt"/>',
+        '      <line num="12" count="0" type="stmt"/>',
+        '    </file>',
+        '    <file name="logger.js">',
+        '      <line num="3" count="5" type="stmt"/>',
+        '    </file>',
+        '  </project>',
+        '</coverage>'
+      ].join('\n')
+
+      expect(clover.parseLines(contents)).to.eql({
+        '/root/lib/cli.js': {10: 1, 11: 2, 12: 0},
+        'logger.js': {3: 5}
+      })
+    })
+  })
+})
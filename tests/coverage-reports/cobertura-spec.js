@@ -0,0 +1,88 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const cobertura = require('../../lib/coverage-reports/cobertura')
+
+describe('coverage-reports/cobertura', function () {
+  describe('.parse()', function () {
+    let counts
+    beforeEach(function () {
+      const contents = [
+        '<?xml version="1.0" ?>',
+        '<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">',
+        '<coverage lines-valid="30" lines-covered="25" line-rate="0.8333" branches-valid="6" branches-covered="5"',
+        '  branch-rate="0.8333" timestamp="1500000000000" complexity="0" version="0.1">',
+        '  <packages>',
+        '    <package name="lib" line-rate="0.8333" branch-rate="0.8333">',
+        '      <classes>',
+        '        <class name="cli.js" filename="lib/cli.js" line-rate="0.9" branch-rate="0.8333">',
+        '          <methods>',
+        '            <method name="run" hits="1" signature="()V" line-rate="1"/>',
+        '            <method name="(anonymous_1)" hits="0" signature="()V" line-rate="0"/>',
+        '            <method name="_getVcs" hits="2" signature="()V" line-rate="0.5">',
+        '              <lines><line number="12" hits="2"/></lines>',
+        '            </method>',
+        '          </methods>',
+        '        </class>',
+        '      </classes>',
+        '    </package>',
+        '  </packages>',
+        '</coverage>'
+      ].join('\n')
+
+      counts = cobertura.parse(contents)
+    })
+
+    it('should get the branches from the root element', function () {
+      expect(counts.branches).to.eql({covered: 5, total: 6})
+    })
+
+    it('should count the covered methods for functions', function () {
+      expect(counts.functions).to.eql({covered: 2, total: 3})
+    })
+
+    it('should get the lines from the root element', function () {
+      expect(counts.lines).to.eql({covered: 25, total: 30})
+    })
+
+    it('should use the lines for statements', function () {
+      expect(counts.statements).to.eql({covered: 25, total: 30})
+    })
+  })
+  describe('.parseLines()', function () {
+    it('should get the hits of each line of each class, by file', function () {
+      const contents = [
+        '<coverage lines-valid="4" lines-covered="3" line-rate="0.75" version="0.1">',
+        '  <packages>',
+        '    <package name="lib">',
+        '      <classes>',
+        '        <class name="cli.js" filename="lib/cli.js">',
+        '          <methods>',
+        '            <method name="run" hits="1" signature="()V">',
+        '              <lines><line number="10" hits="1"/></lines>',
+        '            </method>',
+        '          </methods>',
+        '          <lines>',
+        '            <line number="10" hits="1"/>',
+        '            <line number="11" hits="0" branch="true" condition-coverage="0% (0/2)"/>',
+        '          </lines>',
+        '        </class>',
+        '        <class name="logger.js" filename="lib/logger.js">',
+        '          <methods/>',
+        '          <lines><line number="3" hits="7"/></lines>',
+        '        </class>',
+        '      </classes>',
+        '    </package>',
+        '  </packages>',
+        '</coverage>'
+      ].join('\n')
+
+      expect(cobertura.parseLines(contents)).to.eql({
+        'lib/cli.js': {10: 1, 11: 0},
+        'lib/logger.js': {3: 7}
+      })
+    })
+  })
+})
@@ -0,0 +1,77 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const jacoco = require('../../lib/coverage-reports/jacoco')
+
+describe('coverage-reports/jacoco', function () {
+  describe('.parse()', function () {
+    let contents
+    beforeEach(function () {
+      contents = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">',
+        '<report name="my-service">',
+        '  <sessioninfo id="host-1" start="1500000000000" dump="1500000001000"/>',
+        '  <package name="com/example">',
+        '    <class name="com/example/App" sourcefilename="App.java">',
+        '      <method name="main" desc="([Ljava/lang/String;)V" line="5">',
+        '        <counter type="INSTRUCTION" missed="0" covered="4"/>',
+        '      </method>',
+        '    </class>',
+        '    <counter type="INSTRUCTION" missed="10" covered="90"/>',
+        '    <counter type="BRANCH" missed="2" covered="6"/>',
+        '  </package>',
+        '  <counter type="INSTRUCTION" missed="15" covered="135"/>',
+        '  <counter type="BRANCH" missed="4" covered="12"/>',
+        '  <counter type="LINE" missed="3" covered="27"/>',
+        '  <counter type="COMPLEXITY" missed="5" covered="15"/>',
+        '  <counter type="METHOD" missed="1" covered="9"/>',
+        '  <counter type="CLASS" missed="0" covered="2"/>',
+        '</report>'
+      ].join('\n')
+    })
+
+    it('should return the counts of the report level counters', function () {
+      expect(jacoco.parse(contents)).to.eql({
+        branches: {covered: 12, total: 16},
+        functions: {covered: 9, total: 10},
+        lines: {covered: 27, total: 30},
+        statements: {covered: 135, total: 150}
+      })
+    })
+
+    it('should not use the counters of a package for a counter missing from the report level', function () {
+      contents = contents.replace('  <counter type="BRANCH" missed="4" covered="12"/>\n', '')
+      expect(jacoco.parse(contents).branches).to.equal(undefined)
+    })
+  })
+  describe('.parseLines()', function () {
+    it('should get the covered instructions of each line of each source file, by path', function () {
+      const contents = [
+        '<report name="my-service">',
+        '  <package name="com/example">',
+        '    <class name="com/example/App" sourcefilename="App.java">',
+        '      <method name="main" desc="([Ljava/lang/String;)V" line="5"/>',
+        '    </class>',
+        '    <sourcefile name="App.java">',
+        '      <line nr="5" mi="0" ci="4" mb="0" cb="0"/>',
+        '      <line nr="6" mi="3" ci="0" mb="2" cb="0"/>',
+        '    </sourcefile>',
+        '  </package>',
+        '  <package name="">',
+        '    <sourcefile name="Main.java">',
+        '      <line nr="1" mi="0" ci="2" mb="0" cb="0"/>',
+        '    </sourcefile>',
+        '  </package>',
+        '</report>'
+      ].join('\n')
+
+      expect(jacoco.parseLines(contents)).to.eql({
+        'Main.java': {1: 2},
+        'com/example/App.java': {5: 4, 6: 0}
+      })
+    })
+  })
+})
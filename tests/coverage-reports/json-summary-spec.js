@@ -0,0 +1,35 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const jsonSummary = require('../../lib/coverage-reports/json-summary')
+
+describe('coverage-reports/json-summary', function () {
+  describe('.parse()', function () {
+    it('should return the counts of each metric in the totals', function () {
+      const contents = JSON.stringify({
+        total: {
+          branches: {covered: 444, pct: 94.47, skipped: 0, total: 470},
+          functions: {covered: 183, pct: 98.39, skipped: 0, total: 186},
+          lines: {covered: 1349, pct: 97.05, skipped: 0, total: 1390},
+          statements: {covered: 1373, pct: 97.1, skipped: 0, total: 1414}
+        },
+        '/root/lib/cli.js': {
+          lines: {covered: 10, pct: 100, skipped: 0, total: 10}
+        }
+      })
+
+      expect(jsonSummary.parse(contents)).to.eql({
+        branches: {covered: 444, total: 470},
+        functions: {covered: 183, total: 186},
+        lines: {covered: 1349, total: 1390},
+        statements: {covered: 1373, total: 1414}
+      })
+    })
+
+    it('should return no counts when there are no totals', function () {
+      expect(jsonSummary.parse('{}')).to.eql({})
+    })
+  })
+})
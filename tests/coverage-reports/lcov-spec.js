@@ -0,0 +1,86 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const lcov = require('../../lib/coverage-reports/lcov')
+
+describe('coverage-reports/lcov', function () {
+  describe('.parse()', function () {
+    let counts
+    beforeEach(function () {
+      const contents = [
+        'TN:',
+        'SF:/root/lib/cli.js',
+        'FN:10,run',
+        'FNF:4',
+        'FNH:3',
+        'FNDA:1,run',
+        'DA:10,1',
+        'LF:20',
+        'LH:18',
+        'BRDA:12,0,0,1',
+        'BRF:6',
+        'BRH:5',
+        'end_of_record',
+        'TN:',
+        'SF:/root/lib/logger.js',
+        'FNF:2',
+        'FNH:2',
+        'LF:10',
+        'LH:7',
+        'BRF:0',
+        'BRH:0',
+        'end_of_record',
+        ''
+      ].join('\r\n')
+
+      counts = lcov.parse(contents)
+    })
+
+    it('should sum up the branches of every record', function () {
+      expect(counts.branches).to.eql({covered: 5, total: 6})
+    })
+
+    it('should sum up the functions of every record', function () {
+      expect(counts.functions).to.eql({covered: 5, total: 6})
+    })
+
+    it('should sum up the lines of every record', function () {
+      expect(counts.lines).to.eql({covered: 25, total: 30})
+    })
+
+    it('should use the lines for statements', function () {
+      expect(counts.statements).to.eql({covered: 25, total: 30})
+    })
+  })
+  describe('.parseLines()', function () {
+    let lines
+    beforeEach(function () {
+      const contents = [
+        'TN:',
+        'SF:/root/lib/cli.js',
+        'FN:10,run',
+        'DA:10,1',
+        'DA:11,0',
+        'LF:2',
+        'LH:1',
+        'end_of_record',
+        'TN:',
+        'SF:lib/logger.js',
+        'DA:3,12',
+        'end_of_record',
+        ''
+      ].join('\r\n')
+
+      lines = lcov.parseLines(contents)
+    })
+
+    it('should get the hits of each line of each file', function () {
+      expect(lines).to.eql({
+        '/root/lib/cli.js': {10: 1, 11: 0},
+        'lib/logger.js': {3: 12}
+      })
+    })
+  })
+})
@@ -0,0 +1,149 @@
+'use strict'
+
+const chai = require('chai')
+const path = require('path')
+const expect = chai.expect
+
+const patch = require('../../lib/coverage-reports/patch')
+
+describe('coverage-reports/patch', function () {
+  describe('.getChangedLines()', function () {
+    let changed
+    beforeEach(function () {
+      const diff = [
+        'diff --git a/lib/cli.js b/lib/cli.js',
+        'index 1234567..89abcde 100644',
+        '--- a/lib/cli.js',
+        '+++ b/lib/cli.js',
+        '@@ -10 +10 @@ function run () {',
+        '-  return 1',
+        '+  return 2',
+        '@@ -20,2 +21,3 @@ function stop () {',
+        '-a',
+        '-b',
+        '+a',
+        '+b',
+        '+c',
+        '@@ -30,2 +32,0 @@',
+        '-gone',
+        '-also gone',
+        'diff --git a/lib/old.js b/lib/old.js',
+        'deleted file mode 100644',
+        '--- a/lib/old.js',
+        '+++ /dev/null',
+        '@@ -1,3 +0,0 @@',
+        '-x',
+        '-y',
+        '-z',
+        'diff --git a/README.md b/README.md',
+        '--- a/README.md',
+        '+++ b/README.md',
+        '@@ -5,2 +4,0 @@',
+        '-removed',
+        '-lines',
+        'diff --git a/lib/new.js b/lib/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/lib/new.js',
+        '@@ -0,0 +1,2 @@',
+        '+one',
+        '+two',
+        ''
+      ].join('\n')
+
+      changed = patch.getChangedLines(diff)
+    })
+
+    it('should get the added and changed lines of each file', function () {
+      expect(changed).to.eql({
+        'lib/cli.js': [10, 21, 22, 23],
+        'lib/new.js': [1, 2]
+      })
+    })
+  })
+
+  describe('.getPatchCoverage()', function () {
+    let changedLines, lineData, result
+    beforeEach(function () {
+      changedLines = {
+        'README.md': [1, 2],
+        'lib/cli.js': [10, 11, 12, 13],
+        'lib/logger.js': [3],
+        'lib/new.js': [1]
+      }
+
+      lineData = {
+        [path.join(process.cwd(), 'lib/cli.js')]: {10: 1, 11: 0, 13: 4, 40: 0},
+        './lib/logger.js': {3: 0},
+        'lib/unchanged.js': {1: 0}
+      }
+    })
+
+    describe('when the changed lines are covered well enough', function () {
+      beforeEach(function () {
+        result = patch.getPatchCoverage(changedLines, lineData, 50, '.')
+      })
+
+      it('should get the coverage of the executable changed lines of each file in the report', function () {
+        expect(result.files).to.eql([
+          {covered: 2, file: 'lib/cli.js', pct: 66.67, total: 3},
+          {covered: 0, file: 'lib/logger.js', pct: 0, total: 1}
+        ])
+      })
+
+      it('should get the overall coverage of the changed lines', function () {
+        expect([result.covered, result.pct, result.total]).to.eql([2, 50, 4])
+      })
+
+      it('should not have any failures', function () {
+        expect(result.failures).to.eql([])
+      })
+    })
+
+    describe('when the changed lines are not covered well enough', function () {
+      beforeEach(function () {
+        result = patch.getPatchCoverage(changedLines, lineData, 80, '.')
+      })
+
+      it('should fail for being below the minimum', function () {
+        expect(result.failures).to.eql(['below the minimum of `80.00%`'])
+      })
+    })
+
+    describe('when the report lists files relative to a source directory', function () {
+      beforeEach(function () {
+        lineData = {'cli.js': {10: 1, 11: 0}, 'logger.js': {3: 1}}
+        result = patch.getPatchCoverage(changedLines, lineData, 50, 'lib')
+      })
+
+      it('should find the files within the source directory', function () {
+        expect(result.files).to.eql([
+          {covered: 1, file: 'lib/cli.js', pct: 50, total: 2},
+          {covered: 1, file: 'lib/logger.js', pct: 100, total: 1}
+        ])
+      })
+    })
+
+    describe('when the path of one file ends with the path of another', function () {
+      beforeEach(function () {
+        changedLines = {'a/index.js': [1], 'c/b/index.js': [1]}
+        lineData = {'b/a/index.js': {1: 1}, 'b/index.js': {1: 0}}
+        result = patch.getPatchCoverage(changedLines, lineData, 50, '.')
+      })
+
+      it('should not mix the files up', function () {
+        expect(result.files).to.eql([])
+      })
+    })
+
+    describe('when none of the changed lines are executable', function () {
+      beforeEach(function () {
+        result = patch.getPatchCoverage({'README.md': [1, 2]}, lineData, 80, '.')
+      })
+
+      it('should treat the patch as fully covered', function () {
+        expect(result).to.eql({covered: 0, failures: [], files: [], pct: 100, total: 0})
+      })
+    })
+  })
+})
@@ -0,0 +1,288 @@
+'use strict'
+
+const chai = require('chai')
+const path = require('path')
+const Promise = require('promise')
+const rewire = require('rewire')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const expect = chai.expect
+chai.use(sinonChai)
+
+const reader = rewire('../../lib/coverage-reports/reader')
+
+describe('coverage-reports/reader', function () {
+  let sandbox, readFileStub, revertReadFileRewire, settings, result, error
+  beforeEach(function () {
+    sandbox = sinon.sandbox.create()
+    readFileStub = sandbox.stub()
+    revertReadFileRewire = reader.__set__('readFile', readFileStub)
+    settings = {metrics: ['statements', 'branches']}
+    result = error = null
+  })
+
+  afterEach(function () {
+    revertReadFileRewire()
+    sandbox.restore()
+  })
+
+  /**
+   * Read the coverage with the current settings, saving the result or error
+   * @returns {Promise} a promise resolved when done
+   */
+  function read () {
+    return reader.read(settings)
+      .then((r) => {
+        result = r
+      })
+      .catch((e) => {
+        error = e
+      })
+  }
+
+  describe('.read()', function () {
+    describe('when neither the file nor the format is configured', function () {
+      beforeEach(function () {
+        readFileStub.returns(Promise.resolve(JSON.stringify({
+          total: {
+            branches: {covered: 2, pct: 66.67, total: 3},
+            statements: {covered: 1373, pct: 97.1, total: 1414}
+          }
+        })))
+
+        return read()
+      })
+
+      it('should read the istanbul json-summary report', function () {
+        expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'coverage/coverage-summary.json'), 'utf8')
+      })
+
+      it('should resolve with the percentage of each metric, rounded to two decimals', function () {
+        expect(result).to.eql({branches: 66.67, statements: 97.1})
+      })
+    })
+
+    describe('when only the format is configured', function () {
+      beforeEach(function () {
+        settings.format = 'lcov'
+        readFileStub.returns(Promise.resolve('SF:lib/cli.js\nLF:4\nLH:3\nBRF:0\nBRH:0\nend_of_record\n'))
+        return read()
+      })
+
+      it('should read the file the format is usually written to', function () {
+        expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'coverage/lcov.info'), 'utf8')
+      })
+
+      it('should treat a metric with nothing to cover as fully covered', function () {
+        expect(result).to.eql({branches: 100, statements: 75})
+      })
+    })
+
+    describe('when the configured format is unknown', function () {
+      beforeEach(function () {
+        settings.format = 'foo'
+        return read()
+      })
+
+      it('should not read a file', function () {
+        expect(readFileStub).to.have.callCount(0)
+      })
+
+      it('should reject with an error', function () {
+        expect(error.message).to.equal('Unknown coverage format [foo]')
+      })
+    })
+
+    describe('when only the file is configured', function () {
+      const reports = [
+        ['json-summary', '{"total": {"statements": {"covered": 1, "total": 2}}}'],
+        ['lcov', 'TN:\nSF:lib/cli.js\nLF:2\nLH:1\nend_of_record\n'],
+        ['jacoco', '<report name="app"><counter type="INSTRUCTION" missed="1" covered="1"/></report>'],
+        ['clover', '<coverage clover="3.2.0"><project><metrics statements="2" coveredstatements="1"/></project>'],
+        ['cobertura', '<coverage lines-valid="2" lines-covered="1" line-rate="0.5"></coverage>']
+      ]
+
+      reports.forEach((report) => {
+        describe(`and it is a ${report[0]} report`, function () {
+          beforeEach(function () {
+            settings.file = 'build/coverage-report'
+            settings.metrics = ['statements']
+            readFileStub.returns(Promise.resolve(report[1]))
+            return read()
+          })
+
+          it('should read the configured file', function () {
+            expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'build/coverage-report'), 'utf8')
+          })
+
+          it('should detect the format and parse the report', function () {
+            expect(result).to.eql({statements: 50})
+          })
+        })
+      })
+
+      describe('and the format can not be detected', function () {
+        beforeEach(function () {
+          settings.file = 'build/coverage-report'
+          readFileStub.returns(Promise.resolve('Coverage: 85%'))
+          return read()
+        })
+
+        it('should reject with an error', function () {
+          expect(error.message).to.equal(
+            'Unable to detect the format of coverage report [build/coverage-report], please set coverage.format'
+          )
+        })
+      })
+    })
+
+    describe('when the report is missing a tracked metric', function () {
+      beforeEach(function () {
+        readFileStub.returns(Promise.resolve('{"total": {"statements": {"covered": 1, "total": 2}}}'))
+        return read()
+      })
+
+      it('should resolve with -1 for that metric', function () {
+        expect(result).to.eql({branches: -1, statements: 50})
+      })
+    })
+
+    describe('when there is no report', function () {
+      beforeEach(function () {
+        const err = new Error('ENOENT: no such file or directory')
+        err.code = 'ENOENT'
+        readFileStub.returns(Promise.reject(err))
+        return read()
+      })
+
+      it('should resolve with -1 for every metric', function () {
+        expect(result).to.eql({branches: -1, statements: -1})
+      })
+    })
+
+    describe('when the report can not be read', function () {
+      beforeEach(function () {
+        const err = new Error('EACCES: permission denied')
+        err.code = 'EACCES'
+        readFileStub.returns(Promise.reject(err))
+        return read()
+      })
+
+      it('should reject with the error', function () {
+        expect(error.message).to.equal('EACCES: permission denied')
+      })
+    })
+  })
+  describe('.getPercentage()', function () {
+    it('should round the percentage to two decimals', function () {
+      expect(reader.getPercentage({covered: 2, total: 3})).to.equal(66.67)
+    })
+
+    it('should treat nothing to cover as fully covered', function () {
+      expect(reader.getPercentage({covered: 0, total: 0})).to.equal(100)
+    })
+
+    it('should return -1 when there are no counts', function () {
+      expect(reader.getPercentage(undefined)).to.equal(-1)
+    })
+  })
+
+  describe('.readLines()', function () {
+    const lcovContents = 'SF:lib/cli.js\nDA:1,1\nDA:2,0\nend_of_record\n'
+
+    /**
+     * Read the line info with the current settings, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function readLines () {
+      return reader.readLines(settings)
+        .then((r) => {
+          result = r
+        })
+        .catch((e) => {
+          error = e
+        })
+    }
+
+    describe('when the main report has line info', function () {
+      beforeEach(function () {
+        settings.file = 'coverage/lcov.info'
+        readFileStub.returns(Promise.resolve(lcovContents))
+        return readLines()
+      })
+
+      it('should read the main report', function () {
+        expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'coverage/lcov.info'), 'utf8')
+      })
+
+      it('should resolve with the hits of each line', function () {
+        expect(result).to.eql({'lib/cli.js': {1: 1, 2: 0}})
+      })
+    })
+
+    describe('when the main report is a json-summary report', function () {
+      beforeEach(function () {
+        readFileStub.onCall(0).returns(Promise.resolve('{"total": {}}'))
+        readFileStub.onCall(1).returns(Promise.resolve(lcovContents))
+        return readLines()
+      })
+
+      it('should read the lcov report next to it', function () {
+        expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'coverage/lcov.info'), 'utf8')
+      })
+
+      it('should resolve with the hits of each line', function () {
+        expect(result).to.eql({'lib/cli.js': {1: 1, 2: 0}})
+      })
+    })
+
+    describe('when a patch report is configured', function () {
+      beforeEach(function () {
+        settings.file = 'coverage/coverage-summary.json'
+        settings.patch = {file: 'build/cobertura.xml', format: 'cobertura'}
+        readFileStub.returns(Promise.resolve('<class filename="lib/cli.js"><line number="4" hits="3"/></class>'))
+        return readLines()
+      })
+
+      it('should read the patch report', function () {
+        expect(readFileStub).to.have.been.calledWith(path.join(process.cwd(), 'build/cobertura.xml'), 'utf8')
+      })
+
+      it('should not read the main report', function () {
+        expect(readFileStub).to.have.callCount(1)
+      })
+
+      it('should resolve with the hits of each line', function () {
+        expect(result).to.eql({'lib/cli.js': {4: 3}})
+      })
+    })
+
+    describe('when the configured patch report has no line info', function () {
+      beforeEach(function () {
+        settings.patch = {format: 'json-summary'}
+        readFileStub.returns(Promise.resolve('{"total": {}}'))
+        return readLines()
+      })
+
+      it('should reject with an error', function () {
+        expect(error.message).to.equal(
+          'Coverage report [coverage/coverage-summary.json] has no line coverage info, please set coverage.patch.file'
+        )
+      })
+    })
+
+    describe('when there is no report', function () {
+      beforeEach(function () {
+        const err = new Error('ENOENT: no such file or directory')
+        err.code = 'ENOENT'
+        readFileStub.onCall(0).returns(Promise.resolve('{"total": {}}'))
+        readFileStub.onCall(1).returns(Promise.reject(err))
+        return readLines()
+      })
+
+      it('should reject with an error', function () {
+        expect(error.message).to.equal('No coverage report found at [coverage/lcov.info]')
+      })
+    })
+  })
+})
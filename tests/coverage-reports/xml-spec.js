@@ -0,0 +1,56 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const xml = require('../../lib/coverage-reports/xml')
+
+describe('coverage-reports/xml', function () {
+  describe('.getElements()', function () {
+    const contents = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<report name="my-app">',
+      '  <counter type="LINE" missed="2" covered="8"/>',
+      '  <counters>',
+      "    <counter type='BRANCH' missed = '1' covered = '3' />",
+      '  </counters>',
+      '  <counter>',
+      '</report>'
+    ].join('\n')
+
+    it('should return the attributes of each element with the given name, in document order', function () {
+      expect(xml.getElements(contents, 'counter')).to.eql([
+        {covered: '8', missed: '2', type: 'LINE'},
+        {covered: '3', missed: '1', type: 'BRANCH'},
+        {}
+      ])
+    })
+
+    it('should return an empty list when there are no elements with the given name', function () {
+      expect(xml.getElements(contents, 'package')).to.eql([])
+    })
+  })
+  describe('.forEachElement()', function () {
+    it('should call the function with the name and attributes of each element with one of the names', function () {
+      const contents = [
+        '<file name="a.js">',
+        '  <line num="1" count="2"/>',
+        '  <lines>',
+        '</file>',
+        '<file name="b.js"><line num="3" count="0"/></file>'
+      ].join('\n')
+
+      const elements = []
+      xml.forEachElement(contents, ['file', 'line'], (name, attributes) => {
+        elements.push([name, attributes])
+      })
+
+      expect(elements).to.eql([
+        ['file', {name: 'a.js'}],
+        ['line', {count: '2', num: '1'}],
+        ['file', {name: 'b.js'}],
+        ['line', {count: '0', num: '3'}]
+      ])
+    })
+  })
+})
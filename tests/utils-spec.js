@@ -1,8 +1,14 @@
 'use strict'
 
 const __ = require('lodash')
-const expect = require('chai').expect
+const chai = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const expect = chai.expect
+chai.use(sinonChai)
 
 const logger = require('../lib/logger')
 const utils = require('../lib/utils')
@@ -109,17 +115,104 @@ function verifyGitHubTravisDefaults (ctx, propsToSkip) {
       })
     }
 
+    if (propsToSkip.indexOf('batchedRelease') === -1) {
+      it('should default batchedRelease to disabled, with a "pending-release.json" pending file', function () {
+        expect(config.batchedRelease).to.eql({enabled: false, pendingFile: 'pending-release.json'})
+      })
+    }
+
+    if (propsToSkip.indexOf('changelogDate') === -1) {
+      it('should default changelogDate to ISO dates in UTC', function () {
+        expect(config.changelogDate).to.eql({format: 'YYYY-MM-DD', timezone: 'UTC'})
+      })
+    }
+
+    if (propsToSkip.indexOf('changelogEntry') === -1) {
+      it('should default changelogEntry to just the changelog text', function () {
+        expect(config.changelogEntry).to.equal('{changelog}')
+      })
+    }
+
     if (propsToSkip.indexOf('changelogFile') === -1) {
       it('should default changelogFile to "CHANGELOG.md"', function () {
         expect(config.changelogFile).to.equal('CHANGELOG.md')
       })
     }
 
+    if (propsToSkip.indexOf('changelogFormat') === -1) {
+      it('should default changelogFormat to "plain"', function () {
+        expect(config.changelogFormat).to.equal('plain')
+      })
+    }
+
+    if (propsToSkip.indexOf('changelogHeader') === -1) {
+      it('should default changelogHeader to the version and date', function () {
+        expect(config.changelogHeader).to.equal('# {version} ({date})')
+      })
+    }
+
+    if (propsToSkip.indexOf('coverage') === -1) {
+      it('should default coverage to only track statements, with no minimum or tolerance', function () {
+        expect(config.coverage).to.eql({
+          metrics: ['statements'],
+          minimum: 0,
+          patch: {enabled: false, minimum: 0},
+          tolerance: 0
+        })
+      })
+    }
+
+    if (propsToSkip.indexOf('mergeCommitPatterns') === -1) {
+      it('should default mergeCommitPatterns to the GitHub, Bitbucket and GitLab merge commit messages', function () {
+        expect(config.mergeCommitPatterns).to.eql([
+          '^Merge pull request #(\\d+)',
+          '^Merged in .*\\(pull request #(\\d+)\\)',
+          '^See merge request \\S*!(\\d+)',
+          '\\(#(\\d+)\\)$'
+        ])
+      })
+    }
+
+    if (propsToSkip.indexOf('createRelease') === -1) {
+      it('should default createRelease to false', function () {
+        expect(config.createRelease).to.equal(false)
+      })
+    }
+
+    if (propsToSkip.indexOf('prStatuses') === -1) {
+      it('should default prStatuses to false', function () {
+        expect(config.prStatuses).to.equal(false)
+      })
+    }
+
     if (propsToSkip.indexOf('prComments') === -1) {
       it('should default prComments to false', function () {
         expect(config.prComments).to.equal(false)
       })
     }
+
+    if (propsToSkip.indexOf('publish') === -1) {
+      it('should not publish by default', function () {
+        expect(config.publish).to.eql({
+          access: undefined,
+          enabled: false,
+          env: {token: 'NPM_TOKEN'},
+          registry: 'https://registry.npmjs.org/'
+        })
+      })
+    }
+
+    if (propsToSkip.indexOf('releaseNotes') === -1) {
+      it('should default releaseNotes to just the changelog text', function () {
+        expect(config.releaseNotes).to.equal('{changelog}')
+      })
+    }
+
+    if (propsToSkip.indexOf('scopeSource') === -1) {
+      it('should default scopeSource to "description"', function () {
+        expect(config.scopeSource).to.equal('description')
+      })
+    }
   })
   /* eslint-enable complexity */
 }
@@ -179,10 +272,22 @@ function verifyBitbucketTeamcityOverrides (ctx) {
       expect(config.dependencySnapshotFile).to.equal('dependency-snapshot.json')
     })
 
+    it('should default batchedRelease to disabled, with a "pending-release.json" pending file', function () {
+      expect(config.batchedRelease).to.eql({enabled: false, pendingFile: 'pending-release.json'})
+    })
+
+    it('should default changelogEntry to just the changelog text', function () {
+      expect(config.changelogEntry).to.equal('{changelog}')
+    })
+
     it('should default changelogFile to "CHANGELOG.md"', function () {
       expect(config.changelogFile).to.equal('CHANGELOG.md')
     })
 
+    it('should default changelogFormat to "plain"', function () {
+      expect(config.changelogFormat).to.equal('plain')
+    })
+
     it('should default prComments to false', function () {
       expect(config.prComments).to.equal(false)
     })
@@ -202,14 +307,93 @@ describe('utils', function () {
   })
 
   describe('.getConfig()', function () {
-    let config, env, realEnv
+    const ciMarkers = ['CIRCLECI', 'GITHUB_ACTIONS', 'GITLAB_CI', 'JENKINS_URL', 'TEAMCITY_VERSION', 'TRAVIS']
+    let config, env, realEnv, realCiMarkers
 
     beforeEach(function () {
       realEnv = {}
+
+      // make sure the CI running these tests doesn't get auto-detected
+      realCiMarkers = {}
+      saveEnv(ciMarkers, realCiMarkers)
+      setEnv(__.mapValues(realCiMarkers, () => 'undefined'))
     })
 
     afterEach(function () {
       setEnv(realEnv)
+      setEnv(realCiMarkers)
+    })
+
+    describe('when no ci provider is configured', function () {
+      ;[
+        ['CIRCLECI', 'circleci'],
+        ['GITHUB_ACTIONS', 'github-actions'],
+        ['GITLAB_CI', 'gitlab-ci'],
+        ['JENKINS_URL', 'jenkins'],
+        ['TEAMCITY_VERSION', 'teamcity'],
+        ['TRAVIS', 'travis']
+      ].forEach(function (marker) {
+        describe(`and ${marker[0]} is set`, function () {
+          beforeEach(function () {
+            process.env[marker[0]] = 'true'
+            config = utils.getConfig({}, {})
+          })
+
+          it(`should detect the ${marker[1]} provider`, function () {
+            expect(config.ci.provider).to.equal(marker[1])
+          })
+
+          it('should log why the provider was detected', function () {
+            const msg = `Detected CI provider [${marker[1]}] because [${marker[0]}] is set`
+            expect(logger.log).to.have.been.calledWith(msg)
+          })
+        })
+      })
+
+      describe('and TEAMCITY_VERSION is set', function () {
+        beforeEach(function () {
+          process.env['TEAMCITY_VERSION'] = '2017.1'
+          config = utils.getConfig({}, {})
+        })
+
+        it('should use the teamcity env defaults', function () {
+          expect(__.pick(config.ci.env, ['branch', 'buildNumber', 'pr'])).to.eql({
+            branch: 'TEAMCITY_BRANCH',
+            buildNumber: 'BUILD_NUMBER',
+            pr: 'TEAMCITY_PULL_REQUEST'
+          })
+        })
+      })
+
+      describe('and no markers are set', function () {
+        beforeEach(function () {
+          config = utils.getConfig({}, {})
+        })
+
+        it('should default to the travis provider', function () {
+          expect(config.ci.provider).to.equal('travis')
+        })
+
+        it('should log that it is using the default', function () {
+          const msg = 'No CI provider configured or detected in the environment, defaulting to [travis]'
+          expect(logger.log).to.have.been.calledWith(msg)
+        })
+      })
+    })
+
+    describe('when a ci provider is configured', function () {
+      beforeEach(function () {
+        process.env['GITHUB_ACTIONS'] = 'true'
+        config = utils.getConfig({ci: {provider: 'teamcity'}}, {})
+      })
+
+      it('should use the configured provider', function () {
+        expect(config.ci.provider).to.equal('teamcity')
+      })
+
+      it('should log that it is using the configured provider', function () {
+        expect(logger.log).to.have.been.calledWith('Using configured CI provider [teamcity]')
+      })
     })
 
     describe('GitHub/Travis (default case)', function () {
@@ -598,6 +782,371 @@ describe('utils', function () {
       })
     })
 
+    describe('GitHub/GitHub Actions', function () {
+      let _config, eventPath
+      beforeEach(function () {
+        _config = {
+          ci: {
+            provider: 'github-actions'
+          }
+        }
+
+        eventPath = path.join(os.tmpdir(), 'pr-bumper-github-event.json')
+
+        env = {
+          'GITHUB_EVENT_PATH': eventPath,
+          'GITHUB_REF': 'refs/heads/my-branch',
+          'GITHUB_REPOSITORY': 'jdoe/john-and-jane',
+          'GITHUB_RUN_NUMBER': '123'
+        }
+
+        saveEnv(Object.keys(env), realEnv)
+        setEnv(env)
+      })
+
+      afterEach(function () {
+        if (fs.existsSync(eventPath)) {
+          fs.unlinkSync(eventPath)
+        }
+      })
+
+      describe('when doing a pull request build', function () {
+        beforeEach(function () {
+          fs.writeFileSync(eventPath, JSON.stringify({
+            'pull_request': {
+              base: {ref: 'master'},
+              number: 13
+            }
+          }))
+          process.env['GITHUB_REF'] = 'refs/pull/13/merge'
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should use the github-actions env defaults', function () {
+          expect(config.ci.env).to.eql({
+            branch: 'GITHUB_REF',
+            buildNumber: 'GITHUB_RUN_NUMBER',
+            pr: 'GITHUB_EVENT_PATH',
+            repoSlug: 'GITHUB_REPOSITORY'
+          })
+        })
+
+        it('should use the github-actions git user', function () {
+          expect(config.ci.gitUser).to.eql({
+            email: 'github-actions[bot]@users.noreply.github.com',
+            name: 'github-actions[bot]'
+          })
+        })
+
+        it('should set isPr to true', function () {
+          expect(config.isPr).to.equal(true)
+        })
+
+        it('should set prNumber to the PR number from the event payload', function () {
+          expect(config.prNumber).to.equal('13')
+        })
+
+        it('should set branch to the branch being merged into', function () {
+          expect(config.branch).to.equal('master')
+        })
+
+        it('should set the build number', function () {
+          expect(config.ci.buildNumber).to.equal('123')
+        })
+
+        it('should have the proper owner', function () {
+          expect(config.owner).to.equal('jdoe')
+        })
+
+        it('should have the proper repo', function () {
+          expect(config.repo).to.equal('john-and-jane')
+        })
+      })
+
+      describe('when doing a merge build', function () {
+        beforeEach(function () {
+          fs.writeFileSync(eventPath, JSON.stringify({ref: 'refs/heads/my-branch'}))
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should set isPr to false', function () {
+          expect(config.isPr).to.equal(false)
+        })
+
+        it('should set prNumber to false', function () {
+          expect(config.prNumber).to.equal('false')
+        })
+
+        it('should set branch from the ref', function () {
+          expect(config.branch).to.equal('my-branch')
+        })
+      })
+
+      describe('when the event payload is missing', function () {
+        beforeEach(function () {
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should set isPr to false', function () {
+          expect(config.isPr).to.equal(false)
+        })
+
+        it('should set branch from the ref', function () {
+          expect(config.branch).to.equal('my-branch')
+        })
+      })
+    })
+
+    describe('GitLab/GitLab CI', function () {
+      beforeEach(function () {
+        env = {
+          'CI_COMMIT_REF_NAME': 'my-feature',
+          'CI_PIPELINE_IID': '123',
+          'CI_PROJECT_PATH': 'my-group/my-subgroup/my-project'
+        }
+      })
+
+      describe('when doing a merge request build', function () {
+        beforeEach(function () {
+          env['CI_MERGE_REQUEST_IID'] = '13'
+          env['CI_MERGE_REQUEST_TARGET_BRANCH_NAME'] = 'master'
+
+          saveEnv(Object.keys(env), realEnv)
+          setEnv(env)
+
+          config = utils.getConfig({ci: {provider: 'gitlab-ci'}, vcs: {provider: 'gitlab'}}, {})
+        })
+
+        it('should use the gitlab-ci env defaults', function () {
+          expect(config.ci.env).to.eql({
+            branch: 'CI_COMMIT_REF_NAME',
+            buildNumber: 'CI_PIPELINE_IID',
+            pr: 'CI_MERGE_REQUEST_IID',
+            repoSlug: 'CI_PROJECT_PATH',
+            targetBranch: 'CI_MERGE_REQUEST_TARGET_BRANCH_NAME'
+          })
+        })
+
+        it('should use the gitlab-ci git user', function () {
+          expect(config.ci.gitUser).to.eql({email: 'gitlab-ci@noreply.invalid', name: 'GitLab CI'})
+        })
+
+        it('should set isPr to true', function () {
+          expect(config.isPr).to.equal(true)
+        })
+
+        it('should set prNumber to the MR number', function () {
+          expect(config.prNumber).to.equal('13')
+        })
+
+        it('should set branch to the branch being merged into', function () {
+          expect(config.branch).to.equal('master')
+        })
+
+        it('should set the build number', function () {
+          expect(config.ci.buildNumber).to.equal('123')
+        })
+
+        it('should include subgroups in the owner', function () {
+          expect(config.owner).to.equal('my-group/my-subgroup')
+        })
+
+        it('should have the proper repo', function () {
+          expect(config.repo).to.equal('my-project')
+        })
+      })
+
+      describe('when doing a branch build', function () {
+        beforeEach(function () {
+          env['CI_MERGE_REQUEST_IID'] = ''
+          env['CI_MERGE_REQUEST_TARGET_BRANCH_NAME'] = ''
+
+          saveEnv(Object.keys(env), realEnv)
+          setEnv(env)
+
+          config = utils.getConfig({ci: {provider: 'gitlab-ci'}, vcs: {provider: 'gitlab'}}, {})
+        })
+
+        it('should set isPr to false', function () {
+          expect(config.isPr).to.equal(false)
+        })
+
+        it('should set prNumber to false', function () {
+          expect(config.prNumber).to.equal('false')
+        })
+
+        it('should set branch to the branch being built', function () {
+          expect(config.branch).to.equal('my-feature')
+        })
+      })
+    })
+
+    describe('GitHub/Jenkins', function () {
+      beforeEach(function () {
+        env = {
+          'BRANCH_NAME': 'PR-13',
+          'BUILD_NUMBER': '123',
+          'CHANGE_ID': '13',
+          'CHANGE_TARGET': 'master',
+          'GIT_URL': 'https://github.com/jdoe/john-and-jane.git'
+        }
+
+        saveEnv(Object.keys(env), realEnv)
+        setEnv(env)
+
+        config = utils.getConfig({ci: {provider: 'jenkins'}}, {})
+      })
+
+      it('should use the jenkins env defaults', function () {
+        expect(config.ci.env).to.eql({
+          branch: 'BRANCH_NAME',
+          buildNumber: 'BUILD_NUMBER',
+          pr: 'CHANGE_ID',
+          repoSlug: 'GIT_URL',
+          targetBranch: 'CHANGE_TARGET'
+        })
+      })
+
+      it('should use the jenkins git user', function () {
+        expect(config.ci.gitUser).to.eql({email: 'jenkins@noreply.invalid', name: 'Jenkins'})
+      })
+
+      it('should set prNumber to the PR number', function () {
+        expect(config.prNumber).to.equal('13')
+      })
+
+      it('should set branch to the branch being merged into', function () {
+        expect(config.branch).to.equal('master')
+      })
+
+      it('should parse the owner out of the git url', function () {
+        expect(config.owner).to.equal('jdoe')
+      })
+
+      it('should parse the repo out of the git url', function () {
+        expect(config.repo).to.equal('john-and-jane')
+      })
+    })
+
+    describe('GitHub/CircleCI', function () {
+      beforeEach(function () {
+        env = {
+          'CIRCLE_BRANCH': 'my-branch',
+          'CIRCLE_BUILD_NUM': '123',
+          'CIRCLE_PULL_REQUEST': 'https://github.com/jdoe/john-and-jane/pull/13',
+          'CIRCLE_REPOSITORY_URL': 'git@github.com:jdoe/john-and-jane.git'
+        }
+
+        saveEnv(Object.keys(env), realEnv)
+        setEnv(env)
+
+        config = utils.getConfig({ci: {provider: 'circleci'}}, {})
+      })
+
+      it('should use the circleci env defaults', function () {
+        expect(config.ci.env).to.eql({
+          branch: 'CIRCLE_BRANCH',
+          buildNumber: 'CIRCLE_BUILD_NUM',
+          pr: 'CIRCLE_PULL_REQUEST',
+          repoSlug: 'CIRCLE_REPOSITORY_URL'
+        })
+      })
+
+      it('should use the circleci git user', function () {
+        expect(config.ci.gitUser).to.eql({email: 'circleci@noreply.invalid', name: 'CircleCI'})
+      })
+
+      it('should set isPr to true', function () {
+        expect(config.isPr).to.equal(true)
+      })
+
+      it('should set branch to the branch being built (CircleCI has no variable for the target branch)', function () {
+        expect(config.branch).to.equal('my-branch')
+      })
+
+      it('should parse the PR number out of the PR url', function () {
+        expect(config.prNumber).to.equal('13')
+      })
+
+      it('should parse the owner out of the git url', function () {
+        expect(config.owner).to.equal('jdoe')
+      })
+
+      it('should parse the repo out of the git url', function () {
+        expect(config.repo).to.equal('john-and-jane')
+      })
+
+      describe('when a targetBranch variable is configured', function () {
+        beforeEach(function () {
+          saveEnv(['PR_TARGET_BRANCH'], realEnv)
+          setEnv({'PR_TARGET_BRANCH': 'master'})
+
+          config = utils.getConfig({ci: {env: {targetBranch: 'PR_TARGET_BRANCH'}, provider: 'circleci'}}, {})
+        })
+
+        it('should set branch to the branch being merged into', function () {
+          expect(config.branch).to.equal('master')
+        })
+      })
+    })
+
+    describe('GitLab/Travis', function () {
+      let _config
+      beforeEach(function () {
+        _config = {
+          vcs: {
+            provider: 'gitlab'
+          }
+        }
+
+        env = {
+          'TRAVIS_BRANCH': 'my-branch',
+          'TRAVIS_BUILD_NUMBER': '123',
+          'TRAVIS_PULL_REQUEST': 'false',
+          'TRAVIS_REPO_SLUG': 'jdoe/john-and-jane'
+        }
+
+        saveEnv(Object.keys(env), realEnv)
+        setEnv(env)
+      })
+
+      describe('when no vcs.domain is given', function () {
+        beforeEach(function () {
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should default vcs.domain to gitlab.com', function () {
+          expect(config.vcs.domain).to.equal('gitlab.com')
+        })
+
+        it('should default to the GitLab token variables', function () {
+          expect(config.vcs.env).to.eql({readToken: 'GITLAB_READ_TOKEN', writeToken: 'GITLAB_TOKEN'})
+        })
+      })
+
+      describe('when token variables are given', function () {
+        beforeEach(function () {
+          _config.vcs.env = {readToken: 'MY_READ_TOKEN', writeToken: 'MY_WRITE_TOKEN'}
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should use the given token variables', function () {
+          expect(config.vcs.env).to.eql({readToken: 'MY_READ_TOKEN', writeToken: 'MY_WRITE_TOKEN'})
+        })
+      })
+
+      describe('when a self-hosted vcs.domain is given', function () {
+        beforeEach(function () {
+          _config.vcs.domain = 'gitlab.domain.com'
+          config = utils.getConfig(_config, {})
+        })
+
+        it('should use the given vcs.domain', function () {
+          expect(config.vcs.domain).to.equal('gitlab.domain.com')
+        })
+      })
+    })
+
     describe('Bitbucket/TeamCity', function () {
       let ctx = {}
       let _config
@@ -688,6 +1237,7 @@ describe('utils', function () {
       describe('when no branch env is given', function () {
         beforeEach(function () {
           delete _config.ci.env.branch
+          env['TEAMCITY_BRANCH'] = 'undefined'
 
           saveEnv(Object.keys(env), realEnv)
           setEnv(env)
@@ -702,6 +1252,130 @@ describe('utils', function () {
     })
   })
 
+  describe('.getBranchConfig()', function () {
+    let config
+    beforeEach(function () {
+      config = {
+        branch: '2.x',
+        branches: {
+          'release/*': {maxScope: 'minor'},
+          '*.x': {maxScope: 'patch'},
+          '2.x': {prerelease: 'beta'}
+        }
+      }
+    })
+
+    it('should return the settings for the current branch', function () {
+      expect(utils.getBranchConfig(config)).to.eql({prerelease: 'beta'})
+    })
+
+    it('should return the settings for the first pattern matching the branch', function () {
+      config.branch = '1.x'
+      expect(utils.getBranchConfig(config)).to.eql({maxScope: 'patch'})
+    })
+
+    it('should match patterns with special characters in the branch name', function () {
+      config.branch = 'release/2.0'
+      expect(utils.getBranchConfig(config)).to.eql({maxScope: 'minor'})
+    })
+
+    it('should not match patterns partially', function () {
+      config.branch = 'old-release/2.0'
+      expect(utils.getBranchConfig(config)).to.eql({})
+    })
+
+    it('should return empty settings for a branch that is not configured', function () {
+      config.branch = 'master'
+      expect(utils.getBranchConfig(config)).to.eql({})
+    })
+
+    it('should return empty settings when there is no branches section', function () {
+      delete config.branches
+      expect(utils.getBranchConfig(config)).to.eql({})
+    })
+  })
+
+  describe('.isPrereleaseScope()', function () {
+    ;['prerelease', 'prepatch', 'preminor', 'premajor'].forEach((scope) => {
+      it(`should return true for ${scope}`, function () {
+        expect(utils.isPrereleaseScope(scope)).to.equal(true)
+      })
+    })
+
+    ;['none', 'patch', 'minor', 'major'].forEach((scope) => {
+      it(`should return false for ${scope}`, function () {
+        expect(utils.isPrereleaseScope(scope)).to.equal(false)
+      })
+    })
+  })
+
+  describe('.validateScopeForBranch()', function () {
+    let config
+    beforeEach(function () {
+      config = {
+        branch: '1.x',
+        branches: {
+          '1.x': {maxScope: 'patch'},
+          'docs': {scopes: ['none']},
+          'next': {prerelease: 'beta'}
+        }
+      }
+    })
+
+    it('should return the scope when there is no policy for the branch', function () {
+      config.branch = 'master'
+      expect(utils.validateScopeForBranch(config, 'major', '12345', 'my-pr-url')).to.equal('major')
+    })
+
+    it('should return the scope when it is within the maximum scope', function () {
+      expect(utils.validateScopeForBranch(config, 'patch', '12345', 'my-pr-url')).to.equal('patch')
+    })
+
+    it('should throw when the scope is bigger than the maximum scope', function () {
+      const fn = () => {
+        utils.validateScopeForBranch(config, 'major', '12345', 'my-pr-url')
+      }
+
+      expect(fn).to.throw(
+        'Version-bump scope [major] is bigger than the maximum scope [patch] on branch [1.x] for PR #12345 (my-pr-url)'
+      )
+    })
+
+    it('should return the scope when it is one of the allowed scopes', function () {
+      config.branch = 'docs'
+      expect(utils.validateScopeForBranch(config, 'none', '12345', 'my-pr-url')).to.equal('none')
+    })
+
+    it('should throw when the scope is not one of the allowed scopes', function () {
+      config.branch = 'docs'
+      const fn = () => {
+        utils.validateScopeForBranch(config, 'patch', '12345', 'my-pr-url')
+      }
+
+      expect(fn).to.throw(
+        'Version-bump scope [patch] is not one of the allowed scopes (none) on branch [docs] for PR #12345 (my-pr-url)'
+      )
+    })
+
+    it('should return a pre-release scope when the branch has a pre-release identifier', function () {
+      config.branch = 'next'
+      expect(utils.validateScopeForBranch(config, 'prerelease', '12345', 'my-pr-url')).to.equal('prerelease')
+    })
+
+    it('should throw for a pre-release scope when the branch has no pre-release identifier', function () {
+      config.branch = 'docs'
+      config.branches.docs = {}
+      const fn = () => {
+        utils.validateScopeForBranch(config, 'preminor', '12345', 'my-pr-url')
+      }
+
+      expect(fn).to.throw(
+        'Version-bump scope [preminor] needs a pre-release identifier, but none is configured on branch [docs] ' +
+        'for PR #12345 (my-pr-url)'
+      )
+    })
+  })
+
   describe('.getValidatedScope()', function () {
     const prUrl = 'my-pr-url'
     const prNum = '12345'
@@ -712,7 +1386,11 @@ describe('utils', function () {
       minor: 'minor',
       breaking: 'major',
       major: 'major',
-      none: 'none'
+      none: 'none',
+      prerelease: 'prerelease',
+      prepatch: 'prepatch',
+      preminor: 'preminor',
+      premajor: 'premajor'
     }
 
     __.forIn(scopes, (value, key) => {
@@ -767,7 +1445,83 @@ describe('utils', function () {
           utils.getScopeForPr(pr)
         }
 
-        expect(fn).to.throw('Too many version-bump scopes found for [PR #12345](my-pr-url)')
+        expect(fn).to.throw('Too many version-bump scopes found for [PR #12345](my-pr-url)')
+      })
+    })
+
+    describe('when no version-bump present, but commits are given', function () {
+      let commits
+      beforeEach(function () {
+        pr.description = 'My super-cool new feature'
+        commits = [{message: 'feat: my super-cool new feature', sha: 'sha-1'}]
+        sandbox.stub(utils, 'getScopeForCommits').returns('the-commits-scope')
+        scope = utils.getScopeForPr(pr, {commits})
+      })
+
+      it('should get the scope from the commits', function () {
+        expect(utils.getScopeForCommits).to.have.been.calledWith(commits, pr)
+      })
+
+      it('should return the scope from the commits', function () {
+        expect(scope).to.equal('the-commits-scope')
+      })
+    })
+
+    describe('when a version-bump is present, and commits are given', function () {
+      beforeEach(function () {
+        pr.description = 'This is my super-cool #feature#'
+        sandbox.stub(utils, 'getScopeForCommits').returns('the-commits-scope')
+        scope = utils.getScopeForPr(pr, {commits: [{message: 'fix: my super-cool new feature', sha: 'sha-1'}]})
+      })
+
+      it('should not get the scope from the commits', function () {
+        expect(utils.getScopeForCommits).to.have.callCount(0)
+      })
+
+      it('should return the result of .getValidatedScope()', function () {
+        expect(scope).to.equal('the-validated-scope')
+      })
+    })
+
+    describe('when labels are given', function () {
+      let sources
+      beforeEach(function () {
+        utils.getValidatedScope.restore()
+        sources = {
+          labels: ['bug', 'semver:minor'],
+          scopeLabels: {
+            'semver:major': 'major',
+            'semver:minor': 'minor'
+          }
+        }
+      })
+
+      it('should use the scope from the labels when the description has none', function () {
+        pr.description = 'My super-cool new feature'
+        expect(utils.getScopeForPr(pr, sources)).to.equal('minor')
+      })
+
+      it('should use the scope from the labels when the description agrees', function () {
+        pr.description = 'My super-cool new #feature#'
+        expect(utils.getScopeForPr(pr, sources)).to.equal('minor')
+      })
+
+      it('should use the scope from the description when no labels imply a scope', function () {
+        pr.description = 'My super-cool new #fix#'
+        sources.labels = ['bug']
+        expect(utils.getScopeForPr(pr, sources)).to.equal('patch')
+      })
+
+      it('should throw when the labels and description disagree', function () {
+        pr.description = 'My super-cool new #fix#'
+        const fn = () => {
+          utils.getScopeForPr(pr, sources)
+        }
+
+        expect(fn).to.throw(
+          'Version-bump scope [minor] from labels conflicts with scope [patch] from description ' +
+          'of [PR #12345](my-pr-url)'
+        )
       })
     })
 
@@ -842,6 +1596,207 @@ Thought this might be #breaking# but on second thought it is a minor change
     })
   })
 
+  describe('.getPackageScopesForPr()', function () {
+    let pr, names
+    beforeEach(function () {
+      pr = {
+        description: '',
+        number: '12345',
+        url: 'my-pr-url'
+      }
+      names = ['pkg-a', 'pkg-b', '@org/pkg-c']
+    })
+
+    it('should use the scope of the PR for each changed package', function () {
+      pr.description = 'My super-cool new #feature#'
+      expect(utils.getPackageScopesForPr(pr, {}, names, ['pkg-a', 'pkg-b'])).to.eql({
+        'pkg-a': 'minor',
+        'pkg-b': 'minor'
+      })
+    })
+
+    it('should use the scope from the directive for a named package', function () {
+      pr.description = 'My super-cool new #feature#, breaking #major:pkg-b# and #fix:@org/pkg-c#'
+      expect(utils.getPackageScopesForPr(pr, {}, names, ['pkg-a', 'pkg-b'])).to.eql({
+        '@org/pkg-c': 'patch',
+        'pkg-a': 'minor',
+        'pkg-b': 'major'
+      })
+    })
+
+    it('should not need a scope for the PR when every changed package is named in a directive', function () {
+      pr.description = 'Fixed #patch:pkg-a#'
+      expect(utils.getPackageScopesForPr(pr, {}, names, ['pkg-a'])).to.eql({'pkg-a': 'patch'})
+    })
+
+    it('should need a scope for the PR when there are no directives', function () {
+      pr.description = 'My super-cool new feature'
+      const fn = () => {
+        utils.getPackageScopesForPr(pr, {}, names, [])
+      }
+
+      expect(fn).to.throw('No version-bump scope found for [PR #12345](my-pr-url)')
+    })
+
+    it('should need a scope for the PR when a changed package is not named in a directive', function () {
+      pr.description = 'Fixed #patch:pkg-a#'
+      const fn = () => {
+        utils.getPackageScopesForPr(pr, {}, names, ['pkg-a', 'pkg-b'])
+      }
+
+      expect(fn).to.throw('No version-bump scope found for [PR #12345](my-pr-url)')
+    })
+
+    it('should throw on a directive for an unknown package', function () {
+      pr.description = 'Fixed #patch:pkg-z#'
+      const fn = () => {
+        utils.getPackageScopesForPr(pr, {}, names, [])
+      }
+
+      expect(fn).to.throw('Unknown package [pkg-z] in version-bump scope for [PR #12345](my-pr-url)')
+    })
+
+    it('should throw on a directive with an invalid scope', function () {
+      pr.description = 'Fixed #bugfix:pkg-a#'
+      const fn = () => {
+        utils.getPackageScopesForPr(pr, {}, names, [])
+      }
+
+      expect(fn).to.throw('Invalid version-bump scope [bugfix] found for PR #12345 (my-pr-url)')
+    })
+
+    it('should throw when a package is given more than one scope', function () {
+      pr.description = 'Fixed #patch:pkg-a# and #minor:pkg-a#'
+      const fn = () => {
+        utils.getPackageScopesForPr(pr, {}, names, [])
+      }
+
+      expect(fn).to.throw('Too many version-bump scopes found for package [pkg-a] in [PR #12345](my-pr-url)')
+    })
+  })
+
+  describe('.getBiggestScope()', function () {
+    it('should return the biggest scope', function () {
+      expect(utils.getBiggestScope(['patch', 'none', 'minor', 'prepatch'])).to.equal('minor')
+    })
+
+    it('should rank pre-release scopes with their final release', function () {
+      expect(utils.getBiggestScope(['minor', 'premajor'])).to.equal('premajor')
+    })
+
+    it('should return "none" when there are no scopes', function () {
+      expect(utils.getBiggestScope([])).to.equal('none')
+    })
+  })
+
+  describe('.getScopeForLabels()', function () {
+    let pr, scopeLabels
+    beforeEach(function () {
+      pr = {
+        description: '',
+        number: '12345',
+        url: 'my-pr-url'
+      }
+      scopeLabels = {
+        'semver:major': 'major',
+        'semver:minor': 'minor',
+        'enhancement': 'Feature'
+      }
+    })
+
+    it('should return undefined when there are no labels', function () {
+      expect(utils.getScopeForLabels(undefined, scopeLabels, pr)).to.equal(undefined)
+    })
+
+    it('should return undefined when there is no mapping', function () {
+      expect(utils.getScopeForLabels(['semver:major'], undefined, pr)).to.equal(undefined)
+    })
+
+    it('should return undefined when no labels imply a scope', function () {
+      expect(utils.getScopeForLabels(['bug', 'docs'], scopeLabels, pr)).to.equal(undefined)
+    })
+
+    it('should return the validated scope of the label that implies one', function () {
+      expect(utils.getScopeForLabels(['bug', 'enhancement'], scopeLabels, pr)).to.equal('minor')
+    })
+
+    it('should allow several labels implying the same scope', function () {
+      expect(utils.getScopeForLabels(['semver:minor', 'enhancement'], scopeLabels, pr)).to.equal('minor')
+    })
+
+    it('should throw when labels imply different scopes', function () {
+      const fn = () => {
+        utils.getScopeForLabels(['semver:major', 'enhancement'], scopeLabels, pr)
+      }
+
+      expect(fn).to.throw('Too many version-bump scopes (major, minor) found in labels of [PR #12345](my-pr-url)')
+    })
+
+    it('should throw when a label maps to an invalid scope', function () {
+      scopeLabels.bug = 'bugfix'
+      const fn = () => {
+        utils.getScopeForLabels(['bug'], scopeLabels, pr)
+      }
+
+      expect(fn).to.throw('Invalid version-bump scope [bugfix] found for PR #12345 (my-pr-url)')
+    })
+  })
+
+  describe('.getScopeForCommits()', function () {
+    let pr
+    beforeEach(function () {
+      pr = {
+        description: '',
+        number: '12345',
+        url: 'my-pr-url'
+      }
+    })
+
+    /**
+     * Get the scope for the given commit messages
+     * @param {String[]} messages - the commit messages
+     * @returns {String} the scope
+     */
+    function getScope (messages) {
+      return utils.getScopeForCommits(messages.map((message, i) => ({message, sha: `sha-${i}`})), pr)
+    }
+
+    it('should treat a fix as a patch', function () {
+      expect(getScope(['fix: the thing'])).to.equal('patch')
+    })
+
+    it('should treat a feat as a minor', function () {
+      expect(getScope(['fix: the thing', 'feat(parser): a new thing'])).to.equal('minor')
+    })
+
+    it('should treat a ! after the type as a major', function () {
+      expect(getScope(['fix: the thing', 'refactor(api)!: drop the old thing'])).to.equal('major')
+    })
+
+    it('should treat a BREAKING CHANGE footer as a major', function () {
+      expect(getScope(['feat: a new thing\n\nBREAKING CHANGE: the old thing is gone'])).to.equal('major')
+    })
+
+    it('should treat other types as none', function () {
+      expect(getScope(['docs: describe the thing', 'chore: update the build'])).to.equal('none')
+    })
+
+    it('should ignore commits not following the convention', function () {
+      expect(getScope(['Merge branch master into my-branch', 'fix: the thing', 'fixed the thing'])).to.equal('patch')
+    })
+
+    it('should throw when no commits follow the convention', function () {
+      const fn = () => {
+        getScope(['Fixed the thing', 'Merge branch master into my-branch'])
+      }
+
+      const example = 'Please include a scope (e.g. `#major#`, `#minor#`, `#patch#`) in your PR description, ' +
+        'or use Conventional Commit messages (e.g. `feat: ...`, `fix: ...`).'
+      const exampleLink = 'See https://github.com/ciena-blueplanet/pr-bumper#conventional-commits for more details.'
+      expect(fn).to.throw(`No version-bump scope found for [PR #12345](my-pr-url)\n${example}\n${exampleLink}`)
+    })
+  })
+
   describe('.getChangelogForPr()', function () {
     const link = 'https://github.com/ciena-blueplanet/pr-bumper#changelog'
     const errorMsg = 'No CHANGELOG content found in PR description.\n' +
@@ -917,36 +1872,26 @@ Thought this might be #breaking# but on second thought it is a minor change
     })
   })
 
-  describe('.getCurrentCoverage()', function () {
-    let cov, pct
-    beforeEach(function () {
-      cov = {
-        total: {
-          statements: {
-            pct: 95.98
-          }
-        }
-      }
+  describe('.getBaselineCoverage()', function () {
+    it('should return undefined when there is no baseline', function () {
+      expect(utils.getBaselineCoverage({})).to.equal(undefined)
     })
 
-    describe('when no coverage present', function () {
-      beforeEach(function () {
-        pct = utils.getCurrentCoverage({})
-      })
+    it('should return undefined when the baseline is not a number', function () {
+      expect(utils.getBaselineCoverage({baselineCoverage: '85.93'})).to.equal(undefined)
+    })
 
-      it('should return -1', function () {
-        expect(pct).to.equal(-1)
-      })
+    it('should return the statements baseline when the baseline is a number', function () {
+      expect(utils.getBaselineCoverage({baselineCoverage: 85.93})).to.eql({statements: 85.93})
     })
 
-    describe('when coverage is present', function () {
-      beforeEach(function () {
-        pct = utils.getCurrentCoverage(cov)
-      })
+    it('should return the baseline of each metric when the baseline is an object', function () {
+      const baselineCoverage = {branches: 80.5, functions: 'foo', statements: 85.93}
+      expect(utils.getBaselineCoverage({baselineCoverage})).to.eql({branches: 80.5, statements: 85.93})
+    })
 
-      it('should return the total line pct', function () {
-        expect(pct).to.equal(95.98)
-      })
+    it('should return undefined when the baseline has no metrics', function () {
+      expect(utils.getBaselineCoverage({baselineCoverage: {}})).to.equal(undefined)
     })
   })
 
@@ -1191,6 +2136,150 @@ Thought this might be #breaking# but on second thought it is a minor change
         })
       })
     })
+
+    describe('when a category is given', function () {
+      const marker = '[//]: # (pr-bumper:coverage)'
+      beforeEach(function () {
+        config.prComments = true
+        vcs.postComment.returns(Promise.resolve())
+        vcs.getPrComments = sandbox.stub()
+        vcs.updateComment = sandbox.stub().returns(Promise.resolve())
+      })
+
+      describe('and there is no comment for the category yet', function () {
+        beforeEach(function () {
+          vcs.getPrComments.returns(Promise.resolve([{body: 'Looks good', id: 1}]))
+          return utils.maybePostComment(config, vcs, 'fizz-bang', false, 'coverage')
+        })
+
+        it('should look for the existing comments', function () {
+          expect(vcs.getPrComments).to.have.been.calledWith('123')
+        })
+
+        it('should post a new comment with the hidden marker', function () {
+          expect(vcs.postComment).to.have.been.calledWith('123', `fizz-bang\n\n${marker}`)
+        })
+
+        it('should not update a comment', function () {
+          expect(vcs.updateComment).to.have.callCount(0)
+        })
+      })
+
+      describe('and there is already a comment for the category', function () {
+        let existing
+        beforeEach(function () {
+          existing = {body: `## ERROR\nfoo-bar\n\n${marker}`, id: 2}
+          vcs.getPrComments.returns(Promise.resolve([{body: 'Looks good', id: 1}, existing]))
+          return utils.maybePostComment(config, vcs, 'fizz-bang', true, 'coverage')
+        })
+
+        it('should update the existing comment', function () {
+          expect(vcs.updateComment).to.have.been.calledWith('123', existing, `## ERROR\nfizz-bang\n\n${marker}`)
+        })
+
+        it('should not post a new comment', function () {
+          expect(vcs.postComment).to.have.callCount(0)
+        })
+      })
+
+      describe('and fetching the comments fails', function () {
+        beforeEach(function () {
+          vcs.getPrComments.returns(Promise.reject(new Error('Aw snap!')))
+          return utils.maybePostComment(config, vcs, 'fizz-bang', false, 'coverage')
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should reject with a combined error', function () {
+          expect(error.message).to.equal('Received error: Aw snap! while trying to post PR comment: fizz-bang')
+        })
+      })
+    })
+  })
+
+  describe('.maybePostStatus()', function () {
+    const link = 'https://github.com/ciena-blueplanet/pr-bumper#code-coverage'
+    let config, vcs, error
+    beforeEach(function () {
+      config = {
+        isPr: true,
+        prNumber: '123',
+        prStatuses: true
+      }
+
+      vcs = {
+        getPr: sandbox.stub().returns(Promise.resolve({headSha: 'sha-1', number: '123'})),
+        postStatus: sandbox.stub().returns(Promise.resolve())
+      }
+
+      error = null
+    })
+
+    describe('when prStatuses is false', function () {
+      beforeEach(function () {
+        config.prStatuses = false
+        return utils.maybePostStatus(config, vcs, 'success', 'pr-bumper/coverage', 'Looks good', link)
+      })
+
+      it('should not post a status', function () {
+        expect(vcs.postStatus).to.have.callCount(0)
+      })
+    })
+
+    describe('when prStatuses is true, but isPr is false', function () {
+      beforeEach(function () {
+        config.isPr = false
+        return utils.maybePostStatus(config, vcs, 'success', 'pr-bumper/coverage', 'Looks good', link)
+      })
+
+      it('should not post a status', function () {
+        expect(vcs.postStatus).to.have.callCount(0)
+      })
+    })
+
+    describe('when prStatuses is true and isPr is true', function () {
+      beforeEach(function () {
+        const msg = 'Code Coverage: `84.01%` (dropped `1.92%` from `85.93%`)\nSee the link for more details'
+        return utils.maybePostStatus(config, vcs, 'failure', 'pr-bumper/coverage', msg, link)
+      })
+
+      it('should get the PR', function () {
+        expect(vcs.getPr).to.have.been.calledWith('123')
+      })
+
+      it('should post a status to the head commit of the PR, described by the first line of the message', function () {
+        expect(vcs.postStatus).to.have.been.calledWith(
+          'sha-1', 'failure', 'pr-bumper/coverage', 'Code Coverage: 84.01% (dropped 1.92% from 85.93%)', link
+        )
+      })
+    })
+
+    describe('when the message is too long', function () {
+      beforeEach(function () {
+        return utils.maybePostStatus(config, vcs, 'failure', 'pr-bumper/scope', __.repeat('a', 200), link)
+      })
+
+      it('should truncate the description', function () {
+        expect(vcs.postStatus.lastCall.args[3]).to.equal(`${__.repeat('a', 137)}...`)
+      })
+    })
+
+    describe('when posting the status fails', function () {
+      beforeEach(function () {
+        vcs.postStatus.returns(Promise.reject(new Error('Uh oh')))
+        return utils.maybePostStatus(config, vcs, 'success', 'pr-bumper/scope', 'Looks good', link)
+          .catch((err) => {
+            error = err
+          })
+      })
+
+      it('should reject with an error explaining what it was trying to do', function () {
+        expect(error.message).to.equal(
+          'Received error: Uh oh while trying to post [pr-bumper/scope] status: Looks good'
+        )
+      })
+    })
   })
 
   describe('.maybePostCommentOnError()', function () {
@@ -1379,5 +2468,102 @@ Thought this might be #breaking# but on second thought it is a minor change
         })
       })
     })
+
+    describe('when a category is given', function () {
+      const marker = '[//]: # (pr-bumper:scope)'
+      let existing
+      beforeEach(function () {
+        config.prComments = true
+        existing = {body: `## ERROR\nfoo-bar\n\n${marker}`, id: 2}
+        vcs.postComment.returns(Promise.resolve())
+        vcs.getPrComments = sandbox.stub().returns(Promise.resolve([{body: 'Looks good', id: 1}, existing]))
+        vcs.updateComment = sandbox.stub().returns(Promise.resolve())
+        vcs.deleteComment = sandbox.stub().returns(Promise.resolve())
+      })
+
+      describe('and func throws an error', function () {
+        beforeEach(function () {
+          func.throws(new Error('Uh oh!'))
+          return utils.maybePostCommentOnError(config, vcs, func, 'scope')
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should update the existing comment for the category', function () {
+          expect(vcs.updateComment).to.have.been.calledWith('123', existing, `## ERROR\nUh oh!\n\n${marker}`)
+        })
+
+        it('should reject with the original error', function () {
+          expect(error.message).to.equal('Uh oh!')
+        })
+      })
+
+      describe('and func succeeds', function () {
+        beforeEach(function () {
+          func.returns('foo')
+          return utils.maybePostCommentOnError(config, vcs, func, 'scope')
+            .then((resp) => {
+              result = resp
+            })
+        })
+
+        it('should delete the resolved comment for the category', function () {
+          expect(vcs.deleteComment).to.have.been.calledWith('123', existing)
+        })
+
+        it('should resolve with the return value of func', function () {
+          expect(result).to.equal('foo')
+        })
+      })
+
+      describe('and func succeeds without a comment to resolve', function () {
+        beforeEach(function () {
+          func.returns('foo')
+          vcs.getPrComments.returns(Promise.resolve([{body: 'Looks good', id: 1}]))
+          return utils.maybePostCommentOnError(config, vcs, func, 'scope')
+            .then((resp) => {
+              result = resp
+            })
+        })
+
+        it('should not delete a comment', function () {
+          expect(vcs.deleteComment).to.have.callCount(0)
+        })
+
+        it('should resolve with the return value of func', function () {
+          expect(result).to.equal('foo')
+        })
+      })
+
+      describe('and func succeeds but prComments is false', function () {
+        beforeEach(function () {
+          config.prComments = false
+          func.returns('foo')
+          return utils.maybePostCommentOnError(config, vcs, func, 'scope')
+        })
+
+        it('should not look for comments', function () {
+          expect(vcs.getPrComments).to.have.callCount(0)
+        })
+      })
+
+      describe('and deleting the resolved comment fails', function () {
+        beforeEach(function () {
+          func.returns('foo')
+          vcs.deleteComment.returns(Promise.reject(new Error('Aw snap!')))
+          return utils.maybePostCommentOnError(config, vcs, func, 'scope')
+            .catch((err) => {
+              error = err
+            })
+        })
+
+        it('should reject with a combined error', function () {
+          expect(error.message).to.equal(
+            'Received error: Aw snap! while trying to delete resolved [scope] PR comment'
+          )
+        })
+      })
+    })
   })
 })
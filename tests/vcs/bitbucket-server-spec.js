@@ -73,6 +73,214 @@ describe('BitbucketServer', function () {
     })
   })
 
+  describe('.createRelease()', function () {
+    let result
+    beforeEach(function () {
+      return bitbucket.createRelease('v1.2.3', 'Fixed the thing', false)
+        .then((res) => {
+          result = res
+        })
+    })
+
+    it('should not call fetch', function () {
+      expect(fetchStub).to.have.callCount(0)
+    })
+
+    it('should log a message about why it is skipping', function () {
+      expect(logger.log).to.have.been.calledWith('Skipping release for tag [v1.2.3], Bitbucket Server has no releases')
+    })
+
+    it('should resolve', function () {
+      expect(result).to.equal(undefined)
+    })
+  })
+
+  describe('.deleteComment()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.deleteComment('5', {body: 'the-body', id: 12, version: 3})
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/comments/12?version=3`,
+        {method: 'DELETE'}
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getCompareUrl()', function () {
+    it('should return the URL comparing the tags', function () {
+      expect(bitbucket.getCompareUrl('v1.2.0', 'v1.3.0')).to.equal(
+        'https://bitbucket.my-domain.com/projects/me/repos/my-repo/compare/commits' +
+        '?sourceBranch=refs%2Ftags%2Fv1.3.0&targetBranch=refs%2Ftags%2Fv1.2.0'
+      )
+    })
+
+    it('should return the URL comparing a tag with HEAD', function () {
+      expect(bitbucket.getCompareUrl('v1.2.0', 'HEAD')).to.equal(
+        'https://bitbucket.my-domain.com/projects/me/repos/my-repo/compare/commits' +
+        '?sourceBranch=HEAD&targetBranch=refs%2Ftags%2Fv1.2.0'
+      )
+    })
+  })
+
+  describe('.getMergedPr()', function () {
+    let resolution, rejection
+    beforeEach(function () {
+      resolution = rejection = null
+    })
+
+    /**
+     * Get the merged PR for a commit, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function getMergedPr () {
+      return bitbucket.getMergedPr('sha-1')
+        .then((resp) => {
+          resolution = resp
+        })
+        .catch((err) => {
+          rejection = err
+        })
+    }
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function () {
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve({
+          values: [
+            {
+              id: 5,
+              title: 'Fix the thing',
+              description: 'This is a #fix#',
+              author: {user: {displayName: 'Jane Doe', name: 'jdoe'}},
+              closedDate: 1484481600000,
+              fromRef: {latestCommit: 'sha-2'},
+              links: {self: [{href: 'my-link-to-myself'}]},
+              state: 'MERGED'
+            }
+          ]
+        }))
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should call fetch with proper params', function () {
+        expect(fetchStub).to.have.been.calledWith(
+          `${bitbucket.baseUrl}/projects/me/repos/my-repo/commits/sha-1/pull-requests?limit=100`
+        )
+      })
+
+      it('should resolve with the merged PR', function () {
+        expect(resolution).to.be.eql({
+          author: {login: 'jdoe', name: 'Jane Doe'},
+          description: 'This is a #fix#',
+          headSha: 'sha-2',
+          mergedAt: '2017-01-15T12:00:00.000Z',
+          number: 5,
+          title: 'Fix the thing',
+          url: 'my-link-to-myself'
+        })
+      })
+    })
+
+    describe('when the commit is not from a merged PR', function () {
+      beforeEach(function () {
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve({values: []}))
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should resolve with nothing', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      beforeEach(function () {
+        const resp = {ok: false, status: 404, json () {}}
+        sandbox.stub(resp, 'json').returns({message: 'Not Found'})
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should reject with an error', function () {
+        expect(rejection.message).to.equal('404: {"message":"Not Found"}')
+      })
+    })
+  })
+
   describe('.getPr()', function () {
     let resolution, rejection, promise, fetchResolver
     beforeEach(function () {
@@ -106,7 +314,10 @@ describe('BitbucketServer', function () {
         resp = {ok: true, status: 200, json () {}}
         let pr = {
           id: 5,
+          title: 'Fix the thing',
           description: 'This is a #fix#',
+          author: {user: {displayName: 'Jane Doe', name: 'jdoe'}},
+          state: 'OPEN',
           fromRef: {
             latestCommit: 'sha-1'
           },
@@ -127,9 +338,12 @@ describe('BitbucketServer', function () {
 
       it('should resolve with the correct PR', function () {
         expect(resolution).to.be.eql({
+          author: {login: 'jdoe', name: 'Jane Doe'},
           description: 'This is a #fix#',
           headSha: 'sha-1',
+          mergedAt: undefined,
           number: 5,
+          title: 'Fix the thing',
           url: 'my-link-to-myself'
         })
       })
@@ -175,7 +389,7 @@ describe('BitbucketServer', function () {
     })
   })
 
-  describe('.postComment()', function () {
+  describe('.getPrComments()', function () {
     let resolution, rejection, promise, fetchResolver
     beforeEach(function () {
       fetchResolver = {}
@@ -187,7 +401,7 @@ describe('BitbucketServer', function () {
       fetchStub.returns(fetchPromise)
 
       resolution = rejection = null
-      promise = bitbucket.postComment('5', 'Missing PR scope!')
+      promise = bitbucket.getPrComments('5')
         .then((resp) => {
           resolution = resp
           return resolution
@@ -199,41 +413,98 @@ describe('BitbucketServer', function () {
     })
 
     it('should call fetch with proper params', function () {
-      const url = `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/comments`
-      expect(fetchStub).to.have.been.calledWith(url, {
-        method: 'POST',
-        body: JSON.stringify({text: 'Missing PR scope!'}),
-        headers: {'Content-Type': 'application/json'}
-      })
+      expect(fetchStub).to.have.been.calledWith(
+        `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/activities?limit=100`
+      )
     })
 
     describe('when fetch resolves with success', function () {
       beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve({
+          values: [
+            {
+              action: 'COMMENTED',
+              commentAction: 'ADDED',
+              comment: {id: 1, text: 'Looks good', version: 2}
+            },
+            {action: 'APPROVED'},
+            {
+              action: 'COMMENTED',
+              commentAction: 'EDITED',
+              comment: {id: 1, text: 'Looks good', version: 2}
+            },
+            {
+              action: 'COMMENTED',
+              commentAction: 'ADDED',
+              comment: {id: 2, text: 'Thanks', version: 0}
+            }
+          ]
+        }))
+
         promise.then(() => {
           done()
         })
-        fetchResolver.resolve({ok: true})
+
+        fetchResolver.resolve(resp)
       })
 
-      it('should resolve', function () {
-        expect(resolution).to.equal(undefined)
+      it('should resolve with the comments', function () {
+        expect(resolution).to.be.eql([{body: 'Looks good', id: 1, version: 2}, {body: 'Thanks', id: 2, version: 0}])
+      })
+    })
+
+    describe('when there is more than one page of comments', function () {
+      let url
+      beforeEach(function () {
+        url = `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/activities?limit=100`
+        const firstResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(firstResp, 'json').returns(Promise.resolve({
+          isLastPage: false,
+          nextPageStart: 100,
+          values: Array.from({length: 100}, (value, index) => {
+            const comment = {id: index, text: `Comment ${index}`, version: 0}
+            return {action: 'COMMENTED', commentAction: 'ADDED', comment}
+          })
+        }))
+        const lastResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(lastResp, 'json').returns(Promise.resolve({
+          isLastPage: true,
+          values: [{action: 'COMMENTED', commentAction: 'ADDED', comment: {id: 100, text: 'Thanks', version: 0}}]
+        }))
+        fetchStub.withArgs(url).returns(Promise.resolve(firstResp))
+        fetchStub.withArgs(`${url}&start=100`).returns(Promise.resolve(lastResp))
+
+        return bitbucket.getPrComments('5')
+          .then((resp) => {
+            resolution = resp
+          })
+      })
+
+      it('should fetch the next page', function () {
+        expect(fetchStub).to.have.been.calledWith(`${url}&start=100`)
+      })
+
+      it('should resolve with the comments of every page', function () {
+        expect(resolution.length).to.equal(101)
+        expect(resolution[0]).to.eql({body: 'Comment 0', id: 0, version: 0})
+        expect(resolution[100]).to.eql({body: 'Thanks', id: 100, version: 0})
       })
     })
 
     describe('when fetch resolves with error', function () {
-      let resp, err
+      let err
       beforeEach(function (done) {
-        err = {message: 'Uh oh'}
-        resp = {
-          ok: false,
-          status: 400,
-          json () {
-            return err
-          }
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
         }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
         promise.catch(() => {
           done()
         })
+
         fetchResolver.resolve(resp)
       })
 
@@ -241,25 +512,541 @@ describe('BitbucketServer', function () {
         expect(resolution).to.equal(null)
       })
 
-      it('should reject with proper error', function () {
-        expect(rejection).to.eql(new Error(`400: ${JSON.stringify(err)}`))
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
       })
     })
 
-    describe('when fetch rejects', function () {
+    describe('when fetch errors', function () {
       beforeEach(function (done) {
         promise.catch(() => {
           done()
         })
-        fetchResolver.reject('Uh oh')
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrCommits()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.getPrCommits('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/commits?limit=100`
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        const commits = {
+          values: [
+            {id: 'sha-1', message: 'fix: the thing'},
+            {id: 'sha-2', message: 'feat: the other thing'}
+          ]
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(commits))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the correct commits', function () {
+        expect(resolution).to.be.eql([
+          {message: 'fix: the thing', sha: 'sha-1'},
+          {message: 'feat: the other thing', sha: 'sha-2'}
+        ])
+      })
+    })
+
+    describe('when there is more than one page of commits', function () {
+      let url
+      beforeEach(function () {
+        url = `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/commits?limit=100`
+        const firstResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(firstResp, 'json').returns(Promise.resolve({
+          isLastPage: false,
+          nextPageStart: 100,
+          values: Array.from({length: 100}, (value, index) => {
+            return {id: `sha-${index}`, message: `fix: thing ${index}`}
+          })
+        }))
+        const lastResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(lastResp, 'json').returns(Promise.resolve({
+          isLastPage: true,
+          values: [{id: 'sha-100', message: 'feat: the last thing'}]
+        }))
+        fetchStub.withArgs(url).returns(Promise.resolve(firstResp))
+        fetchStub.withArgs(`${url}&start=100`).returns(Promise.resolve(lastResp))
+
+        return bitbucket.getPrCommits('5')
+          .then((resp) => {
+            resolution = resp
+          })
+      })
+
+      it('should fetch the next page', function () {
+        expect(fetchStub).to.have.been.calledWith(`${url}&start=100`)
+      })
+
+      it('should resolve with the commits of every page', function () {
+        expect(resolution.length).to.equal(101)
+        expect(resolution[0]).to.eql({message: 'fix: thing 0', sha: 'sha-0'})
+        expect(resolution[100]).to.eql({message: 'feat: the last thing', sha: 'sha-100'})
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
       })
 
       it('should not resolve', function () {
         expect(resolution).to.equal(null)
       })
 
-      it('should reject with proper error', function () {
-        expect(rejection).to.equal('Uh oh')
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrFiles()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.getPrFiles('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/changes?limit=100`
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        const files = {
+          values: [
+            {path: {toString: 'packages/pkg-a/index.js'}, type: 'MODIFY'},
+            {path: {toString: 'packages/pkg-c/new.js'}, srcPath: {toString: 'packages/pkg-b/old.js'}, type: 'MOVE'}
+          ]
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(files))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the paths of the files, both paths of a renamed file', function () {
+        expect(resolution).to.be.eql(['packages/pkg-a/index.js', 'packages/pkg-b/old.js', 'packages/pkg-c/new.js'])
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrLabels()', function () {
+    let result
+    beforeEach(function () {
+      return bitbucket.getPrLabels('5')
+        .then((res) => {
+          result = res
+        })
+    })
+
+    it('should not call fetch', function () {
+      expect(fetchStub).to.have.callCount(0)
+    })
+
+    it('should resolve with no labels', function () {
+      expect(result).to.eql([])
+    })
+  })
+
+  describe('.getPushRemoteName()', function () {
+    it('should give the name of the remote the repository was cloned from', function () {
+      expect(bitbucket.getPushRemoteName()).to.equal('origin')
+    })
+  })
+
+  describe('.postComment()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.postComment('5', 'Missing PR scope!')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      const url = `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/comments`
+      expect(fetchStub).to.have.been.calledWith(url, {
+        method: 'POST',
+        body: JSON.stringify({text: 'Missing PR scope!'}),
+        headers: {'Content-Type': 'application/json'}
+      })
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let resp, err
+      beforeEach(function (done) {
+        err = {message: 'Uh oh'}
+        resp = {
+          ok: false,
+          status: 400,
+          json () {
+            return err
+          }
+        }
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch rejects', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.reject('Uh oh')
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.equal('Uh oh')
+      })
+    })
+  })
+
+  describe('.postStatus()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.postStatus('sha-1', 'failure', 'pr-bumper/scope', 'No scope found', 'the-target-url')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      const url = bitbucket.baseUrl.replace('/rest/api/1.0', '/rest/build-status/1.0') + '/commits/sha-1'
+      expect(fetchStub).to.have.been.calledWith(url, {
+        method: 'POST',
+        body: JSON.stringify({
+          description: 'No scope found',
+          key: 'pr-bumper/scope',
+          name: 'pr-bumper/scope',
+          state: 'FAILED',
+          url: 'the-target-url'
+        }),
+        headers: {'Content-Type': 'application/json'}
+      })
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let resp, err
+      beforeEach(function (done) {
+        err = {message: 'Uh oh'}
+        resp = {
+          ok: false,
+          status: 404,
+          json () {
+            return err
+          }
+        }
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.eql(new Error(`404: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch rejects', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.reject('Uh oh')
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.equal('Uh oh')
+      })
+    })
+  })
+
+  describe('.updateComment()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = bitbucket.updateComment('5', {body: 'the-body', id: 12, version: 3}, 'the-new-body')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        `${bitbucket.baseUrl}/projects/me/repos/my-repo/pull-requests/5/comments/12`,
+        {
+          method: 'PUT',
+          body: JSON.stringify({text: 'the-new-body', version: 3}),
+          headers: {'Content-Type': 'application/json'}
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
       })
     })
   })
@@ -80,6 +80,278 @@ describe('GitHub Enterprise', function () {
     })
   })
 
+  describe('.createRelease()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.createRelease('v1.2.3', 'Fixed the thing', true)
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      const url = 'https://my-ghe.com/api/v3/repos/me/my-repo/releases'
+      expect(fetchStub).to.have.been.calledWith(url, {
+        method: 'POST',
+        body: JSON.stringify({body: 'Fixed the thing', name: 'v1.2.3', prerelease: true, tag_name: 'v1.2.3'}),
+        headers: {
+          'Authorization': 'token my-gh-token',
+          'Content-Type': 'application/json'
+        }
+      })
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let resp, err
+      beforeEach(function (done) {
+        err = {message: 'Uh oh'}
+        resp = {
+          ok: false,
+          status: 422,
+          json () {
+            return err
+          }
+        }
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.eql(new Error(`422: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch rejects', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.reject('Uh oh')
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.equal('Uh oh')
+      })
+    })
+  })
+
+  describe('.deleteComment()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.deleteComment('5', {body: 'the-body', id: 12})
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/issues/comments/12',
+        {
+          method: 'DELETE',
+          headers: {'Authorization': 'token my-gh-token'}
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getCompareUrl()', function () {
+    it('should return the URL comparing the tags', function () {
+      expect(github.getCompareUrl('v1.2.0', 'v1.3.0')).to.equal('https://my-ghe.com/me/my-repo/compare/v1.2.0...v1.3.0')
+    })
+  })
+
+  describe('.getMergedPr()', function () {
+    let resolution, rejection
+    beforeEach(function () {
+      resolution = rejection = null
+    })
+
+    /**
+     * Get the merged PR for a commit, saving the result or error
+     * @returns {Promise} a promise resolved when done
+     */
+    function getMergedPr () {
+      return github.getMergedPr('sha-1')
+        .then((resp) => {
+          resolution = resp
+        })
+        .catch((err) => {
+          rejection = err
+        })
+    }
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function () {
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve([
+          {number: 6, body: 'Still open', 'html_url': 'other-link', head: {sha: 'sha-3'}, 'merged_at': null},
+          {
+            number: 5,
+            title: 'Fix the thing',
+            body: 'This is a #fix#',
+            'html_url': 'my-link-to-myself',
+            head: {sha: 'sha-2'},
+            'merged_at': '2017-01-15T12:00:00Z',
+            user: {login: 'octocat'}
+          }
+        ]))
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should call fetch with proper params', function () {
+        expect(fetchStub).to.have.been.calledWith(
+          'https://my-ghe.com/api/v3/repos/me/my-repo/commits/sha-1/pulls',
+          {headers: {'Authorization': 'token my-ro-gh-token'}}
+        )
+      })
+
+      it('should resolve with the merged PR', function () {
+        expect(resolution).to.be.eql({
+          author: {login: 'octocat', name: 'octocat'},
+          description: 'This is a #fix#',
+          headSha: 'sha-2',
+          mergedAt: '2017-01-15T12:00:00Z',
+          number: 5,
+          title: 'Fix the thing',
+          url: 'my-link-to-myself'
+        })
+      })
+    })
+
+    describe('when the commit is not from a merged PR', function () {
+      beforeEach(function () {
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve([
+          {number: 6, body: 'Still open', 'html_url': 'other-link', head: {sha: 'sha-3'}, 'merged_at': null}
+        ]))
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should resolve with nothing', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      beforeEach(function () {
+        const resp = {ok: false, status: 404, json () {}}
+        sandbox.stub(resp, 'json').returns({message: 'Not Found'})
+        fetchStub.returns(Promise.resolve(resp))
+        return getMergedPr()
+      })
+
+      it('should reject with an error', function () {
+        expect(rejection.message).to.equal('404: {"message":"Not Found"}')
+      })
+    })
+  })
+
   describe('.getPr()', function () {
     let resolution, rejection, promise, fetchResolver
     beforeEach(function () {
@@ -92,7 +364,466 @@ describe('GitHub Enterprise', function () {
       fetchStub.returns(fetchPromise)
 
       resolution = rejection = null
-      promise = github.getPr('5')
+      promise = github.getPr('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/pulls/5',
+        {
+          headers: {
+            'Authorization': 'token my-ro-gh-token'
+          }
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      let resp
+      beforeEach(function (done) {
+        resp = {ok: true, status: 200, json: function () {}}
+        let pr = {
+          number: 5,
+          title: 'Fix the thing',
+          body: 'This is a #fix#',
+          'html_url': 'my-link-to-myself',
+          head: {
+            sha: 'sha-1'
+          },
+          'merged_at': null,
+          user: {login: 'octocat'}
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(pr))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the correct PR', function () {
+        expect(resolution).to.be.eql({
+          author: {login: 'octocat', name: 'octocat'},
+          description: 'This is a #fix#',
+          headSha: 'sha-1',
+          mergedAt: undefined,
+          number: 5,
+          title: 'Fix the thing',
+          url: 'my-link-to-myself'
+        })
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let resp, err
+      beforeEach(function (done) {
+        resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrComments()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.getPrComments('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/issues/5/comments?per_page=100',
+        {
+          headers: {
+            'Authorization': 'token my-ro-gh-token'
+          }
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        const comments = [{id: 1, body: 'Looks good', user: {login: 'me'}}, {id: 2, body: 'Thanks'}]
+        sandbox.stub(resp, 'json').returns(Promise.resolve(comments))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the comments', function () {
+        expect(resolution).to.be.eql([{body: 'Looks good', id: 1}, {body: 'Thanks', id: 2}])
+      })
+    })
+
+    describe('when there is more than one page of comments', function () {
+      let url
+      beforeEach(function () {
+        url = 'https://my-ghe.com/api/v3/repos/me/my-repo/issues/5/comments?per_page=100'
+        const firstPage = Array.from({length: 100}, (value, index) => {
+          return {body: `Comment ${index}`, id: index}
+        })
+        const firstResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(firstResp, 'json').returns(Promise.resolve(firstPage))
+        const lastResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(lastResp, 'json').returns(Promise.resolve([{body: 'Thanks', id: 100}]))
+        fetchStub.withArgs(url).returns(Promise.resolve(firstResp))
+        fetchStub.withArgs(`${url}&page=2`).returns(Promise.resolve(lastResp))
+
+        return github.getPrComments('5')
+          .then((resp) => {
+            resolution = resp
+          })
+      })
+
+      it('should fetch the next page', function () {
+        expect(fetchStub).to.have.been.calledWith(`${url}&page=2`)
+      })
+
+      it('should resolve with the comments of every page', function () {
+        expect(resolution.length).to.equal(101)
+        expect(resolution[0]).to.eql({body: 'Comment 0', id: 0})
+        expect(resolution[100]).to.eql({body: 'Thanks', id: 100})
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrCommits()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.getPrCommits('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/pulls/5/commits?per_page=100',
+        {
+          headers: {
+            'Authorization': 'token my-ro-gh-token'
+          }
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        const commits = [
+          {sha: 'sha-1', commit: {message: 'fix: the thing'}},
+          {sha: 'sha-2', commit: {message: 'feat: the other thing'}}
+        ]
+        sandbox.stub(resp, 'json').returns(Promise.resolve(commits))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the correct commits', function () {
+        expect(resolution).to.be.eql([
+          {message: 'fix: the thing', sha: 'sha-1'},
+          {message: 'feat: the other thing', sha: 'sha-2'}
+        ])
+      })
+    })
+
+    describe('when there is more than one page of commits', function () {
+      let url
+      beforeEach(function () {
+        url = 'https://my-ghe.com/api/v3/repos/me/my-repo/pulls/5/commits?per_page=100'
+        const firstPage = Array.from({length: 100}, (value, index) => {
+          return {sha: `sha-${index}`, commit: {message: `fix: thing ${index}`}}
+        })
+        const firstResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(firstResp, 'json').returns(Promise.resolve(firstPage))
+        const lastResp = {ok: true, status: 200, json () {}}
+        const lastPage = [{sha: 'sha-100', commit: {message: 'feat: the last thing'}}]
+        sandbox.stub(lastResp, 'json').returns(Promise.resolve(lastPage))
+        fetchStub.withArgs(url).returns(Promise.resolve(firstResp))
+        fetchStub.withArgs(`${url}&page=2`).returns(Promise.resolve(lastResp))
+
+        return github.getPrCommits('5')
+          .then((resp) => {
+            resolution = resp
+          })
+      })
+
+      it('should fetch the next page', function () {
+        expect(fetchStub).to.have.been.calledWith(`${url}&page=2`)
+      })
+
+      it('should resolve with the commits of every page', function () {
+        expect(resolution.length).to.equal(101)
+        expect(resolution[0]).to.eql({message: 'fix: thing 0', sha: 'sha-0'})
+        expect(resolution[100]).to.eql({message: 'feat: the last thing', sha: 'sha-100'})
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrFiles()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.getPrFiles('5')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/pulls/5/files?per_page=100',
+        {
+          headers: {
+            'Authorization': 'token my-ro-gh-token'
+          }
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        const resp = {ok: true, status: 200, json () {}}
+        const files = [
+          {filename: 'packages/pkg-a/index.js', status: 'modified'},
+          {filename: 'packages/pkg-c/new.js', previous_filename: 'packages/pkg-b/old.js', status: 'renamed'}
+        ]
+        sandbox.stub(resp, 'json').returns(Promise.resolve(files))
+
+        promise.then(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should resolve with the paths of the files, both paths of a renamed file', function () {
+        expect(resolution).to.be.eql(['packages/pkg-a/index.js', 'packages/pkg-b/old.js', 'packages/pkg-c/new.js'])
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
+
+  describe('.getPrLabels()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.getPrLabels('5')
         .then((resp) => {
           resolution = resp
           return resolution
@@ -105,7 +836,7 @@ describe('GitHub Enterprise', function () {
 
     it('should call fetch with proper params', function () {
       expect(fetchStub).to.have.been.calledWith(
-        'https://my-ghe.com/api/v3/repos/me/my-repo/pulls/5',
+        'https://my-ghe.com/api/v3/repos/me/my-repo/issues/5/labels?per_page=100',
         {
           headers: {
             'Authorization': 'token my-ro-gh-token'
@@ -115,18 +846,9 @@ describe('GitHub Enterprise', function () {
     })
 
     describe('when fetch resolves with success', function () {
-      let resp
       beforeEach(function (done) {
-        resp = {ok: true, status: 200, json: function () {}}
-        let pr = {
-          number: 5,
-          body: 'This is a #fix#',
-          'html_url': 'my-link-to-myself',
-          head: {
-            sha: 'sha-1'
-          }
-        }
-        sandbox.stub(resp, 'json').returns(Promise.resolve(pr))
+        const resp = {ok: true, status: 200, json () {}}
+        sandbox.stub(resp, 'json').returns(Promise.resolve([{id: 1, name: 'semver:minor'}, {id: 2, name: 'bug'}]))
 
         promise.then(() => {
           done()
@@ -135,20 +857,46 @@ describe('GitHub Enterprise', function () {
         fetchResolver.resolve(resp)
       })
 
-      it('should resolve with the correct PR', function () {
-        expect(resolution).to.be.eql({
-          description: 'This is a #fix#',
-          headSha: 'sha-1',
-          number: 5,
-          url: 'my-link-to-myself'
+      it('should resolve with the label names', function () {
+        expect(resolution).to.be.eql(['semver:minor', 'bug'])
+      })
+    })
+
+    describe('when there is more than one page of labels', function () {
+      let url
+      beforeEach(function () {
+        url = 'https://my-ghe.com/api/v3/repos/me/my-repo/issues/5/labels?per_page=100'
+        const firstPage = Array.from({length: 100}, (value, index) => {
+          return {id: index, name: `label-${index}`}
         })
+        const firstResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(firstResp, 'json').returns(Promise.resolve(firstPage))
+        const lastResp = {ok: true, status: 200, json () {}}
+        sandbox.stub(lastResp, 'json').returns(Promise.resolve([{id: 100, name: 'semver:minor'}]))
+        fetchStub.withArgs(url).returns(Promise.resolve(firstResp))
+        fetchStub.withArgs(`${url}&page=2`).returns(Promise.resolve(lastResp))
+
+        return github.getPrLabels('5')
+          .then((resp) => {
+            resolution = resp
+          })
+      })
+
+      it('should fetch the next page', function () {
+        expect(fetchStub).to.have.been.calledWith(`${url}&page=2`)
+      })
+
+      it('should resolve with the label names of every page', function () {
+        expect(resolution.length).to.equal(101)
+        expect(resolution[0]).to.equal('label-0')
+        expect(resolution[100]).to.equal('semver:minor')
       })
     })
 
     describe('when fetch resolves with error', function () {
-      let resp, err
+      let err
       beforeEach(function (done) {
-        resp = {ok: false, status: 400, json () {}}
+        const resp = {ok: false, status: 400, json () {}}
         err = {
           message: 'Uh oh'
         }
@@ -185,6 +933,12 @@ describe('GitHub Enterprise', function () {
     })
   })
 
+  describe('.getPushRemoteName()', function () {
+    it('should give the name of the remote addRemoteForPush() sets up', function () {
+      expect(github.getPushRemoteName()).to.equal('ci-origin')
+    })
+  })
+
   describe('.postComment()', function () {
     let resolution, rejection, promise, fetchResolver
     beforeEach(function () {
@@ -273,4 +1027,191 @@ describe('GitHub Enterprise', function () {
       })
     })
   })
+
+  describe('.postStatus()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.postStatus('sha-1', 'failure', 'pr-bumper/scope', 'No scope found', 'the-target-url')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      const url = 'https://my-ghe.com/api/v3/repos/me/my-repo/statuses/sha-1'
+      expect(fetchStub).to.have.been.calledWith(url, {
+        method: 'POST',
+        body: JSON.stringify({
+          context: 'pr-bumper/scope',
+          description: 'No scope found',
+          state: 'failure',
+          target_url: 'the-target-url'
+        }),
+        headers: {
+          'Authorization': 'token my-gh-token',
+          'Content-Type': 'application/json'
+        }
+      })
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let resp, err
+      beforeEach(function (done) {
+        err = {message: 'Uh oh'}
+        resp = {
+          ok: false,
+          status: 404,
+          json () {
+            return err
+          }
+        }
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.eql(new Error(`404: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch rejects', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+        fetchResolver.reject('Uh oh')
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with proper error', function () {
+        expect(rejection).to.equal('Uh oh')
+      })
+    })
+  })
+
+  describe('.updateComment()', function () {
+    let resolution, rejection, promise, fetchResolver
+    beforeEach(function () {
+      fetchResolver = {}
+      let fetchPromise = new Promise((resolve, reject) => {
+        fetchResolver.resolve = resolve
+        fetchResolver.reject = reject
+      })
+
+      fetchStub.returns(fetchPromise)
+
+      resolution = rejection = null
+      promise = github.updateComment('5', {body: 'the-body', id: 12}, 'the-new-body')
+        .then((resp) => {
+          resolution = resp
+          return resolution
+        })
+        .catch((err) => {
+          rejection = err
+          throw err
+        })
+    })
+
+    it('should call fetch with proper params', function () {
+      expect(fetchStub).to.have.been.calledWith(
+        'https://my-ghe.com/api/v3/repos/me/my-repo/issues/comments/12',
+        {
+          method: 'PATCH',
+          body: JSON.stringify({body: 'the-new-body'}),
+          headers: {
+            'Authorization': 'token my-gh-token',
+            'Content-Type': 'application/json'
+          }
+        }
+      )
+    })
+
+    describe('when fetch resolves with success', function () {
+      beforeEach(function (done) {
+        promise.then(() => {
+          done()
+        })
+        fetchResolver.resolve({ok: true})
+      })
+
+      it('should resolve', function () {
+        expect(resolution).to.equal(undefined)
+      })
+    })
+
+    describe('when fetch resolves with error', function () {
+      let err
+      beforeEach(function (done) {
+        const resp = {ok: false, status: 400, json () {}}
+        err = {
+          message: 'Uh oh'
+        }
+        sandbox.stub(resp, 'json').returns(Promise.resolve(err))
+
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.resolve(resp)
+      })
+
+      it('should not resolve', function () {
+        expect(resolution).to.equal(null)
+      })
+
+      it('should reject with the proper error', function () {
+        expect(rejection).to.be.eql(new Error(`400: ${JSON.stringify(err)}`))
+      })
+    })
+
+    describe('when fetch errors', function () {
+      beforeEach(function (done) {
+        promise.catch(() => {
+          done()
+        })
+
+        fetchResolver.reject('my-error')
+      })
+
+      it('should pass up the error', function () {
+        expect(rejection).to.be.equal('my-error')
+      })
+    })
+  })
 })